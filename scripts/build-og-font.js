@@ -0,0 +1,331 @@
+/**
+ * Build the glyph outlines used by the PNG share cards
+ * Reads a TrueType font and writes src/assets/og-font.js with the outlines
+ * (as path strings in font units) of the characters a card can show.
+ *
+ * Usage: node scripts/build-og-font.js [font.ttf]
+ * Default font: DejaVu Sans Bold from the fonts-dejavu-core package
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+const DEFAULT_FONT = '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf';
+const OUTPUT = new URL('../src/assets/og-font.js', import.meta.url);
+
+/**
+ * Printable ASCII plus the punctuation and letters job data commonly uses
+ */
+const CHARACTERS = [
+  ...Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index)),
+  ...'…•–—‘’“”×éèÉ'
+];
+
+const LICENSE = `Glyph outlines from DejaVu Sans Bold (https://dejavu-fonts.github.io/)
+Copyright (c) 2003 by Bitstream, Inc. All Rights Reserved. Bitstream Vera is
+a trademark of Bitstream, Inc. DejaVu changes are in public domain.
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of the fonts accompanying this license ("Fonts") and associated documentation
+files (the "Font Software"), to reproduce and distribute the Font Software,
+including without limitation the rights to use, copy, merge, publish,
+distribute, and/or sell copies of the Font Software, and to permit persons to
+whom the Font Software is furnished to do so, subject to the following
+conditions:
+
+The above copyright and trademark notices and this permission notice shall be
+included in all copies of one or more of the Font Software typefaces.
+
+The Font Software may be modified, altered, or added to, and in particular the
+designs of glyphs or characters in the Fonts may be modified and additional
+glyphs or characters may be added to the Fonts, only if the fonts are renamed
+to names not containing either the words "Bitstream" or the word "Vera".
+
+This License becomes null and void to the extent applicable to Fonts or Font
+Software that has been modified and is distributed under the "Bitstream Vera"
+names.
+
+The Font Software may be sold as part of a larger software package but no copy
+of one or more of the Font Software typefaces may be sold by itself.
+
+THE FONT SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO ANY WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT OF COPYRIGHT, PATENT,
+TRADEMARK, OR OTHER RIGHT. IN NO EVENT SHALL BITSTREAM OR THE GNOME FOUNDATION
+BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, INCLUDING ANY GENERAL,
+SPECIAL, INDIRECT, INCIDENTAL, OR CONSEQUENTIAL DAMAGES, WHETHER IN AN ACTION
+OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF THE USE OR INABILITY TO
+USE THE FONT SOFTWARE OR FROM OTHER DEALINGS IN THE FONT SOFTWARE.
+
+Except as contained in this notice, the names of Gnome, the Gnome Foundation,
+and Bitstream Inc., shall not be used in advertising or otherwise to promote
+the sale, use or other dealings in this Font Software without prior written
+authorization from the Gnome Foundation or Bitstream Inc., respectively.`;
+
+/**
+ * Read the table directory of a TrueType font
+ * @param {Buffer} font - Font file
+ * @returns {Object} - Table offsets by tag
+ */
+function readTables(font) {
+  const tables = {};
+  const count = font.readUInt16BE(4);
+  for (let index = 0; index < count; index++) {
+    const record = 12 + index * 16;
+    tables[font.toString('latin1', record, record + 4)] = font.readUInt32BE(record + 8);
+  }
+  return tables;
+}
+
+/**
+ * Map characters to glyph IDs with the Unicode BMP (format 4) cmap
+ * @param {Buffer} font - Font file
+ * @param {number} cmap - cmap table offset
+ * @returns {Function} - char code => glyph ID
+ */
+function readCharacterMap(font, cmap) {
+  const count = font.readUInt16BE(cmap + 2);
+  let subtable = null;
+  for (let index = 0; index < count; index++) {
+    const record = cmap + 4 + index * 8;
+    if (font.readUInt16BE(record) === 3 && font.readUInt16BE(record + 2) === 1) {
+      subtable = cmap + font.readUInt32BE(record + 4);
+    }
+  }
+  if (subtable === null || font.readUInt16BE(subtable) !== 4) {
+    throw new Error('Font has no Unicode BMP (format 4) character map');
+  }
+
+  const segments = font.readUInt16BE(subtable + 6) / 2;
+  const endCodes = subtable + 14;
+  const startCodes = endCodes + segments * 2 + 2;
+  const deltas = startCodes + segments * 2;
+  const rangeOffsets = deltas + segments * 2;
+
+  return code => {
+    for (let segment = 0; segment < segments; segment++) {
+      if (code > font.readUInt16BE(endCodes + segment * 2)) {
+        continue;
+      }
+      const start = font.readUInt16BE(startCodes + segment * 2);
+      if (code < start) {
+        return 0;
+      }
+      const delta = font.readInt16BE(deltas + segment * 2);
+      const rangeOffsetAt = rangeOffsets + segment * 2;
+      const rangeOffset = font.readUInt16BE(rangeOffsetAt);
+      if (rangeOffset === 0) {
+        return (code + delta) & 0xffff;
+      }
+      const glyph = font.readUInt16BE(rangeOffsetAt + rangeOffset + (code - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Read the contours of a glyph, resolving composite glyphs
+ * @param {Buffer} font - Font file
+ * @param {Object} tables - Table offsets
+ * @param {Function} glyphOffset - glyph ID => [start, end] in glyf
+ * @param {number} glyphId - Glyph ID
+ * @returns {Array} - Contours of {x, y, onCurve} points
+ */
+function readContours(font, tables, glyphOffset, glyphId) {
+  const [start, end] = glyphOffset(glyphId);
+  if (start === end) {
+    return [];
+  }
+
+  const glyph = tables.glyf + start;
+  const contourCount = font.readInt16BE(glyph);
+
+  if (contourCount < 0) {
+    const contours = [];
+    let offset = glyph + 10;
+    let flags;
+    do {
+      flags = font.readUInt16BE(offset);
+      const component = font.readUInt16BE(offset + 2);
+      offset += 4;
+      let dx;
+      let dy;
+      if (flags & 0x0001) {
+        dx = font.readInt16BE(offset);
+        dy = font.readInt16BE(offset + 2);
+        offset += 4;
+      } else {
+        dx = font.readInt8(offset);
+        dy = font.readInt8(offset + 1);
+        offset += 2;
+      }
+      // Scaled components are not used by the characters we extract
+      if (flags & 0x0008) offset += 2;
+      else if (flags & 0x0040) offset += 4;
+      else if (flags & 0x0080) offset += 8;
+
+      for (const contour of readContours(font, tables, glyphOffset, component)) {
+        contours.push(contour.map(point => ({ ...point, x: point.x + dx, y: point.y + dy })));
+      }
+    } while (flags & 0x0020);
+    return contours;
+  }
+
+  const endPoints = [];
+  for (let index = 0; index < contourCount; index++) {
+    endPoints.push(font.readUInt16BE(glyph + 10 + index * 2));
+  }
+  const pointCount = endPoints.length ? endPoints[endPoints.length - 1] + 1 : 0;
+  let offset = glyph + 10 + contourCount * 2;
+  offset += 2 + font.readUInt16BE(offset);
+
+  const flags = [];
+  while (flags.length < pointCount) {
+    const flag = font.readUInt8(offset++);
+    flags.push(flag);
+    if (flag & 0x08) {
+      for (let repeat = font.readUInt8(offset++); repeat > 0; repeat--) {
+        flags.push(flag);
+      }
+    }
+  }
+
+  const readCoordinates = (shortBit, sameBit) => {
+    const values = [];
+    let value = 0;
+    for (const flag of flags) {
+      if (flag & shortBit) {
+        value += (flag & sameBit) ? font.readUInt8(offset) : -font.readUInt8(offset);
+        offset += 1;
+      } else if (!(flag & sameBit)) {
+        value += font.readInt16BE(offset);
+        offset += 2;
+      }
+      values.push(value);
+    }
+    return values;
+  };
+  const xs = readCoordinates(0x02, 0x10);
+  const ys = readCoordinates(0x04, 0x20);
+
+  const contours = [];
+  let first = 0;
+  for (const last of endPoints) {
+    const contour = [];
+    for (let index = first; index <= last; index++) {
+      contour.push({ x: xs[index], y: ys[index], onCurve: Boolean(flags[index] & 0x01) });
+    }
+    contours.push(contour);
+    first = last + 1;
+  }
+  return contours;
+}
+
+/**
+ * Turn TrueType contours into a path string (M, L, Q, Z)
+ * Consecutive off-curve points get their implied on-curve midpoint
+ * @param {Array} contours - Contours of {x, y, onCurve} points
+ * @returns {string} - Path in font units, y up
+ */
+function toPath(contours) {
+  const commands = [];
+  for (const contour of contours) {
+    if (contour.length === 0) {
+      continue;
+    }
+
+    let startIndex = contour.findIndex(point => point.onCurve);
+    let points = contour;
+    if (startIndex === -1) {
+      // All points off-curve: start at the midpoint of the first two
+      const [a, b] = contour;
+      points = [{ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, onCurve: true }, ...contour.slice(1), a];
+      startIndex = 0;
+    }
+
+    const ordered = [...points.slice(startIndex), ...points.slice(0, startIndex)];
+    const start = ordered[0];
+    commands.push(`M${start.x} ${start.y}`);
+
+    let control = null;
+    for (const point of [...ordered.slice(1), start]) {
+      if (point.onCurve) {
+        commands.push(control ? `Q${control.x} ${control.y} ${point.x} ${point.y}` : `L${point.x} ${point.y}`);
+        control = null;
+      } else if (control) {
+        const mid = { x: (control.x + point.x) / 2, y: (control.y + point.y) / 2 };
+        commands.push(`Q${control.x} ${control.y} ${mid.x} ${mid.y}`);
+        control = point;
+      } else {
+        control = point;
+      }
+    }
+    commands.push('Z');
+  }
+  return commands.join('');
+}
+
+/**
+ * Extract the outlines of CHARACTERS from a font
+ * @param {Buffer} font - Font file
+ * @returns {Object} - {unitsPerEm, ascender, descender, glyphs}
+ */
+function extractGlyphs(font) {
+  const tables = readTables(font);
+  for (const tag of ['cmap', 'head', 'hhea', 'hmtx', 'loca', 'glyf']) {
+    if (tables[tag] === undefined) {
+      throw new Error(`Font has no ${tag} table`);
+    }
+  }
+
+  const unitsPerEm = font.readUInt16BE(tables.head + 18);
+  const longOffsets = font.readInt16BE(tables.head + 50) === 1;
+  const ascender = font.readInt16BE(tables.hhea + 4);
+  const descender = font.readInt16BE(tables.hhea + 6);
+  const metricCount = font.readUInt16BE(tables.hhea + 34);
+
+  const glyphIdOf = readCharacterMap(font, tables.cmap);
+  const advanceOf = glyphId => font.readUInt16BE(tables.hmtx + Math.min(glyphId, metricCount - 1) * 4);
+  const glyphOffset = glyphId => longOffsets
+    ? [font.readUInt32BE(tables.loca + glyphId * 4), font.readUInt32BE(tables.loca + glyphId * 4 + 4)]
+    : [font.readUInt16BE(tables.loca + glyphId * 2) * 2, font.readUInt16BE(tables.loca + glyphId * 2 + 2) * 2];
+
+  const glyphs = {};
+  for (const char of CHARACTERS) {
+    const glyphId = glyphIdOf(char.codePointAt(0));
+    if (glyphId === 0) {
+      throw new Error(`Font has no glyph for ${JSON.stringify(char)}`);
+    }
+    glyphs[char] = [advanceOf(glyphId), toPath(readContours(font, tables, glyphOffset, glyphId))];
+  }
+
+  return { unitsPerEm, ascender, descender, glyphs };
+}
+
+const fontPath = process.argv[2] || DEFAULT_FONT;
+const { unitsPerEm, ascender, descender, glyphs } = extractGlyphs(readFileSync(fontPath));
+const entries = Object.entries(glyphs).map(([char, [advance, path]]) => `    ${JSON.stringify(char)}: [${advance}, '${path}']`);
+
+writeFileSync(OUTPUT, `/**
+ * Share Card Font
+ * Generated by scripts/build-og-font.js - do not edit by hand
+ *
+ * Glyphs map a character to [advance width, outline path]; paths use M, L, Q
+ * and Z in font units with y pointing up.
+ *
+${LICENSE.split('\n').map(line => ` * ${line}`.trimEnd()).join('\n')}
+ */
+
+export const OG_FONT = {
+  unitsPerEm: ${unitsPerEm},
+  ascender: ${ascender},
+  descender: ${descender},
+  glyphs: {
+${entries.join(',\n')}
+  }
+};
+
+export default OG_FONT;
+`);
+
+console.log(`✅ ${entries.length} glyphs written to ${OUTPUT.pathname}`);
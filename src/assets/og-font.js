@@ -0,0 +1,165 @@
+/**
+ * Share Card Font
+ * Generated by scripts/build-og-font.js - do not edit by hand
+ *
+ * Glyphs map a character to [advance width, outline path]; paths use M, L, Q
+ * and Z in font units with y pointing up.
+ *
+ * Glyph outlines from DejaVu Sans Bold (https://dejavu-fonts.github.io/)
+ * Copyright (c) 2003 by Bitstream, Inc. All Rights Reserved. Bitstream Vera is
+ * a trademark of Bitstream, Inc. DejaVu changes are in public domain.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of the fonts accompanying this license ("Fonts") and associated documentation
+ * files (the "Font Software"), to reproduce and distribute the Font Software,
+ * including without limitation the rights to use, copy, merge, publish,
+ * distribute, and/or sell copies of the Font Software, and to permit persons to
+ * whom the Font Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright and trademark notices and this permission notice shall be
+ * included in all copies of one or more of the Font Software typefaces.
+ *
+ * The Font Software may be modified, altered, or added to, and in particular the
+ * designs of glyphs or characters in the Fonts may be modified and additional
+ * glyphs or characters may be added to the Fonts, only if the fonts are renamed
+ * to names not containing either the words "Bitstream" or the word "Vera".
+ *
+ * This License becomes null and void to the extent applicable to Fonts or Font
+ * Software that has been modified and is distributed under the "Bitstream Vera"
+ * names.
+ *
+ * The Font Software may be sold as part of a larger software package but no copy
+ * of one or more of the Font Software typefaces may be sold by itself.
+ *
+ * THE FONT SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO ANY WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT OF COPYRIGHT, PATENT,
+ * TRADEMARK, OR OTHER RIGHT. IN NO EVENT SHALL BITSTREAM OR THE GNOME FOUNDATION
+ * BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, INCLUDING ANY GENERAL,
+ * SPECIAL, INDIRECT, INCIDENTAL, OR CONSEQUENTIAL DAMAGES, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF THE USE OR INABILITY TO
+ * USE THE FONT SOFTWARE OR FROM OTHER DEALINGS IN THE FONT SOFTWARE.
+ *
+ * Except as contained in this notice, the names of Gnome, the Gnome Foundation,
+ * and Bitstream Inc., shall not be used in advertising or otherwise to promote
+ * the sale, use or other dealings in this Font Software without prior written
+ * authorization from the Gnome Foundation or Bitstream Inc., respectively.
+ */
+
+export const OG_FONT = {
+  unitsPerEm: 2048,
+  ascender: 1901,
+  descender: -483,
+  glyphs: {
+    "0": [1425, 'M942 748Q942 1028 889.5 1142.5Q837 1257 713 1257Q589 1257 536 1142.5Q483 1028 483 748Q483 465 536 349Q589 233 713 233Q836 233 889 349Q942 465 942 748ZM1327 745Q1327 374 1167 172.5Q1007 -29 713 -29Q418 -29 258 172.5Q98 374 98 745Q98 1117 258 1318.5Q418 1520 713 1520Q1007 1520 1167 1318.5Q1327 1117 1327 745Z'],
+    "1": [1425, 'M240 266L580 266L580 1231L231 1159L231 1421L578 1493L944 1493L944 266L1284 266L1284 0L240 0L240 266Z'],
+    "2": [1425, 'M590 283L1247 283L1247 0L162 0L162 283L707 764Q780 830 815 893Q850 956 850 1024Q850 1129 779.5 1193Q709 1257 592 1257Q502 1257 395 1218.5Q288 1180 166 1104L166 1432Q296 1475 423 1497.5Q550 1520 672 1520Q940 1520 1088.5 1402Q1237 1284 1237 1073Q1237 951 1174 845.5Q1111 740 909 563L590 283Z'],
+    "3": [1425, 'M954 805Q1105 766 1183.5 669.5Q1262 573 1262 424Q1262 202 1092 86.5Q922 -29 596 -29Q481 -29 365.5 -10.5Q250 8 137 45L137 342Q245 288 351.5 260.5Q458 233 561 233Q714 233 795.5 286Q877 339 877 438Q877 540 793.5 592.5Q710 645 547 645L393 645L393 893L555 893Q700 893 771 938.5Q842 984 842 1077Q842 1163 773 1210Q704 1257 578 1257Q485 1257 390 1236Q295 1215 201 1174L201 1456Q315 1488 427 1504Q539 1520 647 1520Q938 1520 1082.5 1424.5Q1227 1329 1227 1137Q1227 1006 1158 922.5Q1089 839 954 805Z'],
+    "4": [1425, 'M754 1176L332 551L754 551L754 1176ZM690 1493L1118 1493L1118 551L1331 551L1331 272L1118 272L1118 0L754 0L754 272L92 272L92 602L690 1493Z'],
+    "5": [1425, 'M217 1493L1174 1493L1174 1210L524 1210L524 979Q568 991 612.5 997.5Q657 1004 705 1004Q978 1004 1130 867.5Q1282 731 1282 487Q1282 245 1116.5 108Q951 -29 657 -29Q530 -29 405.5 -4.5Q281 20 158 70L158 373Q280 303 389.5 268Q499 233 596 233Q736 233 816.5 301.5Q897 370 897 487Q897 605 816.5 673Q736 741 596 741Q513 741 419 719.5Q325 698 217 653L217 1493Z'],
+    "6": [1425, 'M741 737Q640 737 589.5 671.5Q539 606 539 475Q539 344 589.5 278.5Q640 213 741 213Q843 213 893.5 278.5Q944 344 944 475Q944 606 893.5 671.5Q843 737 741 737ZM1217 1454L1217 1178Q1122 1223 1038 1244.5Q954 1266 874 1266Q702 1266 606 1170.5Q510 1075 494 887Q560 936 637 960.5Q714 985 805 985Q1034 985 1174.5 851Q1315 717 1315 500Q1315 260 1158 115.5Q1001 -29 737 -29Q446 -29 286.5 167.5Q127 364 127 725Q127 1095 313.5 1306.5Q500 1518 825 1518Q928 1518 1025 1502Q1122 1486 1217 1454Z'],
+    "7": [1425, 'M137 1493L1262 1493L1262 1276L680 0L305 0L856 1210L137 1210L137 1493Z'],
+    "8": [1425, 'M713 668Q605 668 547 609Q489 550 489 440Q489 330 547 271.5Q605 213 713 213Q820 213 877 271.5Q934 330 934 440Q934 551 877 609.5Q820 668 713 668ZM432 795Q296 836 227 921Q158 1006 158 1133Q158 1322 299 1421Q440 1520 713 1520Q984 1520 1125 1421.5Q1266 1323 1266 1133Q1266 1006 1196.5 921Q1127 836 991 795Q1143 753 1220.5 658.5Q1298 564 1298 420Q1298 198 1150.5 84.5Q1003 -29 713 -29Q422 -29 273.5 84.5Q125 198 125 420Q125 564 202.5 658.5Q280 753 432 795ZM522 1094Q522 1005 571.5 957Q621 909 713 909Q803 909 852 957Q901 1005 901 1094Q901 1183 852 1230.5Q803 1278 713 1278Q621 1278 571.5 1230Q522 1182 522 1094Z'],
+    "9": [1425, 'M205 33L205 309Q297 266 381 244.5Q465 223 547 223Q719 223 815 318.5Q911 414 928 602Q860 552 783 527Q706 502 616 502Q387 502 246.5 635.5Q106 769 106 987Q106 1228 262.5 1373Q419 1518 682 1518Q974 1518 1134 1321Q1294 1124 1294 764Q1294 394 1107 182.5Q920 -29 594 -29Q489 -29 393 -13.5Q297 2 205 33ZM680 752Q781 752 832 817.5Q883 883 883 1014Q883 1144 832 1210Q781 1276 680 1276Q579 1276 528 1210Q477 1144 477 1014Q477 883 528 817.5Q579 752 680 752Z'],
+    " ": [713, ''],
+    "!": [934, 'M287 1493L647 1493L647 920L596 502L338 502L287 920L287 1493ZM287 356L647 356L647 0L287 0L287 356Z'],
+    "\"": [1067, 'M872 1493L872 938L635 938L635 1493L872 1493ZM432 1493L432 938L195 938L195 1493L432 1493Z'],
+    "#": [1716, 'M911 1470L815 1085L1079 1085L1176 1470L1397 1470L1300 1085L1577 1085L1577 872L1247 872L1178 598L1462 598L1462 383L1126 383L1030 0L809 0L905 383L641 383L545 0L322 0L418 383L139 383L139 598L467 598L537 872L254 872L254 1085L592 1085L688 1470L911 1470ZM1024 872L760 872L690 598L954 598L1024 872Z'],
+    "$": [1425, 'M795 -301L633 -301L632 0Q507 5 390 28Q273 51 162 92L162 354Q277 295 394.5 263.5Q512 232 633 228L633 539L600 545Q361 587 260.5 677Q160 767 160 936Q160 1115 282.5 1215.5Q405 1316 632 1325L633 1556L795 1556L795 1329Q895 1321 995 1304Q1095 1287 1196 1260L1196 1006Q1096 1048 996 1071.5Q896 1095 795 1100L795 813L827 807Q1081 767 1183.5 673.5Q1286 580 1286 397Q1286 213 1164 114.5Q1042 16 795 2L795 -301ZM633 836L633 1097Q562 1093 519.5 1058.5Q477 1024 477 971Q477 912 516 878.5Q555 845 633 836ZM795 510L795 232Q882 233 925.5 266Q969 299 969 365Q969 433 929 466.5Q889 500 795 510Z'],
+    "%": [2052, 'M1587 616Q1516 616 1477 554.5Q1438 493 1438 379Q1438 264 1476.5 202.5Q1515 141 1587 141Q1659 141 1697 202.5Q1735 264 1735 379Q1735 493 1696.5 554.5Q1658 616 1587 616ZM1587 784Q1773 784 1880 676Q1987 568 1987 379Q1987 190 1880 80.5Q1773 -29 1587 -29Q1401 -29 1293.5 80.5Q1186 190 1186 379Q1186 567 1293.5 675.5Q1401 784 1587 784ZM670 -29L449 -29L1382 1520L1604 1520L670 -29ZM465 1520Q651 1520 757.5 1411.5Q864 1303 864 1114Q864 925 757.5 816Q651 707 465 707Q279 707 172.5 816Q66 925 66 1114Q66 1303 172.5 1411.5Q279 1520 465 1520ZM465 1352Q393 1352 354 1290Q315 1228 315 1114Q315 999 354 936.5Q393 874 465 874Q537 874 575.5 936.5Q614 999 614 1114Q614 1228 575 1290Q536 1352 465 1352Z'],
+    "&": [1786, 'M799 991L1208 541Q1261 611 1288.5 698Q1316 785 1321 895L1632 895Q1617 713 1561.5 571Q1506 429 1407 322L1700 0L1276 0L1178 109Q1073 39 957 5Q841 -29 711 -29Q448 -29 285.5 109.5Q123 248 123 467Q123 613 194.5 725.5Q266 838 428 944Q386 997 366 1050Q346 1103 346 1161Q346 1324 473 1422Q600 1520 811 1520Q902 1520 1000.5 1505.5Q1099 1491 1206 1462L1206 1184Q1112 1232 1028 1255Q944 1278 864 1278Q787 1278 744.5 1248.5Q702 1219 702 1165Q702 1131 726.5 1087.5Q751 1044 799 991ZM600 743Q535 696 502 636.5Q469 577 469 506Q469 391 554 310Q639 229 758 229Q825 229 883 249.5Q941 270 991 311L600 743Z'],
+    "'": [627, 'M432 1493L432 938L195 938L195 1493L432 1493Z'],
+    "(": [936, 'M772 -270L475 -270Q322 -23 249 199.5Q176 422 176 641Q176 860 249.5 1084.5Q323 1309 475 1554L772 1554Q644 1317 580 1090.5Q516 864 516 643Q516 422 579.5 195Q643 -32 772 -270Z'],
+    ")": [936, 'M164 -270Q292 -32 356 195Q420 422 420 643Q420 864 356 1090.5Q292 1317 164 1554L461 1554Q613 1309 686.5 1084.5Q760 860 760 641Q760 422 687 199.5Q614 -23 461 -270L164 -270Z'],
+    "*": [1071, 'M1030 1217L700 1044L1030 870L954 729L621 913L621 569L451 569L451 913L117 729L41 870L375 1044L41 1217L117 1358L451 1176L451 1520L621 1520L621 1176L954 1358L1030 1217Z'],
+    "+": [1716, 'M977 1284L977 760L1499 760L1499 524L977 524L977 0L739 0L739 524L217 524L217 760L739 760L739 1284L977 1284Z'],
+    ",": [778, 'M209 387L569 387L569 82L322 -291L109 -291L209 82L209 387Z'],
+    "-": [850, 'M111 735L739 735L739 444L111 444L111 735Z'],
+    ".": [778, 'M209 387L569 387L569 0L209 0L209 387Z'],
+    "/": [748, 'M526 1493L748 1493L221 -190L0 -190L526 1493Z'],
+    ":": [819, 'M229 1120L590 1120L590 733L229 733L229 1120ZM229 387L590 387L590 0L229 0L229 387Z'],
+    ";": [819, 'M229 387L590 387L590 82L342 -291L129 -291L229 82L229 387ZM229 1120L590 1120L590 733L229 733L229 1120Z'],
+    "<": [1716, 'M1499 973L535 641L1499 311L1499 61L217 524L217 760L1499 1223L1499 973Z'],
+    "=": [1716, 'M217 987L1499 987L1499 752L217 752L217 987ZM217 532L1499 532L1499 295L217 295L217 532Z'],
+    ">": [1716, 'M217 973L217 1223L1499 760L1499 524L217 61L217 311L1182 641L217 973Z'],
+    "?": [1188, 'M709 504L348 504L348 553Q348 635 381 698.5Q414 762 520 860L584 918Q641 970 667.5 1016Q694 1062 694 1108Q694 1178 646 1217.5Q598 1257 512 1257Q431 1257 337 1223.5Q243 1190 141 1124L141 1438Q262 1480 362 1500Q462 1520 555 1520Q799 1520 927 1420.5Q1055 1321 1055 1130Q1055 1032 1016 954.5Q977 877 883 788L819 731Q751 669 730 631.5Q709 594 709 549L709 504ZM348 356L709 356L709 0L348 0L348 356Z'],
+    "@": [2048, 'M831 539Q831 416 883.5 345Q936 274 1026 274Q1115 274 1168 345.5Q1221 417 1221 539Q1221 660 1167.5 730.5Q1114 801 1024 801Q936 801 883.5 730.5Q831 660 831 539ZM1241 238Q1211 167 1144.5 127.5Q1078 88 989 88Q817 88 709.5 212.5Q602 337 602 537Q602 737 710 862Q818 987 989 987Q1078 987 1144.5 947Q1211 907 1241 836L1241 967L1450 967L1450 274Q1574 293 1645 393.5Q1716 494 1716 651Q1716 751 1687 838.5Q1658 926 1599 999Q1504 1121 1361.5 1187Q1219 1253 1053 1253Q937 1253 831 1222.5Q725 1192 635 1133Q487 1035 404.5 879.5Q322 724 322 543Q322 394 375.5 263.5Q429 133 530 33Q630 -65 759.5 -116.5Q889 -168 1036 -168Q1162 -168 1288 -121Q1414 -74 1503 6L1610 -156Q1485 -253 1337.5 -304.5Q1190 -356 1038 -356Q853 -356 689 -290.5Q525 -225 397 -100Q269 25 202 189.5Q135 354 135 543Q135 725 203 890Q271 1055 397 1180Q523 1304 690.5 1372Q858 1440 1038 1440Q1262 1440 1445 1354.5Q1628 1269 1751 1108Q1826 1010 1864.5 895.5Q1903 781 1903 655Q1903 384 1740 234Q1577 84 1280 84L1241 84L1241 238Z'],
+    "A": [1585, 'M1094 272L492 272L397 0L10 0L563 1493L1022 1493L1575 0L1188 0L1094 272ZM588 549L997 549L793 1143L588 549Z'],
+    "B": [1561, 'M786 915Q877 915 924 955Q971 995 971 1073Q971 1150 924 1190.5Q877 1231 786 1231L573 1231L573 915L786 915ZM799 262Q915 262 973.5 311Q1032 360 1032 459Q1032 556 974 604.5Q916 653 799 653L573 653L573 262L799 262ZM1157 799Q1281 763 1349 666Q1417 569 1417 428Q1417 212 1271 106Q1125 0 827 0L188 0L188 1493L766 1493Q1077 1493 1216.5 1399Q1356 1305 1356 1098Q1356 989 1305 912.5Q1254 836 1157 799Z'],
+    "C": [1503, 'M1372 82Q1266 27 1151 -1Q1036 -29 911 -29Q538 -29 320 179.5Q102 388 102 745Q102 1103 320 1311.5Q538 1520 911 1520Q1036 1520 1151 1492Q1266 1464 1372 1409L1372 1100Q1265 1173 1161 1207Q1057 1241 942 1241Q736 1241 618 1109Q500 977 500 745Q500 514 618 382Q736 250 942 250Q1057 250 1161 284Q1265 318 1372 391L1372 82Z'],
+    "D": [1700, 'M573 1202L573 291L711 291Q947 291 1071.5 408Q1196 525 1196 748Q1196 970 1072 1086Q948 1202 711 1202L573 1202ZM188 1493L594 1493Q934 1493 1100.5 1444.5Q1267 1396 1386 1280Q1491 1179 1542 1047Q1593 915 1593 748Q1593 579 1542 446.5Q1491 314 1386 213Q1266 97 1098 48.5Q930 0 594 0L188 0L188 1493Z'],
+    "E": [1399, 'M188 1493L1227 1493L1227 1202L573 1202L573 924L1188 924L1188 633L573 633L573 291L1249 291L1249 0L188 0L188 1493Z'],
+    "F": [1399, 'M188 1493L1227 1493L1227 1202L573 1202L573 924L1188 924L1188 633L573 633L573 0L188 0L188 1493Z'],
+    "G": [1681, 'M1530 111Q1386 41 1231 6Q1076 -29 911 -29Q538 -29 320 179.5Q102 388 102 745Q102 1106 324 1313Q546 1520 932 1520Q1081 1520 1217.5 1492Q1354 1464 1475 1409L1475 1100Q1350 1171 1226.5 1206Q1103 1241 979 1241Q749 1241 624.5 1112.5Q500 984 500 745Q500 508 620 379Q740 250 961 250Q1021 250 1072.5 257.5Q1124 265 1165 281L1165 571L930 571L930 829L1530 829L1530 111Z'],
+    "H": [1714, 'M188 1493L573 1493L573 924L1141 924L1141 1493L1526 1493L1526 0L1141 0L1141 633L573 633L573 0L188 0L188 1493Z'],
+    "I": [762, 'M188 1493L573 1493L573 0L188 0L188 1493Z'],
+    "J": [762, 'M188 1493L573 1493L573 145Q573 -134 421.5 -272Q270 -410 -37 -410L-115 -410L-115 -119L-55 -119Q65 -119 126.5 -52Q188 15 188 145L188 1493Z'],
+    "K": [1587, 'M188 1493L573 1493L573 948L1128 1493L1575 1493L856 786L1649 0L1167 0L573 588L573 0L188 0L188 1493Z'],
+    "L": [1305, 'M188 1493L573 1493L573 291L1249 291L1249 0L188 0L188 1493Z'],
+    "M": [2038, 'M188 1493L678 1493L1018 694L1360 1493L1849 1493L1849 0L1485 0L1485 1092L1141 287L897 287L553 1092L553 0L188 0L188 1493Z'],
+    "N": [1714, 'M188 1493L618 1493L1161 469L1161 1493L1526 1493L1526 0L1096 0L553 1024L553 0L188 0L188 1493Z'],
+    "O": [1741, 'M870 1241Q694 1241 597 1111Q500 981 500 745Q500 510 597 380Q694 250 870 250Q1047 250 1144 380Q1241 510 1241 745Q1241 981 1144 1111Q1047 1241 870 1241ZM870 1520Q1230 1520 1434 1314Q1638 1108 1638 745Q1638 383 1434 177Q1230 -29 870 -29Q511 -29 306.5 177Q102 383 102 745Q102 1108 306.5 1314Q511 1520 870 1520Z'],
+    "P": [1501, 'M188 1493L827 1493Q1112 1493 1264.5 1366.5Q1417 1240 1417 1006Q1417 771 1264.5 644.5Q1112 518 827 518L573 518L573 0L188 0L188 1493ZM573 1214L573 797L786 797Q898 797 959 851.5Q1020 906 1020 1006Q1020 1106 959 1160Q898 1214 786 1214L573 1214Z'],
+    "Q": [1741, 'M911 -27L881 -27Q512 -27 307 177Q102 381 102 745Q102 1108 306.5 1314Q511 1520 870 1520Q1233 1520 1435.5 1316Q1638 1112 1638 745Q1638 493 1530.5 311Q1423 129 1221 37L1522 -299L1155 -299L911 -27ZM870 1241Q694 1241 597 1111Q500 981 500 745Q500 505 595 377.5Q690 250 870 250Q1047 250 1144 380Q1241 510 1241 745Q1241 981 1144 1111Q1047 1241 870 1241Z'],
+    "R": [1577, 'M735 831Q856 831 908.5 876Q961 921 961 1024Q961 1126 908.5 1170Q856 1214 735 1214L573 1214L573 831L735 831ZM573 565L573 0L188 0L188 1493L776 1493Q1071 1493 1208.5 1394Q1346 1295 1346 1081Q1346 933 1274.5 838Q1203 743 1059 698Q1138 680 1200.5 616.5Q1263 553 1327 424L1536 0L1126 0L944 371Q889 483 832.5 524Q776 565 682 565L573 565Z'],
+    "S": [1475, 'M1227 1446L1227 1130Q1104 1185 987 1213Q870 1241 766 1241Q628 1241 562 1203Q496 1165 496 1085Q496 1025 540.5 991.5Q585 958 702 934L866 901Q1115 851 1220 749Q1325 647 1325 459Q1325 212 1178.5 91.5Q1032 -29 731 -29Q589 -29 446 -2Q303 25 160 78L160 403Q303 327 436.5 288.5Q570 250 694 250Q820 250 887 292Q954 334 954 412Q954 482 908.5 520Q863 558 727 588L578 621Q354 669 250.5 774Q147 879 147 1057Q147 1280 291 1400Q435 1520 705 1520Q828 1520 958 1501.5Q1088 1483 1227 1446Z'],
+    "T": [1397, 'M10 1493L1386 1493L1386 1202L891 1202L891 0L506 0L506 1202L10 1202L10 1493Z'],
+    "U": [1663, 'M188 1493L573 1493L573 598Q573 413 633.5 333.5Q694 254 831 254Q969 254 1029.5 333.5Q1090 413 1090 598L1090 1493L1475 1493L1475 598Q1475 281 1316 126Q1157 -29 831 -29Q506 -29 347 126Q188 281 188 598L188 1493Z'],
+    "V": [1585, 'M10 1493L397 1493L793 391L1188 1493L1575 1493L1022 0L563 0L10 1493Z'],
+    "W": [2259, 'M61 1493L430 1493L688 408L944 1493L1315 1493L1571 408L1829 1493L2195 1493L1843 0L1399 0L1128 1135L860 0L416 0L61 1493Z'],
+    "X": [1579, 'M1020 762L1538 0L1137 0L788 510L442 0L39 0L557 762L59 1493L461 1493L788 1012L1114 1493L1518 1493L1020 762Z'],
+    "Y": [1483, 'M-20 1493L401 1493L741 961L1081 1493L1503 1493L934 629L934 0L549 0L549 629L-20 1493Z'],
+    "Z": [1485, 'M115 1493L1370 1493L1370 1260L569 291L1393 291L1393 0L92 0L92 233L893 1202L115 1202L115 1493Z'],
+    "[": [936, 'M176 1556L797 1556L797 1331L516 1331L516 -45L797 -45L797 -270L176 -270L176 1556Z'],
+    "\\": [748, 'M526 -190L0 1493L221 1493L748 -190L526 -190Z'],
+    "]": [936, 'M760 -270L139 -270L139 -45L420 -45L420 1331L139 1331L139 1556L760 1556L760 -270Z'],
+    "^": [1716, 'M981 1493L1509 936L1268 936L858 1237L449 936L207 936L735 1493L981 1493Z'],
+    "_": [1024, 'M1024 -293L1024 -483L0 -483L0 -293L1024 -293Z'],
+    "`": [1024, 'M377 1638L659 1262L463 1262L94 1638L377 1638Z'],
+    "a": [1382, 'M674 504Q562 504 505.5 466Q449 428 449 354Q449 286 494.5 247.5Q540 209 621 209Q722 209 791 281.5Q860 354 860 463L860 504L674 504ZM1221 639L1221 0L860 0L860 166Q788 64 698 17.5Q608 -29 479 -29Q305 -29 196.5 72.5Q88 174 88 336Q88 533 223.5 625Q359 717 649 717L860 717L860 745Q860 830 793 869.5Q726 909 584 909Q469 909 370 886Q271 863 186 817L186 1090Q301 1118 417 1132.5Q533 1147 649 1147Q952 1147 1086.5 1027.5Q1221 908 1221 639Z'],
+    "b": [1466, 'M768 231Q883 231 943.5 315Q1004 399 1004 559Q1004 719 943.5 803Q883 887 768 887Q653 887 591.5 802.5Q530 718 530 559Q530 400 591.5 315.5Q653 231 768 231ZM530 956Q604 1054 694 1100.5Q784 1147 901 1147Q1108 1147 1241 982.5Q1374 818 1374 559Q1374 300 1241 135.5Q1108 -29 901 -29Q784 -29 694 17.5Q604 64 530 162L530 0L172 0L172 1556L530 1556L530 956Z'],
+    "c": [1214, 'M1077 1085L1077 793Q1004 843 930.5 867Q857 891 778 891Q628 891 544.5 803.5Q461 716 461 559Q461 402 544.5 314.5Q628 227 778 227Q862 227 937.5 252Q1013 277 1077 326L1077 33Q993 2 906.5 -13.5Q820 -29 733 -29Q430 -29 259 126.5Q88 282 88 559Q88 836 259 991.5Q430 1147 733 1147Q821 1147 906.5 1131.5Q992 1116 1077 1085Z'],
+    "d": [1466, 'M934 956L934 1556L1294 1556L1294 0L934 0L934 162Q860 63 771 17Q682 -29 565 -29Q358 -29 225 135.5Q92 300 92 559Q92 818 225 982.5Q358 1147 565 1147Q681 1147 770.5 1100.5Q860 1054 934 956ZM698 231Q813 231 873.5 315Q934 399 934 559Q934 719 873.5 803Q813 887 698 887Q584 887 523.5 803Q463 719 463 559Q463 399 523.5 315Q584 231 698 231Z'],
+    "e": [1389, 'M1290 563L1290 461L453 461Q466 335 544 272Q622 209 762 209Q875 209 993.5 242.5Q1112 276 1237 344L1237 68Q1110 20 983 -4.5Q856 -29 729 -29Q425 -29 256.5 125.5Q88 280 88 559Q88 833 253.5 990Q419 1147 709 1147Q973 1147 1131.5 988Q1290 829 1290 563ZM922 682Q922 784 862.5 846.5Q803 909 707 909Q603 909 538 850.5Q473 792 457 682L922 682Z'],
+    "f": [891, 'M909 1556L909 1321L711 1321Q635 1321 605 1293.5Q575 1266 575 1198L575 1120L881 1120L881 864L575 864L575 0L217 0L217 864L39 864L39 1120L217 1120L217 1198Q217 1381 319 1468.5Q421 1556 635 1556L909 1556Z'],
+    "g": [1466, 'M934 190Q860 92 771 46Q682 0 565 0Q360 0 226 161.5Q92 323 92 573Q92 824 226 984.5Q360 1145 565 1145Q682 1145 771 1099Q860 1053 934 954L934 1120L1294 1120L1294 113Q1294 -157 1123.5 -299.5Q953 -442 629 -442Q524 -442 426 -426Q328 -410 229 -377L229 -98Q323 -152 413 -178.5Q503 -205 594 -205Q770 -205 852 -128Q934 -51 934 113L934 190ZM698 887Q587 887 525 805Q463 723 463 573Q463 419 523 339.5Q583 260 698 260Q810 260 872 342Q934 424 934 573Q934 723 872 805Q810 887 698 887Z'],
+    "h": [1458, 'M1298 682L1298 0L938 0L938 111L938 520Q938 667 931.5 722Q925 777 909 803Q888 838 852 857.5Q816 877 770 877Q658 877 594 790.5Q530 704 530 551L530 0L172 0L172 1556L530 1556L530 956Q611 1054 702 1100.5Q793 1147 903 1147Q1097 1147 1197.5 1028Q1298 909 1298 682Z'],
+    "i": [702, 'M172 1120L530 1120L530 0L172 0L172 1120ZM172 1556L530 1556L530 1264L172 1264L172 1556Z'],
+    "j": [702, 'M172 1120L530 1120L530 20Q530 -205 422 -323.5Q314 -442 109 -442L-68 -442L-68 -207L-6 -207Q96 -207 134 -161Q172 -115 172 20L172 1120ZM172 1556L530 1556L530 1264L172 1264L172 1556Z'],
+    "k": [1362, 'M172 1556L530 1556L530 709L942 1120L1358 1120L811 606L1401 0L967 0L530 467L530 0L172 0L172 1556Z'],
+    "l": [702, 'M172 1556L530 1556L530 0L172 0L172 1556Z'],
+    "m": [2134, 'M1210 934Q1278 1038 1371.5 1092.5Q1465 1147 1577 1147Q1770 1147 1871 1028Q1972 909 1972 682L1972 0L1612 0L1612 584Q1613 597 1613.5 611Q1614 625 1614 651Q1614 770 1579 823.5Q1544 877 1466 877Q1364 877 1308.5 793Q1253 709 1251 550L1251 0L891 0L891 584Q891 770 859 823.5Q827 877 745 877Q642 877 586 792.5Q530 708 530 551L530 0L170 0L170 1120L530 1120L530 956Q596 1051 681.5 1099Q767 1147 870 1147Q986 1147 1075 1091Q1164 1035 1210 934Z'],
+    "n": [1458, 'M1298 682L1298 0L938 0L938 111L938 522Q938 667 931.5 722Q925 777 909 803Q888 838 852 857.5Q816 877 770 877Q658 877 594 790.5Q530 704 530 551L530 0L172 0L172 1120L530 1120L530 956Q611 1054 702 1100.5Q793 1147 903 1147Q1097 1147 1197.5 1028Q1298 909 1298 682Z'],
+    "o": [1407, 'M705 891Q586 891 523.5 805.5Q461 720 461 559Q461 398 523.5 312.5Q586 227 705 227Q822 227 884 312.5Q946 398 946 559Q946 720 884 805.5Q822 891 705 891ZM705 1147Q994 1147 1156.5 991Q1319 835 1319 559Q1319 283 1156.5 127Q994 -29 705 -29Q415 -29 251.5 127Q88 283 88 559Q88 835 251.5 991Q415 1147 705 1147Z'],
+    "p": [1466, 'M530 162L530 -426L172 -426L172 1120L530 1120L530 956Q604 1054 694 1100.5Q784 1147 901 1147Q1108 1147 1241 982.5Q1374 818 1374 559Q1374 300 1241 135.5Q1108 -29 901 -29Q784 -29 694 17.5Q604 64 530 162ZM768 887Q653 887 591.5 802.5Q530 718 530 559Q530 400 591.5 315.5Q653 231 768 231Q883 231 943.5 315Q1004 399 1004 559Q1004 719 943.5 803Q883 887 768 887Z'],
+    "q": [1466, 'M698 887Q584 887 523.5 803Q463 719 463 559Q463 399 523.5 315Q584 231 698 231Q813 231 873.5 315Q934 399 934 559Q934 719 873.5 803Q813 887 698 887ZM934 162Q860 63 771 17Q682 -29 565 -29Q358 -29 225 135.5Q92 300 92 559Q92 818 225 981.5Q358 1145 565 1145Q682 1145 771 1099Q860 1053 934 954L934 1120L1294 1120L1294 -426L934 -426L934 162Z'],
+    "r": [1010, 'M1004 815Q957 837 910.5 847.5Q864 858 817 858Q679 858 604.5 769.5Q530 681 530 516L530 0L172 0L172 1120L530 1120L530 936Q599 1046 688.5 1096.5Q778 1147 903 1147Q921 1147 942 1145.5Q963 1144 1003 1139L1004 815Z'],
+    "s": [1219, 'M1047 1085L1047 813Q932 861 825 885Q718 909 623 909Q521 909 471.5 883.5Q422 858 422 805Q422 762 459.5 739Q497 716 594 705L657 696Q932 661 1027 581Q1122 501 1122 330Q1122 151 990 61Q858 -29 596 -29Q485 -29 366.5 -11.5Q248 6 123 41L123 313Q230 261 342.5 235Q455 209 571 209Q676 209 729 238Q782 267 782 324Q782 372 745.5 395.5Q709 419 600 432L537 440Q298 470 202 551Q106 632 106 797Q106 975 228 1061Q350 1147 602 1147Q701 1147 810 1132Q919 1117 1047 1085Z'],
+    "t": [979, 'M563 1438L563 1120L932 1120L932 864L563 864L563 389Q563 311 594 283.5Q625 256 717 256L901 256L901 0L594 0Q382 0 293.5 88.5Q205 177 205 389L205 864L27 864L27 1120L205 1120L205 1438L563 1438Z'],
+    "u": [1458, 'M160 436L160 1120L520 1120L520 1008Q520 917 519 779.5Q518 642 518 596Q518 461 525 401.5Q532 342 549 315Q571 280 606.5 261Q642 242 688 242Q800 242 864 328Q928 414 928 567L928 1120L1286 1120L1286 0L928 0L928 162Q847 64 756.5 17.5Q666 -29 557 -29Q363 -29 261.5 90Q160 209 160 436Z'],
+    "v": [1335, 'M31 1120L389 1120L668 346L946 1120L1305 1120L864 0L471 0L31 1120Z'],
+    "w": [1892, 'M72 1120L420 1120L608 348L797 1120L1096 1120L1284 356L1473 1120L1821 1120L1526 0L1135 0L946 770L758 0L367 0L72 1120Z'],
+    "x": [1321, 'M455 573L51 1120L430 1120L659 788L891 1120L1270 1120L866 575L1290 0L911 0L659 354L410 0L31 0L455 573Z'],
+    "y": [1335, 'M25 1120L383 1120L684 360L940 1120L1298 1120L827 -106Q756 -293 661.5 -367.5Q567 -442 412 -442L205 -442L205 -207L317 -207Q408 -207 449.5 -178Q491 -149 514 -74L524 -43L25 1120Z'],
+    "z": [1192, 'M117 1120L1094 1120L1094 870L504 256L1094 256L1094 0L92 0L92 250L682 864L117 864L117 1120Z'],
+    "{": [1458, 'M1202 -109L1202 -334L985 -334Q767 -334 667 -246Q567 -158 567 35L567 227Q567 377 513 435.5Q459 494 317 494L256 494L256 717L317 717Q459 717 513 775Q567 833 567 983L567 1188Q567 1381 667 1468.5Q767 1556 985 1556L1202 1556L1202 1331L1133 1331Q992 1331 949.5 1287.5Q907 1244 907 1102L907 936Q907 779 862 708Q817 637 707 612Q818 585 862.5 514Q907 443 907 287L907 121Q907 -22 949.5 -65.5Q992 -109 1133 -109L1202 -109Z'],
+    "|": [748, 'M487 1565L487 -483L260 -483L260 1565L487 1565Z'],
+    "}": [1458, 'M256 -109L326 -109Q466 -109 508.5 -65.5Q551 -22 551 121L551 287Q551 443 596 514Q641 585 752 612Q641 637 596 708Q551 779 551 936L551 1102Q551 1244 508.5 1287.5Q466 1331 326 1331L256 1331L256 1556L473 1556Q691 1556 791 1468.5Q891 1381 891 1188L891 983Q891 833 945 775Q999 717 1141 717L1202 717L1202 494L1141 494Q999 494 945 435.5Q891 377 891 227L891 35Q891 -158 791 -246Q691 -334 473 -334L256 -334L256 -109Z'],
+    "~": [1716, 'M1499 850L1499 606Q1393 526 1303.5 491.5Q1214 457 1118 457Q1011 457 868 515Q854 521 846 524Q839 527 824 533Q669 594 575 594Q487 594 401 555.5Q315 517 217 434L217 678Q324 758 413 792.5Q502 827 598 827Q705 827 848 769Q863 763 870 760Q877 757 892 751Q1047 690 1141 690Q1227 690 1311.5 727.5Q1396 765 1499 850Z'],
+    "…": [2048, 'M1526 387L1886 387L1886 0L1526 0L1526 387ZM162 387L522 387L522 0L162 0L162 387ZM844 387L1204 387L1204 0L844 0L844 387Z'],
+    "•": [1309, 'M295 762Q295 836 321.5 901Q348 966 399 1016Q452 1067 517 1093.5Q582 1120 655 1120Q728 1120 793.5 1093Q859 1066 909 1016Q961 964 987.5 899.5Q1014 835 1014 762Q1014 688 987 622.5Q960 557 909 506Q858 455 792.5 428Q727 401 653 401Q580 401 515 428Q450 455 399 506Q349 557 322 622.5Q295 688 295 762Z'],
+    "–": [1024, 'M110 690L914 690L914 432L110 432L110 690Z'],
+    "—": [2048, 'M110 690L1938 690L1938 432L110 432L110 690Z'],
+    "‘": [778, 'M551 856L211 856L211 1141L438 1493L651 1493L551 1141L551 856Z'],
+    "’": [778, 'M229 1493L569 1493L569 1208L342 856L129 856L229 1208L229 1493Z'],
+    "“": [1346, 'M1057 856L717 856L717 1139L944 1493L1157 1493L1057 1139L1057 856ZM551 856L211 856L211 1141L438 1493L651 1493L551 1141L551 856Z'],
+    "”": [1346, 'M289 1493L629 1493L629 1208L401 856L188 856L289 1208L289 1493ZM795 1493L1135 1493L1135 1206L907 856L694 856L795 1206L795 1493Z'],
+    "×": [1716, 'M1460 1075L1026 641L1460 209L1292 41L858 473L424 41L256 209L690 641L256 1075L424 1243L858 809L1292 1243L1460 1075Z'],
+    "é": [1389, 'M1290 563L1290 461L453 461Q466 335 544 272Q622 209 762 209Q875 209 993.5 242.5Q1112 276 1237 344L1237 68Q1110 20 983 -4.5Q856 -29 729 -29Q425 -29 256.5 125.5Q88 280 88 559Q88 833 253.5 990Q419 1147 709 1147Q973 1147 1131.5 988Q1290 829 1290 563ZM922 682Q922 784 862.5 846.5Q803 909 707 909Q603 909 538 850.5Q473 792 457 682L922 682ZM864 1638L1147 1638L778 1262L582 1262L864 1638Z'],
+    "è": [1389, 'M1290 563L1290 461L453 461Q466 335 544 272Q622 209 762 209Q875 209 993.5 242.5Q1112 276 1237 344L1237 68Q1110 20 983 -4.5Q856 -29 729 -29Q425 -29 256.5 125.5Q88 280 88 559Q88 833 253.5 990Q419 1147 709 1147Q973 1147 1131.5 988Q1290 829 1290 563ZM922 682Q922 784 862.5 846.5Q803 909 707 909Q603 909 538 850.5Q473 792 457 682L922 682ZM594 1638L876 1262L680 1262L311 1638L594 1638Z'],
+    "É": [1399, 'M188 1493L1227 1493L1227 1202L573 1202L573 924L1188 924L1188 633L573 633L573 291L1249 291L1249 0L188 0L188 1493ZM743 1899L1026 1899L741 1635L545 1635L743 1899Z']
+  }
+};
+
+export default OG_FONT;
@@ -3,6 +3,10 @@
  * Central configuration management for the RSS Worker
  */
 
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('config');
+
 /**
  * Base configuration
  */
@@ -16,6 +20,32 @@ const BASE_CONFIG = {
   // Cache Configuration
   CACHE_TTL: 1800, // 30 minutes in seconds
   MAX_JOBS_PER_FEED: 20,
+  SNAPSHOT_MAX_JOBS: 200, // jobs filtered feeds, search and sitemaps select from
+
+  // Listing pagination (feeds larger than one page walk several pages)
+  LISTING_PAGE_SIZE: 50,
+  MAX_LISTING_PAGES: 20,
+
+  // Job index (first/last seen tracking across aggregation runs)
+  JOB_INDEX_RETENTION_DAYS: 30,
+
+  // Webhook delivery
+  WEBHOOK_TIMEOUT: 10000, // 10 seconds per delivery attempt
+  WEBHOOK_MAX_RETRIES: 3,
+  WEBHOOK_RETRY_DELAY: 1000, // doubled after every failed attempt
+  WEBHOOK_LOG_SIZE: 50, // delivery log entries kept per subscriber
+  WEBHOOK_DEAD_LETTER_SIZE: 100,
+  WEBHOOK_PENDING_LIMIT: 500, // new jobs queued between deliveries
+
+  // Telegram channel publishing (bot token comes from the TELEGRAM_BOT_TOKEN secret)
+  TELEGRAM_API_URL: 'https://api.telegram.org',
+  TELEGRAM_CHANNELS: [], // [{chat_id, filters, max_posts_per_run?}], set with the TELEGRAM_CHANNELS var (JSON)
+  TELEGRAM_TIMEOUT: 10000,
+  TELEGRAM_POST_INTERVAL: 3000, // ms between messages; Telegram allows about 20 per minute per channel
+  TELEGRAM_MAX_POSTS_PER_RUN: 20, // per channel; the rest waits for the next cron run
+  TELEGRAM_MAX_ATTEMPTS: 3, // failed sends are retried on later runs, then dropped
+  TELEGRAM_PENDING_LIMIT: 1000,
+  TELEGRAM_POSTED_TTL: 15552000, // 180 days of "already posted" markers per channel and job
 
   // RSS Feed Configuration
   RSS_TITLE: 'Lowongan Kerja Terbaru - KarirHub Indonesia',
@@ -29,6 +59,10 @@ const BASE_CONFIG = {
   BASE_URL: 'https://karirhub-rss.tekipik.workers.dev',
   KARIRHUB_BASE_URL: 'https://karirhub.kemnaker.go.id',
 
+  // WebSub hub advertised in the feeds and pinged after rebuilds with new jobs (empty disables WebSub)
+  WEBSUB_HUB_URL: 'https://pubsubhubbub.appspot.com/',
+  WEBSUB_TIMEOUT: 10000,
+
   // Social Media Configuration
   SOCIAL_MEDIA_HASHTAGS: ['#lowongankerja', '#karir', '#loker'],
   SOCIAL_MEDIA_CHAR_LIMITS: {
@@ -42,9 +76,18 @@ const BASE_CONFIG = {
   ENABLE_ANALYTICS: true,
   LOG_LEVEL: 'info',
 
-  // Rate Limiting
-  RATE_LIMIT_REQUESTS: 100,
-  RATE_LIMIT_WINDOW: 60000, // 1 minute in ms
+  // Rate Limiting (token bucket per client and route group)
+  RATE_LIMIT_ENABLED: true,
+  RATE_LIMIT_REQUESTS: 100, // default bucket size
+  RATE_LIMIT_WINDOW: 60000, // 1 minute in ms to refill a bucket completely
+  RATE_LIMIT_ROUTES: {
+    feeds: { requests: 60, window: 60000 },   // /, /rss, /json, /atom, /rss|json/company/*
+    changes: { requests: 30, window: 60000 },
+    search: { requests: 30, window: 60000 },
+    admin: { requests: 20, window: 60000 }
+  },
+  RATE_LIMIT_ALLOWLIST: [], // client IPs that skip rate limiting
+  RATE_LIMIT_KV_FALLBACK: false, // count in KV when RATE_LIMITER is not bound (one KV write per request)
 
   // Content Limits
   MAX_DESCRIPTION_LENGTH: 300,
@@ -65,6 +108,7 @@ const ENVIRONMENTS = {
     LOG_LEVEL: 'debug',
     CACHE_TTL: 300, // 5 minutes
     MAX_JOBS_PER_FEED: 5,
+    SNAPSHOT_MAX_JOBS: 20,
     ENABLE_ANALYTICS: false,
     BASE_URL: 'http://localhost:8787',
     KARIRHUB_BASE_URL: 'https://karirhub.kemnaker.go.id',
@@ -76,6 +120,7 @@ const ENVIRONMENTS = {
     LOG_LEVEL: 'info',
     CACHE_TTL: 900, // 15 minutes
     MAX_JOBS_PER_FEED: 10,
+    SNAPSHOT_MAX_JOBS: 50,
     BASE_URL: 'https://karirhub-rss-staging.workers.dev',
     KARIRHUB_BASE_URL: 'https://karirhub.kemnaker.go.id',
   },
@@ -101,8 +146,20 @@ export const CACHE_STRATEGY = {
   rss_feed: 300,         // 5 minutes
   json_feed: 300,        // 5 minutes
   api_health: 60,        // 1 minute
+  aggregated_jobs: 900,  // 15 minutes (enriched job snapshot shared by filtered feeds)
+  scheduled_feed: 3900,  // 65 minutes (outlives the hourly cron rebuild)
+  search_index: 3900,    // 65 minutes (rebuilt together with the scheduled feeds)
+  sitemap: 3900,         // 65 minutes (rebuilt together with the scheduled feeds)
+  feed_validators: 604800, // 7 days (last ETag/Last-Modified per feed, outlives the feed itself)
+  og_image: 86400,       // 1 day (rendered PNG share cards, keyed by their content)
 };
 
+/**
+ * KV data that shares the namespace with the cache but is not cache
+ * (skipped by cache listings and must survive cache clears)
+ */
+export const PERSISTENT_KEY_TYPES = ['job_index', 'webhooks', 'rate_limit', 'social_templates', 'telegram'];
+
 /**
  * HTTP headers configuration
  */
@@ -128,6 +185,10 @@ export const HTTP_HEADERS = {
   health: {
     'Content-Type': 'application/json',
     'Cache-Control': 'no-cache, no-store',
+  },
+  admin: {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store',
   }
 };
 
@@ -162,20 +223,23 @@ export const RSS_FIELD_MAPPING = {
 
 /**
  * Social media content templates
+ * Rendered by utils/template-engine.js: {name} placeholders, {name:200} cut to 200 characters,
+ * {#name}...{/name} only when the field is present, {^name}...{/name} only when it is missing.
+ * Each platform can be overridden from KV through /admin/templates without a redeploy.
  */
 export const SOCIAL_MEDIA_TEMPLATES = {
   twitter: {
-    template: `🔥 {title}
-
-💰 {salary}
-📍 {location}
-📋 {education} • {job_type}
-🏢 {industry}
-
-{hashtags}
+    template: `🔥 Lowongan {title} di {company} - {location}
 
-#lowongankerja #karir #loker`,
-    maxLength: 280
+{#salary}💰 {salary}
+{/salary}📍 {location}
+📋 {#education}{education} • {/education}{job_type}
+{#industry}🏭 {industry}
+{/industry}
+{hashtags}`,
+    maxLength: 280,
+    // 2 or 3 posts a thread ending with the apply link when the post is too long; 0 disables threads
+    threadPosts: 0
   },
 
   facebook: {
@@ -183,48 +247,126 @@ export const SOCIAL_MEDIA_TEMPLATES = {
 
 🏢 **Perusahaan**: {company}
 📍 **Lokasi**: {location}
-💰 **Gaji**: {salary}
-📋 **Persyaratan**: {education}, {experience}
-🏭 **Industri**: {industry}
-
-📝 **Deskripsi**: {description}
+{#salary}💰 **Gaji**: {salary}
+{/salary}{#education}📋 **Persyaratan**: {education}{#experience}, {experience}{/experience}
+{/education}{#industry}🏭 **Industri**: {industry}
+{/industry}
+{#description}📝 **Deskripsi**: {description:200}
 
-🎁 **Benefit**: {benefits}
+{/description}{#benefits}🎁 **Benefit**: {benefits}
 
-📅 **Deadline**: {deadline}
+{/benefits}{#deadline}📅 **Deadline**: {deadline}
 
-🔗 **Apply**: {link}
+{/deadline}🔗 **Apply**: {link}
 
 {hashtags}`,
     maxLength: 500
   },
 
   linkedin: {
-    template: `🚀 **Career Opportunity: {position}**
+    template: `🚀 **Peluang Karier: {position}**
+
+**Perusahaan**: {company}{#industry} | {industry}{/industry}
+**Lokasi**: {location}
+**Jenis Pekerjaan**: {job_type}
+{#salary}**Kisaran Gaji**: {salary}
+{/salary}{#education}
+**Persyaratan:**
+• {education}
+{#experience}• {experience}
+{/experience}{#skills}• {skills}
+{/skills}{/education}
+**Tentang Posisi:**
+{#description}{description:300}{/description}{^description}Bergabunglah bersama tim kami!{/description}
+{#benefits}
+**Benefit:**
+{benefits}
+{/benefits}{#deadline}
+**Batas Lamaran**: {deadline}
+{/deadline}
+🔗 {link}
+
+{professional_hashtags}`,
+    maxLength: 700
+  }
+};
+
+/**
+ * Default templates for other feed languages (?lang=), keyed by language then platform
+ * Platforms missing here use SOCIAL_MEDIA_TEMPLATES; overrides are stored per language.
+ */
+export const SOCIAL_MEDIA_TEMPLATE_TRANSLATIONS = {
+  en: {
+    twitter: {
+      template: `🔥 Hiring: {title} at {company} - {location}
+
+{#salary}💰 {salary}
+{/salary}📍 {location}
+📋 {#education}{education} • {/education}{job_type}
+{#industry}🏭 {industry}
+{/industry}
+{hashtags}`
+    },
 
-**Company**: {company} | {industry}
+    facebook: {
+      template: `💼 **Job Vacancy: {position}**
+
+🏢 **Company**: {company}
+📍 **Location**: {location}
+{#salary}💰 **Salary**: {salary}
+{/salary}{#education}📋 **Requirements**: {education}{#experience}, {experience}{/experience}
+{/education}{#industry}🏭 **Industry**: {industry}
+{/industry}
+{#description}📝 **Description**: {description:200}
+
+{/description}{#benefits}🎁 **Benefits**: {benefits}
+
+{/benefits}{#deadline}📅 **Deadline**: {deadline}
+
+{/deadline}🔗 **Apply**: {link}
+
+{hashtags}`
+    },
+
+    linkedin: {
+      template: `🚀 **Career Opportunity: {position}**
+
+**Company**: {company}{#industry} | {industry}{/industry}
 **Location**: {location}
 **Employment Type**: {job_type}
-**Salary Range**: {salary}
-
+{#salary}**Salary Range**: {salary}
+{/salary}{#education}
 **Requirements:**
 • {education}
-• {experience}
-• {skills}
-
+{#experience}• {experience}
+{/experience}{#skills}• {skills}
+{/skills}{/education}
 **About the Role:**
-{description}
-
+{#description}{description:300}{/description}{^description}Join our dynamic team!{/description}
+{#benefits}
 **Benefits Offered:**
 {benefits}
-
+{/benefits}{#deadline}
 **Application Deadline**: {deadline}
+{/deadline}
+🔗 {link}
 
-#jobopportunity #hiring #{industry} #careers {location_hashtag}`,
-    maxLength: 700
+{professional_hashtags}`
+    }
   }
 };
 
+/**
+ * Telegram channel message (HTML parse mode)
+ * Same syntax as SOCIAL_MEDIA_TEMPLATES; the markup here is trusted, inserted values are HTML-escaped
+ */
+export const TELEGRAM_MESSAGE_TEMPLATE = `<b>{title}</b>
+🏢 {company}
+{#salary}💰 {salary}
+{/salary}📍 {location}
+{#deadline}📅 Deadline: {deadline}
+{/deadline}`;
+
 /**
  * Hashtag generation configuration
  */
@@ -377,6 +519,25 @@ export const ERROR_MESSAGES = {
   timeout: 'Permintaan timeout. Silakan coba lagi.',
 };
 
+/**
+ * Parse the TELEGRAM_CHANNELS var
+ * @param {string} value - JSON array, e.g. [{"chat_id": "@lokerjabar", "filters": {"province": "Jawa Barat"}}]
+ * @returns {Array|null} - Channels, or null when unset or invalid
+ */
+function parseTelegramChannels(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const channels = JSON.parse(value);
+    return Array.isArray(channels) ? channels.filter(channel => channel && channel.chat_id) : null;
+  } catch (error) {
+    logger.error('TELEGRAM_CHANNELS is not valid JSON', { error: error.message });
+    return null;
+  }
+}
+
 /**
  * Get configuration for current environment
  * @param {Object} env - Environment variables from Cloudflare Workers
@@ -397,12 +558,25 @@ export function getConfig(env = null) {
     KARIRHUB_BASE_URL: env?.KARIRHUB_BASE_URL || ENVIRONMENTS[environment].KARIRHUB_BASE_URL,
     CACHE_TTL: parseInt(env?.CACHE_TTL) || ENVIRONMENTS[environment].CACHE_TTL,
     MAX_JOBS_PER_FEED: parseInt(env?.MAX_JOBS_PER_FEED) || ENVIRONMENTS[environment].MAX_JOBS_PER_FEED,
+    SNAPSHOT_MAX_JOBS: parseInt(env?.SNAPSHOT_MAX_JOBS) || ENVIRONMENTS[environment].SNAPSHOT_MAX_JOBS,
     RSS_TITLE: env?.RSS_TITLE || ENVIRONMENTS[environment].RSS_TITLE,
     RSS_DESCRIPTION: env?.RSS_DESCRIPTION || ENVIRONMENTS[environment].RSS_DESCRIPTION,
     ENABLE_ANALYTICS: env?.ENABLE_ANALYTICS === 'true' || ENVIRONMENTS[environment].ENABLE_ANALYTICS,
     LOG_LEVEL: env?.LOG_LEVEL || ENVIRONMENTS[environment].LOG_LEVEL,
+    // An empty WEBSUB_HUB_URL var turns WebSub off
+    WEBSUB_HUB_URL: env?.WEBSUB_HUB_URL !== undefined ? env.WEBSUB_HUB_URL : ENVIRONMENTS[environment].WEBSUB_HUB_URL,
+    RATE_LIMIT_ENABLED: env?.RATE_LIMIT_ENABLED !== undefined ? env.RATE_LIMIT_ENABLED !== 'false' : ENVIRONMENTS[environment].RATE_LIMIT_ENABLED,
+    RATE_LIMIT_ALLOWLIST: env?.RATE_LIMIT_ALLOWLIST
+      ? env.RATE_LIMIT_ALLOWLIST.split(',').map(ip => ip.trim()).filter(Boolean)
+      : ENVIRONMENTS[environment].RATE_LIMIT_ALLOWLIST,
+    RATE_LIMIT_KV_FALLBACK: env?.RATE_LIMIT_KV_FALLBACK !== undefined ? env.RATE_LIMIT_KV_FALLBACK === 'true' : ENVIRONMENTS[environment].RATE_LIMIT_KV_FALLBACK,
+    TELEGRAM_API_URL: env?.TELEGRAM_API_URL || ENVIRONMENTS[environment].TELEGRAM_API_URL,
+    TELEGRAM_CHANNELS: parseTelegramChannels(env?.TELEGRAM_CHANNELS) || ENVIRONMENTS[environment].TELEGRAM_CHANNELS,
   };
 
+  // The snapshot must at least fill the unfiltered feed
+  config.SNAPSHOT_MAX_JOBS = Math.max(config.SNAPSHOT_MAX_JOBS, config.MAX_JOBS_PER_FEED);
+
   // Add runtime information
   config.RUNTIME = {
     startTime: Date.now(), // Use current time as fallback
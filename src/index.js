@@ -7,10 +7,60 @@
 import { APIFetcher } from './modules/api-fetcher.js';
 import { DataAggregator } from './modules/data-aggregator.js';
 import { RSSGenerator } from './modules/rss-generator.js';
+import { AtomGenerator } from './modules/atom-generator.js';
 import { CacheManager } from './modules/cache-manager.js';
+import { JobIndex } from './modules/job-index.js';
+import { WebhookManager } from './modules/webhook-manager.js';
+import { TelegramPublisher } from './modules/telegram-publisher.js';
+import { WebSubPublisher } from './modules/websub-publisher.js';
+import { SearchIndex } from './modules/search-index.js';
+import { JobPageGenerator, buildJobPageUrl } from './modules/job-page-generator.js';
+import { OGImageGenerator } from './modules/og-image-generator.js';
+import { SitemapGenerator } from './modules/sitemap-generator.js';
+import { OPMLGenerator, OPML_GROUPS } from './modules/opml-generator.js';
+import { LandingPageGenerator } from './modules/landing-page-generator.js';
+import { SocialTemplateStore } from './modules/social-template-store.js';
 import { Analytics } from './modules/analytics.js';
-import { getConfig } from './config/environment.js';
-import { validateRequest, handleError, logInfo, logError } from './utils/helpers.js';
+import { RateLimiter } from './modules/rate-limiter.js';
+import { getConfig, CACHE_STRATEGY, PERSISTENT_KEY_TYPES } from './config/environment.js';
+import { validateRequest, handleError, getResponseHeaders, simpleHash, bytesToBase64, base64ToBytes } from './utils/helpers.js';
+import { createLogger, runWithLogContext, getRequestId } from './utils/logger.js';
+import { isAdminPath, authorizeAdminRequest, createUnauthorizedResponse } from './utils/admin-auth.js';
+import {
+  parseJobFilters,
+  applyJobFilters,
+  hasActiveFilters,
+  buildFilterCacheKey,
+  serializeJobFilters,
+  describeJobFilters,
+  normalizeFilterValue,
+  getEmployerKey,
+  selectOpenJobs,
+  selectClosingSoonJobs,
+  isJobExpired,
+  parseFeedSort,
+  sortJobs,
+  serializeFeedQuery
+} from './utils/job-filter.js';
+import {
+  buildFeedValidators,
+  isNotModified,
+  getValidatorHeaders,
+  createNotModifiedResponse
+} from './utils/feed-validators.js';
+import { getJobSalary, formatSalary } from './utils/salary.js';
+import { validateTemplate } from './utils/template-engine.js';
+import { getTweetLength } from './utils/tweet-length.js';
+import {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  normalizeLanguage,
+  getLanguageHeaders,
+  translate
+} from './utils/i18n.js';
+
+const logger = createLogger('worker');
 
 // Import formatJobType helper function
 function formatJobType(jobType) {
@@ -24,7 +74,7 @@ function formatJobType(jobType) {
         return jobType[field];
       }
     }
-    console.warn('Unexpected job_type object structure:', jobType);
+    logger.warn('Unexpected job_type object structure', { jobType });
     return 'Full-time';
   }
 
@@ -55,9 +105,9 @@ async function handleRequest(request, env) {
   const CONFIG = getConfig(env);
 
   try {
-    logInfo('Request received', {
+    logger.debug('Request received', {
       method: request.method,
-      url: url.pathname,
+      path: url.pathname,
       userAgent: request.headers.get('User-Agent')
     });
 
@@ -67,104 +117,201 @@ async function handleRequest(request, env) {
       return handleError(new Error(validation.error), 400);
     }
 
-    // Route handling
-    switch (url.pathname) {
-      case '/':
-      case '/rss':
-        return await handleRSSFeed(request, env, CONFIG, startTime);
-
-      case '/json':
-        return await handleJSONFeed(request, env, CONFIG, startTime);
-
-      case '/health':
-        return await handleHealthCheck(env, CONFIG);
-
-      case '/stats':
-        return await handleStats(env, CONFIG);
-
-      case '/clear-cache':
-        return await handleClearCache(env, CONFIG);
-
-      default:
-        return new Response(`
-          <html>
-            <head><title>KarirHub RSS Feed Service</title></head>
-            <body>
-              <h1>KarirHub RSS Feed Service</h1>
-              <p><strong>Endpoints:</strong></p>
-              <ul>
-                <li><a href="/rss">RSS Feed</a> - RSS 2.0 format</li>
-                <li><a href="/json">JSON Feed</a> - JSON format</li>
-                <li><a href="/health">Health Check</a> - Service status</li>
-                <li><a href="/stats">Statistics</a> - Feed statistics</li>
-              </ul>
-              <p><strong>Documentation:</strong></p>
-              <p>See README.md for integration with Zapier and WordPress.</p>
-            </body>
-          </html>
-        `, {
-          headers: { 'Content-Type': 'text/html' }
-        });
+    // Enforce per-route rate limits before doing any work
+    const rateLimiter = new RateLimiter(env, CONFIG);
+    const rateLimit = await rateLimiter.check(request, url.pathname);
+    if (!rateLimit.allowed) {
+      logger.warn('Rate limit exceeded', {
+        client: rateLimit.client,
+        group: rateLimit.group,
+        retryAfter: rateLimit.retryAfter
+      });
+      return rateLimiter.createRateLimitResponse(rateLimit);
     }
+
+    const response = await routeRequest(request, env, CONFIG, startTime);
+    logger.info('Request completed', {
+      method: request.method,
+      path: url.pathname,
+      status: response.status,
+      duration_ms: Date.now() - startTime
+    });
+    return rateLimiter.applyHeaders(response, rateLimit);
   } catch (error) {
-    logError('Request handling failed', { error: error.message, stack: error.stack });
+    logger.error('Request handling failed', { error, duration_ms: Date.now() - startTime });
     return handleError(error, 500);
   }
 }
 
+/**
+ * Route a validated request to its handler
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @param {number} startTime - Request start time
+ * @returns {Promise<Response>} - The response
+ */
+async function routeRequest(request, env, CONFIG, startTime) {
+  const url = new URL(request.url);
+
+  // Admin routes are authenticated and handle their own sub-routing
+  if (isAdminPath(url.pathname)) {
+    return await handleAdminRequest(request, env, CONFIG);
+  }
+
+  // Per-employer feeds: /rss/company/:employerId and /json/company/:employerId
+  const companyFeed = url.pathname.match(/^\/(rss|json)\/company\/([^/]+)\/?$/);
+  if (companyFeed) {
+    const employerId = decodeURIComponent(companyFeed[2]);
+    return companyFeed[1] === 'rss'
+      ? await handleRSSFeed(request, env, CONFIG, startTime, { employerId })
+      : await handleJSONFeed(request, env, CONFIG, startTime, { employerId });
+  }
+
+  // Public job pages: /lowongan/:id
+  const jobPage = url.pathname.match(/^\/lowongan\/([^/]+)\/?$/);
+  if (jobPage) {
+    return await handleJobPage(request, env, CONFIG, decodeURIComponent(jobPage[1]));
+  }
+
+  // Share cards of job pages: /og/:id.svg and /og/:id.png
+  const ogImage = url.pathname.match(/^\/og\/([^/]+)\.(svg|png)$/);
+  if (ogImage) {
+    return await handleOGImage(request, env, CONFIG, decodeURIComponent(ogImage[1]), ogImage[2]);
+  }
+
+  // Child sitemaps of the sitemap index: /sitemap-1.xml, /sitemap-2.xml, ...
+  const childSitemap = url.pathname.match(/^\/sitemap-(\d+)\.xml$/);
+  if (childSitemap) {
+    return await handleSitemap(env, CONFIG, String(parseInt(childSitemap[1], 10)));
+  }
+
+  // Route handling
+  switch (url.pathname) {
+    case '/':
+    case '/rss':
+      return await handleRSSFeed(request, env, CONFIG, startTime);
+
+    case '/rss/closing-soon':
+      return await handleRSSFeed(request, env, CONFIG, startTime, { closingSoon: true });
+
+    case '/json':
+      return await handleJSONFeed(request, env, CONFIG, startTime);
+
+    case '/atom':
+      return await handleAtomFeed(request, env, CONFIG, startTime);
+
+    case '/changes':
+      return await handleChanges(request, env, CONFIG);
+
+    case '/companies':
+      return await handleCompanies(request, env, CONFIG);
+
+    case '/search':
+      return await handleSearch(request, env, CONFIG);
+
+    case '/opml':
+      return await handleOPML(request, env, CONFIG);
+
+    case '/sitemap.xml':
+      return await handleSitemap(env, CONFIG);
+
+    case '/robots.txt':
+      return handleRobotsTxt(CONFIG);
+
+    case '/health':
+      return await handleHealthCheck(env, CONFIG);
+
+    case '/stats':
+      return await handleStats(env, CONFIG);
+
+    case '/builder':
+    default:
+      return await handleLandingPage(request, env, CONFIG);
+  }
+}
+
 /**
  * Handle RSS feed generation
  * @param {Request} request - The incoming request
  * @param {Object} env - Environment variables (KV, D1 bindings)
  * @param {Object} CONFIG - Configuration object
  * @param {number} startTime - Request start time
+ * @param {Object} route - Route options: {employerId} for /rss/company/:employerId, {closingSoon} for /rss/closing-soon
  * @returns {Promise<Response>} - RSS feed response
  */
-async function handleRSSFeed(request, env, CONFIG, startTime) {
+async function handleRSSFeed(request, env, CONFIG, startTime, route = {}) {
   try {
-    logInfo('Generating RSS feed');
+    logger.debug('Generating RSS feed');
 
     // Initialize components with environment bindings
     const cacheManager = new CacheManager(env.RSS_CACHE || null);
     const apiFetcher = new APIFetcher(CONFIG.API_BASE_URL);
     const dataAggregator = new DataAggregator(apiFetcher, cacheManager);
-    const rssGenerator = new RSSGenerator();
     const analytics = new Analytics(env.RSS_ANALYTICS, env.RSS_CACHE || null);
 
+    // Each filter, sort, route and language combination gets its own cache entry
+    const url = new URL(request.url);
+    const feed = parseFeedRequest(url, route, resolveLanguage(request));
+    const rssGenerator = new RSSGenerator(feed.language);
+
     // Check cache first
-    const cacheKey = 'rss_feed_main';
-    const cachedRSS = await cacheManager.get(cacheKey, 'rss');
+    const cacheKey = buildFeedCacheKey('rss_feed', feed);
+    const cachedRSS = await cacheManager.getEntry(cacheKey, 'rss');
 
     if (cachedRSS) {
-      logInfo('Serving RSS from cache');
+      // Feed readers polling an unchanged feed only need a 304
+      if (isNotModified(request, cachedRSS.meta)) {
+        await analytics.trackFeedRequest('rss', 'not_modified', Date.now() - startTime);
+        return createNotModifiedResponse(cachedRSS.meta, {
+          'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+          'X-Cache': 'HIT',
+          ...getLanguageHeaders(feed.language)
+        });
+      }
+
+      logger.debug('Serving RSS from cache', { cacheKey });
 
       // Log analytics for cache hit
       await analytics.trackFeedRequest('rss', 'cache_hit', Date.now() - startTime);
 
-      return new Response(cachedRSS, {
+      return new Response(cachedRSS.data, {
         headers: {
           'Content-Type': 'application/rss+xml; charset=utf-8',
           'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
-          'X-Cache': 'HIT'
+          'X-Cache': 'HIT',
+          ...getLanguageHeaders(feed.language),
+          ...getValidatorHeaders(cachedRSS.meta)
         }
       });
     }
 
     // Generate fresh RSS feed
-    const jobs = await dataAggregator.aggregateJobData(CONFIG.MAX_JOBS_PER_FEED);
-    logInfo(`Aggregated ${jobs.length} jobs for RSS feed`);
+    const jobs = await loadFeedJobs(cacheManager, dataAggregator, CONFIG, feed);
+    logger.debug('Loaded jobs for RSS feed', { jobCount: jobs.length, filters: serializeFeedQuery(feed.filters, feed.sort), language: feed.language });
 
     // Generate RSS XML
-    const rssXML = rssGenerator.generateRSS(jobs);
+    const rssXML = rssGenerator.generateRSS(jobs, buildFeedOptions('/rss', feed, url, CONFIG, jobs));
 
-    // Cache the result
-    await cacheManager.set(cacheKey, rssXML, 'rss');
+    // Cache the result together with its validators
+    const validators = await cacheFeed(cacheManager, feed, jobs, cacheKey, 'rss', rssXML);
 
     // Log analytics
     const generationTime = Date.now() - startTime;
+
+    // A rebuilt feed with the same items keeps its ETag
+    if (isNotModified(request, validators)) {
+      await analytics.trackFeedRequest('rss', 'not_modified', generationTime, jobs.length);
+      return createNotModifiedResponse(validators, {
+        'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+        'X-Cache': 'MISS',
+        ...getLanguageHeaders(feed.language)
+      });
+    }
+
     await analytics.trackFeedRequest('rss', 'generated', generationTime, jobs.length);
 
-    logInfo(`RSS feed generated successfully in ${generationTime}ms`);
+    logger.info('RSS feed generated', { cacheKey, jobCount: jobs.length, duration_ms: generationTime });
 
     return new Response(rssXML, {
       headers: {
@@ -172,15 +319,17 @@ async function handleRSSFeed(request, env, CONFIG, startTime) {
         'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
         'X-Cache': 'MISS',
         'X-Generation-Time': generationTime.toString(),
-        'X-Job-Count': jobs.length.toString()
+        'X-Job-Count': jobs.length.toString(),
+        ...getLanguageHeaders(feed.language),
+        ...getValidatorHeaders(validators)
       }
     });
 
   } catch (error) {
-    logError('RSS generation failed', { error: error.message });
+    logger.error('RSS generation failed', { error: error.message });
 
     // Return error RSS or fallback content
-    const errorRSS = generateErrorRSS(error);
+    const errorRSS = generateErrorRSS(error, CONFIG, resolveLanguage(request));
     return new Response(errorRSS, {
       status: 500,
       headers: {
@@ -192,16 +341,16 @@ async function handleRSSFeed(request, env, CONFIG, startTime) {
 }
 
 /**
- * Handle JSON feed generation
+ * Handle Atom feed generation
  * @param {Request} request - The incoming request
  * @param {Object} env - Environment variables (KV, D1 bindings)
  * @param {Object} CONFIG - Configuration object
  * @param {number} startTime - Request start time
- * @returns {Promise<Response>} - JSON feed response
+ * @returns {Promise<Response>} - Atom feed response
  */
-async function handleJSONFeed(request, env, CONFIG, startTime) {
+async function handleAtomFeed(request, env, CONFIG, startTime) {
   try {
-    logInfo('Generating JSON feed');
+    logger.debug('Generating Atom feed');
 
     // Initialize components with environment bindings
     const cacheManager = new CacheManager(env.RSS_CACHE || null);
@@ -209,276 +358,1661 @@ async function handleJSONFeed(request, env, CONFIG, startTime) {
     const dataAggregator = new DataAggregator(apiFetcher, cacheManager);
     const analytics = new Analytics(env.RSS_ANALYTICS, env.RSS_CACHE || null);
 
-    // Check cache
-    const cacheKey = 'json_feed_main';
-    const cachedJSON = await cacheManager.get(cacheKey, 'json');
+    // Each filter, sort and language combination gets its own cache entry
+    const url = new URL(request.url);
+    const feed = parseFeedRequest(url, {}, resolveLanguage(request));
+    const atomGenerator = new AtomGenerator(feed.language);
 
-    if (cachedJSON) {
-      await analytics.trackFeedRequest('json', 'cache_hit', Date.now() - startTime);
+    // Check cache first
+    const cacheKey = buildFeedCacheKey('atom_feed', feed);
+    const cachedAtom = await cacheManager.getEntry(cacheKey, 'atom');
+
+    if (cachedAtom) {
+      // Feed readers polling an unchanged feed only need a 304
+      if (isNotModified(request, cachedAtom.meta)) {
+        await analytics.trackFeedRequest('atom', 'not_modified', Date.now() - startTime);
+        return createNotModifiedResponse(cachedAtom.meta, {
+          'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+          'X-Cache': 'HIT',
+          ...getLanguageHeaders(feed.language)
+        });
+      }
+
+      logger.debug('Serving Atom from cache', { cacheKey });
+
+      // Log analytics for cache hit
+      await analytics.trackFeedRequest('atom', 'cache_hit', Date.now() - startTime);
 
-      return new Response(JSON.stringify(cachedJSON, null, 2), {
+      return new Response(cachedAtom.data, {
         headers: {
-          'Content-Type': 'application/json',
+          'Content-Type': 'application/atom+xml; charset=utf-8',
           'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
-          'X-Cache': 'HIT'
+          'X-Cache': 'HIT',
+          ...getLanguageHeaders(feed.language),
+          ...getValidatorHeaders(cachedAtom.meta)
         }
       });
     }
 
-    // Generate fresh JSON feed
-    const jobs = await dataAggregator.aggregateJobData(CONFIG.MAX_JOBS_PER_FEED);
-    const jsonFeed = generateJSONFeed(jobs);
+    // Generate fresh Atom feed
+    const jobs = await loadFeedJobs(cacheManager, dataAggregator, CONFIG, feed);
+    logger.debug('Loaded jobs for Atom feed', { jobCount: jobs.length, filters: serializeFeedQuery(feed.filters, feed.sort), language: feed.language });
 
-    // Cache result
-    await cacheManager.set(cacheKey, jsonFeed, 'json');
+    // Generate Atom XML
+    const atomXML = atomGenerator.generateAtom(jobs, buildFeedOptions('/atom', feed, url, CONFIG, jobs));
+
+    // Cache the result together with its validators
+    const validators = await cacheFeed(cacheManager, feed, jobs, cacheKey, 'atom', atomXML);
 
     // Log analytics
     const generationTime = Date.now() - startTime;
-    await analytics.trackFeedRequest('json', 'generated', generationTime, jobs.length);
 
-    return new Response(JSON.stringify(jsonFeed, null, 2), {
+    // A rebuilt feed with the same items keeps its ETag
+    if (isNotModified(request, validators)) {
+      await analytics.trackFeedRequest('atom', 'not_modified', generationTime, jobs.length);
+      return createNotModifiedResponse(validators, {
+        'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+        'X-Cache': 'MISS',
+        ...getLanguageHeaders(feed.language)
+      });
+    }
+
+    await analytics.trackFeedRequest('atom', 'generated', generationTime, jobs.length);
+
+    logger.info('Atom feed generated', { cacheKey, jobCount: jobs.length, duration_ms: generationTime });
+
+    return new Response(atomXML, {
       headers: {
-        'Content-Type': 'application/json',
+        'Content-Type': 'application/atom+xml; charset=utf-8',
         'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
         'X-Cache': 'MISS',
-        'X-Generation-Time': generationTime.toString()
+        'X-Generation-Time': generationTime.toString(),
+        'X-Job-Count': jobs.length.toString(),
+        ...getLanguageHeaders(feed.language),
+        ...getValidatorHeaders(validators)
       }
     });
 
   } catch (error) {
-    logError('JSON feed generation failed', { error: error.message });
+    logger.error('Atom generation failed', { error: error.message });
 
-    return new Response(JSON.stringify({
-      error: 'Feed generation failed',
-      message: error.message,
-      timestamp: new Date().toISOString()
-    }), {
+    // Return error Atom feed or fallback content
+    const errorAtom = generateErrorAtom(error, CONFIG, resolveLanguage(request));
+    return new Response(errorAtom, {
       status: 500,
-      headers: { 'Content-Type': 'application/json' }
+      headers: {
+        'Content-Type': 'application/atom+xml; charset=utf-8',
+        'X-Error': error.message
+      }
     });
   }
 }
 
 /**
- * Handle health check requests
+ * Handle JSON feed generation
+ * @param {Request} request - The incoming request
  * @param {Object} env - Environment variables (KV, D1 bindings)
  * @param {Object} CONFIG - Configuration object
- * @returns {Promise<Response>} - Health check response
+ * @param {number} startTime - Request start time
+ * @param {Object} route - Route options: {employerId} for /json/company/:employerId
+ * @returns {Promise<Response>} - JSON feed response
  */
-async function handleHealthCheck(env, CONFIG) {
+async function handleJSONFeed(request, env, CONFIG, startTime, route = {}) {
   try {
+    logger.debug('Generating JSON feed');
+
     // Initialize components with environment bindings
     const cacheManager = new CacheManager(env.RSS_CACHE || null);
     const apiFetcher = new APIFetcher(CONFIG.API_BASE_URL);
+    const dataAggregator = new DataAggregator(apiFetcher, cacheManager);
+    const analytics = new Analytics(env.RSS_ANALYTICS, env.RSS_CACHE || null);
 
-    // Check API connectivity
-    const apiStartTime = Date.now();
-    const apiTest = await apiFetcher.fetchJobListings(1, 1);
-    const apiResponseTime = Date.now() - apiStartTime;
+    // Each filter, sort, route and language combination gets its own cache entry
+    const url = new URL(request.url);
+    const feed = parseFeedRequest(url, route, resolveLanguage(request));
 
-    // Check cache functionality
-    const cacheTest = await cacheManager.healthCheck();
+    // Check cache
+    const cacheKey = buildFeedCacheKey('json_feed', feed);
+    const cachedJSON = await cacheManager.getEntry(cacheKey, 'json');
 
-    const health = {
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      version: CONFIG.VERSION,
-      environment: CONFIG.ENVIRONMENT,
-      uptime: 0, // Worker uptime not available in this context
-      services: {
-        api: {
-          status: apiTest.code === 200 ? 'healthy' : 'unhealthy',
-          responseTime: `${apiResponseTime}ms`,
-          lastCheck: new Date().toISOString()
-        },
-        cache: {
-          status: cacheTest.healthy ? 'healthy' : 'unhealthy',
-          ...cacheTest
-        }
-      },
-      endpoints: {
-        rss: `${new URL(CONFIG.BASE_URL).origin}/rss`,
-        json: `${new URL(CONFIG.BASE_URL).origin}/json`,
-        health: `${new URL(CONFIG.BASE_URL).origin}/health`,
-        stats: `${new URL(CONFIG.BASE_URL).origin}/stats`
+    if (cachedJSON) {
+      // Feed readers polling an unchanged feed only need a 304
+      if (isNotModified(request, cachedJSON.meta)) {
+        await analytics.trackFeedRequest('json', 'not_modified', Date.now() - startTime);
+        return createNotModifiedResponse(cachedJSON.meta, {
+          'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+          'X-Cache': 'HIT',
+          ...getLanguageHeaders(feed.language)
+        });
       }
-    };
 
-    return new Response(JSON.stringify(health, null, 2), {
+      await analytics.trackFeedRequest('json', 'cache_hit', Date.now() - startTime);
+
+      return new Response(JSON.stringify(cachedJSON.data, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+          'X-Cache': 'HIT',
+          ...getLanguageHeaders(feed.language),
+          ...getValidatorHeaders(cachedJSON.meta)
+        }
+      });
+    }
+
+    // Generate fresh JSON feed
+    const jobs = await loadFeedJobs(cacheManager, dataAggregator, CONFIG, feed);
+    const jsonFeed = generateJSONFeed(jobs, CONFIG, buildFeedOptions('/json', feed, url, CONFIG, jobs));
+
+    // Cache result together with its validators
+    const validators = await cacheFeed(cacheManager, feed, jobs, cacheKey, 'json', jsonFeed);
+
+    // Log analytics
+    const generationTime = Date.now() - startTime;
+
+    // A rebuilt feed with the same items keeps its ETag
+    if (isNotModified(request, validators)) {
+      await analytics.trackFeedRequest('json', 'not_modified', generationTime, jobs.length);
+      return createNotModifiedResponse(validators, {
+        'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+        'X-Cache': 'MISS',
+        ...getLanguageHeaders(feed.language)
+      });
+    }
+
+    await analytics.trackFeedRequest('json', 'generated', generationTime, jobs.length);
+
+    return new Response(JSON.stringify(jsonFeed, null, 2), {
       headers: {
         'Content-Type': 'application/json',
-        'Cache-Control': 'no-cache'
+        'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+        'X-Cache': 'MISS',
+        'X-Generation-Time': generationTime.toString(),
+        'X-Job-Count': jobs.length.toString(),
+        ...getLanguageHeaders(feed.language),
+        ...getValidatorHeaders(validators)
       }
     });
 
   } catch (error) {
+    logger.error('JSON feed generation failed', { error: error.message });
+
     return new Response(JSON.stringify({
-      status: 'unhealthy',
-      timestamp: new Date().toISOString(),
-      error: error.message
+      error: 'Feed generation failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
     }), {
-      status: 503,
+      status: 500,
       headers: { 'Content-Type': 'application/json' }
     });
   }
 }
 
 /**
- * Handle statistics requests
- * @param {Object} env - Environment variables (KV, D1 bindings)
+ * Load aggregated jobs, shared by every feed format
+ * Serves the enriched job snapshot from cache and only aggregates on a miss. The snapshot holds
+ * SNAPSHOT_MAX_JOBS jobs so filtered feeds still fill up when few of the newest jobs match
+ * @param {CacheManager} cacheManager - Cache manager instance
+ * @param {DataAggregator} dataAggregator - Data aggregator instance
  * @param {Object} CONFIG - Configuration object
- * @returns {Promise<Response>} - Statistics response
+ * @returns {Promise<Array>} - Enriched jobs
  */
-async function handleStats(env, CONFIG) {
-  try {
-    // Check if analytics binding is available
-    if (!env.RSS_ANALYTICS) {
-      return new Response(JSON.stringify({
-        error: 'Analytics unavailable',
-        message: 'RSS_ANALYTICS binding not found'
-      }), {
-        status: 503,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
+async function loadAggregatedJobs(cacheManager, dataAggregator, CONFIG) {
+  const cachedJobs = await cacheManager.get('aggregated_jobs', 'aggregated_jobs');
+  if (Array.isArray(cachedJobs) && cachedJobs.length > 0) {
+    return cachedJobs;
+  }
 
-    const analytics = new Analytics(env.RSS_ANALYTICS, env.RSS_CACHE || null);
-    const stats = await analytics.getStats();
+  const jobs = await dataAggregator.aggregateJobData(CONFIG.SNAPSHOT_MAX_JOBS);
+  await queueNewJobDeliveries(cacheManager, jobs, CONFIG);
 
-    return new Response(JSON.stringify(stats, null, 2), {
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': 'public, max-age=300' // 5 minutes
-      }
-    });
+  // Don't pin an empty snapshot in cache while the API is having trouble
+  if (jobs.length > 0) {
+    await cacheManager.set('aggregated_jobs', jobs, 'aggregated_jobs');
+    await rebuildSearchIndex(cacheManager, jobs);
+  }
 
+  return jobs;
+}
+
+/**
+ * Rebuild the stored search index from freshly aggregated jobs
+ * @param {CacheManager} cacheManager - Cache manager instance
+ * @param {Array} jobs - Jobs from an aggregation run
+ * @returns {Promise<Object|null>} - Index or null on failure
+ */
+async function rebuildSearchIndex(cacheManager, jobs) {
+  try {
+    return await new SearchIndex(cacheManager).rebuild(jobs);
   } catch (error) {
-    return new Response(JSON.stringify({
-      error: 'Stats unavailable',
-      message: error.message
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    logger.error('Failed to rebuild search index', { error: error.message });
+    return null;
   }
 }
 
 /**
- * Handle cache clearing requests
- * @param {Object} env - Environment variables (KV, D1 bindings)
- * @param {Object} CONFIG - Configuration object
- * @returns {Promise<Response>} - Cache clearing response
+ * Queue newly seen jobs for webhook subscribers and Telegram channels
+ * Delivery happens in the scheduled handler so feed requests never wait on subscribers
+ * @param {CacheManager} cacheManager - Cache manager instance (provides the KV store)
+ * @param {Array} jobs - Jobs from an aggregation run
+ * @param {Object} CONFIG - Configuration object (Telegram channels)
+ * @returns {Promise<Object>} - Number of queued deliveries {webhooks, telegram}
  */
-async function handleClearCache(env, CONFIG) {
+async function queueNewJobDeliveries(cacheManager, jobs, CONFIG) {
+  const queued = { webhooks: 0, telegram: 0 };
+  const newJobs = jobs.filter(job => job.change_status === 'new');
+  if (newJobs.length === 0) {
+    return queued;
+  }
+
   try {
-    const cacheManager = new CacheManager(env.RSS_CACHE || null);
+    queued.webhooks = await new WebhookManager(cacheManager.kvStore).queueNewJobs(newJobs);
+  } catch (error) {
+    logger.error('Failed to queue webhook deliveries', { error: error.message });
+  }
 
-    // Clear all cache types
-    const jobDetailsCleared = await cacheManager.clear('job_details');
-    const rssCleared = await cacheManager.clear('rss');
-    const jobListingsCleared = await cacheManager.clear('job_listings');
-
-    // Clear ALL cache entries (aggressive approach)
-    const allCleared = await cacheManager.clear();
-
-    const result = {
-      success: true,
-      message: 'All cache cleared successfully',
-      cleared_caches: {
-        job_details: jobDetailsCleared,
-        rss: rssCleared,
-        job_listings: jobListingsCleared,
-        all_entries: allCleared
-      },
-      timestamp: new Date().toISOString()
-    };
+  try {
+    queued.telegram = await new TelegramPublisher(cacheManager.kvStore, null, CONFIG).queueNewJobs(newJobs);
+  } catch (error) {
+    logger.error('Failed to queue Telegram posts', { error: error.message });
+  }
 
-    return new Response(JSON.stringify(result, null, 2), {
-      headers: {
-        'Content-Type': 'application/json',
-        'Cache-Control': 'no-cache, no-store, must-revalidate'
-      }
-    });
+  return queued;
+}
 
-  } catch (error) {
-    return new Response(JSON.stringify({
-      success: false,
-      message: 'Failed to clear cache',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+/**
+ * Default and maximum window of the closing-soon feed (days)
+ */
+const CLOSING_SOON_DEFAULT_DAYS = 7;
+const CLOSING_SOON_MAX_DAYS = 60;
+
+/**
+ * Parse which jobs a feed request selects and how they are ordered
+ * @param {URL} url - Request URL
+ * @param {Object} route - Route options ({employerId}, {closingSoon})
+ * @param {string} language - Feed language from resolveLanguage()
+ * @returns {Object} - Feed selection {filters, sort, closingSoonDays, language}
+ */
+function parseFeedRequest(url, route = {}, language = DEFAULT_LANGUAGE) {
+  const filters = parseJobFilters(url.searchParams);
+  if (route.employerId) {
+    filters.employer = [normalizeFilterValue(route.employerId)];
+  }
+
+  if (route.closingSoon) {
+    const days = parseInt(url.searchParams.get('days'), 10) || CLOSING_SOON_DEFAULT_DAYS;
+    // The closing-soon feed is always ordered by nearest deadline
+    return { filters, sort: 'deadline', closingSoonDays: Math.min(Math.max(days, 1), CLOSING_SOON_MAX_DAYS), language };
   }
+
+  return { filters, sort: parseFeedSort(url.searchParams), closingSoonDays: null, language };
 }
 
 /**
- * Generate error RSS feed
- * @param {Error} error - The error that occurred
- * @returns {string} - Error RSS XML
+ * Build the cache key for a feed selection
+ * Indonesian keeps the unprefixed keys; other languages get their own (e.g. rss_feed_en_main)
+ * @param {string} prefix - Cache key prefix (e.g. 'rss_feed')
+ * @param {Object} feed - Feed selection from parseFeedRequest()
+ * @returns {string} - Cache key
  */
-function generateErrorRSS(error) {
-  const currentDate = new Date().toUTCString();
+function buildFeedCacheKey(prefix, feed) {
+  const languagePrefix = feed.language && feed.language !== DEFAULT_LANGUAGE ? `${prefix}_${feed.language}` : prefix;
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0">
-  <channel>
-    <title>${CONFIG.RSS_TITLE} - Service Unavailable</title>
-    <description>RSS feed temporarily unavailable. Please try again later.</description>
-    <link>${CONFIG.BASE_URL}</link>
-    <language>${CONFIG.RSS_LANGUAGE}</language>
-    <lastBuildDate>${currentDate}</lastBuildDate>
-    <generator>${CONFIG.RSS_GENERATOR}</generator>
-    <item>
-      <title>Service Temporarily Unavailable</title>
-      <description>The RSS feed service is experiencing technical difficulties. Error: ${error.message}</description>
-      <pubDate>${currentDate}</pubDate>
-      <guid isPermaLink="false">error-${Date.now()}</guid>
-    </item>
-  </channel>
-</rss>`;
+  return feed.closingSoonDays
+    ? buildFilterCacheKey(`${languagePrefix}_closing_soon_${feed.closingSoonDays}d`, feed.filters)
+    : buildFilterCacheKey(languagePrefix, feed.filters, feed.sort);
 }
 
 /**
- * Generate JSON feed
- * @param {Array} jobs - Array of job objects
- * @returns {Object} - JSON feed object
+ * Check whether a rendered feed should be cached
+ * Filtered feeds that match nothing are cheap to rebuild from the snapshot; not caching them
+ * keeps made-up filter values from writing a KV entry per request
+ * @param {Object} feed - Feed selection from parseFeedRequest()
+ * @param {Array} jobs - Jobs in the feed
+ * @returns {boolean} - True if the feed should be cached
  */
-function generateJSONFeed(jobs) {
+function shouldCacheFeed(feed, jobs) {
+  return jobs.length > 0 || !hasActiveFilters(feed.filters);
+}
+
+/**
+ * Load the validators last served for a feed
+ * Falls back to the feed_validators record, which outlives the feed entry itself
+ * @param {CacheManager} cacheManager - Cache manager instance
+ * @param {string} cacheKey - Feed cache key
+ * @param {string} type - Feed cache type ('rss', 'atom' or 'json')
+ * @returns {Promise<Object|null>} - {etag, lastModified} or null
+ */
+async function loadPreviousValidators(cacheManager, cacheKey, type) {
+  if (!cacheManager) {
+    return null;
+  }
+
+  return (await cacheManager.getEntry(cacheKey, type))?.meta || await cacheManager.get(cacheKey, 'feed_validators');
+}
+
+/**
+ * Cache a feed rendered on demand together with its validators
+ * Comparing with the previously served validators keeps Last-Modified for an unchanged feed
+ * and moves it forward when a job was removed (instead of back to the newest remaining job)
+ * @param {CacheManager} cacheManager - Cache manager instance
+ * @param {Object} feed - Feed selection from parseFeedRequest()
+ * @param {Array} jobs - Jobs in the feed
+ * @param {string} cacheKey - Feed cache key
+ * @param {string} type - Feed cache type ('rss', 'atom' or 'json')
+ * @param {string|Object} data - Rendered feed
+ * @returns {Promise<Object>} - Validators {etag, lastModified}
+ */
+async function cacheFeed(cacheManager, feed, jobs, cacheKey, type, data) {
+  if (!shouldCacheFeed(feed, jobs)) {
+    return buildFeedValidators(jobs, cacheKey);
+  }
+
+  const validators = await buildFeedValidators(jobs, cacheKey, await loadPreviousValidators(cacheManager, cacheKey, type));
+  await cacheManager.set(cacheKey, data, type, null, validators);
+  await cacheManager.set(cacheKey, validators, 'feed_validators');
+  return validators;
+}
+
+/**
+ * Load the jobs for a (possibly filtered or sorted) feed
+ * Expired vacancies are always left out
+ * @param {CacheManager} cacheManager - Cache manager instance
+ * @param {DataAggregator} dataAggregator - Data aggregator instance
+ * @param {Object} CONFIG - Configuration object
+ * @param {Object} feed - Feed selection from parseFeedRequest()
+ * @returns {Promise<Array>} - Matching jobs, capped at MAX_JOBS_PER_FEED
+ */
+async function loadFeedJobs(cacheManager, dataAggregator, CONFIG, feed) {
+  const jobs = selectOpenJobs(await loadAggregatedJobs(cacheManager, dataAggregator, CONFIG));
+  let selected = applyJobFilters(jobs, feed.filters);
+
+  if (feed.closingSoonDays) {
+    selected = selectClosingSoonJobs(selected, feed.closingSoonDays);
+  }
+
+  return localizeJobs(sortJobs(selected, feed.sort).slice(0, CONFIG.MAX_JOBS_PER_FEED), dataAggregator, feed.language);
+}
+
+/**
+ * Translate jobs from the (always Indonesian) snapshot into a feed language
+ * @param {Array} jobs - Enriched jobs
+ * @param {DataAggregator} dataAggregator - Data aggregator that built the snapshot
+ * @param {string} language - Feed language
+ * @returns {Promise<Array>} - Jobs with text fields in the language
+ */
+async function localizeJobs(jobs, dataAggregator, language = DEFAULT_LANGUAGE) {
+  if (!language || language === DEFAULT_LANGUAGE) {
+    return jobs;
+  }
+
+  return new DataAggregator(dataAggregator.apiFetcher, dataAggregator.cacheManager, dataAggregator.jobIndex, language).localizeJobs(jobs);
+}
+
+/**
+ * Add the language parameter to a feed URL (Indonesian URLs stay unchanged)
+ * @param {string} feedUrl - Feed URL
+ * @param {string} language - Feed language
+ * @returns {string} - Feed URL selecting the language
+ */
+function withLanguageParam(feedUrl, language = DEFAULT_LANGUAGE) {
+  if (!language || language === DEFAULT_LANGUAGE) {
+    return feedUrl;
+  }
+
+  return `${feedUrl}${feedUrl.includes('?') ? '&' : '?'}lang=${language}`;
+}
+
+/**
+ * Get the main channel title and description in a language
+ * Indonesian keeps the configurable RSS_TITLE/RSS_DESCRIPTION
+ * @param {Object} CONFIG - Configuration object
+ * @param {string} language - Feed language
+ * @returns {Object} - {title, description}
+ */
+function getChannelText(CONFIG, language = DEFAULT_LANGUAGE) {
+  if (!language || language === DEFAULT_LANGUAGE) {
+    return { title: CONFIG.RSS_TITLE, description: CONFIG.RSS_DESCRIPTION };
+  }
+
+  return { title: translate(language, 'feed.title'), description: translate(language, 'feed.description') };
+}
+
+/**
+ * Build channel options for a feed
+ * @param {string} path - Feed path (e.g. '/rss')
+ * @param {Object} feed - Feed selection {filters, sort, closingSoonDays, language} ({} for the main feed)
+ * @param {URL} url - Request URL (only needed for filtered feeds)
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array} jobs - Jobs in the feed (employer feeds take their name and logo from them)
+ * @returns {Object} - Feed options (title, description, feedUrl, hubUrl, imageUrl, language)
+ */
+function buildFeedOptions(path, feed, url, CONFIG, jobs = []) {
+  const { filters = {}, sort = null, language = DEFAULT_LANGUAGE } = feed;
+  const baseUrl = new URL(CONFIG.BASE_URL).origin;
+  const channel = getChannelText(CONFIG, language);
+
+  if (feed.closingSoonDays) {
+    return buildClosingSoonFeedOptions(path, feed, url, CONFIG);
+  }
+
+  if (filters.employer?.length === 1) {
+    return buildCompanyFeedOptions(path, feed, url, CONFIG, jobs);
+  }
+
+  const query = serializeFeedQuery(filters, sort);
+  if (!query) {
+    return {
+      ...channel,
+      feedUrl: withLanguageParam(`${baseUrl}${path}`, language),
+      hubUrl: CONFIG.WEBSUB_HUB_URL || null,
+      language
+    };
+  }
+
+  // Filtered and sorted feeds are never pinged, so they don't advertise the WebSub hub
+  return {
+    ...channel,
+    title: hasActiveFilters(filters)
+      ? `${channel.title} (${describeJobFilters(filters, url.searchParams, language)})`
+      : channel.title,
+    feedUrl: withLanguageParam(`${baseUrl}${path}?${query}`, language),
+    hubUrl: null,
+    language
+  };
+}
+
+/**
+ * Build channel options for a single-employer feed
+ * @param {string} path - Feed path (e.g. '/rss')
+ * @param {Object} feed - Feed selection whose filters include exactly one employer
+ * @param {URL} url - Request URL
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array} jobs - The employer's jobs
+ * @returns {Object} - Feed options (title, description, feedUrl, hubUrl, imageUrl)
+ */
+function buildCompanyFeedOptions(path, feed, url, CONFIG, jobs) {
+  const baseUrl = new URL(CONFIG.BASE_URL).origin;
+  const { language = DEFAULT_LANGUAGE } = feed;
+  const { employer, ...otherFilters } = feed.filters;
+  const [employerId] = employer;
+
+  const job = jobs[0];
+  const companyName = job?.employer?.name || job?.company_name || employerId;
+  const query = serializeFeedQuery(otherFilters, feed.sort);
+  const extra = hasActiveFilters(otherFilters) ? ` (${describeJobFilters(otherFilters, url?.searchParams, language)})` : '';
+
+  return {
+    title: translate(language, 'feed.company.title', { company: companyName, extra }),
+    description: translate(language, 'feed.company.description', { company: companyName }),
+    feedUrl: withLanguageParam(`${baseUrl}${path}/company/${encodeURIComponent(employerId)}${query ? `?${query}` : ''}`, language),
+    hubUrl: null,
+    imageUrl: job?.employer?.logo || job?.company_logo || null,
+    language
+  };
+}
+
+/**
+ * Build channel options for the closing-soon feed
+ * @param {string} path - Feed path (e.g. '/rss')
+ * @param {Object} feed - Feed selection with closingSoonDays
+ * @param {URL} url - Request URL
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Object} - Feed options (title, description, feedUrl, hubUrl)
+ */
+function buildClosingSoonFeedOptions(path, feed, url, CONFIG) {
+  const baseUrl = new URL(CONFIG.BASE_URL).origin;
+  const { language = DEFAULT_LANGUAGE } = feed;
+  const days = feed.closingSoonDays;
+  const query = serializeJobFilters(feed.filters);
+  const extra = hasActiveFilters(feed.filters) ? ` (${describeJobFilters(feed.filters, url?.searchParams, language)})` : '';
+
+  return {
+    title: translate(language, 'feed.closingSoon.title', { count: days, extra }),
+    description: translate(language, 'feed.closingSoon.description', { count: days }),
+    feedUrl: withLanguageParam(`${baseUrl}${path}/closing-soon?days=${days}${query ? `&${query}` : ''}`, language),
+    hubUrl: null,
+    language
+  };
+}
+
+/**
+ * Build the company directory from aggregated jobs
+ * @param {Array} jobs - Enriched jobs
+ * @param {Object} filters - Parsed filters (carried into the feed links)
+ * @param {Object} CONFIG - Configuration object
+ * @param {string} language - Language carried into the feed links
+ * @returns {Array} - Companies sorted by open vacancies
+ */
+function buildCompanyDirectory(jobs, filters, CONFIG, language = DEFAULT_LANGUAGE) {
+  const baseUrl = new URL(CONFIG.BASE_URL).origin;
+  const query = serializeJobFilters(filters);
+  const companies = new Map();
+
+  for (const job of jobs) {
+    const employerId = getEmployerKey(job);
+    if (!employerId) {
+      continue;
+    }
+
+    if (!companies.has(employerId)) {
+      const feedPath = `/company/${encodeURIComponent(employerId)}${query ? `?${query}` : ''}`;
+      companies.set(employerId, {
+        id: employerId,
+        name: job.employer?.name || job.company_name,
+        logo: job.employer?.logo || job.company_logo || null,
+        website: job.employer?.website || null,
+        industries: new Set(),
+        cities: new Set(),
+        open_vacancies: 0,
+        feeds: {
+          rss: withLanguageParam(`${baseUrl}/rss${feedPath}`, language),
+          json: withLanguageParam(`${baseUrl}/json${feedPath}`, language)
+        }
+      });
+    }
+
+    const company = companies.get(employerId);
+    company.open_vacancies++;
+    if (job.industry_name) company.industries.add(job.industry_name);
+    if (job.city_name) company.cities.add(job.city_name);
+  }
+
+  return [...companies.values()]
+    .map(company => ({ ...company, industries: [...company.industries], cities: [...company.cities] }))
+    .sort((a, b) => b.open_vacancies - a.open_vacancies || String(a.name).localeCompare(String(b.name), 'id'));
+}
+
+/**
+ * Handle the company directory (/companies)
+ * Accepts the same filters as the feeds, e.g. /companies?city=bekasi&industry=manufaktur
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Response>} - Directory response
+ */
+async function handleCompanies(request, env, CONFIG) {
+  const url = new URL(request.url);
+  const language = resolveLanguage(request);
+  const { employer, ...filters } = parseJobFilters(url.searchParams);
+
+  const cacheManager = new CacheManager(env.RSS_CACHE || null);
+  const dataAggregator = new DataAggregator(new APIFetcher(CONFIG.API_BASE_URL), cacheManager);
+  const jobs = applyJobFilters(selectOpenJobs(await loadAggregatedJobs(cacheManager, dataAggregator, CONFIG)), filters);
+  const companies = buildCompanyDirectory(jobs, filters, CONFIG, language);
+
+  return new Response(JSON.stringify({
+    title: translate(language, 'feed.companies.title', { site: getChannelText(CONFIG, language).title }),
+    filters: serializeJobFilters(filters) || null,
+    total_companies: companies.length,
+    total_vacancies: jobs.length,
+    generated_at: new Date().toISOString(),
+    companies
+  }, null, 2), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+      ...getLanguageHeaders(language)
+    }
+  });
+}
+
+/**
+ * Handle a public job detail page (/lowongan/:id)
+ * Jobs in the aggregated snapshot render without API calls; older links fall back to the detail API
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @param {string} jobId - Job ID from the path
+ * @returns {Promise<Response>} - HTML page (404 unknown, 410 expired)
+ */
+async function handleJobPage(request, env, CONFIG, jobId) {
+  const language = resolveLanguage(request);
+  const pageGenerator = new JobPageGenerator(CONFIG, language);
+  const htmlResponse = (html, status, maxAge) => new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': `public, max-age=${maxAge}`,
+      // Pages show upstream and employer text; nothing on them may run scripts
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src https: data:",
+      ...getLanguageHeaders(language)
+    }
+  });
+
+  // KarirHub IDs are UUIDs; anything else would only cost an API call
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(jobId)) {
+    return htmlResponse(pageGenerator.generateUnavailablePage(jobId), 404, CONFIG.CACHE_TTL);
+  }
+
+  try {
+    const cacheManager = new CacheManager(env.RSS_CACHE || null);
+    const dataAggregator = new DataAggregator(new APIFetcher(CONFIG.API_BASE_URL), cacheManager);
+    const jobs = await loadAggregatedJobs(cacheManager, dataAggregator, CONFIG);
+    const job = jobs.find(candidate => String(candidate.id) === jobId) || await dataAggregator.aggregateSingleJob(jobId);
+
+    if (!job) {
+      return htmlResponse(pageGenerator.generateUnavailablePage(jobId), 404, CONFIG.CACHE_TTL);
+    }
+
+    // 410 tells crawlers to drop the posting from their index
+    if (isJobExpired(job)) {
+      return htmlResponse(pageGenerator.generateUnavailablePage(jobId, true), 410, CONFIG.CACHE_TTL);
+    }
+
+    const [localizedJob] = await localizeJobs([job], dataAggregator, language);
+    return htmlResponse(pageGenerator.generatePage(localizedJob), 200, CONFIG.CACHE_TTL);
+  } catch (error) {
+    logger.error('Job page generation failed', { jobId, error: error.message });
+    return handleError(error, 500);
+  }
+}
+
+/**
+ * Handle a job share card (/og/:id.svg or /og/:id.png)
+ * Expired jobs still get a card (with a "closed" badge) so old shares keep their preview.
+ * PNG cards are cached in KV under a hash of the SVG, so any change to the card re-renders it
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @param {string} jobId - Job ID from the path
+ * @param {string} format - 'svg' or 'png'
+ * @returns {Promise<Response>} - SVG or PNG image (404 for unknown jobs)
+ */
+async function handleOGImage(request, env, CONFIG, jobId, format = 'svg') {
+  const language = resolveLanguage(request);
+  const notFound = () => new Response(translate(language, 'feed.jobNotFound'), {
+    status: 404,
+    headers: {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+      ...getLanguageHeaders(language)
+    }
+  });
+
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(jobId)) {
+    return notFound();
+  }
+
+  try {
+    const cacheManager = new CacheManager(env.RSS_CACHE || null);
+    const dataAggregator = new DataAggregator(new APIFetcher(CONFIG.API_BASE_URL), cacheManager);
+    const jobs = await loadAggregatedJobs(cacheManager, dataAggregator, CONFIG);
+    const job = jobs.find(candidate => String(candidate.id) === jobId) || await dataAggregator.aggregateSingleJob(jobId);
+
+    if (!job) {
+      return notFound();
+    }
+
+    const generator = new OGImageGenerator(CONFIG);
+    const now = Date.now();
+    const svg = generator.generateSVG(job, now);
+
+    if (format === 'png') {
+      const cacheKey = `${jobId}_${simpleHash(svg)}`;
+      const cached = await cacheManager.get(cacheKey, 'og_image');
+      const png = cached ? base64ToBytes(cached) : await generator.generatePNG(job, now);
+      if (!cached) {
+        await cacheManager.set(cacheKey, bytesToBase64(png), 'og_image');
+      }
+
+      return new Response(png, {
+        headers: {
+          'Content-Type': 'image/png',
+          'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`
+        }
+      });
+    }
+
+    return new Response(svg, {
+      headers: {
+        'Content-Type': 'image/svg+xml; charset=utf-8',
+        'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+        // The card is opened directly by browsers too; it never needs scripts
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'"
+      }
+    });
+  } catch (error) {
+    logger.error('OG image generation failed', { jobId, error: error.message });
+    return handleError(error, 500);
+  }
+}
+
+/**
+ * Handle the feed builder landing page
+ * Dropdowns come from the cached job snapshot only, so the page never triggers an aggregation run
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Response>} - HTML page
+ */
+async function handleLandingPage(request, env, CONFIG) {
+  const url = new URL(request.url);
+  const cacheManager = new CacheManager(env.RSS_CACHE || null);
+  const cachedJobs = await cacheManager.get('aggregated_jobs', 'aggregated_jobs');
+  const jobs = selectOpenJobs(Array.isArray(cachedJobs) ? cachedJobs : []);
+
+  const language = resolveLanguage(request);
+  const html = new LandingPageGenerator(CONFIG, language).generatePage(jobs, { searchParams: url.searchParams });
+
+  return new Response(html, {
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+      ...getLanguageHeaders(language)
+    }
+  });
+}
+
+/**
+ * Handle the OPML export (/opml)
+ * `groups=province,industry` picks groups, `format=atom|json` the feed format, and the usual
+ * feed filters narrow the jobs (e.g. /opml?groups=industry&province=Jawa Barat lists
+ * every industry feed within Jawa Barat)
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Response>} - OPML 2.0 document
+ */
+async function handleOPML(request, env, CONFIG) {
+  const url = new URL(request.url);
+  const filters = parseJobFilters(url.searchParams);
+  const requestedGroups = (url.searchParams.get('groups') || '')
+    .split(',')
+    .map(group => group.trim().toLowerCase())
+    .filter(group => OPML_GROUPS.includes(group));
+  const format = ['atom', 'json'].includes(url.searchParams.get('format')) ? url.searchParams.get('format') : 'rss';
+
+  try {
+    const cacheManager = new CacheManager(env.RSS_CACHE || null);
+    const dataAggregator = new DataAggregator(new APIFetcher(CONFIG.API_BASE_URL), cacheManager);
+    const jobs = applyJobFilters(selectOpenJobs(await loadAggregatedJobs(cacheManager, dataAggregator, CONFIG)), filters);
+
+    const opml = new OPMLGenerator(CONFIG).generateOPML(jobs, {
+      groups: requestedGroups.length > 0 ? OPML_GROUPS.filter(group => requestedGroups.includes(group)) : OPML_GROUPS,
+      format,
+      filters,
+      searchParams: url.searchParams
+    });
+
+    return new Response(opml, {
+      headers: {
+        'Content-Type': 'text/x-opml; charset=utf-8',
+        'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`
+      }
+    });
+  } catch (error) {
+    logger.error('OPML generation failed', { error: error.message });
+    return handleError(error, 500);
+  }
+}
+
+/**
+ * Handle the sitemap (/sitemap.xml) and its child sitemaps (/sitemap-N.xml)
+ * Served from the documents the cron prebuilds; a miss rebuilds them from the job snapshot
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @param {string} name - 'main' for /sitemap.xml, the page number for child sitemaps
+ * @returns {Promise<Response>} - Sitemap XML (404 for unknown child sitemaps)
+ */
+async function handleSitemap(env, CONFIG, name = 'main') {
+  try {
+    const cacheManager = new CacheManager(env.RSS_CACHE || null);
+    let xml = await cacheManager.get(`sitemap_${name}`, 'sitemap');
+
+    if (!xml) {
+      const dataAggregator = new DataAggregator(new APIFetcher(CONFIG.API_BASE_URL), cacheManager);
+      const jobs = selectOpenJobs(await loadAggregatedJobs(cacheManager, dataAggregator, CONFIG));
+      const documents = new SitemapGenerator(CONFIG).generateAll(jobs);
+
+      for (const [documentName, documentXML] of Object.entries(documents)) {
+        await cacheManager.set(`sitemap_${documentName}`, documentXML, 'sitemap');
+      }
+      xml = documents[name];
+    }
+
+    if (!xml) {
+      return new Response('Sitemap not found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+    }
+
+    return new Response(xml, {
+      headers: {
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`
+      }
+    });
+  } catch (error) {
+    logger.error('Sitemap generation failed', { name, error: error.message });
+    return handleError(error, 500);
+  }
+}
+
+/**
+ * Handle robots.txt
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Response} - robots.txt pointing crawlers at the sitemap
+ */
+function handleRobotsTxt(CONFIG) {
+  return new Response(new SitemapGenerator(CONFIG).generateRobotsTxt(), {
+    headers: {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': 'public, max-age=86400'
+    }
+  });
+}
+
+/**
+ * Handle full-text job search (/search?q=operator produksi&city=Bekasi)
+ * Runs against the stored search index; only a missing index falls back to the job snapshot
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Response>} - Ranked JSON results, or RSS with format=rss
+ */
+async function handleSearch(request, env, CONFIG) {
+  const url = new URL(request.url);
+  const query = (url.searchParams.get('q') || '').trim();
+  const format = url.searchParams.get('format') === 'rss' ? 'rss' : 'json';
+  const language = resolveLanguage(request);
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 20, 1), 100);
+  const filters = parseJobFilters(url.searchParams);
+
+  if (!query) {
+    return handleError(new Error('Missing "q" parameter'), 400);
+  }
+
+  const cacheManager = new CacheManager(env.RSS_CACHE || null);
+  const dataAggregator = new DataAggregator(new APIFetcher(CONFIG.API_BASE_URL), cacheManager);
+  const searchIndex = new SearchIndex(cacheManager);
+
+  if (!await searchIndex.load()) {
+    await searchIndex.rebuild(await loadAggregatedJobs(cacheManager, dataAggregator, CONFIG));
+  }
+
+  const { terms, total, results } = searchIndex.search(query, { filters, limit });
+
+  if (format === 'rss') {
+    // RSS items need the full enriched jobs, which the snapshot still holds
+    const jobsById = new Map((await loadAggregatedJobs(cacheManager, dataAggregator, CONFIG)).map(job => [job.id, job]));
+    const jobs = await localizeJobs(results.map(result => jobsById.get(result.id)).filter(Boolean), dataAggregator, language);
+    const baseUrl = new URL(CONFIG.BASE_URL).origin;
+    const feedQuery = new URLSearchParams({ q: query, format: 'rss' });
+    const filterQuery = serializeJobFilters(filters);
+    const channel = getChannelText(CONFIG, language);
+
+    const rssXML = new RSSGenerator(language).generateRSS(jobs, {
+      title: translate(language, 'feed.search.title', { query, site: channel.title }),
+      description: channel.description,
+      feedUrl: withLanguageParam(`${baseUrl}/search?${feedQuery}${filterQuery ? `&${filterQuery}` : ''}`, language),
+      hubUrl: null
+    });
+
+    return new Response(rssXML, {
+      headers: {
+        'Content-Type': 'application/rss+xml; charset=utf-8',
+        'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`,
+        'X-Job-Count': jobs.length.toString(),
+        ...getLanguageHeaders(language)
+      }
+    });
+  }
+
+  return new Response(JSON.stringify({
+    query,
+    terms,
+    filters: serializeJobFilters(filters) || null,
+    total,
+    results,
+    index_built_at: searchIndex.index?.builtAt || null,
+    generated_at: new Date().toISOString()
+  }, null, 2), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': `public, max-age=${CONFIG.CACHE_TTL}`
+    }
+  });
+}
+
+/**
+ * Handle health check requests
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Response>} - Health check response
+ */
+async function handleHealthCheck(env, CONFIG) {
+  try {
+    // Initialize components with environment bindings
+    const cacheManager = new CacheManager(env.RSS_CACHE || null);
+    const apiFetcher = new APIFetcher(CONFIG.API_BASE_URL);
+
+    // Check API connectivity
+    const apiStartTime = Date.now();
+    const apiTest = await apiFetcher.fetchJobListings(1, 1);
+    const apiResponseTime = Date.now() - apiStartTime;
+
+    // Check cache functionality
+    const cacheTest = await cacheManager.healthCheck();
+
+    const health = {
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      version: CONFIG.VERSION,
+      environment: CONFIG.ENVIRONMENT,
+      uptime: 0, // Worker uptime not available in this context
+      services: {
+        api: {
+          status: apiTest.code === 200 ? 'healthy' : 'unhealthy',
+          responseTime: `${apiResponseTime}ms`,
+          lastCheck: new Date().toISOString()
+        },
+        cache: {
+          status: cacheTest.healthy ? 'healthy' : 'unhealthy',
+          ...cacheTest
+        }
+      },
+      endpoints: {
+        rss: `${new URL(CONFIG.BASE_URL).origin}/rss`,
+        json: `${new URL(CONFIG.BASE_URL).origin}/json`,
+        health: `${new URL(CONFIG.BASE_URL).origin}/health`,
+        stats: `${new URL(CONFIG.BASE_URL).origin}/stats`
+      }
+    };
+
+    return new Response(JSON.stringify(health, null, 2), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-cache'
+      }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      status: 'unhealthy',
+      timestamp: new Date().toISOString(),
+      error: error.message
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Handle job change (delta) requests
+ * Lets downstream consumers fetch only jobs that are new, updated or removed since a given time
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Response>} - Changes response
+ */
+async function handleChanges(request, env, CONFIG) {
+  const url = new URL(request.url);
+  const sinceParam = url.searchParams.get('since');
+  // Default to the last 24 hours
+  const since = sinceParam ? new Date(sinceParam) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  if (isNaN(since.getTime())) {
+    return handleError(new Error('Invalid "since" parameter, expected an ISO 8601 date'), 400);
+  }
+
+  const jobIndex = new JobIndex(env.RSS_CACHE || null);
+  const changes = await jobIndex.getChanges(since);
+
+  return new Response(JSON.stringify({
+    ...changes,
+    counts: {
+      new: changes.new.length,
+      updated: changes.updated.length,
+      removed: changes.removed.length,
+      leftWindow: changes.leftWindow.length
+    }
+  }, null, 2), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'public, max-age=60'
+    }
+  });
+}
+
+/**
+ * Handle authenticated admin requests
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings, secrets)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Response>} - Admin response
+ */
+async function handleAdminRequest(request, env, CONFIG) {
+  const auth = await authorizeAdminRequest(request, env);
+  if (!auth.authorized) {
+    logger.warn('Unauthorized admin request', { path: new URL(request.url).pathname, reason: auth.error });
+    return createUnauthorizedResponse(auth.error);
+  }
+
+  const url = new URL(request.url);
+  const segments = url.pathname.split('/').filter(Boolean); // ['admin', ...]
+
+  logger.info('Admin request', { method: request.method, path: url.pathname, auth: auth.method });
+
+  try {
+    switch (segments[1]) {
+      case undefined:
+        return createAdminResponse({
+          success: true,
+          routes: [
+            'GET    /admin/cache?type=&limit=&cursor=  - list cache entries with age and TTL',
+            'GET    /admin/cache?type=&key=            - inspect a single cache entry',
+            'DELETE /admin/cache?type=[&key=]          - clear a cache type or a single key',
+            'DELETE /admin/cache?all=true              - clear every cache entry (persistent data is kept)',
+            'POST   /admin/rebuild                     - force a feed rebuild',
+            'GET    /admin/config                      - view the current configuration',
+            'GET    /admin/webhooks                    - webhook subscribers (see README)',
+            'GET    /admin/templates                   - social media templates (see README)'
+          ]
+        });
+
+      case 'cache':
+        return await handleAdminCache(request, env, CONFIG);
+
+      case 'rebuild':
+        if (request.method !== 'POST') {
+          return createAdminResponse({ success: false, error: 'Use POST to force a rebuild' }, 405);
+        }
+        return createAdminResponse({ success: true, rebuild: await handleScheduled({ cron: 'admin' }, env) });
+
+      case 'config':
+        return createAdminResponse({
+          success: true,
+          config: CONFIG,
+          bindings: {
+            RSS_CACHE: !!env.RSS_CACHE,
+            RSS_ANALYTICS: !!env.RSS_ANALYTICS,
+            RATE_LIMITER: !!env.RATE_LIMITER
+          }
+        });
+
+      case 'webhooks':
+        return await handleAdminWebhooks(request, env, CONFIG, segments.slice(2));
+
+      case 'templates':
+        return await handleAdminTemplates(request, env, CONFIG, segments.slice(2));
+    }
+
+    return createAdminResponse({ success: false, error: `Unknown admin route: ${url.pathname}` }, 404);
+
+  } catch (error) {
+    logger.error('Admin request failed', { path: url.pathname, error: error.message });
+    return createAdminResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+/**
+ * Handle cache admin routes
+ *   GET    /admin/cache?type=&limit=&cursor=  - list entries with age and TTL
+ *   GET    /admin/cache?type=&key=            - inspect one entry
+ *   DELETE /admin/cache?type=[&key=]          - clear a type or a single key
+ *   DELETE /admin/cache?all=true              - clear every cache entry
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings, secrets)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Response>} - Admin response
+ */
+async function handleAdminCache(request, env, CONFIG) {
+  const url = new URL(request.url);
+  const type = url.searchParams.get('type');
+  const key = url.searchParams.get('key');
+  const cacheManager = new CacheManager(env.RSS_CACHE || null);
+
+  if (!cacheManager.kvStore) {
+    return createAdminResponse({ success: false, error: 'KV binding RSS_CACHE is not available' }, 503);
+  }
+
+  if (type && PERSISTENT_KEY_TYPES.includes(type)) {
+    return createAdminResponse({ success: false, error: `"${type}" is persistent data, not cache` }, 400);
+  }
+
+  if (key && !type) {
+    return createAdminResponse({ success: false, error: 'A "type" is required together with "key"' }, 400);
+  }
+
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    if (key) {
+      const entry = await cacheManager.inspectEntry(key, type);
+      return entry
+        ? createAdminResponse({ success: true, entry })
+        : createAdminResponse({ success: false, error: `Cache entry ${type}:${key} not found` }, 404);
+    }
+
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 100, 1000);
+    const listing = await cacheManager.listEntries(type, { limit, cursor: url.searchParams.get('cursor') || undefined });
+    return createAdminResponse({ success: true, type: type || 'all', ...listing });
+  }
+
+  if (request.method === 'DELETE') {
+    if (key) {
+      const entry = await cacheManager.inspectEntry(key, type);
+      if (!entry) {
+        return createAdminResponse({ success: false, error: `Cache entry ${type}:${key} not found` }, 404);
+      }
+
+      await cacheManager.delete(key, type);
+      logger.info('Admin cleared cache key', { type, key });
+      return createAdminResponse({ success: true, cleared: { type, key } });
+    }
+
+    if (type) {
+      const cleared = await cacheManager.clear(type);
+      logger.info('Admin cleared cache type', { type, cleared });
+      return createAdminResponse({ success: cleared, cleared: { type } }, cleared ? 200 : 500);
+    }
+
+    if (url.searchParams.get('all') === 'true') {
+      const cleared = await cacheManager.clear();
+      logger.info('Admin cleared all cache entries', { cleared });
+      return createAdminResponse({ success: cleared, cleared: { type: 'all' } }, cleared ? 200 : 500);
+    }
+
+    return createAdminResponse({ success: false, error: 'Specify "type", "type" and "key", or "all=true"' }, 400);
+  }
+
+  return createAdminResponse({ success: false, error: 'Unsupported cache admin method' }, 405);
+}
+
+/**
+ * Handle webhook subscription admin routes
+ *   GET    /admin/webhooks                  - list subscribers
+ *   POST   /admin/webhooks                  - register {url, filters, secret?}
+ *   DELETE /admin/webhooks/:id              - remove a subscriber
+ *   GET    /admin/webhooks/:id/deliveries   - delivery log for a subscriber
+ *   GET    /admin/webhooks/dead-letter      - failed deliveries
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings, secrets)
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array<string>} segments - Path segments after /admin/webhooks
+ * @returns {Promise<Response>} - Admin response
+ */
+async function handleAdminWebhooks(request, env, CONFIG, segments) {
+  const webhookManager = new WebhookManager(env.RSS_CACHE || null);
+  const [id, action] = segments;
+
+  if (!id) {
+    if (request.method === 'POST') {
+      let body;
+      try {
+        body = await request.json();
+      } catch (error) {
+        return createAdminResponse({ success: false, error: 'Request body must be JSON' }, 400);
+      }
+
+      try {
+        const subscriber = await webhookManager.addSubscriber(body, {
+          allowHttp: CONFIG.ENVIRONMENT === 'development'
+        });
+
+        // The secret is only returned once, at registration
+        return createAdminResponse({ success: true, subscriber }, 201);
+      } catch (error) {
+        return createAdminResponse({ success: false, error: error.message }, 400);
+      }
+    }
+
+    if (request.method === 'GET' || request.method === 'HEAD') {
+      return createAdminResponse({ success: true, subscribers: await webhookManager.listSubscribers() });
+    }
+  } else if (id === 'dead-letter' && !action && request.method === 'GET') {
+    return createAdminResponse({ success: true, dead_letter: await webhookManager.getDeadLetters() });
+  } else if (action === 'deliveries' && request.method === 'GET') {
+    return createAdminResponse({ success: true, subscriber_id: id, deliveries: await webhookManager.getDeliveryLog(id) });
+  } else if (!action && request.method === 'DELETE') {
+    const removed = await webhookManager.removeSubscriber(id);
+    return removed
+      ? createAdminResponse({ success: true, removed: id })
+      : createAdminResponse({ success: false, error: `Subscriber ${id} not found` }, 404);
+  }
+
+  return createAdminResponse({ success: false, error: 'Unsupported webhook admin route or method' }, 405);
+}
+
+/**
+ * Handle social media template admin routes
+ *   GET    /admin/templates                    - effective template per platform
+ *   POST   /admin/templates/:platform          - override {template, maxLength?, threadPosts? (twitter)}
+ *   DELETE /admin/templates/:platform          - restore the default template
+ *   POST   /admin/templates/:platform/preview  - render {template?, maxLength?, threadPosts?} for a cached job (?job=<id>)
+ * Overrides apply from the next aggregation run; cached feeds keep their rendered posts until then
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables (KV, D1 bindings, secrets)
+ * @param {Object} CONFIG - Configuration object
+ * @param {Array<string>} segments - Path segments after /admin/templates
+ * @returns {Promise<Response>} - Admin response
+ */
+async function handleAdminTemplates(request, env, CONFIG, segments) {
+  const templateStore = new SocialTemplateStore(env.RSS_CACHE || null);
+  const [platform, action] = segments;
+
+  // Templates are stored per language; ?lang= picks one (Indonesian by default)
+  const requestedLanguage = new URL(request.url).searchParams.get('lang');
+  const language = requestedLanguage ? normalizeLanguage(requestedLanguage) : DEFAULT_LANGUAGE;
+  if (!language) {
+    return createAdminResponse({ success: false, error: `Unknown language "${requestedLanguage}". Supported: ${SUPPORTED_LANGUAGES.join(', ')}` }, 400);
+  }
+
+  const readBody = async () => {
+    try {
+      return await request.json();
+    } catch (error) {
+      return null;
+    }
+  };
+
+  if (!platform && (request.method === 'GET' || request.method === 'HEAD')) {
+    return createAdminResponse({ success: true, language, templates: await templateStore.getTemplates(language) });
+  }
+
+  if (platform && !action && request.method === 'POST') {
+    const body = await readBody();
+    if (!body) {
+      return createAdminResponse({ success: false, error: 'Request body must be JSON' }, 400);
+    }
+
+    try {
+      return createAdminResponse({ success: true, platform, language, template: await templateStore.setTemplate(platform, body, language) });
+    } catch (error) {
+      return createAdminResponse({ success: false, error: error.message }, 400);
+    }
+  }
+
+  if (platform && !action && request.method === 'DELETE') {
+    return await templateStore.resetTemplate(platform, language)
+      ? createAdminResponse({ success: true, reset: platform, language })
+      : createAdminResponse({ success: false, error: `No ${language} override stored for ${platform}` }, 404);
+  }
+
+  if (platform && action === 'preview' && request.method === 'POST') {
+    const templates = await templateStore.getTemplates(language);
+    if (!templates[platform]) {
+      return createAdminResponse({ success: false, error: `Unknown platform "${platform}"` }, 404);
+    }
+
+    const body = await readBody() || {};
+    const template = body.template || templates[platform].template;
+    const problems = validateTemplate(template);
+    if (problems.length > 0) {
+      return createAdminResponse({ success: false, error: `Invalid template: ${problems.join('; ')}` }, 400);
+    }
+
+    const cacheManager = new CacheManager(env.RSS_CACHE || null);
+    const dataAggregator = new DataAggregator(new APIFetcher(CONFIG.API_BASE_URL), cacheManager, null, language);
+    const jobs = await cacheManager.get('aggregated_jobs', 'aggregated_jobs') || [];
+    const jobId = new URL(request.url).searchParams.get('job');
+    const job = jobId ? jobs.find(candidate => String(candidate.id) === jobId) : jobs[0];
+    if (!job) {
+      return createAdminResponse({ success: false, error: jobId ? `Job ${jobId} is not in the cached snapshot` : 'No cached jobs to preview with' }, 404);
+    }
+
+    dataAggregator.socialTemplates = {
+      ...templates,
+      [platform]: {
+        ...templates[platform],
+        template,
+        maxLength: parseInt(body.maxLength, 10) || templates[platform].maxLength,
+        ...(body.threadPosts !== undefined ? { threadPosts: parseInt(body.threadPosts, 10) } : {})
+      }
+    };
+    const values = dataAggregator.buildSocialTemplateValues(job, job.detail);
+    const content = dataAggregator.renderSocialContent(platform, values);
+
+    // Tweets are measured the way X counts them
+    if (platform === 'twitter') {
+      const thread = dataAggregator.renderTwitterThread(values);
+      return createAdminResponse({ success: true, platform, language, job_id: job.id, length: getTweetLength(content), content, ...(thread ? { thread } : {}) });
+    }
+
+    return createAdminResponse({ success: true, platform, language, job_id: job.id, length: content.length, content });
+  }
+
+  return createAdminResponse({ success: false, error: 'Unsupported template admin route or method' }, 405);
+}
+
+/**
+ * Create a JSON admin response
+ * @param {Object} body - Response body
+ * @param {number} status - HTTP status
+ * @returns {Response} - Admin response
+ */
+function createAdminResponse(body, status = 200) {
+  return new Response(JSON.stringify({ ...body, timestamp: new Date().toISOString() }, null, 2), {
+    status,
+    headers: getResponseHeaders('admin')
+  });
+}
+
+/**
+ * Handle statistics requests
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Response>} - Statistics response
+ */
+async function handleStats(env, CONFIG) {
+  try {
+    // Check if analytics binding is available
+    if (!env.RSS_ANALYTICS) {
+      return new Response(JSON.stringify({
+        error: 'Analytics unavailable',
+        message: 'RSS_ANALYTICS binding not found'
+      }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const analytics = new Analytics(env.RSS_ANALYTICS, env.RSS_CACHE || null);
+    const stats = await analytics.getStats();
+
+    return new Response(JSON.stringify(stats, null, 2), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=300' // 5 minutes
+      }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Stats unavailable',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Generate error RSS feed
+ * @param {Error} error - The error that occurred
+ * @param {Object} CONFIG - Configuration object
+ * @param {string} language - Feed language
+ * @returns {string} - Error RSS XML
+ */
+function generateErrorRSS(error, CONFIG, language = DEFAULT_LANGUAGE) {
+  const currentDate = new Date().toUTCString();
+  const site = escapeErrorFeedText(getChannelText(CONFIG, language).title);
+  const message = escapeErrorFeedText(error.message);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${translate(language, 'feed.error.title', { site })}</title>
+    <description>${translate(language, 'feed.error.description', { format: 'RSS' })}</description>
+    <link>${CONFIG.BASE_URL}</link>
+    <language>${language}</language>
+    <lastBuildDate>${currentDate}</lastBuildDate>
+    <generator>${CONFIG.RSS_GENERATOR}</generator>
+    <item>
+      <title>${translate(language, 'feed.error.itemTitle')}</title>
+      <description>${translate(language, 'feed.error.itemDescription', { format: 'RSS', message })}</description>
+      <pubDate>${currentDate}</pubDate>
+      <guid isPermaLink="false">error-${Date.now()}</guid>
+    </item>
+  </channel>
+</rss>`;
+}
+
+/**
+ * Escape text for the error feeds
+ * Error messages can carry upstream API text, so they are never trusted as markup
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeErrorFeedText(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Generate error Atom feed
+ * @param {Error} error - The error that occurred
+ * @param {Object} CONFIG - Configuration object
+ * @param {string} language - Feed language
+ * @returns {string} - Error Atom XML
+ */
+function generateErrorAtom(error, CONFIG, language = DEFAULT_LANGUAGE) {
+  const currentDate = new Date().toISOString();
+  const site = escapeErrorFeedText(getChannelText(CONFIG, language).title);
+  const message = escapeErrorFeedText(error.message);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${language}">
+  <id>${CONFIG.BASE_URL}/atom</id>
+  <title>${translate(language, 'feed.error.title', { site })}</title>
+  <subtitle>${translate(language, 'feed.error.description', { format: 'Atom' })}</subtitle>
+  <updated>${currentDate}</updated>
+  <link rel="alternate" type="text/html" href="${CONFIG.BASE_URL}" />
+  <author>
+    <name>${site}</name>
+  </author>
+  <generator>${CONFIG.RSS_GENERATOR}</generator>
+  <entry>
+    <id>urn:karirhub:error:${Date.now()}</id>
+    <title>${translate(language, 'feed.error.itemTitle')}</title>
+    <updated>${currentDate}</updated>
+    <summary>${translate(language, 'feed.error.itemDescription', { format: 'Atom', message })}</summary>
+  </entry>
+</feed>`;
+}
+
+/**
+ * Generate JSON feed
+ * @param {Array} jobs - Array of job objects
+ * @param {Object} CONFIG - Configuration object
+ * @param {Object} options - Feed overrides (title, description, feedUrl, hubUrl, imageUrl, language)
+ * @returns {Object} - JSON feed object
+ */
+function generateJSONFeed(jobs, CONFIG, options = {}) {
+  const language = options.language || DEFAULT_LANGUAGE;
+
   return {
     version: "https://jsonfeed.org/version/1.1",
-    title: CONFIG.RSS_TITLE,
-    description: CONFIG.RSS_DESCRIPTION,
+    title: options.title || CONFIG.RSS_TITLE,
+    description: options.description || CONFIG.RSS_DESCRIPTION,
     home_page_url: CONFIG.BASE_URL,
-    feed_url: `${CONFIG.BASE_URL}/json`,
-    language: CONFIG.RSS_LANGUAGE,
+    feed_url: options.feedUrl || `${CONFIG.BASE_URL}/json`,
+    language,
+    ...(options.imageUrl ? { icon: options.imageUrl } : {}),
+    ...(options.hubUrl ? { hubs: [{ type: 'WebSub', url: options.hubUrl }] } : {}),
     items: jobs.map(job => ({
       id: job.id,
-      url: `${CONFIG.API_BASE_URL}/vacancies/${job.id}`,
+      url: buildJobPageUrl(job.id, CONFIG.BASE_URL),
+      external_url: job.frontend_url || `${CONFIG.KARIRHUB_BASE_URL}/lowongan-dalam-negeri/lowongan/${job.id}`,
       title: job.title,
-      content_html: job.detail?.description || '',
+      content_html: (job.detail?.description || '') + (job.company_profile_html || ''),
       summary: `${job.company_name} - ${job.city_name}`,
-      date_published: job.created_at,
-      date_modified: job.updated_at || job.created_at,
+      date_published: job.first_seen_at || job.created_at,
+      date_modified: job.last_changed_at || job.updated_at || job.created_at,
       author: {
-        name: job.company_name
+        name: job.company_name,
+        ...(job.employer?.website ? { url: job.employer.website } : {}),
+        ...(job.employer?.logo ? { avatar: job.employer.logo } : {})
       },
       tags: [
         job.industry_name,
         job.city_name,
         job.job_function_name
       ].filter(Boolean),
+      ...(job.employer ? {
+        _company: {
+          name: job.employer.name || job.company_name,
+          size: job.employer.size,
+          address: job.employer.address,
+          website: job.employer.website,
+          description: job.employer.description,
+          logo: job.employer.logo
+        }
+      } : {}),
+      _salary: {
+        ...getJobSalary(job),
+        display: formatSalary(getJobSalary(job), null, language)
+      },
       _social: {
-        title: `🔥 Lowongan ${job.title} di ${job.company_name} - ${job.city_name}`,
-        description: `${job.salary_range || 'Gaji nego'} • ${job.detail?.job_type ? formatJobType(job.detail.job_type) : 'Full-time'} • ${job.industry_name}`,
+        title: translate(language, 'social.title', { title: job.title, company: job.company_name, location: job.city_name }),
+        description: `${job.salary_range || translate(language, 'salary.competitive')} • ${job.detail?.job_type ? formatJobType(job.detail.job_type) : translate(language, 'job.defaultType')} • ${job.industry_name}`,
         hashtags: `#lowongankerja #karir #loker #${job.city_name?.toLowerCase().replace(/\s+/g, '')} #${job.industry_name?.toLowerCase().replace(/\s+/g, '')}`
       }
     }))
   };
 }
 
+/**
+ * Build the main RSS, Atom and JSON feed cache entries of one language
+ * @param {Array} openJobs - Open jobs from the Indonesian snapshot
+ * @param {DataAggregator} dataAggregator - Data aggregator instance
+ * @param {Object} CONFIG - Configuration object
+ * @param {string} language - Feed language
+ * @param {number} ttl - Cache TTL (seconds)
+ * @returns {Promise<Array>} - Cache entries
+ */
+async function buildMainFeedEntries(openJobs, dataAggregator, CONFIG, language, ttl) {
+  const feed = { filters: {}, sort: null, closingSoonDays: null, language };
+  const jobs = await localizeJobs(openJobs.slice(0, CONFIG.MAX_JOBS_PER_FEED), dataAggregator, language);
+  const rssKey = buildFeedCacheKey('rss_feed', feed);
+  const atomKey = buildFeedCacheKey('atom_feed', feed);
+  const jsonKey = buildFeedCacheKey('json_feed', feed);
+
+  const feeds = [
+    { key: rssKey, data: new RSSGenerator(language).generateRSS(jobs, buildFeedOptions('/rss', feed, null, CONFIG)), type: 'rss' },
+    { key: atomKey, data: new AtomGenerator(language).generateAtom(jobs, buildFeedOptions('/atom', feed, null, CONFIG)), type: 'atom' },
+    { key: jsonKey, data: generateJSONFeed(jobs, CONFIG, buildFeedOptions('/json', feed, null, CONFIG)), type: 'json' }
+  ];
+
+  // The replaced feeds' validators keep Last-Modified stable for unchanged feeds
+  const entries = [];
+  for (const entry of feeds) {
+    const meta = await buildFeedValidators(jobs, entry.key, await loadPreviousValidators(dataAggregator.cacheManager, entry.key, entry.type));
+    entries.push({ ...entry, ttl, meta }, { key: entry.key, data: meta, type: 'feed_validators', ttl: CACHE_STRATEGY.feed_validators });
+  }
+
+  return entries;
+}
+
+/**
+ * Build ready-to-serve feed cache entries
+ * Aggregates jobs once and renders every feed format, in every language, from the same data
+ * @param {DataAggregator} dataAggregator - Data aggregator instance
+ * @param {Object} CONFIG - Configuration object
+ * @returns {Promise<Object>} - {entries, summary} for CacheManager.warmUp
+ */
+async function buildFeedCacheEntries(dataAggregator, CONFIG) {
+  const jobs = await dataAggregator.aggregateJobData(CONFIG.SNAPSHOT_MAX_JOBS);
+
+  // Like loadAggregatedJobs(): an empty run (API down or degraded) must not replace
+  // the snapshot, search index, feeds and sitemaps readers are being served from
+  if (jobs.length === 0) {
+    throw new Error('Aggregation returned no jobs; keeping the cached feeds');
+  }
+
+  await queueNewJobDeliveries(dataAggregator.cacheManager, jobs, CONFIG);
+
+  // The snapshot keeps every job; feeds only show vacancies that are still open
+  const openJobs = selectOpenJobs(jobs);
+  const sitemaps = new SitemapGenerator(CONFIG).generateAll(openJobs);
+  const ttl = CACHE_STRATEGY.scheduled_feed;
+
+  const feedEntries = [];
+  for (const language of SUPPORTED_LANGUAGES) {
+    feedEntries.push(...await buildMainFeedEntries(openJobs, dataAggregator, CONFIG, language, ttl));
+  }
+
+  return {
+    entries: [
+      // Filtered feeds are rendered on demand from this snapshot
+      { key: 'aggregated_jobs', data: jobs, type: 'aggregated_jobs', ttl },
+      { key: 'jobs', data: new SearchIndex().buildIndex(jobs), type: 'search_index', ttl },
+      ...feedEntries,
+      ...Object.entries(sitemaps).map(([name, xml]) => ({ key: `sitemap_${name}`, data: xml, type: 'sitemap', ttl }))
+    ],
+    summary: {
+      jobsFetched: dataAggregator.lastRun?.listingsFetched || 0,
+      jobsPublished: jobs.length,
+      enrichFailures: dataAggregator.lastRun?.enrichFailures || 0,
+      employersFetched: dataAggregator.lastRun?.employersFetched || 0,
+      changes: dataAggregator.lastRun?.changes || null
+    }
+  };
+}
+
+/**
+ * Handle scheduled (cron) events
+ * Pre-builds every feed so user requests never wait on the KarirHub API
+ * @param {ScheduledEvent} event - The scheduled event
+ * @param {Object} env - Environment variables (KV, D1 bindings)
+ * @returns {Promise<Object>} - Run summary
+ */
+async function handleScheduled(event, env) {
+  const startTime = Date.now();
+  const CONFIG = getConfig(env);
+
+  const cacheManager = new CacheManager(env.RSS_CACHE || null);
+  const apiFetcher = new APIFetcher(CONFIG.API_BASE_URL);
+  const dataAggregator = new DataAggregator(apiFetcher, cacheManager);
+
+  const result = await cacheManager.warmUp(() => buildFeedCacheEntries(dataAggregator, CONFIG));
+
+  // Tell the WebSub hub the main feeds changed so subscribed readers refetch right away
+  let websub = null;
+  if (result.jobListings?.changes?.new > 0) {
+    const topics = SUPPORTED_LANGUAGES.flatMap(language => ['/rss', '/atom', '/json']
+      .map(path => buildFeedOptions(path, { language }, null, CONFIG).feedUrl));
+    websub = await new WebSubPublisher(CONFIG.WEBSUB_HUB_URL, apiFetcher).publish(topics);
+  }
+
+  // Push jobs first seen by this (or any earlier on-demand) aggregation to subscribers
+  let webhooks = null;
+  try {
+    webhooks = await new WebhookManager(env.RSS_CACHE || null, apiFetcher).deliverPending();
+  } catch (error) {
+    logger.error('Webhook delivery failed', { error: error.message });
+  }
+
+  // Post new jobs to the configured Telegram channels (throttled, at most once per job and channel)
+  let telegram = null;
+  try {
+    telegram = await new TelegramPublisher(env.RSS_CACHE || null, env.TELEGRAM_BOT_TOKEN, CONFIG, apiFetcher).deliverPending();
+  } catch (error) {
+    logger.error('Telegram publishing failed', { error: error.message });
+  }
+
+  const summary = {
+    cron: event?.cron || 'manual',
+    success: result.success,
+    jobsFetched: result.jobListings?.jobsFetched || 0,
+    jobsPublished: result.jobListings?.jobsPublished || 0,
+    enrichFailures: result.jobListings?.enrichFailures || 0,
+    employersFetched: result.jobListings?.employersFetched || 0,
+    changes: result.jobListings?.changes || null,
+    webhooks,
+    telegram,
+    websub,
+    cachedKeys: result.jobListings?.cachedKeys || [],
+    duration: Date.now() - startTime
+  };
+
+  if (summary.success) {
+    logger.info('Scheduled feed rebuild completed', summary);
+  } else {
+    logger.error('Scheduled feed rebuild failed', { ...summary, error: result.error });
+  }
+
+  return summary;
+}
+
+// Durable Object classes must be exported from the Worker entry point
+export { RateLimiterDurableObject } from './modules/rate-limiter.js';
 
 export default {
-  fetch: handleRequest
+  fetch(request, env, ctx) {
+    return runWithLogContext({ requestId: getRequestId(request), level: getConfig(env).LOG_LEVEL }, () => handleRequest(request, env));
+  },
+  scheduled(event, env, ctx) {
+    ctx.waitUntil(runWithLogContext({ level: getConfig(env).LOG_LEVEL, cron: event?.cron }, () => handleScheduled(event, env)));
+  }
 };
\ No newline at end of file
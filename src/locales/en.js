@@ -0,0 +1,203 @@
+/**
+ * English message catalog (for expat-facing partners)
+ * Same keys as locales/id.js; missing keys fall back to Indonesian.
+ */
+
+export default {
+  // Language metadata
+  'meta.locale': 'en-US',
+  'meta.name': 'English',
+
+  // Feed channels
+  'feed.title': 'Latest Job Vacancies - KarirHub Indonesia',
+  'feed.description': 'Official job vacancy feed from the Ministry of Manpower of Indonesia',
+  'feed.company.title': 'Jobs at {company}{extra} - KarirHub Indonesia',
+  'feed.company.description': 'Latest vacancies from {company} on KarirHub, Ministry of Manpower of Indonesia',
+  'feed.closingSoon.title': {
+    one: 'Vacancies Closing Within {count} Day{extra} - KarirHub Indonesia',
+    other: 'Vacancies Closing Within {count} Days{extra} - KarirHub Indonesia'
+  },
+  'feed.closingSoon.description': {
+    one: 'Vacancies whose applications close within the next day, nearest deadline first',
+    other: 'Vacancies whose applications close within the next {count} days, nearest deadline first'
+  },
+  'feed.search.title': 'Search Results for "{query}" - {site}',
+  'feed.companies.title': 'Company Directory - {site}',
+  'feed.error.title': '{site} - Service Unavailable',
+  'feed.error.description': '{format} feed temporarily unavailable. Please try again later.',
+  'feed.error.itemTitle': 'Service Temporarily Unavailable',
+  'feed.error.itemDescription': 'The {format} feed service is experiencing technical difficulties. Error: {message}',
+  'feed.jobNotFound': 'Vacancy not found',
+
+  // Filter labels used in filtered feed titles
+  'filter.city': 'City',
+  'filter.province': 'Province',
+  'filter.industry': 'Industry',
+  'filter.function': 'Function',
+  'filter.education': 'Education',
+  'filter.employer': 'Company',
+  'filter.min_salary': 'Min. salary',
+  'filter.max_salary': 'Max. salary',
+
+  // Salary
+  'salary.competitive': 'Competitive Salary',
+  'salary.from': 'From {amount}',
+  'salary.upTo': 'Up to {amount}',
+  'salary.period.hour': 'hour',
+  'salary.period.day': 'day',
+  'salary.period.week': 'week',
+  'salary.period.month': 'month',
+  'salary.period.year': 'year',
+  'salary.scale.miliar': 'billion',
+  'salary.scale.juta': 'million',
+  'salary.scale.ribu': 'thousand',
+
+  // Dates and deadlines
+  'date.unavailable': 'Date not available',
+  'date.invalid': 'Invalid date',
+  'deadline.unavailable': 'Deadline not available',
+  'deadline.invalid': 'Invalid deadline',
+  'deadline.passed': '{date} (Deadline has passed)',
+  'deadline.withDaysLeft': {
+    one: '{date} ({count} day left)',
+    other: '{date} ({count} days left)'
+  },
+  'deadline.daysLeft': {
+    one: '{count} day left',
+    other: '{count} days left'
+  },
+  'deadline.urgent': {
+    one: 'Deadline in {count} day!',
+    other: 'Deadline in {count} days!'
+  },
+  'deadline.soon': {
+    one: 'Deadline: {count} day left',
+    other: 'Deadline: {count} days left'
+  },
+
+  // Job facts
+  'job.unknownCompany': 'Unknown Company',
+  'job.unknownTitle': 'Unknown Job',
+  'job.defaultType': 'Full-time',
+  'job.general': 'General',
+  'job.locationUnknown': 'Location not specified',
+  'job.educationVarious': 'Any education level',
+  'age.range': '{min}-{max} years',
+  'age.min': '{min}+ years',
+  'age.max': 'Max. {max} years',
+  'age.years': {
+    one: '{count} year',
+    other: '{count} years'
+  },
+  'age.any': 'Any age',
+  'experience.freshGraduate': 'Fresh Graduates Welcome',
+  'experience.years': {
+    one: '{count}+ year of experience',
+    other: '{count}+ years of experience'
+  },
+  'experience.required': 'Experience required',
+  'inclusion.disabilityFriendly': 'Disability-Friendly',
+  'inclusion.equalOpportunity': 'Equal Opportunity',
+  'inclusion.genderNeutral': 'Gender Neutral',
+
+  // Requirements and benefits
+  'requirements.unavailable': 'Requirement details not available',
+  'requirements.incomplete': 'Requirement details incomplete',
+  'requirements.education': 'Education',
+  'requirements.maxAge': 'Maximum Age',
+  'requirements.gender': 'Gender',
+  'requirements.experience': 'Experience',
+  'requirements.list': 'Requirements',
+  'requirements.skills': 'Required Skills',
+  'benefits.unavailable': 'Benefit details not available',
+  'benefits.offered': 'Benefits Offered',
+  'benefits.label': 'Benefits',
+  'benefits.remote': 'Work From Home',
+  'benefits.inclusive': 'Inclusive Workplace',
+  'benefits.noExperience': 'No Experience Required',
+  'benefits.freshGraduateFriendly': 'Fresh Graduate Friendly',
+  // Item content
+  'content.company': 'Company',
+  'content.location': 'Location',
+  'content.jobType': 'Job Type',
+  'content.salary': 'Salary Range',
+  'content.description': 'Job Description',
+  'content.deadline': 'Application Deadline',
+  'content.industry': 'Industry',
+  'content.function': 'Function',
+  'content.socialMedia': 'For Social Media',
+  'content.source': 'Source: Ministry of Manpower of Indonesia - KarirHub',
+  'content.publishedOn': 'Published on {date}',
+  'content.vacancyPublishedOn': 'This vacancy was published on {date}',
+  'content.aboutCompany': 'About the Company',
+  'content.companyLogo': 'Company logo',
+  'content.employees': 'Employees',
+  'content.address': 'Address',
+  'content.website': 'Website',
+  'content.applyLink': 'Apply Link',
+  'content.share': 'Help a friend who is looking for this opportunity!',
+  'content.errorTitle': 'Error processing job: {title}',
+  'content.errorDescription': 'This job could not be processed due to an error: {error}',
+
+  // Social media
+  'social.title': '🔥 {title} at {company} - {location}',
+  'social.applyLine': '👉 Apply: {link}',
+
+  // Job pages (/lowongan/:id)
+  'page.job.metaTitle': '{title} at {company}',
+  'page.job.salary': 'Salary',
+  'page.job.minEducation': 'Min. education {education}',
+  'page.job.apply': 'Apply on KarirHub (Kemnaker)',
+  'page.job.descriptionFallback': 'The full description is available on the original vacancy page.',
+  'page.job.source': 'Source: {link}, Ministry of Manpower of the Republic of Indonesia. This page republishes vacancy data from KarirHub; applications are handled on KarirHub.',
+  'page.job.sourceLink': 'original vacancy on KarirHub',
+  'page.unavailable.title': 'Vacancy unavailable',
+  'page.unavailable.closed': 'Applications for this vacancy have closed.',
+  'page.unavailable.missing': 'This vacancy was not found or is no longer available.',
+  'page.unavailable.links': '{karirhub} or browse the {latest}.',
+  'page.unavailable.checkKarirHub': 'Check on KarirHub',
+  'page.unavailable.latest': 'latest vacancies',
+
+  // Feed builder landing page
+  'builder.title': '{site} - Feed Builder',
+  'builder.intro': 'Pick filters to build your own vacancy feed, then copy its URL into an RSS reader, Zapier or WordPress.',
+  'builder.emptyNotice': 'Vacancy data is being refreshed, so filter options are not available yet. Try reloading this page in a few minutes.',
+  'builder.all': 'All',
+  'builder.keyword': 'Keyword',
+  'builder.keywordPlaceholder': 'e.g. production operator',
+  'builder.feedUrl': 'Feed URL',
+  'builder.copy': 'Copy',
+  'builder.copied': 'Copied',
+  'builder.open': 'Open',
+  'builder.wordpressImport': 'Hourly, up to 10 posts',
+  'builder.preview': 'Preview',
+  'builder.previewNoScript': 'Enable JavaScript to preview vacancies.',
+  'builder.previewLoading': 'Loading preview...',
+  'builder.previewEmpty': 'No vacancies match these choices yet.',
+  'builder.previewCount': 'Showing {shown} of {total} vacancies.',
+  'builder.previewFailed': 'The preview could not be loaded. The feed URL still works.',
+  'builder.endpoints': 'Other Endpoints',
+  'builder.endpoint.rss.name': 'RSS Feed',
+  'builder.endpoint.rss.description': 'RSS 2.0',
+  'builder.endpoint.closingSoon.name': 'Closing Soon',
+  'builder.endpoint.closingSoon.description': 'Vacancies closing within 7 days (?days=N)',
+  'builder.endpoint.json.name': 'JSON Feed',
+  'builder.endpoint.json.description': 'JSON Feed 1.1',
+  'builder.endpoint.atom.name': 'Atom Feed',
+  'builder.endpoint.atom.description': 'Atom 1.0',
+  'builder.endpoint.changes.name': 'Changes',
+  'builder.endpoint.changes.description': 'New, changed and removed vacancies',
+  'builder.endpoint.search.name': 'Search',
+  'builder.endpoint.search.description': 'Vacancy search (JSON or RSS)',
+  'builder.endpoint.opml.name': 'OPML',
+  'builder.endpoint.opml.description': 'Every province, industry and education feed at once',
+  'builder.endpoint.companies.name': 'Companies',
+  'builder.endpoint.companies.description': 'Companies with open vacancies and their feeds',
+  'builder.endpoint.sitemap.name': 'Sitemap',
+  'builder.endpoint.sitemap.description': 'Feeds and vacancy pages for search engines',
+  'builder.endpoint.health.name': 'Health Check',
+  'builder.endpoint.health.description': 'Service status',
+  'builder.endpoint.stats.name': 'Statistics',
+  'builder.endpoint.stats.description': 'Feed statistics',
+  'builder.endpoint.jobPage.description': 'Vacancy detail page with JobPosting structured data'
+};
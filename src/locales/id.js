@@ -0,0 +1,180 @@
+/**
+ * Indonesian message catalog (default language)
+ * Keys are shared with the other catalogs; {name} placeholders are filled by utils/i18n.js.
+ * An object value {one, other} picks its form from the `count` parameter.
+ */
+
+export default {
+  // Language metadata
+  'meta.locale': 'id-ID',
+  'meta.name': 'Bahasa Indonesia',
+
+  // Feed channels (RSS_TITLE / RSS_DESCRIPTION override the first two)
+  'feed.title': 'Lowongan Kerja Terbaru - KarirHub Indonesia',
+  'feed.description': 'Feed lowongan kerja resmi dari Kementerian Ketenagakerjaan Indonesia',
+  'feed.company.title': 'Lowongan Kerja {company}{extra} - KarirHub Indonesia',
+  'feed.company.description': 'Lowongan kerja terbaru dari {company} di KarirHub Kementerian Ketenagakerjaan',
+  'feed.closingSoon.title': 'Lowongan Segera Ditutup dalam {count} Hari{extra} - KarirHub Indonesia',
+  'feed.closingSoon.description': 'Lowongan kerja yang pendaftarannya ditutup dalam {count} hari ke depan, diurutkan dari deadline terdekat',
+  'feed.search.title': 'Hasil Pencarian "{query}" - {site}',
+  'feed.companies.title': 'Direktori Perusahaan - {site}',
+  'feed.error.title': '{site} - Layanan Tidak Tersedia',
+  'feed.error.description': 'Feed {format} sedang tidak tersedia. Silakan coba lagi nanti.',
+  'feed.error.itemTitle': 'Layanan Sedang Tidak Tersedia',
+  'feed.error.itemDescription': 'Layanan feed {format} sedang mengalami gangguan teknis. Error: {message}',
+  'feed.jobNotFound': 'Lowongan tidak ditemukan',
+
+  // Filter labels used in filtered feed titles
+  'filter.city': 'Kota',
+  'filter.province': 'Provinsi',
+  'filter.industry': 'Industri',
+  'filter.function': 'Fungsi',
+  'filter.education': 'Pendidikan',
+  'filter.employer': 'Perusahaan',
+  'filter.min_salary': 'Gaji minimal',
+  'filter.max_salary': 'Gaji maksimal',
+
+  // Salary
+  'salary.competitive': 'Gaji Kompetitif',
+  'salary.from': 'Mulai {amount}',
+  'salary.upTo': 'Hingga {amount}',
+  'salary.period.hour': 'jam',
+  'salary.period.day': 'hari',
+  'salary.period.week': 'minggu',
+  'salary.period.month': 'bulan',
+  'salary.period.year': 'tahun',
+  'salary.scale.miliar': 'miliar',
+  'salary.scale.juta': 'juta',
+  'salary.scale.ribu': 'ribu',
+
+  // Dates and deadlines
+  'date.unavailable': 'Tanggal tidak tersedia',
+  'date.invalid': 'Tanggal tidak valid',
+  'deadline.unavailable': 'Informasi deadline tidak tersedia',
+  'deadline.invalid': 'Deadline tidak valid',
+  'deadline.passed': '{date} (Deadline telah lewat)',
+  'deadline.withDaysLeft': '{date} ({count} hari lagi)',
+  'deadline.daysLeft': '{count} hari lagi',
+  'deadline.urgent': 'Deadline {count} hari lagi!',
+  'deadline.soon': 'Deadline: {count} hari lagi',
+
+  // Job facts
+  'job.unknownCompany': 'Perusahaan Tidak Diketahui',
+  'job.unknownTitle': 'Lowongan Tanpa Judul',
+  'job.defaultType': 'Penuh Waktu',
+  'job.general': 'Umum',
+  'job.locationUnknown': 'Lokasi tidak disebutkan',
+  'job.educationVarious': 'Pendidikan variatif',
+  'age.range': '{min}-{max} tahun',
+  'age.min': '{min}+ tahun',
+  'age.max': 'Maks {max} tahun',
+  'age.years': '{count} tahun',
+  'age.any': 'Usia bebas',
+  'experience.freshGraduate': 'Terbuka untuk Fresh Graduate',
+  'experience.years': '{count}+ tahun pengalaman',
+  'experience.required': 'Pengalaman dibutuhkan',
+  'inclusion.disabilityFriendly': 'Ramah Disabilitas',
+  'inclusion.equalOpportunity': 'Kesempatan Setara',
+  'inclusion.genderNeutral': 'Terbuka untuk Semua Gender',
+
+  // Requirements and benefits
+  'requirements.unavailable': 'Informasi persyaratan tidak tersedia',
+  'requirements.incomplete': 'Informasi persyaratan tidak lengkap',
+  'requirements.education': 'Pendidikan',
+  'requirements.maxAge': 'Usia Maksimal',
+  'requirements.gender': 'Jenis Kelamin',
+  'requirements.experience': 'Pengalaman',
+  'requirements.list': 'Persyaratan',
+  'requirements.skills': 'Skill yang Dibutuhkan',
+  'benefits.unavailable': 'Informasi benefit tidak tersedia',
+  'benefits.offered': 'Benefit yang Ditawarkan',
+  'benefits.label': 'Benefit',
+  'benefits.remote': 'Kerja dari Rumah',
+  'benefits.inclusive': 'Tempat Kerja Inklusif',
+  'benefits.noExperience': 'Tanpa Pengalaman',
+  'benefits.freshGraduateFriendly': 'Ramah Fresh Graduate',
+  // Item content
+  'content.company': 'Perusahaan',
+  'content.location': 'Lokasi',
+  'content.jobType': 'Tipe Pekerjaan',
+  'content.salary': 'Rentang Gaji',
+  'content.description': 'Deskripsi Pekerjaan',
+  'content.deadline': 'Batas Lamaran',
+  'content.industry': 'Industri',
+  'content.function': 'Fungsi',
+  'content.socialMedia': 'Untuk Media Sosial',
+  'content.source': 'Sumber: Kementerian Ketenagakerjaan Indonesia - KarirHub',
+  'content.publishedOn': 'Dipublikasikan pada {date}',
+  'content.vacancyPublishedOn': 'Lowongan ini dipublikasikan pada {date}',
+  'content.aboutCompany': 'Tentang Perusahaan',
+  'content.companyLogo': 'Logo perusahaan',
+  'content.employees': 'Jumlah Karyawan',
+  'content.address': 'Alamat',
+  'content.website': 'Website',
+  'content.applyLink': 'Link Lamaran',
+  'content.share': 'Bantu teman yang mencari kesempatan emas ini!',
+  'content.errorTitle': 'Gagal memproses lowongan: {title}',
+  'content.errorDescription': 'Lowongan ini tidak dapat diproses karena terjadi error: {error}',
+
+  // Social media
+  'social.title': '🔥 Lowongan {title} di {company} - {location}',
+  'social.applyLine': '👉 Lamar: {link}',
+
+  // Job pages (/lowongan/:id)
+  'page.job.metaTitle': 'Lowongan {title} di {company}',
+  'page.job.salary': 'Gaji',
+  'page.job.minEducation': 'Pendidikan min. {education}',
+  'page.job.apply': 'Lamar di KarirHub Kemnaker',
+  'page.job.descriptionFallback': 'Deskripsi lengkap tersedia di halaman lowongan asli.',
+  'page.job.source': 'Sumber: {link}, Kementerian Ketenagakerjaan Republik Indonesia. Halaman ini menampilkan ulang data lowongan dari KarirHub; proses lamaran dilakukan di KarirHub.',
+  'page.job.sourceLink': 'lowongan asli di KarirHub',
+  'page.unavailable.title': 'Lowongan tidak tersedia',
+  'page.unavailable.closed': 'Pendaftaran untuk lowongan ini sudah ditutup.',
+  'page.unavailable.missing': 'Lowongan ini tidak ditemukan atau sudah tidak tersedia.',
+  'page.unavailable.links': '{karirhub} atau lihat {latest}.',
+  'page.unavailable.checkKarirHub': 'Cek di KarirHub',
+  'page.unavailable.latest': 'lowongan terbaru',
+
+  // Feed builder landing page
+  'builder.title': '{site} - Pembuat Feed',
+  'builder.intro': 'Pilih filter untuk membuat feed lowongan sendiri, lalu salin URL-nya ke pembaca RSS, Zapier, atau WordPress.',
+  'builder.emptyNotice': 'Data lowongan sedang diperbarui, sehingga pilihan filter belum tersedia. Coba muat ulang halaman ini beberapa menit lagi.',
+  'builder.all': 'Semua',
+  'builder.keyword': 'Kata kunci',
+  'builder.keywordPlaceholder': 'mis. operator produksi',
+  'builder.feedUrl': 'URL Feed',
+  'builder.copy': 'Salin',
+  'builder.copied': 'Tersalin',
+  'builder.open': 'Buka',
+  'builder.wordpressImport': 'Setiap jam, maksimal 10 posts',
+  'builder.preview': 'Pratinjau',
+  'builder.previewNoScript': 'Aktifkan JavaScript untuk melihat pratinjau lowongan.',
+  'builder.previewLoading': 'Memuat pratinjau...',
+  'builder.previewEmpty': 'Belum ada lowongan yang cocok dengan pilihan ini.',
+  'builder.previewCount': 'Menampilkan {shown} dari {total} lowongan.',
+  'builder.previewFailed': 'Pratinjau gagal dimuat. URL feed tetap bisa dipakai.',
+  'builder.endpoints': 'Endpoint Lainnya',
+  'builder.endpoint.rss.name': 'RSS Feed',
+  'builder.endpoint.rss.description': 'RSS 2.0',
+  'builder.endpoint.closingSoon.name': 'Segera Ditutup',
+  'builder.endpoint.closingSoon.description': 'Lowongan yang ditutup dalam 7 hari (?days=N)',
+  'builder.endpoint.json.name': 'JSON Feed',
+  'builder.endpoint.json.description': 'JSON Feed 1.1',
+  'builder.endpoint.atom.name': 'Atom Feed',
+  'builder.endpoint.atom.description': 'Atom 1.0',
+  'builder.endpoint.changes.name': 'Perubahan',
+  'builder.endpoint.changes.description': 'Lowongan baru, berubah, dan dihapus',
+  'builder.endpoint.search.name': 'Pencarian',
+  'builder.endpoint.search.description': 'Pencarian lowongan (JSON atau RSS)',
+  'builder.endpoint.opml.name': 'OPML',
+  'builder.endpoint.opml.description': 'Semua feed provinsi, industri, dan pendidikan sekaligus',
+  'builder.endpoint.companies.name': 'Perusahaan',
+  'builder.endpoint.companies.description': 'Perusahaan dengan lowongan aktif beserta feed-nya',
+  'builder.endpoint.sitemap.name': 'Sitemap',
+  'builder.endpoint.sitemap.description': 'Feed dan halaman lowongan untuk mesin pencari',
+  'builder.endpoint.health.name': 'Health Check',
+  'builder.endpoint.health.description': 'Status layanan',
+  'builder.endpoint.stats.name': 'Statistik',
+  'builder.endpoint.stats.description': 'Statistik feed',
+  'builder.endpoint.jobPage.description': 'Halaman detail lowongan dengan data terstruktur JobPosting'
+};
@@ -5,6 +5,9 @@
  */
 
 import { CONFIG } from '../config/environment.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('analytics');
 
 /**
  * Analytics Class
@@ -57,11 +60,11 @@ export class Analytics {
         await this.trackWithKV('feed_requests', event);
       }
 
-      console.log(`Tracked feed request: ${feedType} - ${resultType} (${responseTime}ms)`);
+      logger.debug('Tracked feed request', { feedType, resultType, duration_ms: responseTime });
       return true;
 
     } catch (error) {
-      console.error('Failed to track feed request:', error);
+      logger.error('Failed to track feed request', { error });
       return false;
     }
   }
@@ -97,11 +100,11 @@ export class Analytics {
         await this.trackWithKV('api_requests', event);
       }
 
-      console.log(`Tracked API request: ${endpoint} - ${result} (${responseTime}ms)`);
+      logger.debug('Tracked API request', { endpoint, result, duration_ms: responseTime });
       return true;
 
     } catch (error) {
-      console.error('Failed to track API request:', error);
+      logger.error('Failed to track API request', { error });
       return false;
     }
   }
@@ -137,11 +140,11 @@ export class Analytics {
         await this.trackWithKV('errors', event);
       }
 
-      console.log(`Tracked error: ${errorType} in ${context}`);
+      logger.debug('Tracked error', { errorType, context });
       return true;
 
     } catch (error) {
-      console.error('Failed to track error:', error);
+      logger.error('Failed to track error', { error });
       return false;
     }
   }
@@ -178,7 +181,7 @@ export class Analytics {
       return true;
 
     } catch (error) {
-      console.error('Failed to track cache operation:', error);
+      logger.error('Failed to track cache operation', { error });
       return false;
     }
   }
@@ -213,11 +216,11 @@ export class Analytics {
         await this.trackWithKV('social_media', event);
       }
 
-      console.log(`Tracked social media action: ${platform} - ${action}`);
+      logger.debug('Tracked social media action', { platform, action });
       return true;
 
     } catch (error) {
-      console.error('Failed to track social media action:', error);
+      logger.error('Failed to track social media action', { error });
       return false;
     }
   }
@@ -295,7 +298,7 @@ export class Analytics {
       }
 
     } catch (error) {
-      console.error('Failed to get analytics stats:', error);
+      logger.error('Failed to get analytics stats', { error });
       return { error: error.message };
     }
   }
@@ -587,7 +590,7 @@ export class Analytics {
         }
 
       } catch (error) {
-        console.warn(`Failed to get analytics for ${dateKey}:`, error);
+        logger.warn('Failed to get analytics for date', { dateKey, error });
       }
 
       currentDate.setDate(currentDate.getDate() + 1);
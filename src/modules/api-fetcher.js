@@ -5,6 +5,9 @@
  */
 
 import { CONFIG, CACHE_STRATEGY } from '../config/environment.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('api-fetcher');
 
 /**
  * API Fetcher Class
@@ -22,6 +25,7 @@ export class APIFetcher {
       'Accept-Encoding': 'identity', // Avoid compression
       'Connection': 'keep-alive'
     };
+    this.lastPagination = null;
   }
 
   /**
@@ -71,6 +75,8 @@ export class APIFetcher {
    * @returns {Promise<Object>} - Parsed JSON response
    */
   async fetchWithRetry(url, cacheType = null, retries = 0) {
+    const startTime = Date.now();
+
     try {
       const response = await this.fetchWithTimeout(url, {
         method: 'GET',
@@ -86,14 +92,12 @@ export class APIFetcher {
       try {
         const responseText = await response.text();
 
-        // Log response info for debugging (only in development or when verbose)
-        if (CONFIG.LOG_LEVEL === 'debug' || responseText.length === 0) {
-          console.log(`API response from ${url}: status=${response.status}, length=${responseText.length}`);
-          if (responseText.length > 0) {
-            const firstChars = responseText.substring(0, 200);
-            console.log(`API response preview: ${firstChars}`);
-          }
-        }
+        logger.debug('API response received', {
+          url,
+          status: response.status,
+          length: responseText.length,
+          duration_ms: Date.now() - startTime
+        });
 
         if (!responseText.trim()) {
           throw new Error('Empty response from API');
@@ -101,13 +105,14 @@ export class APIFetcher {
 
         data = JSON.parse(responseText);
       } catch (parseError) {
-        console.error(`Failed to parse API response from ${url}:`, parseError.message);
+        logger.error('Failed to parse API response', { url, error: parseError.message });
         throw new Error(`Invalid JSON response: ${parseError.message}`);
       }
 
       // Validate response structure
       if (!this.validateResponse(data)) {
-        console.error(`API response validation failed for ${url}:`, {
+        logger.error('API response validation failed', {
+          url,
           dataType: typeof data,
           hasData: !!data.data,
           hasMeta: !!data.meta,
@@ -120,18 +125,24 @@ export class APIFetcher {
       return data;
 
     } catch (error) {
-      console.error(`API fetch failed for ${url}:`, error);
-
       // Retry logic
       if (retries < CONFIG.MAX_RETRIES && this.shouldRetry(error)) {
         const delay = CONFIG.RETRY_DELAY * Math.pow(2, retries); // Exponential backoff
-        console.log(`Retrying in ${delay}ms... (attempt ${retries + 1}/${CONFIG.MAX_RETRIES})`);
+        logger.warn('API fetch failed, retrying', {
+          url,
+          error: error.message,
+          attempt: retries + 1,
+          maxRetries: CONFIG.MAX_RETRIES,
+          delay_ms: delay,
+          duration_ms: Date.now() - startTime
+        });
 
         await this.sleep(delay);
         return this.fetchWithRetry(url, cacheType, retries + 1);
       }
 
       // Final retry attempt failed, throw the error
+      logger.error('API fetch failed', { url, error: error.message, attempts: retries + 1, duration_ms: Date.now() - startTime });
       throw new Error(`API request failed after ${retries} retries: ${error.message}`);
     }
   }
@@ -191,7 +202,7 @@ export class APIFetcher {
     }
 
     // None of the expected structures found
-    console.error('Unexpected API response structure:', {
+    logger.error('Unexpected API response structure', {
       hasCode: data.code !== undefined,
       hasData: !!data.data,
       hasMeta: !!data.meta,
@@ -318,7 +329,7 @@ export class APIFetcher {
     }
 
     if (errors.length > 0) {
-      console.warn(`Failed to fetch ${errors.length} job details:`, errors);
+      logger.warn('Failed to fetch some job details', { failed: errors.length, errors });
     }
 
     return results.filter(result => result.success).map(result => result.data);
@@ -326,23 +337,51 @@ export class APIFetcher {
 
   /**
    * Get multiple pages of job listings
+   * Walks pages until maxItems unique jobs are collected, the last page is reached,
+   * or a page fails (in which case the jobs collected so far are kept).
+   * lastPagination.exhausted is true only when the walk reached the last page
    * @param {number} maxPages - Maximum number of pages to fetch
    * @param {number} perPage - Items per page
-   * @returns {Promise<Array>} - Array of all job listings
+   * @param {number} maxItems - Stop once this many unique jobs are collected (optional)
+   * @returns {Promise<Array>} - Array of all job listings, deduplicated by job ID
    */
-  async fetchMultiplePages(maxPages = 3, perPage = 18) {
+  async fetchMultiplePages(maxPages = 3, perPage = 18, maxItems = null) {
     const allJobs = [];
+    const seenIds = new Set();
+
+    this.lastPagination = {
+      pagesFetched: 0,
+      duplicates: 0,
+      complete: true,
+      exhausted: false,
+      error: null
+    };
 
     for (let page = 1; page <= maxPages; page++) {
       try {
         const response = await this.fetchJobListings(page, perPage);
+        const pageJobs = Array.isArray(response.data) ? response.data : [];
+        this.lastPagination.pagesFetched = page;
+
+        for (const job of pageJobs) {
+          if (job?.id && seenIds.has(job.id)) {
+            this.lastPagination.duplicates++;
+            continue;
+          }
+
+          if (job?.id) {
+            seenIds.add(job.id);
+          }
+          allJobs.push(job);
+        }
 
-        if (response.data && response.data.length > 0) {
-          allJobs.push(...response.data);
+        // Stop if this is the last page
+        if (this.isLastPage(response, page, perPage)) {
+          this.lastPagination.exhausted = !maxItems || allJobs.length <= maxItems;
+          break;
         }
 
-        // Stop if we got fewer results than requested (likely last page)
-        if (response.data.length < perPage) {
+        if (maxItems && allJobs.length >= maxItems) {
           break;
         }
 
@@ -352,12 +391,41 @@ export class APIFetcher {
         }
 
       } catch (error) {
-        console.error(`Failed to fetch page ${page}:`, error);
-        break; // Stop on page fetch errors
+        logger.error('Failed to fetch listing page', { page, error });
+        this.lastPagination.complete = false;
+        this.lastPagination.error = error.message;
+        break; // Stop on page fetch errors, keeping pages already collected
       }
     }
 
-    return allJobs;
+    return maxItems ? allJobs.slice(0, maxItems) : allJobs;
+  }
+
+  /**
+   * Determine whether a listing response is the last page
+   * @param {Object} response - API response
+   * @param {number} page - Current page number
+   * @param {number} perPage - Items requested per page
+   * @returns {boolean} - True if there are no further pages
+   */
+  isLastPage(response, page, perPage) {
+    const data = Array.isArray(response?.data) ? response.data : [];
+
+    // Fewer results than requested means we've run out of jobs
+    if (data.length < perPage) {
+      return true;
+    }
+
+    const lastPage = response.meta?.last_page ?? response.meta?.pagination?.total_pages;
+    if (lastPage !== undefined && lastPage !== null) {
+      return page >= Number(lastPage);
+    }
+
+    if (response.links && 'next' in response.links) {
+      return !response.links.next;
+    }
+
+    return false;
   }
 
   /**
@@ -0,0 +1,266 @@
+/**
+ * Atom Generator Module
+ * Generates Atom 1.0 (RFC 4287) feeds from the same enriched jobs as the RSS feed
+ */
+
+import { CONFIG } from '../config/environment.js';
+import { RSSGenerator } from './rss-generator.js';
+import { DEFAULT_LANGUAGE } from '../utils/i18n.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('atom-generator');
+
+/**
+ * Atom Generator Class
+ */
+export class AtomGenerator {
+  /**
+   * Constructor
+   * @param {string} language - Feed language
+   */
+  constructor(language = DEFAULT_LANGUAGE) {
+    this.currentDate = new Date().toISOString();
+    this.language = language;
+    // Reuse RSS title/summary/category logic so every format reads the same
+    this.rssGenerator = new RSSGenerator(language);
+  }
+
+  /**
+   * Generate complete Atom feed
+   * @param {Array} jobs - Array of job objects
+   * @param {Object} options - Feed overrides (title, description, feedUrl, hubUrl, imageUrl)
+   * @returns {string} - Atom XML string
+   */
+  generateAtom(jobs, options = {}) {
+    if (!jobs || !Array.isArray(jobs)) {
+      throw new Error('Invalid jobs data provided');
+    }
+
+    const startTime = Date.now();
+    const atomHeader = this.generateAtomHeader(jobs, options);
+    const atomEntries = jobs.map(job => this.generateAtomEntry(job)).join('\n');
+    const atomFooter = this.generateAtomFooter();
+
+    const atomXML = `${atomHeader}${atomEntries}\n${atomFooter}`;
+
+    this.validateAtom(atomXML);
+
+    logger.debug('Atom feed rendered', { jobCount: jobs.length, language: this.language, duration_ms: Date.now() - startTime });
+    return atomXML;
+  }
+
+  /**
+   * Generate Atom feed header
+   * @param {Array} jobs - Jobs in the feed (used for the feed-level updated date)
+   * @param {Object} options - Feed overrides (title, description, feedUrl, imageUrl, hubUrl - null to skip the WebSub hub)
+   * @returns {string} - Atom header XML
+   */
+  generateAtomHeader(jobs = [], options = {}) {
+    const title = options.title || CONFIG.RSS_TITLE;
+    const subtitle = options.description || CONFIG.RSS_DESCRIPTION;
+    const iconUrl = options.imageUrl || `${CONFIG.BASE_URL}/logo.png`;
+    const feedUrl = options.feedUrl || `${CONFIG.BASE_URL}/atom`;
+    const updated = this.getFeedUpdated(jobs);
+    const hubUrl = options.hubUrl !== undefined ? options.hubUrl : CONFIG.WEBSUB_HUB_URL;
+    const hubLink = hubUrl ? `\n  <link rel="hub" href="${this.escapeXML(hubUrl)}" />` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${this.escapeXML(this.language)}">
+  <id>${this.escapeXML(feedUrl)}</id>
+  <title>${this.escapeXML(title)}</title>
+  <subtitle>${this.escapeXML(subtitle)}</subtitle>
+  <updated>${updated}</updated>
+  <link rel="self" type="application/atom+xml" href="${this.escapeXML(feedUrl)}" />${hubLink}
+  <link rel="alternate" type="text/html" href="${this.escapeXML(CONFIG.BASE_URL)}" />
+  <author>
+    <name>${this.escapeXML(CONFIG.RSS_TITLE)}</name>
+    <email>${this.escapeXML(CONFIG.RSS_WEBMASTER)}</email>
+  </author>
+  <generator version="${this.escapeXML(CONFIG.VERSION)}">${this.escapeXML(CONFIG.RSS_GENERATOR)}</generator>
+  <rights>${this.escapeXML(CONFIG.RSS_COPYRIGHT)}</rights>
+  <icon>${this.escapeXML(iconUrl)}</icon>
+`;
+  }
+
+  /**
+   * Generate Atom feed footer
+   * @returns {string} - Atom footer XML
+   */
+  generateAtomFooter() {
+    return `</feed>`;
+  }
+
+  /**
+   * Generate Atom entry for a job
+   * @param {Object} job - Job object
+   * @returns {string} - Atom entry XML
+   */
+  generateAtomEntry(job) {
+    try {
+      const title = this.rssGenerator.generateItemTitle(job);
+      const summary = this.rssGenerator.generateItemDescription(job);
+      const content = this.rssGenerator.generateItemContent(job);
+      const link = this.rssGenerator.generateItemLink(job);
+      const published = this.formatAtomDate(job.first_seen_at || job.published_at || job.created_at);
+      const updated = this.formatAtomDate(this.getEntryUpdatedDate(job));
+      const author = this.escapeXML(job.company_name || this.rssGenerator.t('job.unknownCompany'));
+
+      return `  <entry>
+    <id>${this.generateEntryId(job)}</id>
+    <title>${title}</title>
+    <link rel="alternate" type="text/html" href="${this.escapeXML(link)}" />
+    <published>${published}</published>
+    <updated>${updated}</updated>
+    <author>
+      <name>${author}</name>
+    </author>
+    ${this.generateEntryCategories(job)}
+    <summary type="text">${summary}</summary>
+    <content type="html">${this.escapeXML(content)}</content>
+  </entry>`;
+    } catch (error) {
+      logger.error('Failed to generate Atom entry', { jobId: job.id, error });
+      return this.generateErrorEntry(job, error.message);
+    }
+  }
+
+  /**
+   * Generate a permanent entry ID from the job UUID
+   * @param {Object} job - Job object
+   * @returns {string} - Entry ID IRI
+   */
+  generateEntryId(job) {
+    const id = String(job.id || '');
+
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+      return `urn:uuid:${id.toLowerCase()}`;
+    }
+
+    // Non-UUID IDs still need a stable IRI
+    return this.escapeXML(`${CONFIG.KARIRHUB_BASE_URL}/lowongan-dalam-negeri/lowongan/${id}`);
+  }
+
+  /**
+   * Generate entry categories, one per domain
+   * @param {Object} job - Job object
+   * @returns {string} - Category XML elements
+   */
+  generateEntryCategories(job) {
+    const categories = [
+      ['industry', job.industry_name],
+      ['location', job.city_name],
+      ['province', job.province_name !== job.city_name ? job.province_name : null],
+      ['function', job.job_function_name],
+      ['type', job.detail?.job_type ? this.rssGenerator.formatJobType(job.detail.job_type) : null],
+      ['education', job.detail?.requirements?.education_min]
+    ];
+
+    return categories
+      .filter(([, term]) => term)
+      .map(([domain, term]) =>
+        `<category term="${this.escapeXML(String(term))}" scheme="urn:karirhub:${domain}" label="${this.escapeXML(String(term))}" />`
+      )
+      .join('\n    ');
+  }
+
+  /**
+   * Get the feed-level updated date (most recent entry)
+   * @param {Array} jobs - Jobs in the feed
+   * @returns {string} - RFC 3339 date
+   */
+  getFeedUpdated(jobs) {
+    const timestamps = jobs
+      .map(job => Date.parse(this.formatAtomDate(this.getEntryUpdatedDate(job))))
+      .filter(timestamp => !isNaN(timestamp));
+
+    if (timestamps.length === 0) {
+      return this.currentDate;
+    }
+
+    return new Date(Math.max(...timestamps)).toISOString();
+  }
+
+  /**
+   * Get the raw date an entry last changed
+   * @param {Object} job - Job object
+   * @returns {string|number} - Date value
+   */
+  getEntryUpdatedDate(job) {
+    return job.last_changed_at || job.updated_at || job.first_seen_at || job.published_at || job.created_at;
+  }
+
+  /**
+   * Format a date as RFC 3339
+   * @param {string|number} dateString - Date in any format supported by RSSGenerator.formatPubDate
+   * @returns {string} - RFC 3339 date
+   */
+  formatAtomDate(dateString) {
+    if (!dateString) {
+      return this.currentDate;
+    }
+
+    const date = new Date(this.rssGenerator.formatPubDate(dateString));
+    return isNaN(date.getTime()) ? this.currentDate : date.toISOString();
+  }
+
+  /**
+   * Escape XML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escapeXML(text) {
+    return this.rssGenerator.escapeXML(text);
+  }
+
+  /**
+   * Generate error entry for failed job processing
+   * @param {Object} job - Job object
+   * @param {string} error - Error message
+   * @returns {string} - Error Atom entry XML
+   */
+  generateErrorEntry(job, error) {
+    const title = this.rssGenerator.t('content.errorTitle', { title: job.title || this.rssGenerator.t('job.unknownTitle') });
+    const summary = this.rssGenerator.t('content.errorDescription', { error });
+
+    return `  <entry>
+    <id>urn:karirhub:error:${this.escapeXML(String(job.id || 'unknown'))}</id>
+    <title>${this.escapeXML(title)}</title>
+    <updated>${this.currentDate}</updated>
+    <author>
+      <name>Atom Generator</name>
+    </author>
+    <summary type="text">${this.escapeXML(summary)}</summary>
+  </entry>`;
+  }
+
+  /**
+   * Validate generated Atom
+   * @param {string} atomXML - Atom XML string
+   * @returns {boolean} - True if valid
+   */
+  validateAtom(atomXML) {
+    try {
+      const requiredElements = [
+        '<?xml version="1.0"',
+        '<feed xmlns="http://www.w3.org/2005/Atom"',
+        '<id>',
+        '<title>',
+        '<updated>',
+        '</feed>'
+      ];
+
+      for (const element of requiredElements) {
+        if (!atomXML.includes(element)) {
+          throw new Error(`Missing required element: ${element}`);
+        }
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Atom validation failed', { error });
+      return false;
+    }
+  }
+}
+
+export default AtomGenerator;
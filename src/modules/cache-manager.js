@@ -4,7 +4,10 @@
  * Implements multi-level caching strategies
  */
 
-import { CONFIG, CACHE_STRATEGY } from '../config/environment.js';
+import { CONFIG, CACHE_STRATEGY, PERSISTENT_KEY_TYPES } from '../config/environment.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('cache-manager');
 
 /**
  * Cache Manager Class
@@ -15,28 +18,21 @@ export class CacheManager {
    * @param {Object} kvStore - Cloudflare KV store instance
    */
   constructor(kvStore) {
-    // Enhanced debugging for KV binding issues
-    console.log('CacheManager: Initializing with KV store:', {
-      kvStoreProvided: !!kvStore,
-      kvStoreType: typeof kvStore,
-      globalBindingAvailable: !!globalThis.RSS_CACHE,
-      globalBindingType: typeof globalThis.RSS_CACHE,
-      hasGetMethod: kvStore && typeof kvStore.get === 'function',
-      hasPutMethod: kvStore && typeof kvStore.put === 'function'
-    });
-
     if (!kvStore) {
-      console.warn('CacheManager: No KV store provided - caching will be disabled');
+      logger.warn('No KV store provided - caching will be disabled');
       this.kvStore = null;
       this.cacheEnabled = false;
     } else if (typeof kvStore.get !== 'function' || typeof kvStore.put !== 'function') {
-      console.warn('CacheManager: Invalid KV store provided - caching will be disabled');
+      logger.warn('Invalid KV store provided - caching will be disabled', {
+        kvStoreType: typeof kvStore,
+        hasGetMethod: typeof kvStore.get === 'function',
+        hasPutMethod: typeof kvStore.put === 'function'
+      });
       this.kvStore = null;
       this.cacheEnabled = false;
     } else {
       this.kvStore = kvStore;
       this.cacheEnabled = true;
-      console.log('CacheManager: Successfully initialized with KV store');
     }
     this.defaultTTL = CONFIG.CACHE_TTL;
     this.cacheStats = {
@@ -54,6 +50,17 @@ export class CacheManager {
    * @returns {Promise<any>} - Cached data or null
    */
   async get(key, type = 'default') {
+    const entry = await this.getEntry(key, type);
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Get a full cache entry, including the metadata stored with it
+   * @param {string} key - Cache key
+   * @param {string} type - Cache type (determines TTL)
+   * @returns {Promise<Object|null>} - {data, meta, timestamp, ttl} or null
+   */
+  async getEntry(key, type = 'default') {
     if (!this.kvStore) {
       this.cacheStats.misses++;
       return null;
@@ -71,18 +78,23 @@ export class CacheManager {
       // Check if cache entry is expired
       if (this.isExpired(cached)) {
         this.cacheStats.misses++;
-        console.log(`Cache entry expired for ${cacheKey}`);
-        await this.delete(cacheKey, type);
+        logger.debug('Cache entry expired', { cacheKey });
+        await this.delete(key, type);
         return null;
       }
 
       this.cacheStats.hits++;
-      console.log(`Cache hit for ${cacheKey} (age: ${this.getCacheAge(cached)}s)`);
-      return cached.data;
+      logger.debug('Cache hit', { cacheKey, age: this.getCacheAge(cached) });
+      return {
+        data: cached.data,
+        meta: cached.meta || null,
+        timestamp: cached.timestamp,
+        ttl: cached.ttl
+      };
 
     } catch (error) {
       this.cacheStats.errors++;
-      console.error(`Cache get error for ${key}:`, error);
+      logger.error('Cache get failed', { key, error });
       return null;
     }
   }
@@ -93,11 +105,12 @@ export class CacheManager {
    * @param {any} data - Data to cache
    * @param {string} type - Cache type (determines TTL)
    * @param {number} customTTL - Custom TTL in seconds
+   * @param {Object} meta - Metadata stored alongside the data, e.g. HTTP validators (optional)
    * @returns {Promise<boolean>} - True if successful
    */
-  async set(key, data, type = 'default', customTTL = null) {
+  async set(key, data, type = 'default', customTTL = null, meta = null) {
     if (!this.kvStore) {
-      console.warn(`Cache disabled - skipping set operation for ${key}`);
+      logger.debug('Cache disabled - skipping set', { key });
       return false;
     }
 
@@ -113,16 +126,20 @@ export class CacheManager {
         version: '1.0'
       };
 
+      if (meta) {
+        cacheEntry.meta = meta;
+      }
+
       // Store in KV with expiration
       await this.kvStore.put(cacheKey, JSON.stringify(cacheEntry), {
         expirationTtl: ttl
       });
 
-      console.log(`Cached ${cacheKey} with TTL ${ttl}s`);
+      logger.debug('Cache entry stored', { cacheKey, ttl });
       return true;
 
     } catch (error) {
-      console.error(`Cache set error for ${key}:`, error);
+      logger.error('Cache set failed', { key, error });
       return false;
     }
   }
@@ -137,11 +154,11 @@ export class CacheManager {
     try {
       const cacheKey = this.buildCacheKey(key, type);
       await this.kvStore.delete(cacheKey);
-      console.log(`Deleted cache entry ${cacheKey}`);
+      logger.debug('Cache entry deleted', { cacheKey });
       return true;
 
     } catch (error) {
-      console.error(`Cache delete error for ${key}:`, error);
+      logger.error('Cache delete failed', { key, error });
       return false;
     }
   }
@@ -154,8 +171,8 @@ export class CacheManager {
   async clear(type = null) {
     try {
       if (type) {
-        // Clear specific cache type
-        const prefix = this.buildCacheKey('', type);
+        // Clear specific cache type (the ':' keeps 'rss' from matching 'rss_feed' etc.)
+        const prefix = `${this.buildCacheKey('', type)}:`;
         const list = await this.kvStore.list({ prefix });
 
         const deletePromises = list.keys.map(key =>
@@ -163,17 +180,18 @@ export class CacheManager {
         );
 
         await Promise.all(deletePromises);
-        console.log(`Cleared ${list.keys.length} entries for cache type: ${type}`);
+        logger.info('Cache type cleared', { type, cleared: list.keys.length });
       } else {
-        // Clear all cache (limited to recent entries)
+        // Clear all cache (limited to recent entries), keeping persistent data
         const list = await this.kvStore.list({ limit: 1000 });
+        const cacheKeys = list.keys.filter(key => !this.isPersistentKey(key.name));
 
-        const deletePromises = list.keys.map(key =>
+        const deletePromises = cacheKeys.map(key =>
           this.kvStore.delete(key.name)
         );
 
         await Promise.all(deletePromises);
-        console.log(`Cleared ${list.keys.length} cache entries`);
+        logger.info('Cache cleared', { cleared: cacheKeys.length });
       }
 
       // Reset stats
@@ -181,11 +199,20 @@ export class CacheManager {
       return true;
 
     } catch (error) {
-      console.error('Cache clear error:', error);
+      logger.error('Cache clear failed', { error });
       return false;
     }
   }
 
+  /**
+   * Check if a KV key holds persistent data (job index, webhooks) rather than cache
+   * @param {string} name - KV key name
+   * @returns {boolean} - True if the key must not be cleared
+   */
+  isPersistentKey(name) {
+    return PERSISTENT_KEY_TYPES.some(type => name.startsWith(`${CONFIG.ENVIRONMENT}_${type}`));
+  }
+
   /**
    * Build cache key with type prefix
    * @param {string} key - Original key
@@ -250,51 +277,71 @@ export class CacheManager {
 
       return data;
     } catch (error) {
-      console.error(`Fallback function failed for ${key}:`, error);
+      logger.error('Cache fallback failed', { key, error });
       throw error;
     }
   }
 
   /**
    * Warm up cache with common data
-   * @returns {Promise<boolean>} - True if successful
+   * @param {Function} feedBuilder - Async function returning {entries, summary} for ready-to-serve feeds (optional)
+   * @returns {Promise<Object>} - Warm-up result with success flag and job listings summary
    */
-  async warmUp() {
+  async warmUp(feedBuilder = null) {
     try {
-      console.log('Starting cache warm-up...');
+      const startTime = Date.now();
+      logger.debug('Starting cache warm-up');
 
-      const warmUpTasks = [
-        this.warmUpJobListings(),
+      const [jobListings] = await Promise.all([
+        this.warmUpJobListings(feedBuilder),
         this.warmUpAPIHealth()
-      ];
+      ]);
 
-      await Promise.all(warmUpTasks);
-      console.log('Cache warm-up completed');
-      return true;
+      logger.info('Cache warm-up completed', { duration_ms: Date.now() - startTime });
+      return {
+        success: jobListings !== null || !feedBuilder,
+        jobListings
+      };
 
     } catch (error) {
-      console.error('Cache warm-up failed:', error);
-      return false;
+      logger.error('Cache warm-up failed', { error });
+      return {
+        success: false,
+        jobListings: null,
+        error: error.message
+      };
     }
   }
 
   /**
    * Warm up job listings cache
-   * @returns {Promise<void>}
+   * Runs the feed builder and stores every entry it produces so that
+   * requests are served from cache instead of waiting on the KarirHub API
+   * @param {Function} feedBuilder - Async function returning {entries, summary}
+   * @returns {Promise<Object|null>} - Builder summary, or null if nothing was built
    */
-  async warmUpJobListings() {
+  async warmUpJobListings(feedBuilder = null) {
+    if (typeof feedBuilder !== 'function') {
+      logger.debug('No feed builder provided - skipping job listings warm-up');
+      return null;
+    }
+
     try {
-      // This would typically import and use the API fetcher
-      // For now, we'll just log the intention
-      console.log('Warming up job listings cache...');
+      logger.debug('Warming up job listings cache');
+
+      const { entries = [], summary = {} } = await feedBuilder();
+      const results = await this.setBatch(entries);
+      // Feeds and their validator records share a key
+      const cachedKeys = [...new Set(results.filter(result => result.success).map(result => result.key))];
 
-      // In a real implementation:
-      // const apiFetcher = new APIFetcher();
-      // const listings = await apiFetcher.fetchJobListings(1, 10);
-      // await this.set('job_listings_10', listings, 'job_listings');
+      return {
+        ...summary,
+        cachedKeys
+      };
 
     } catch (error) {
-      console.error('Failed to warm up job listings:', error);
+      logger.error('Failed to warm up job listings', { error });
+      return null;
     }
   }
 
@@ -304,7 +351,7 @@ export class CacheManager {
    */
   async warmUpAPIHealth() {
     try {
-      console.log('Warming up API health cache...');
+      logger.debug('Warming up API health cache');
 
       const healthData = {
         status: 'healthy',
@@ -315,7 +362,7 @@ export class CacheManager {
       await this.set('api_health', healthData, 'api_health');
 
     } catch (error) {
-      console.error('Failed to warm up API health:', error);
+      logger.error('Failed to warm up API health', { error });
     }
   }
 
@@ -435,7 +482,7 @@ export class CacheManager {
       };
 
     } catch (error) {
-      console.error('Failed to get cache size:', error);
+      logger.error('Failed to get cache size', { error });
       return {
         totalKeys: 0,
         sizeByType: {},
@@ -445,14 +492,82 @@ export class CacheManager {
     }
   }
 
+  /**
+   * Describe a stored cache entry without its data
+   * @param {string} name - Full KV key name
+   * @param {Object} cached - Stored cache entry
+   * @returns {Object} - Entry summary with age and remaining TTL
+   */
+  describeEntry(name, cached) {
+    const age = this.getCacheAge(cached);
+    const ttl = cached?.ttl || this.defaultTTL;
+
+    return {
+      name,
+      type: cached?.type || null,
+      age,
+      ttl,
+      remainingTTL: Math.max(ttl - age, 0),
+      expired: this.isExpired(cached),
+      cachedAt: cached?.timestamp ? new Date(cached.timestamp).toISOString() : null,
+      size: JSON.stringify(cached?.data ?? null).length,
+      meta: cached?.meta || null
+    };
+  }
+
+  /**
+   * Inspect a single cache entry
+   * @param {string} key - Cache key
+   * @param {string} type - Cache type
+   * @returns {Promise<Object|null>} - Entry summary or null if missing
+   */
+  async inspectEntry(key, type = 'default') {
+    if (!this.kvStore) {
+      return null;
+    }
+
+    const name = this.buildCacheKey(key, type);
+    const cached = await this.kvStore.get(name, 'json');
+
+    return cached ? this.describeEntry(name, cached) : null;
+  }
+
+  /**
+   * List cache entries with their age and TTL
+   * @param {string} type - Cache type to list (optional, all cache types when omitted)
+   * @param {Object} options - {limit, cursor} for KV list pagination
+   * @returns {Promise<Object>} - {entries, cursor, complete}
+   */
+  async listEntries(type = null, options = {}) {
+    if (!this.kvStore) {
+      return { entries: [], cursor: null, complete: true };
+    }
+
+    const { limit = 100, cursor = undefined } = options;
+    const prefix = type ? `${this.buildCacheKey('', type)}:` : `${CONFIG.ENVIRONMENT}_`;
+    const list = await this.kvStore.list({ prefix, limit, cursor });
+
+    const keys = list.keys.filter(key => !this.isPersistentKey(key.name));
+    const entries = await Promise.all(keys.map(async key => {
+      const cached = await this.kvStore.get(key.name, 'json');
+      return cached ? this.describeEntry(key.name, cached) : { name: key.name, missing: true };
+    }));
+
+    return {
+      entries,
+      cursor: list.list_complete ? null : list.cursor || null,
+      complete: !!list.list_complete
+    };
+  }
+
   /**
    * Cache multiple items in batch
-   * @param {Array} items - Array of {key, data, type, ttl} objects
+   * @param {Array} items - Array of {key, data, type, ttl, meta} objects
    * @returns {Promise<Array>} - Array of success/failure results
    */
   async setBatch(items) {
     const results = await Promise.allSettled(
-      items.map(item => this.set(item.key, item.data, item.type, item.ttl))
+      items.map(item => this.set(item.key, item.data, item.type, item.ttl, item.meta))
     );
 
     return results.map((result, index) => ({
@@ -493,11 +608,11 @@ export class CacheManager {
       const cacheEntry = await this.kvStore.get(this.buildCacheKey(key, type), 'json');
 
       if (cacheEntry && this.isStale(cacheEntry, swrTTL)) {
-        console.log(`Serving stale data for ${key}, refreshing in background`);
+        logger.debug('Serving stale data, refreshing in background', { key });
 
         // Refresh cache in background without blocking
         this.refreshInBackground(key, type, fallback).catch(error => {
-          console.error(`Background refresh failed for ${key}:`, error);
+          logger.error('Background refresh failed', { key, error });
         });
       }
 
@@ -534,9 +649,9 @@ export class CacheManager {
     try {
       const data = await fallback();
       await this.set(key, data, type);
-      console.log(`Background refresh completed for ${key}`);
+      logger.debug('Background refresh completed', { key });
     } catch (error) {
-      console.error(`Background refresh failed for ${key}:`, error);
+      logger.error('Background refresh failed', { key, error });
     }
   }
 }
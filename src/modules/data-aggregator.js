@@ -4,7 +4,19 @@
  * Handles data transformation and content generation
  */
 
-import { CONFIG, CONTENT_FORMATTING } from '../config/environment.js';
+import { CONFIG, CONTENT_FORMATTING, SOCIAL_MEDIA_TEMPLATES } from '../config/environment.js';
+import { JobIndex } from './job-index.js';
+import { SocialTemplateStore } from './social-template-store.js';
+import { buildJobPageUrl } from './job-page-generator.js';
+import { normalizeSalary, formatSalary } from '../utils/salary.js';
+import { isJobExpired } from '../utils/job-filter.js';
+import { renderTemplate, TEMPLATE_ESCAPERS } from '../utils/template-engine.js';
+import { getSafeHttpUrl } from '../utils/helpers.js';
+import { getTweetLength, truncateTweet, splitTweetThread } from '../utils/tweet-length.js';
+import { DEFAULT_LANGUAGE, createTranslator, getLocale } from '../utils/i18n.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('data-aggregator');
 
 /**
  * Data Aggregator Class
@@ -14,10 +26,19 @@ export class DataAggregator {
    * Constructor
    * @param {APIFetcher} apiFetcher - API fetcher instance
    * @param {CacheManager} cacheManager - Cache manager instance
+   * @param {JobIndex} jobIndex - Job index instance (defaults to one backed by the cache KV store)
+   * @param {string} language - Language of the generated text fields (see localizeJobs())
    */
-  constructor(apiFetcher, cacheManager) {
+  constructor(apiFetcher, cacheManager, jobIndex = null, language = DEFAULT_LANGUAGE) {
     this.apiFetcher = apiFetcher;
+    this.language = language;
+    this.t = createTranslator(language);
     this.cacheManager = cacheManager;
+    this.jobIndex = jobIndex || new JobIndex(cacheManager?.kvStore || null);
+    this.templateStore = new SocialTemplateStore(cacheManager?.kvStore || null);
+    this.socialTemplates = null;
+    this.employerProfiles = new Map();
+    this.lastRun = null;
   }
 
   /**
@@ -25,58 +46,101 @@ export class DataAggregator {
    * @param {number} maxJobs - Maximum number of jobs to aggregate
    * @returns {Promise<Array>} - Array of enriched job objects
    */
-  async aggregateJobData(maxJobs = CONFIG.MAX_JOBS_PER_FEED) {
+  async aggregateJobData(maxJobs = CONFIG.SNAPSHOT_MAX_JOBS) {
+    const runStartTime = Date.now();
+    this.lastRun = {
+      startedAt: new Date(runStartTime).toISOString(),
+      listingsFetched: 0,
+      enriched: 0,
+      enrichFailures: 0,
+      jobsReturned: 0,
+      employersFetched: 0,
+      durationMs: 0
+    };
+    // Employer profiles are shared by every job of the same employer within a run
+    this.employerProfiles = new Map();
+
     try {
-      console.log(`🚀 Starting job data aggregation for max ${maxJobs} jobs`);
-      console.log(`📝 Configuration:`, {
+      logger.debug('Starting job data aggregation', {
         maxJobs,
         cacheEnabled: !!this.cacheManager?.cacheEnabled,
         apiUrl: this.apiFetcher?.baseURL
       });
 
-      // Fetch job listings
-      const listings = await this.fetchJobListingsWithCache(maxJobs);
-      if (!listings || listings.length === 0) {
-        console.warn('⚠️ No job listings found - this could indicate API issues');
+      // Template overrides are read once per run
+      await this.loadSocialTemplates();
+
+      // Fetch job listings, skipping vacancies whose deadline has passed
+      const allListings = await this.fetchJobListingsWithCache(maxJobs) || [];
+      const listings = allListings.filter(listing => !isJobExpired(listing));
+      if (listings.length < allListings.length) {
+        logger.debug('Skipped expired job listings', { skipped: allListings.length - listings.length });
+      }
+
+      if (listings.length === 0) {
+        logger.warn('No job listings found - this could indicate API issues');
+        this.lastRun.durationMs = Date.now() - runStartTime;
         return [];
       }
 
-      console.log(`📝 Found ${listings.length} job listings, starting enrichment process...`);
-      console.log(`🔍 Sample job listing:`, {
-        id: listings[0]?.id,
-        title: listings[0]?.job_title,
-        company: listings[0]?.company_name,
-        city: listings[0]?.city_name
-      });
+      this.lastRun.listingsFetched = listings.length;
 
       // Enrich each job with detailed information
       const enrichedJobs = await this.enrichJobListings(listings);
-      console.log(`✨ Enriched ${enrichedJobs.length} jobs with detailed information`);
 
       // Filter and sort jobs
       const filteredJobs = this.filterAndSortJobs(enrichedJobs);
-      console.log(`🎯 After filtering: ${filteredJobs.length} jobs ready for RSS`);
-
-      if (filteredJobs.length > 0) {
-        console.log(`📋 Sample enriched job:`, {
-          id: filteredJobs[0]?.id,
-          title: filteredJobs[0]?.title,
-          company: filteredJobs[0]?.company_name,
-          hasDescription: !!filteredJobs[0]?.detail?.description,
-          salary: filteredJobs[0]?.salary_range
-        });
-      }
 
-      console.log(`🎉 Successfully aggregated ${filteredJobs.length} enriched jobs`);
+      // Record first/last seen and detect new, updated and removed jobs
+      await this.updateJobIndex(filteredJobs);
+
+      this.lastRun.jobsReturned = filteredJobs.length;
+      this.lastRun.durationMs = Date.now() - runStartTime;
+
+      logger.info('Job data aggregation completed', {
+        listings: listings.length,
+        enriched: this.lastRun.enriched,
+        enrichFailures: this.lastRun.enrichFailures,
+        jobs: filteredJobs.length,
+        duration_ms: this.lastRun.durationMs
+      });
       return filteredJobs;
 
     } catch (error) {
-      console.error('💥 Job data aggregation failed:', error);
-      console.error('📍 Stack trace:', error.stack);
+      logger.error('Job data aggregation failed', { error, duration_ms: Date.now() - runStartTime });
       throw new Error(`Failed to aggregate job data: ${error.message}`);
     }
   }
 
+  /**
+   * Update the persistent job index with this run's jobs
+   * Index failures are logged but never fail the aggregation
+   * @param {Array} jobs - Filtered, enriched jobs
+   * @returns {Promise<Object|null>} - Changes ({new, updated, removed, leftWindow} job IDs) or null on failure
+   */
+  async updateJobIndex(jobs) {
+    try {
+      const changes = await this.jobIndex.update(jobs, {
+        complete: this.lastRun?.paginationComplete !== false,
+        exhaustive: this.lastRun?.listingsExhausted === true
+      });
+
+      if (this.lastRun) {
+        this.lastRun.changes = {
+          new: changes.new.length,
+          updated: changes.updated.length,
+          removed: changes.removed.length,
+          leftWindow: changes.leftWindow.length
+        };
+      }
+
+      return changes;
+    } catch (error) {
+      logger.warn('Failed to update job index', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Fetch job listings with caching
    * @param {number} limit - Number of jobs to fetch
@@ -84,45 +148,51 @@ export class DataAggregator {
    */
   async fetchJobListingsWithCache(limit) {
     const cacheKey = `job_listings_${limit}`;
-    console.log(`🔍 Fetching job listings with limit=${limit}, cacheKey=${cacheKey}`);
 
     // Try to get from cache first
     const cached = await this.cacheManager.get(cacheKey, 'job_listings');
     if (cached) {
-      console.log(`✅ Job listings served from cache: ${cached.data?.length || 0} items`);
+      logger.debug('Job listings served from cache', { cacheKey, count: cached.data?.length || 0 });
+      if (this.lastRun) {
+        this.lastRun.listingsExhausted = cached.exhausted === true;
+      }
       return cached.data || [];
     }
 
-    console.log(`🌐 Cache miss, fetching fresh data from API...`);
-    // Fetch fresh data
-    const response = await this.apiFetcher.fetchJobListings(1, limit);
-
-    console.log(`📊 API response received:`, {
-      hasData: !!response.data,
-      dataType: typeof response.data,
-      isArray: Array.isArray(response.data),
-      dataLength: response.data?.length,
-      responseKeys: Object.keys(response)
+    // Walk listing pages until we have enough jobs (one spare page covers duplicates
+    // caused by new vacancies shifting results between page requests)
+    const pageSize = Math.min(limit, CONFIG.LISTING_PAGE_SIZE);
+    const maxPages = Math.min(Math.ceil(limit / pageSize) + 1, CONFIG.MAX_LISTING_PAGES);
+    const listings = await this.apiFetcher.fetchMultiplePages(maxPages, pageSize, limit);
+    const pagination = this.apiFetcher.lastPagination || { complete: true };
+
+    logger.info('Retrieved job listings from API', {
+      count: listings.length,
+      pagesFetched: pagination.pagesFetched,
+      duplicates: pagination.duplicates,
+      complete: pagination.complete,
+      exhausted: pagination.exhausted
     });
 
-    if (!response.data || !Array.isArray(response.data)) {
-      console.error(`❌ Invalid job listings response format. Expected array, got:`, {
-        data: response.data,
-        type: typeof response.data,
-        isArray: Array.isArray(response.data)
-      });
-      return [];
+    if (this.lastRun) {
+      this.lastRun.pagesFetched = pagination.pagesFetched || 0;
+      this.lastRun.paginationComplete = pagination.complete;
+      this.lastRun.listingsExhausted = pagination.complete && pagination.exhausted === true;
     }
 
-    const listings = response.data;
-    console.log(`📋 Retrieved ${listings.length} job listings from API`);
+    if (listings.length === 0 && pagination.error) {
+      throw new Error(`Failed to fetch job listings: ${pagination.error}`);
+    }
 
-    // Cache the result
-    try {
-      await this.cacheManager.set(cacheKey, { data: listings }, 'job_listings');
-      console.log(`💾 Cached ${listings.length} job listings successfully`);
-    } catch (cacheError) {
-      console.warn(`⚠️ Failed to cache job listings:`, cacheError.message);
+    // Only cache complete walks; partial results are served but refetched next time
+    if (pagination.complete) {
+      try {
+        await this.cacheManager.set(cacheKey, { data: listings, exhausted: pagination.exhausted === true }, 'job_listings');
+      } catch (cacheError) {
+        logger.warn('Failed to cache job listings', { error: cacheError.message });
+      }
+    } else {
+      logger.warn('Listing pagination stopped early, serving partial results', { error: pagination.error, count: listings.length });
     }
 
     return listings;
@@ -137,11 +207,10 @@ export class DataAggregator {
     const enrichedJobs = [];
     const batchSize = 5; // Process in batches to control API load
 
-    console.log(`✨ Starting enrichment for ${listings.length} job listings`);
+    const startTime = Date.now();
 
     for (let i = 0; i < listings.length; i += batchSize) {
       const batch = listings.slice(i, i + batchSize);
-      console.log(`📦 Processing batch ${Math.floor(i/batchSize) + 1} with ${batch.length} jobs`);
 
       const batchPromises = batch.map(job => this.enrichSingleJob(job));
       const batchResults = await Promise.allSettled(batchPromises);
@@ -150,15 +219,14 @@ export class DataAggregator {
       batchResults.forEach((result, index) => {
         const originalJob = batch[index];
         if (result.status === 'fulfilled' && result.value) {
-          console.log(`✅ Successfully enriched job ${originalJob.id}: ${result.value.title}`);
           enrichedJobs.push(result.value);
+          if (this.lastRun) this.lastRun.enriched++;
         } else {
-          console.warn(`❌ Failed to enrich job ${originalJob?.id}:`, result.reason?.message || result.reason);
+          logger.warn('Failed to enrich job, using basic job object', { jobId: originalJob?.id, error: result.reason?.message || String(result.reason) });
+          if (this.lastRun) this.lastRun.enrichFailures++;
           // Add basic job info even if enrichment fails
           if (originalJob) {
-            const basicJob = this.createBasicJobObject(originalJob);
-            console.log(`🔄 Using basic job object for ${originalJob.id}: ${basicJob.title}`);
-            enrichedJobs.push(basicJob);
+            enrichedJobs.push(this.createBasicJobObject(originalJob));
           }
         }
       });
@@ -169,7 +237,7 @@ export class DataAggregator {
       }
     }
 
-    console.log(`🎉 Enrichment complete. ${enrichedJobs.length} out of ${listings.length} jobs processed`);
+    logger.debug('Enrichment completed', { jobs: enrichedJobs.length, listings: listings.length, duration_ms: Date.now() - startTime });
     return enrichedJobs;
   }
 
@@ -183,8 +251,12 @@ export class DataAggregator {
       // Fetch job details
       const jobDetail = await this.fetchJobDetailWithCache(job.id);
 
+      // Fetch the employer profile (once per employer per run)
+      const employer = await this.getEmployerProfile(job, jobDetail);
+
       // Prepare requirements data
       const requirements = jobDetail?.requirements || {};
+      const salary = normalizeSalary(job.salary || jobDetail?.salary);
 
       // Merge basic and detailed information
       const enrichedJob = {
@@ -193,21 +265,14 @@ export class DataAggregator {
         title: job.title || job.job_title || jobDetail?.title,
         // Add derived fields
         detail: jobDetail,
-        salary_range: this.formatSalaryRange(job.salary || jobDetail?.salary),
-        full_location: this.formatFullLocation(job),
-        requirements_text: this.formatRequirements(jobDetail?.requirements),
-        benefits_text: this.formatBenefits(jobDetail?.salary?.benefits),
-        social_media_content: this.generateSocialMediaContent(job, jobDetail),
-        content_html: this.generateFullContent(job, jobDetail),
-        application_deadline_formatted: this.formatDeadline(jobDetail?.application_deadline),
-        posted_date_formatted: this.formatDate(job.created_at || job.published_at || jobDetail?.posted_date),
-
-        // Enhanced SEO fields
-        requirements_info: this.formatRequirementsForSEO(requirements),
-        age_range: this.formatAgeRange(requirements),
-        experience_level: this.formatExperienceLevel(requirements),
+        salary_normalized: salary,
+        // Display text in this aggregator's language
+        ...this.buildLocalizedFields(job, jobDetail, employer),
         inclusive_workplace: this.isInclusiveWorkplace(requirements),
-        education_level: requirements.education_min || 'Pendidikan variatif',
+
+        // Employer profile
+        employer,
+        company_logo: employer?.logo || job.company_logo,
 
         // Add new date fields
         published_at: job.published_at || job.created_at || jobDetail?.posted_date,
@@ -221,11 +286,103 @@ export class DataAggregator {
       return enrichedJob;
 
     } catch (error) {
-      console.error(`Failed to enrich job ${job.id}:`, error);
+      logger.debug('Failed to enrich job', { jobId: job.id, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Build the display text fields of an enriched job
+   * Everything here depends on the language, so localizeJobs() can rebuild it from the stored detail
+   * @param {Object} job - Basic job object
+   * @param {Object} detail - Job detail object
+   * @param {Object} employer - Normalized employer profile
+   * @returns {Object} - Text fields merged into the enriched job
+   */
+  buildLocalizedFields(job, detail, employer) {
+    const requirements = detail?.requirements || {};
+
+    return {
+      salary_range: formatSalary(normalizeSalary(job.salary || detail?.salary), null, this.language),
+      full_location: this.formatFullLocation(job),
+      requirements_text: this.formatRequirements(detail?.requirements),
+      benefits_text: this.formatBenefits(detail?.salary?.benefits),
+      social_media_content: this.generateSocialMediaContent(job, detail),
+      content_html: this.generateFullContent(job, detail, employer),
+      application_deadline_formatted: this.formatDeadline(detail?.application_deadline),
+      posted_date_formatted: this.formatDate(job.created_at || job.published_at || detail?.posted_date),
+
+      // Enhanced SEO fields
+      requirements_info: this.formatRequirementsForSEO(requirements),
+      age_range: this.formatAgeRange(requirements),
+      experience_level: this.formatExperienceLevel(requirements),
+      education_level: requirements.education_min || this.t('job.educationVarious'),
+      company_profile_html: this.generateCompanySection(employer)
+    };
+  }
+
+  /**
+   * Build the display text fields of a job that could not be enriched
+   * @param {Object} job - Basic job listing
+   * @returns {Object} - Text fields merged into the basic job
+   */
+  buildBasicLocalizedFields(job) {
+    return {
+      salary_range: this.formatSalaryRange(job.salary),
+      full_location: this.formatFullLocation(job),
+      requirements_text: this.t('requirements.unavailable'),
+      benefits_text: this.t('benefits.unavailable'),
+      social_media_content: this.generateBasicSocialMediaContent(job),
+      content_html: this.generateBasicContent(job),
+      application_deadline_formatted: this.t('deadline.unavailable'),
+      posted_date_formatted: this.formatDate(job.created_at || job.published_at)
+    };
+  }
+
+  /**
+   * Translate an aggregated snapshot into this aggregator's language
+   * The snapshot is built in Indonesian; other languages rebuild the text fields from the
+   * stored detail and employer profile, without any API calls
+   * @param {Array} jobs - Enriched jobs from the snapshot
+   * @returns {Promise<Array>} - Jobs with text fields in this.language
+   */
+  async localizeJobs(jobs) {
+    if (this.language === DEFAULT_LANGUAGE || !Array.isArray(jobs)) {
+      return jobs;
+    }
+
+    if (!this.socialTemplates) {
+      await this.loadSocialTemplates();
+    }
+
+    return jobs.map(job => ({
+      ...job,
+      ...(job.detail
+        ? this.buildLocalizedFields(job, job.detail, job.employer || null)
+        : this.buildBasicLocalizedFields(job))
+    }));
+  }
+
+  /**
+   * Enrich a single job by ID, for jobs outside the aggregated snapshot
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Enriched job or null when the API doesn't know it
+   */
+  async aggregateSingleJob(jobId) {
+    try {
+      if (!this.socialTemplates) {
+        await this.loadSocialTemplates();
+      }
+
+      const jobDetail = await this.fetchJobDetailWithCache(jobId);
+      // The detail response carries the listing fields enrichment starts from
+      return await this.enrichSingleJob({ ...jobDetail, id: jobId, title: jobDetail.title || jobDetail.job_title });
+    } catch (error) {
+      logger.warn('Job not available', { jobId, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Fetch job detail with caching
    * @param {string} jobId - Job ID
@@ -255,6 +412,96 @@ export class DataAggregator {
     return jobDetail;
   }
 
+  /**
+   * Get the employer ID of a job
+   * @param {Object} job - Basic job object
+   * @param {Object} detail - Job detail object
+   * @returns {string|null} - Employer ID
+   */
+  getEmployerId(job, detail) {
+    return job.employer_id || detail?.employer_id || detail?.employer?.id || null;
+  }
+
+  /**
+   * Get the employer profile for a job
+   * Concurrent jobs of the same employer share one lookup; failures are cached
+   * for the run as null so a broken employer is not refetched for every job
+   * @param {Object} job - Basic job object
+   * @param {Object} detail - Job detail object
+   * @returns {Promise<Object|null>} - Normalized employer profile
+   */
+  async getEmployerProfile(job, detail) {
+    const employerId = this.getEmployerId(job, detail);
+    if (!employerId) {
+      return detail?.employer ? this.normalizeEmployerProfile(detail.employer) : null;
+    }
+
+    if (!this.employerProfiles.has(employerId)) {
+      this.employerProfiles.set(employerId, this.fetchEmployerDetailWithCache(employerId).catch(error => {
+        logger.warn('Failed to fetch employer', { employerId, error: error.message });
+        return null;
+      }));
+    }
+
+    const employerDetail = await this.employerProfiles.get(employerId);
+    if (!employerDetail && !detail?.employer) {
+      return null;
+    }
+
+    // The job detail may already embed part of the profile; the employer endpoint wins
+    return this.normalizeEmployerProfile({ id: employerId, ...detail?.employer, ...employerDetail });
+  }
+
+  /**
+   * Fetch employer detail with caching
+   * @param {string} employerId - Employer ID
+   * @returns {Promise<Object>} - Employer detail object
+   */
+  async fetchEmployerDetailWithCache(employerId) {
+    const cacheKey = `employer_detail_${employerId}`;
+
+    // Try cache first
+    const cached = await this.cacheManager.get(cacheKey, 'employer_details');
+    if (cached) {
+      return cached.data;
+    }
+
+    // Fetch fresh data
+    const response = await this.apiFetcher.fetchEmployerDetail(employerId);
+
+    if (!response.data) {
+      throw new Error(`No data found for employer ${employerId}`);
+    }
+
+    if (this.lastRun) this.lastRun.employersFetched++;
+
+    // Cache the result
+    await this.cacheManager.set(cacheKey, { data: response.data }, 'employer_details');
+
+    return response.data;
+  }
+
+  /**
+   * Normalize an employer profile from the API
+   * @param {Object} employer - Raw employer object
+   * @returns {Object} - {id, name, size, address, website, description, logo}
+   */
+  normalizeEmployerProfile(employer) {
+    const address = employer.address || employer.company_address || null;
+
+    return {
+      id: employer.id || null,
+      name: employer.company_name || employer.name || null,
+      size: employer.company_size || employer.employee_size || employer.size || null,
+      address: typeof address === 'object' && address !== null
+        ? [address.street || address.address, address.city_name, address.province_name].filter(Boolean).join(', ')
+        : address,
+      website: employer.website || employer.website_url || null,
+      description: employer.description || employer.company_description || employer.about || null,
+      logo: employer.logo || employer.logo_url || employer.company_logo || null
+    };
+  }
+
   /**
    * Create a basic job object for fallback
    * @param {Object} job - Basic job listing
@@ -266,14 +513,8 @@ export class DataAggregator {
       // Ensure consistent field naming
       title: job.title || job.job_title,
       detail: null,
-      salary_range: 'Gaji nego',
-      full_location: this.formatFullLocation(job),
-      requirements_text: 'Informasi persyaratan tidak tersedia',
-      benefits_text: 'Informasi benefit tidak tersedia',
-      social_media_content: this.generateBasicSocialMediaContent(job),
-      content_html: this.generateBasicContent(job),
-      application_deadline_formatted: 'Informasi deadline tidak tersedia',
-      posted_date_formatted: this.formatDate(job.created_at || job.published_at),
+      salary_normalized: normalizeSalary(job.salary),
+      ...this.buildBasicLocalizedFields(job),
       // Add new date fields
       published_at: job.published_at || job.created_at,
       expires_at: job.expires_at,
@@ -286,89 +527,11 @@ export class DataAggregator {
 
   /**
    * Format salary range for SEO optimization
-   * @param {Object} salary - Salary object
-   * @returns {string} - Formatted salary range
+   * @param {Object} salary - Salary object (any API shape)
+   * @returns {string} - Formatted salary range, e.g. "Rp4,5–6 juta/bulan"
    */
   formatSalaryRange(salary) {
-    if (!salary || typeof salary !== 'object') {
-      return 'Gaji Kompetitif';
-    }
-
-    // Debug: Log actual salary structure
-    console.log('DEBUG formatSalaryRange - salary structure:', {
-      show_salary: salary.show_salary,
-      min_salary_amount: salary.min_salary_amount,
-      max_salary_amount: salary.max_salary_amount,
-      min_salary: salary.min_salary,
-      max_salary: salary.max_salary
-    });
-
-    // Handle actual API structure: min_salary_amount, max_salary_amount
-    if (salary.min_salary_amount !== undefined && salary.max_salary_amount !== undefined) {
-      const minAmount = salary.min_salary_amount;
-      const maxAmount = salary.max_salary_amount;
-
-      // Convert to millions for better readability
-      const minMillions = Math.round(minAmount / 1000000);
-      const maxMillions = Math.round(maxAmount / 1000000);
-
-      return `Rp${minMillions}-${maxMillions} Juta/bulan`;
-    }
-
-    // Handle single min_salary_amount
-    if (salary.min_salary_amount !== undefined && salary.max_salary_amount === undefined) {
-      const minAmount = salary.min_salary_amount;
-      const minMillions = Math.round(minAmount / 1000000);
-      return `Rp${minMillions}+ Juta/bulan`;
-    }
-
-    // Handle single max_salary_amount
-    if (salary.min_salary_amount === undefined && salary.max_salary_amount !== undefined) {
-      const maxAmount = salary.max_salary_amount;
-      const maxMillions = Math.round(maxAmount / 1000000);
-      return `Hingga Rp${maxMillions} Juta/bulan`;
-    }
-
-    // Handle new API structure: min_salary, max_salary objects
-    if (salary.min_salary && salary.max_salary) {
-      const minAmount = salary.min_salary.amount;
-      const maxAmount = salary.max_salary.amount;
-
-      // Convert to millions for better readability
-      const minMillions = Math.round(minAmount / 1000000);
-      const maxMillions = Math.round(maxAmount / 1000000);
-
-      return `Rp${minMillions}-${maxMillions} Juta/bulan`;
-    }
-
-    // Handle single min_salary object
-    if (salary.min_salary && !salary.max_salary) {
-      const minAmount = salary.min_salary.amount;
-      const minMillions = Math.round(minAmount / 1000000);
-      return `Rp${minMillions}+ Juta/bulan`;
-    }
-
-    // Handle single max_salary object
-    if (!salary.min_salary && salary.max_salary) {
-      const maxAmount = salary.max_salary.amount;
-      const maxMillions = Math.round(maxAmount / 1000000);
-      return `Hingga Rp${maxMillions} Juta/bulan`;
-    }
-
-    // Fallback to old structure for backward compatibility
-    if (salary.min && salary.max) {
-      const minMillions = Math.round(salary.min / 1000000);
-      const maxMillions = Math.round(salary.max / 1000000);
-      return `Rp${minMillions}-${maxMillions} Juta/bulan`;
-    } else if (salary.min) {
-      const minMillions = Math.round(salary.min / 1000000);
-      return `Rp${minMillions}+ Juta/bulan`;
-    } else if (salary.max) {
-      const maxMillions = Math.round(salary.max / 1000000);
-      return `Hingga Rp${maxMillions} Juta/bulan`;
-    }
-
-    return 'Gaji Kompetitif';
+    return formatSalary(normalizeSalary(salary), null, this.language);
   }
 
   /**
@@ -384,33 +547,27 @@ export class DataAggregator {
     const elements = [];
 
     // Age range with attractive formatting
-    if (requirements.min_age && requirements.max_age) {
-      elements.push(`👥 ${requirements.min_age}-${requirements.max_age} tahun`);
-    } else if (requirements.min_age) {
-      elements.push(`👥 ${requirements.min_age}+ tahun`);
-    } else if (requirements.max_age) {
-      elements.push(`👥 Maks ${requirements.max_age} tahun`);
+    if (requirements.min_age || requirements.max_age) {
+      elements.push(`👥 ${this.formatAgeRange(requirements)}`);
     }
 
     // Experience level
     if (!requirements.min_year_experience || requirements.min_year_experience === 0) {
-      elements.push(`🚫 Fresh Graduate Welcome`);
-    } else if (requirements.min_year_experience === 1) {
-      elements.push(`🚫 1+ tahun pengalaman`);
-    } else if (requirements.min_year_experience) {
-      elements.push(`🚫 ${requirements.min_year_experience}+ tahun pengalaman`);
+      elements.push(`🚫 ${this.t('experience.freshGraduate')}`);
+    } else {
+      elements.push(`🚫 ${this.t('experience.years', { count: requirements.min_year_experience })}`);
     }
 
     // Inclusivity indicators
     if (requirements.physical_condition === 'disabled') {
-      elements.push(`♿ Disabilitas-Friendly`);
+      elements.push(`♿ ${this.t('inclusion.disabilityFriendly')}`);
     }
 
     // Equal opportunity
     if (!requirements.gender && !requirements.marital_status) {
-      elements.push(`🌈 Equal Opportunity`);
+      elements.push(`🌈 ${this.t('inclusion.equalOpportunity')}`);
     } else if (!requirements.gender) {
-      elements.push(`🌈 Gender Neutral`);
+      elements.push(`🌈 ${this.t('inclusion.genderNeutral')}`);
     }
 
     // Education level
@@ -432,17 +589,17 @@ export class DataAggregator {
    * @returns {string} - Formatted age range
    */
   formatAgeRange(requirements) {
-    if (!requirements) return 'Usia bebas';
+    if (!requirements) return this.t('age.any');
 
     if (requirements.min_age && requirements.max_age) {
-      return `${requirements.min_age}-${requirements.max_age} tahun`;
+      return this.t('age.range', { min: requirements.min_age, max: requirements.max_age });
     } else if (requirements.min_age) {
-      return `${requirements.min_age}+ tahun`;
+      return this.t('age.min', { min: requirements.min_age });
     } else if (requirements.max_age) {
-      return `Maks ${requirements.max_age} tahun`;
+      return this.t('age.max', { max: requirements.max_age });
     }
 
-    return 'Usia bebas';
+    return this.t('age.any');
   }
 
   /**
@@ -451,17 +608,13 @@ export class DataAggregator {
    * @returns {string} - Formatted experience level
    */
   formatExperienceLevel(requirements) {
-    if (!requirements) return 'Pengalaman dibutuhkan';
+    if (!requirements) return this.t('experience.required');
 
     if (!requirements.min_year_experience || requirements.min_year_experience === 0) {
-      return 'Fresh Graduate Welcome';
-    } else if (requirements.min_year_experience === 1) {
-      return '1+ tahun pengalaman';
-    } else if (requirements.min_year_experience) {
-      return `${requirements.min_year_experience}+ tahun pengalaman`;
+      return this.t('experience.freshGraduate');
     }
 
-    return 'Pengalaman dibutuhkan';
+    return this.t('experience.years', { count: requirements.min_year_experience });
   }
 
   /**
@@ -505,7 +658,7 @@ export class DataAggregator {
    * @returns {string} - Formatted job type
    */
   formatJobType(jobType) {
-    if (!jobType) return 'Full-time';
+    if (!jobType) return this.t('job.defaultType');
 
     // Handle string job types
     if (typeof jobType === 'string') {
@@ -527,9 +680,9 @@ export class DataAggregator {
         return jobType.toString();
       }
 
-      // Last resort: JSON stringify for debugging
-      console.warn('Unexpected job_type object structure:', jobType);
-      return 'Full-time';
+      // Last resort
+      logger.warn('Unexpected job_type object structure', { jobType });
+      return this.t('job.defaultType');
     }
 
     // Handle other types (numbers, etc.)
@@ -537,7 +690,7 @@ export class DataAggregator {
       return String(jobType);
     }
 
-    return 'Full-time';
+    return this.t('job.defaultType');
   }
 
   /**
@@ -556,7 +709,7 @@ export class DataAggregator {
       parts.push(job.province_name);
     }
 
-    return parts.length > 0 ? parts.join(', ') : 'Lokasi tidak disebutkan';
+    return parts.length > 0 ? parts.join(', ') : this.t('job.locationUnknown');
   }
 
   /**
@@ -566,29 +719,29 @@ export class DataAggregator {
    */
   formatRequirements(requirements) {
     if (!requirements || typeof requirements !== 'object') {
-      return 'Informasi persyaratan tidak tersedia';
+      return this.t('requirements.unavailable');
     }
 
     let text = '';
 
     if (requirements.education_min) {
-      text += `**Pendidikan:** ${requirements.education_min}\n\n`;
+      text += `**${this.t('requirements.education')}:** ${requirements.education_min}\n\n`;
     }
 
     if (requirements.age_max) {
-      text += `**Usia Maksimal:** ${requirements.age_max} tahun\n\n`;
+      text += `**${this.t('requirements.maxAge')}:** ${this.t('age.years', { count: requirements.age_max })}\n\n`;
     }
 
     if (requirements.gender) {
-      text += `**Jenis Kelamin:** ${requirements.gender}\n\n`;
+      text += `**${this.t('requirements.gender')}:** ${requirements.gender}\n\n`;
     }
 
     if (requirements.experience) {
-      text += `**Pengalaman:** ${requirements.experience}\n\n`;
+      text += `**${this.t('requirements.experience')}:** ${requirements.experience}\n\n`;
     }
 
     if (requirements.requirements && Array.isArray(requirements.requirements)) {
-      text += '**Persyaratan:**\n';
+      text += `**${this.t('requirements.list')}:**\n`;
       requirements.requirements.forEach(req => {
         text += `• ${req}\n`;
       });
@@ -596,13 +749,13 @@ export class DataAggregator {
     }
 
     if (requirements.skills && Array.isArray(requirements.skills)) {
-      text += '**Skill yang Dibutuhkan:**\n';
+      text += `**${this.t('requirements.skills')}:**\n`;
       requirements.skills.forEach(skill => {
         text += `• ${skill}\n`;
       });
     }
 
-    return text.trim() || 'Informasi persyaratan tidak lengkap';
+    return text.trim() || this.t('requirements.incomplete');
   }
 
   /**
@@ -612,10 +765,10 @@ export class DataAggregator {
    */
   formatBenefits(benefits) {
     if (!benefits || !Array.isArray(benefits) || benefits.length === 0) {
-      return 'Informasi benefit tidak tersedia';
+      return this.t('benefits.unavailable');
     }
 
-    let text = '**Benefit yang Ditawarkan:**\n';
+    let text = `**${this.t('benefits.offered')}:**\n`;
     benefits.forEach(benefit => {
       text += `• ${benefit}\n`;
     });
@@ -624,104 +777,120 @@ export class DataAggregator {
   }
 
   /**
-   * Generate social media content
+   * Load the social media templates for this run (KV overrides over the defaults, in this.language)
+   * @returns {Promise<Object>} - {platform: {template, maxLength}}
+   */
+  async loadSocialTemplates() {
+    this.socialTemplates = await this.templateStore.getTemplates(this.language);
+    return this.socialTemplates;
+  }
+
+  /**
+   * Build the placeholder values shared by every social media template
    * @param {Object} job - Basic job object
-   * @param {Object} detail - Job detail object
-   * @returns {Object} - Social media content object
+   * @param {Object} detail - Job detail object (null for basic jobs)
+   * @returns {Object} - Template values; missing fields stay empty so their sections drop out
    */
-  generateSocialMediaContent(job, detail) {
+  buildSocialTemplateValues(job, detail = null) {
     const location = job.city_name || 'Indonesia';
-    const salary = detail?.salary ? this.formatSalaryRange(detail.salary) : 'Gaji nego';
-    const jobType = this.formatJobType(detail?.job_type) || 'Full-time';
-    const education = detail?.requirements?.education_min || 'Tidak disebutkan';
-    const industry = job.industry_name || 'General';
+    const industry = job.industry_name || null;
+    const salary = normalizeSalary(job.salary || detail?.salary);
 
     return {
-      twitter: this.generateTwitterContent(job, detail, location, salary, jobType, education, industry),
-      facebook: this.generateFacebookContent(job, detail, location, salary, jobType, education, industry),
-      linkedin: this.generateLinkedInContent(job, detail, location, salary, jobType, education, industry)
+      title: job.title || job.job_title || detail?.title,
+      position: job.title || job.job_title || detail?.title,
+      company: job.company_name,
+      location,
+      salary: salary.disclosed ? formatSalary(salary, null, this.language) : null,
+      education: detail?.requirements?.education_min || null,
+      experience: detail?.requirements?.experience || null,
+      skills: Array.isArray(detail?.requirements?.skills) ? detail.requirements.skills.slice(0, 3) : null,
+      job_type: this.formatJobType(detail?.job_type),
+      industry,
+      description: detail?.description || null,
+      benefits: Array.isArray(detail?.salary?.benefits) ? detail.salary.benefits.slice(0, 3) : null,
+      deadline: detail?.application_deadline ? this.formatDeadline(detail.application_deadline) : null,
+      link: buildJobPageUrl(job.id),
+      apply_link: `${CONFIG.KARIRHUB_BASE_URL}/lowongan-dalam-negeri/lowongan/${job.id}`,
+      hashtags: this.generateHashtags(job, industry, location),
+      professional_hashtags: this.generateHashtags(job, industry, location, true)
     };
   }
 
   /**
-   * Generate Twitter content (280 chars max)
+   * Render one platform's post from its template
+   * @param {string} platform - Platform name (twitter, facebook, linkedin)
+   * @param {Object} values - Result of buildSocialTemplateValues()
+   * @returns {string} - Post text within the platform's character limit
    */
-  generateTwitterContent(job, detail, location, salary, jobType, education, industry) {
-    const hashtags = this.generateHashtags(job, industry, location);
-    const title = `🔥 Lowongan ${job.title} di ${job.company_name} - ${location}`;
-
-    let content = `${title}\n\n💰 ${salary}\n📍 ${location}\n📋 ${education} • ${jobType}\n🏭 ${industry}\n\n${hashtags}`;
-
-    // Truncate if too long
-    if (content.length > 280) {
-      const allowedLength = 277; // Leave room for "..."
-      content = content.substring(0, allowedLength);
-      const lastSpace = content.lastIndexOf(' ');
-      if (lastSpace > 0) {
-        content = content.substring(0, lastSpace);
-      }
-      content += '...';
+  renderSocialContent(platform, values) {
+    const { template, maxLength } = this.socialTemplates?.[platform] || this.templateStore.getDefaults(platform, this.language);
+    const platformLimit = CONFIG.SOCIAL_MEDIA_CHAR_LIMITS[platform] || maxLength;
+    const limit = Math.min(maxLength, platformLimit);
+
+    // X counts weighted length (emoji 2, URLs 23), so tweets are fitted separately
+    if (platform === 'twitter') {
+      const text = this.renderWithHashtags(template, values, candidate => getTweetLength(candidate) <= limit);
+      return truncateTweet(text, limit);
     }
 
-    return content;
+    return renderTemplate(template, values, { maxLength: limit });
   }
 
   /**
-   * Generate Facebook content
+   * Render a template, dropping hashtags from the end until the result fits
+   * Hashtags run from broad to specific and the 8-tag cap already cuts from the end, so the same order applies here
+   * @param {string} template - Template source
+   * @param {Object} values - Result of buildSocialTemplateValues()
+   * @param {Function} fits - Returns true when a rendered candidate is acceptable
+   * @returns {string} - First fitting render, or the render without hashtags
    */
-  generateFacebookContent(job, detail, location, salary, jobType, education, industry) {
-    const hashtags = this.generateHashtags(job, industry, location);
-    const requirements = detail?.requirements?.experience || 'Pengalaman relevan';
-
-    return `💼 **Lowongan Kerja: ${job.title}**
-
-🏢 **Perusahaan:** ${job.company_name}
-📍 **Lokasi:** ${location}
-💰 **Gaji:** ${salary}
-📋 **Persyaratan:** ${education}, ${requirements}
-🏭 **Industri:** ${industry}
+  renderWithHashtags(template, values, fits) {
+    const hashtags = String(values.hashtags || '').split(/\s+/).filter(Boolean);
 
-📝 **Deskripsi:** ${detail?.description?.substring(0, 200) || 'Deskripsi tidak tersedia'}...
-
-🎁 **Benefit:** ${detail?.salary?.benefits?.slice(0, 3).join(', ') || 'Benefit kompetitif'}
-
-📅 **Deadline:** ${this.formatDeadline(detail?.application_deadline)}
-
-🔗 **Info lebih lanjut:** KarirHub Kemnaker
+    for (let count = hashtags.length; count > 0; count--) {
+      const text = renderTemplate(template, { ...values, hashtags: hashtags.slice(0, count).join(' ') });
+      if (fits(text)) {
+        return text;
+      }
+    }
 
-${hashtags}`;
+    return renderTemplate(template, { ...values, hashtags: null });
   }
 
   /**
-   * Generate LinkedIn content
+   * Render the twitter template as a thread when it does not fit one post
+   * @param {Object} values - Result of buildSocialTemplateValues()
+   * @returns {Array<string>|null} - 2-3 posts with the apply link in the last one, or null
    */
-  generateLinkedInContent(job, detail, location, salary, jobType, education, industry) {
-    const hashtags = this.generateHashtags(job, industry, location, true);
-    const experience = detail?.requirements?.experience || 'Relevant experience';
-
-    return `🚀 **Career Opportunity: ${job.title}**
+  renderTwitterThread(values) {
+    const { template, maxLength, threadPosts } = this.socialTemplates?.twitter || this.templateStore.getDefaults('twitter', this.language);
+    const limit = Math.min(maxLength, CONFIG.SOCIAL_MEDIA_CHAR_LIMITS.twitter);
 
-**Company:** ${job.company_name} | ${industry}
-**Location:** ${location}
-**Employment Type:** ${jobType}
-**Salary Range:** ${salary}
-
-**Requirements:**
-• ${education}
-• ${experience}
-• Team player with good communication skills
-
-**About the Role:**
-${detail?.description?.substring(0, 300) || 'Join our dynamic team!'}...
+    if (!(threadPosts >= 2) || getTweetLength(renderTemplate(template, values)) <= limit) {
+      return null;
+    }
 
-**Benefits Offered:**
-${detail?.salary?.benefits?.slice(0, 3).map(b => `• ${b}`).join('\n') || '• Competitive salary\n• Professional development\n• Career growth opportunities'}
+    const options = { maxLength: limit, lastLine: this.t('social.applyLine', { link: values.apply_link }) };
+    const text = this.renderWithHashtags(template, values, candidate => splitTweetThread(candidate, options).length <= threadPosts);
 
-**Application Deadline:** ${this.formatDeadline(detail?.application_deadline)}
+    return splitTweetThread(text, { ...options, maxPosts: threadPosts });
+  }
 
-${hashtags}
+  /**
+   * Generate social media content
+   * @param {Object} job - Basic job object
+   * @param {Object} detail - Job detail object
+   * @returns {Object} - Social media content object (twitter_thread only when a thread was rendered)
+   */
+  generateSocialMediaContent(job, detail) {
+    const values = this.buildSocialTemplateValues(job, detail);
+    const content = Object.fromEntries(
+      Object.keys(SOCIAL_MEDIA_TEMPLATES).map(platform => [platform, this.renderSocialContent(platform, values)])
+    );
 
-#jobopportunity #hiring #careers`;
+    const thread = this.renderTwitterThread(values);
+    return thread ? { ...content, twitter_thread: thread } : content;
   }
 
   /**
@@ -730,23 +899,7 @@ ${hashtags}
    * @returns {Object} - Basic social media content
    */
   generateBasicSocialMediaContent(job) {
-    const location = job.city_name || 'Indonesia';
-    const industry = job.industry_name || 'General';
-    const hashtags = this.generateHashtags(job, industry, location);
-
-    const content = `🔥 Lowongan ${job.title} di ${job.company_name} - ${location}
-
-📍 ${location}
-🏭 ${industry}
-📅 Lowongan terbaru
-
-${hashtags}`;
-
-    return {
-      twitter: content.length > 280 ? content.substring(0, 277) + '...' : content,
-      facebook: content,
-      linkedin: content
-    };
+    return this.generateSocialMediaContent(job, null);
   }
 
   /**
@@ -790,14 +943,15 @@ ${hashtags}`;
    * Generate full HTML content for WordPress
    * @param {Object} job - Basic job object
    * @param {Object} detail - Job detail object
+   * @param {Object} employer - Normalized employer profile (optional)
    * @returns {string} - HTML content
    */
-  generateFullContent(job, detail) {
+  generateFullContent(job, detail, employer = null) {
     let content = `<h2>${job.title}</h2>`;
 
     // Company information
     content += `<div class="job-company-info">
-      <h3>Perusahaan:</h3>
+      <h3>${this.t('content.company')}:</h3>
       <p><strong>${job.company_name}</strong>`;
 
     if (job.industry_name) {
@@ -808,7 +962,7 @@ ${hashtags}`;
 
     // Location
     content += `<div class="job-location">
-      <h3>Lokasi:</h3>
+      <h3>${this.t('content.location')}:</h3>
       <p>${this.formatFullLocation(job)}</p>
     </div>`;
 
@@ -816,23 +970,23 @@ ${hashtags}`;
     if (detail) {
       if (detail.job_type) {
         content += `<div class="job-type">
-          <h3>Tipe Pekerjaan:</h3>
+          <h3>${this.t('content.jobType')}:</h3>
           <p>${this.formatJobType(detail.job_type)}</p>
         </div>`;
       }
 
       if (detail.salary) {
         content += `<div class="job-salary">
-          <h3>Rentang Gaji:</h3>
+          <h3>${this.t('content.salary')}:</h3>
           <p>${this.formatSalaryRange(detail.salary)}</p>
         </div>`;
       }
 
       // Requirements
       const requirementsText = this.formatRequirements(detail.requirements);
-      if (requirementsText && requirementsText !== 'Informasi persyaratan tidak tersedia') {
+      if (requirementsText && requirementsText !== this.t('requirements.unavailable')) {
         content += `<div class="job-requirements">
-          <h3>Persyaratan:</h3>
+          <h3>${this.t('requirements.list')}:</h3>
           <div>${requirementsText.replace(/\n/g, '<br>')}</div>
         </div>`;
       }
@@ -840,14 +994,14 @@ ${hashtags}`;
       // Description
       if (detail.description) {
         content += `<div class="job-description">
-          <h3>Deskripsi Pekerjaan:</h3>
+          <h3>${this.t('content.description')}:</h3>
           <div>${detail.description}</div>
         </div>`;
       }
 
       // Benefits
       const benefitsText = this.formatBenefits(detail.salary?.benefits);
-      if (benefitsText && benefitsText !== 'Informasi benefit tidak tersedia') {
+      if (benefitsText && benefitsText !== this.t('benefits.unavailable')) {
         content += `<div class="job-benefits">
           ${benefitsText.replace(/\n/g, '<br>')}
         </div>`;
@@ -856,22 +1010,64 @@ ${hashtags}`;
       // Application deadline
       if (detail.application_deadline) {
         content += `<div class="job-deadline">
-          <h3>Batas Lamaran:</h3>
+          <h3>${this.t('content.deadline')}:</h3>
           <p><strong>${this.formatDeadline(detail.application_deadline)}</strong></p>
         </div>`;
       }
     }
 
+    // Company profile
+    content += this.generateCompanySection(employer);
+
     // Source attribution
     content += `<hr>
       <div class="job-source">
-        <p><em>Sumber: Kementerian Ketenagakerjaan Indonesia - KarirHub</em></p>
-        <p><small>Lowongan ini dipublikasikan pada ${job.posted_date_formatted || this.formatDate(job.created_at || job.published_at)}</small></p>
+        <p><em>${this.t('content.source')}</em></p>
+        <p><small>${this.t('content.vacancyPublishedOn', { date: this.formatDate(job.created_at || job.published_at) })}</small></p>
       </div>`;
 
     return content;
   }
 
+  /**
+   * Generate the "Tentang Perusahaan" (about the company) section
+   * @param {Object} employer - Normalized employer profile
+   * @returns {string} - HTML section (empty when there is nothing to show)
+   */
+  generateCompanySection(employer) {
+    // Employer profiles are free text from employers: tags are stripped and links must be http(s)
+    const escape = value => TEMPLATE_ESCAPERS.html(String(value));
+    const website = getSafeHttpUrl(employer?.website);
+    const logo = getSafeHttpUrl(employer?.logo);
+    const description = employer?.description ? escape(employer.description).replace(/\n/g, '<br>') : '';
+
+    if (!employer || !(description || employer.size || employer.address || website)) {
+      return '';
+    }
+
+    let section = `<div class="job-company-profile">
+      <h3>${this.t('content.aboutCompany')}:</h3>`;
+
+    if (logo) {
+      section += `<p><img src="${escape(logo)}" alt="${escape(employer.name || this.t('content.companyLogo'))}" style="max-width:120px"></p>`;
+    }
+
+    if (description) {
+      section += `<div>${description}</div>`;
+    }
+
+    const facts = [];
+    if (employer.size) facts.push(`<li><strong>${this.t('content.employees')}:</strong> ${escape(employer.size)}</li>`);
+    if (employer.address) facts.push(`<li><strong>${this.t('content.address')}:</strong> ${escape(employer.address)}</li>`);
+    if (website) facts.push(`<li><strong>${this.t('content.website')}:</strong> <a href="${escape(website)}">${escape(website)}</a></li>`);
+    if (facts.length > 0) {
+      section += `<ul>${facts.join('')}</ul>`;
+    }
+
+    section += `</div>`;
+    return section;
+  }
+
   /**
    * Generate basic HTML content (fallback)
    * @param {Object} job - Basic job object
@@ -880,25 +1076,25 @@ ${hashtags}`;
   generateBasicContent(job) {
     return `<h2>${job.title}</h2>
       <div class="job-company-info">
-        <h3>Perusahaan:</h3>
+        <h3>${this.t('content.company')}:</h3>
         <p><strong>${job.company_name}</strong></p>
       </div>
       <div class="job-location">
-        <h3>Lokasi:</h3>
+        <h3>${this.t('content.location')}:</h3>
         <p>${this.formatFullLocation(job)}</p>
       </div>
       <div class="job-industry">
-        <h3>Industri:</h3>
-        <p>${job.industry_name || 'General'}</p>
+        <h3>${this.t('content.industry')}:</h3>
+        <p>${job.industry_name || this.t('job.general')}</p>
       </div>
       <div class="job-function">
-        <h3>Fungsi:</h3>
-        <p>${job.job_function_name || 'General'}</p>
+        <h3>${this.t('content.function')}:</h3>
+        <p>${job.job_function_name || this.t('job.general')}</p>
       </div>
       <hr>
       <div class="job-source">
-        <p><em>Sumber: Kementerian Ketenagakerjaan Indonesia - KarirHub</em></p>
-        <p><small>Lowongan ini dipublikasikan pada ${job.posted_date_formatted || this.formatDate(job.created_at || job.published_at)}</small></p>
+        <p><em>${this.t('content.source')}</em></p>
+        <p><small>${this.t('content.vacancyPublishedOn', { date: this.formatDate(job.created_at || job.published_at) })}</small></p>
       </div>`;
   }
 
@@ -908,13 +1104,13 @@ ${hashtags}`;
    * @returns {string} - Formatted date
    */
   formatDate(dateString) {
-    if (!dateString) return 'Tanggal tidak tersedia';
+    if (!dateString) return this.t('date.unavailable');
 
     try {
       const date = new Date(dateString);
-      return date.toLocaleDateString('id-ID', CONTENT_FORMATTING.date.options);
+      return date.toLocaleDateString(getLocale(this.language), CONTENT_FORMATTING.date.options);
     } catch (error) {
-      return 'Tanggal tidak valid';
+      return this.t('date.invalid');
     }
   }
 
@@ -924,7 +1120,7 @@ ${hashtags}`;
    * @returns {string} - Formatted deadline
    */
   formatDeadline(dateString) {
-    if (!dateString) return 'Informasi deadline tidak tersedia';
+    if (!dateString) return this.t('deadline.unavailable');
 
     try {
       const date = new Date(dateString);
@@ -932,17 +1128,17 @@ ${hashtags}`;
       const diffTime = date - today;
       const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 
-      const formatted = date.toLocaleDateString('id-ID', CONTENT_FORMATTING.date.options);
+      const formatted = date.toLocaleDateString(getLocale(this.language), CONTENT_FORMATTING.date.options);
 
       if (diffDays < 0) {
-        return `${formatted} (Deadline telah lewat)`;
+        return this.t('deadline.passed', { date: formatted });
       } else if (diffDays <= 3) {
-        return `${formatted} (${diffDays} hari lagi)`;
+        return this.t('deadline.withDaysLeft', { date: formatted, count: diffDays });
       }
 
       return formatted;
     } catch (error) {
-      return 'Deadline tidak valid';
+      return this.t('deadline.invalid');
     }
   }
 
@@ -952,8 +1148,6 @@ ${hashtags}`;
    * @returns {Array} - Filtered and sorted jobs
    */
   filterAndSortJobs(jobs) {
-    console.log(`🔍 Filtering ${jobs.length} jobs...`);
-
     // Filter out jobs without required fields
     const filtered = jobs.filter((job, index) => {
       const isValid = job &&
@@ -963,7 +1157,8 @@ ${hashtags}`;
              (job.created_at || job.published_at);  // Handle both date fields
 
       if (!isValid) {
-        console.warn(`❌ Job ${index} filtered out:`, {
+        logger.warn('Job filtered out for missing fields', {
+          index,
           hasJob: !!job,
           hasId: !!job?.id,
           hasTitle: !!(job?.title || job?.job_title),
@@ -976,8 +1171,6 @@ ${hashtags}`;
       return isValid;
     });
 
-    console.log(`✅ Filtered to ${filtered.length} valid jobs`);
-
     // Sort by creation date (newest first)
     filtered.sort((a, b) => {
       const dateA = new Date(a.created_at || a.published_at);
@@ -985,11 +1178,6 @@ ${hashtags}`;
       return dateB - dateA;
     });
 
-    console.log(`📊 Final job list ready for RSS generation:`);
-    filtered.slice(0, 3).forEach((job, index) => {
-      console.log(`  ${index + 1}. ${job.title} at ${job.company_name}`);
-    });
-
     return filtered;
   }
 
@@ -1008,7 +1196,8 @@ ${hashtags}`;
    */
   getStats() {
     return {
-      lastAggregation: new Date().toISOString(),
+      lastAggregation: this.lastRun?.startedAt || null,
+      lastRun: this.lastRun,
       cacheStatus: 'active',
       apiEndpoints: [
         `${CONFIG.API_BASE_URL}/industrial-vacancies`,
@@ -0,0 +1,286 @@
+/**
+ * Job Index Module
+ * Persists every job seen by the aggregator so runs can detect
+ * new, updated and removed vacancies instead of starting from scratch.
+ * Runs only fetch the newest SNAPSHOT_MAX_JOBS jobs, so a job missing from a run is
+ * only "removed" when the walk covered the whole listing or its deadline has passed;
+ * otherwise it merely "left the window" and may still be open upstream
+ */
+
+import { CONFIG } from '../config/environment.js';
+import { simpleHash } from '../utils/helpers.js';
+import { getJobDeadline } from '../utils/job-filter.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('job-index');
+
+/**
+ * Job Index Class
+ */
+export class JobIndex {
+  /**
+   * Constructor
+   * @param {Object} kvStore - Cloudflare KV store instance
+   */
+  constructor(kvStore) {
+    this.kvStore = kvStore && typeof kvStore.get === 'function' ? kvStore : null;
+    this.indexKey = `${CONFIG.ENVIRONMENT}_job_index`;
+    this.retentionMs = CONFIG.JOB_INDEX_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Load the index from KV
+   * @returns {Promise<Object>} - {jobs, updatedAt} where jobs is keyed by job ID
+   */
+  async load() {
+    if (!this.kvStore) {
+      return { jobs: {}, updatedAt: null };
+    }
+
+    try {
+      const stored = await this.kvStore.get(this.indexKey, 'json');
+      return {
+        jobs: stored?.jobs || {},
+        updatedAt: stored?.updatedAt || null
+      };
+    } catch (error) {
+      logger.error('Failed to load job index', { error });
+      return { jobs: {}, updatedAt: null };
+    }
+  }
+
+  /**
+   * Save the index to KV (no expiration - the index outlives every cache entry)
+   * @param {Object} index - Index object
+   * @returns {Promise<boolean>} - True if saved
+   */
+  async save(index) {
+    if (!this.kvStore) {
+      return false;
+    }
+
+    try {
+      await this.kvStore.put(this.indexKey, JSON.stringify(index));
+      return true;
+    } catch (error) {
+      logger.error('Failed to save job index', { error });
+      return false;
+    }
+  }
+
+  /**
+   * Compute a content fingerprint for the fields readers care about
+   * @param {Object} job - Enriched job object
+   * @returns {string} - Fingerprint
+   */
+  computeFingerprint(job) {
+    const detail = job.detail || {};
+
+    return simpleHash(JSON.stringify([
+      job.title,
+      job.company_name,
+      job.city_name,
+      job.salary || detail.salary || null,
+      job.expires_at || detail.expires_at || null,
+      detail.application_deadline || null,
+      detail.description || null,
+      detail.requirements || null
+    ]));
+  }
+
+  /**
+   * Update the index with the jobs from an aggregation run
+   * Annotates each job with first_seen_at, last_changed_at, content_fingerprint and change_status
+   * @param {Array} jobs - Enriched jobs from this run
+   * @param {Object} options - {complete, exhaustive} - complete: no listing page failed;
+   *   exhaustive: the walk reached the last listing page, so missing jobs are really gone
+   * @returns {Promise<Object>} - Changes: {new, updated, removed, leftWindow} (arrays of job IDs)
+   */
+  async update(jobs, options = {}) {
+    const { complete = true, exhaustive = false } = options;
+    const index = await this.load();
+    const now = new Date().toISOString();
+    const bootstrap = Object.keys(index.jobs).length === 0;
+    const seenIds = new Set();
+    const changes = { new: [], updated: [], removed: [], leftWindow: [] };
+
+    for (const job of jobs) {
+      if (!job?.id) {
+        continue;
+      }
+
+      seenIds.add(job.id);
+      const existing = index.jobs[job.id];
+      // Basic job objects (failed enrichment) have no detail to fingerprint
+      const fingerprint = job.detail ? this.computeFingerprint(job) : existing?.fingerprint || null;
+      const deadline = getJobDeadline(job);
+      const expiresAt = deadline === null ? null : new Date(deadline).toISOString();
+
+      if (!existing) {
+        // On the very first run every job is "new", so keep the upstream publish date instead
+        const firstSeen = bootstrap ? this.toISODate(job.published_at || job.created_at) || now : now;
+
+        index.jobs[job.id] = {
+          fingerprint,
+          first_seen: firstSeen,
+          last_seen: now,
+          last_changed: firstSeen,
+          removed_at: null,
+          left_window_at: null,
+          expires_at: expiresAt,
+          title: job.title || null,
+          company_name: job.company_name || null,
+          url: job.frontend_url || null
+        };
+
+        if (!bootstrap) {
+          changes.new.push(job.id);
+        }
+        job.change_status = bootstrap ? 'unchanged' : 'new';
+      } else {
+        const changed = (fingerprint && existing.fingerprint && fingerprint !== existing.fingerprint) ||
+          !!existing.removed_at;
+
+        existing.last_seen = now;
+        existing.removed_at = null;
+        existing.left_window_at = null;
+        existing.expires_at = expiresAt || existing.expires_at || null;
+        existing.title = job.title || existing.title;
+        existing.company_name = job.company_name || existing.company_name;
+        existing.url = job.frontend_url || existing.url;
+
+        if (changed) {
+          existing.fingerprint = fingerprint;
+          existing.last_changed = now;
+          changes.updated.push(job.id);
+        } else if (!existing.fingerprint) {
+          existing.fingerprint = fingerprint;
+        }
+
+        job.change_status = changed ? 'updated' : 'unchanged';
+      }
+
+      const entry = index.jobs[job.id];
+      job.first_seen_at = entry.first_seen;
+      job.last_changed_at = entry.last_changed;
+      job.content_fingerprint = entry.fingerprint;
+    }
+
+    // Missing jobs are ignored after a failed page, otherwise it would look like mass removal.
+    // A job pushed out of the newest-N window by newer vacancies is not removed upstream,
+    // so only an exhaustive walk or a passed deadline counts as removal
+    if (complete) {
+      const nowMs = Date.now();
+
+      for (const [id, entry] of Object.entries(index.jobs)) {
+        if (seenIds.has(id) || entry.removed_at) {
+          continue;
+        }
+
+        const expired = !!entry.expires_at && Date.parse(entry.expires_at) < nowMs;
+        if (exhaustive || expired) {
+          entry.removed_at = now;
+          entry.left_window_at = null;
+          changes.removed.push(id);
+        } else if (!entry.left_window_at) {
+          entry.left_window_at = now;
+          changes.leftWindow.push(id);
+        }
+      }
+    }
+
+    this.prune(index, Date.now());
+    index.updatedAt = now;
+    index.lastChanges = {
+      at: now,
+      new: changes.new.length,
+      updated: changes.updated.length,
+      removed: changes.removed.length,
+      leftWindow: changes.leftWindow.length
+    };
+
+    await this.save(index);
+
+    logger.info('Job index updated', {
+      new: changes.new.length,
+      updated: changes.updated.length,
+      removed: changes.removed.length,
+      leftWindow: changes.leftWindow.length
+    });
+    return changes;
+  }
+
+  /**
+   * Get changes since a point in time
+   * @param {string|Date} since - Only include changes after this time
+   * @returns {Promise<Object>} - {since, updatedAt, new, updated, removed, leftWindow} with job summaries
+   */
+  async getChanges(since) {
+    const index = await this.load();
+    const sinceTime = new Date(since).getTime();
+    const changes = { new: [], updated: [], removed: [], leftWindow: [] };
+
+    for (const [id, entry] of Object.entries(index.jobs)) {
+      const summary = { id, ...entry };
+      delete summary.fingerprint;
+
+      if (entry.removed_at) {
+        if (Date.parse(entry.removed_at) > sinceTime) {
+          changes.removed.push(summary);
+        }
+      } else if (entry.left_window_at) {
+        if (Date.parse(entry.left_window_at) > sinceTime) {
+          changes.leftWindow.push(summary);
+        }
+      } else if (Date.parse(entry.first_seen) > sinceTime) {
+        changes.new.push(summary);
+      } else if (Date.parse(entry.last_changed) > sinceTime) {
+        changes.updated.push(summary);
+      }
+    }
+
+    return {
+      since: new Date(sinceTime).toISOString(),
+      updatedAt: index.updatedAt,
+      ...changes
+    };
+  }
+
+  /**
+   * Drop jobs that were removed (or left the window) longer ago than the retention window
+   * @param {Object} index - Index object (modified in place)
+   * @param {number} now - Current timestamp in milliseconds
+   */
+  prune(index, now) {
+    for (const [id, entry] of Object.entries(index.jobs)) {
+      const goneAt = entry.removed_at || entry.left_window_at;
+      if (goneAt && now - Date.parse(goneAt) > this.retentionMs) {
+        delete index.jobs[id];
+      }
+    }
+  }
+
+  /**
+   * Convert an upstream date (ISO, MySQL datetime or Unix timestamp) to ISO
+   * @param {string|number} value - Date value
+   * @returns {string|null} - ISO date or null if unparseable
+   */
+  toISODate(value) {
+    if (!value) {
+      return null;
+    }
+
+    let date;
+    if (typeof value === 'number' || /^\d{10}$/.test(String(value))) {
+      date = new Date(Number(value) * 1000);
+    } else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(String(value))) {
+      date = new Date(`${String(value).replace(' ', 'T')}Z`);
+    } else {
+      date = new Date(value);
+    }
+
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+export default JobIndex;
@@ -0,0 +1,409 @@
+/**
+ * Job Page Generator Module
+ * Renders public /lowongan/:id HTML pages with schema.org JobPosting JSON-LD
+ * so search engines (including Google for Jobs) can index vacancies on our domain
+ */
+
+import { CONFIG, CONTENT_FORMATTING } from '../config/environment.js';
+import { getJobSalary, formatSalary } from '../utils/salary.js';
+import { getJobDeadline } from '../utils/job-filter.js';
+import { getSafeHttpUrl } from '../utils/helpers.js';
+import { TEMPLATE_ESCAPERS } from '../utils/template-engine.js';
+import { DEFAULT_LANGUAGE, createTranslator, getLocale } from '../utils/i18n.js';
+import { buildOGImageUrl, OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT } from './og-image-generator.js';
+
+/**
+ * schema.org employmentType values by (lowercased) KarirHub job type
+ */
+const EMPLOYMENT_TYPES = {
+  'full-time': 'FULL_TIME',
+  'full time': 'FULL_TIME',
+  'penuh waktu': 'FULL_TIME',
+  'tetap': 'FULL_TIME',
+  'part-time': 'PART_TIME',
+  'part time': 'PART_TIME',
+  'paruh waktu': 'PART_TIME',
+  'kontrak': 'CONTRACTOR',
+  'contract': 'CONTRACTOR',
+  'freelance': 'CONTRACTOR',
+  'harian': 'TEMPORARY',
+  'temporary': 'TEMPORARY',
+  'sementara': 'TEMPORARY',
+  'magang': 'INTERN',
+  'internship': 'INTERN',
+  'intern': 'INTERN',
+  'relawan': 'VOLUNTEER',
+  'volunteer': 'VOLUNTEER'
+};
+
+/**
+ * schema.org unitText values for normalized salary periods
+ */
+const SALARY_UNITS = {
+  hour: 'HOUR',
+  day: 'DAY',
+  week: 'WEEK',
+  month: 'MONTH',
+  year: 'YEAR'
+};
+
+/**
+ * Build the public page URL of a job
+ * @param {string} jobId - Job ID
+ * @param {string} baseUrl - Worker base URL
+ * @returns {string} - Job page URL
+ */
+export function buildJobPageUrl(jobId, baseUrl = CONFIG.BASE_URL) {
+  return `${new URL(baseUrl).origin}/lowongan/${encodeURIComponent(jobId)}`;
+}
+
+/**
+ * Job Page Generator Class
+ */
+export class JobPageGenerator {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration object (per-request CONFIG)
+   * @param {string} language - Page language; jobs should be localized into it (see DataAggregator.localizeJobs())
+   */
+  constructor(config = CONFIG, language = DEFAULT_LANGUAGE) {
+    this.config = config;
+    this.language = language;
+    this.t = createTranslator(language);
+  }
+
+  /**
+   * Get the job type name from a string or KarirHub job_type object
+   * @param {Object|string} jobType - Job type
+   * @returns {string|null} - Job type name
+   */
+  getJobTypeName(jobType) {
+    if (!jobType) {
+      return null;
+    }
+
+    return typeof jobType === 'string' ? jobType : jobType.name || null;
+  }
+
+  /**
+   * Get the original KarirHub vacancy URL
+   * @param {Object} job - Enriched job object
+   * @returns {string} - Original vacancy URL
+   */
+  getSourceUrl(job) {
+    return job.frontend_url || `${this.config.KARIRHUB_BASE_URL}/lowongan-dalam-negeri/lowongan/${job.id}`;
+  }
+
+  /**
+   * Build the schema.org JobPosting for a job
+   * @param {Object} job - Enriched job object
+   * @returns {Object} - JobPosting JSON-LD object
+   */
+  buildJobPostingSchema(job) {
+    const employer = job.employer || {};
+    const salary = getJobSalary(job);
+    const deadline = getJobDeadline(job);
+    const postedAt = Date.parse(job.published_at || job.created_at || job.first_seen_at || '');
+    const jobType = this.getJobTypeName(job.detail?.job_type);
+
+    const schema = {
+      '@context': 'https://schema.org/',
+      '@type': 'JobPosting',
+      title: job.title,
+      description: job.detail?.description || job.requirements_text || job.title,
+      identifier: {
+        '@type': 'PropertyValue',
+        name: 'KarirHub',
+        value: String(job.id)
+      },
+      url: buildJobPageUrl(job.id, this.config.BASE_URL),
+      hiringOrganization: {
+        '@type': 'Organization',
+        name: employer.name || job.company_name,
+        ...(employer.website ? { sameAs: employer.website } : {}),
+        ...(employer.logo || job.company_logo ? { logo: employer.logo || job.company_logo } : {})
+      },
+      jobLocation: {
+        '@type': 'Place',
+        address: {
+          '@type': 'PostalAddress',
+          ...(employer.address ? { streetAddress: employer.address } : {}),
+          ...(job.city_name ? { addressLocality: job.city_name } : {}),
+          ...(job.province_name ? { addressRegion: job.province_name } : {}),
+          addressCountry: 'ID'
+        }
+      },
+      directApply: false
+    };
+
+    if (!isNaN(postedAt)) {
+      schema.datePosted = new Date(postedAt).toISOString();
+    }
+
+    if (deadline !== null) {
+      schema.validThrough = new Date(deadline).toISOString();
+    }
+
+    if (jobType) {
+      schema.employmentType = EMPLOYMENT_TYPES[jobType.toLowerCase()] || 'OTHER';
+    }
+
+    if (salary.disclosed) {
+      schema.baseSalary = {
+        '@type': 'MonetaryAmount',
+        currency: salary.currency,
+        value: {
+          '@type': 'QuantitativeValue',
+          ...(salary.min !== null && salary.max !== null && salary.min !== salary.max
+            ? { minValue: salary.min, maxValue: salary.max }
+            : { value: salary.min ?? salary.max }),
+          unitText: SALARY_UNITS[salary.period] || 'MONTH'
+        }
+      };
+    }
+
+    return schema;
+  }
+
+  /**
+   * Serialize JSON-LD for a <script> element
+   * @param {Object} data - JSON-LD object
+   * @returns {string} - JSON safe to embed in HTML
+   */
+  serializeJSONLD(data) {
+    // Upstream descriptions are HTML; "</script>" inside them must not close the element
+    return JSON.stringify(data, null, 2)
+      .replace(/</g, '\\u003c')
+      .replace(/>/g, '\\u003e')
+      .replace(/&/g, '\\u0026');
+  }
+
+  /**
+   * Build the short page description used by meta tags
+   * @param {Object} job - Enriched job object
+   * @returns {string} - Description, e.g. "Lowongan Operator di PT Maju • Kota Bekasi • Rp4,5–6 juta/bulan"
+   */
+  buildMetaDescription(job) {
+    const salary = getJobSalary(job);
+    return [
+      this.t('page.job.metaTitle', { title: job.title, company: job.company_name }),
+      job.full_location || job.city_name,
+      salary.disclosed ? formatSalary(salary, null, this.language) : null,
+      job.education_level && job.education_level !== this.t('job.educationVarious')
+        ? this.t('page.job.minEducation', { education: job.education_level })
+        : null
+    ].filter(Boolean).join(' • ');
+  }
+
+  /**
+   * Format a timestamp as a date in the page language
+   * @param {number} timestamp - Timestamp (ms)
+   * @returns {string} - Formatted date
+   */
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString(getLocale(this.language), CONTENT_FORMATTING.date.options);
+  }
+
+  /**
+   * Build the key facts list
+   * @param {Object} job - Enriched job object
+   * @returns {string} - HTML list
+   */
+  generateFacts(job) {
+    const salary = getJobSalary(job);
+    const deadline = getJobDeadline(job);
+    const jobType = this.getJobTypeName(job.detail?.job_type);
+
+    const facts = [
+      [this.t('content.company'), job.company_name],
+      [this.t('content.location'), job.full_location || job.city_name],
+      [this.t('page.job.salary'), formatSalary(salary, null, this.language)],
+      [this.t('content.jobType'), jobType],
+      [this.t('requirements.education'), job.education_level],
+      [this.t('content.industry'), job.industry_name],
+      [this.t('content.function'), job.job_function_name],
+      [this.t('content.deadline'), deadline !== null ? this.formatDate(deadline) : null]
+    ].filter(([, value]) => value);
+
+    return `<dl class="job-facts">
+${facts.map(([label, value]) => `      <dt>${this.escapeHTML(label)}</dt><dd>${this.escapeHTML(String(value))}</dd>`).join('\n')}
+    </dl>`;
+  }
+
+  /**
+   * Render the aggregator's requirements text (light markdown) as HTML
+   * @param {string} text - Requirements text with **bold** labels and • bullets
+   * @returns {string} - HTML paragraphs
+   */
+  formatRequirementsHTML(text) {
+    return text
+      .trim()
+      .split(/\n{2,}/)
+      .map(block => `<p>${this.escapeHTML(block)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\n/g, '<br>')}</p>`)
+      .join('\n      ');
+  }
+
+  /**
+   * Render upstream HTML as escaped paragraphs
+   * Tags are stripped, never trusted: descriptions come from KarirHub and employers
+   * @param {string} html - Description HTML
+   * @returns {string} - HTML paragraphs (empty when there is no text)
+   */
+  formatTextHTML(html) {
+    // Script and style bodies are not text worth keeping
+    const withoutCode = String(html || '').replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+    return TEMPLATE_ESCAPERS.text(withoutCode)
+      .split(/\n{2,}/)
+      .filter(block => block.trim())
+      .map(block => `<p>${this.escapeHTML(block).replace(/\n/g, '<br>')}</p>`)
+      .join('\n      ');
+  }
+
+  /**
+   * Build the company profile section from the employer profile
+   * @param {Object} employer - Normalized employer profile
+   * @returns {string} - HTML section (empty when there is nothing to show)
+   */
+  generateCompanySection(employer) {
+    const website = getSafeHttpUrl(employer?.website);
+    const logo = getSafeHttpUrl(employer?.logo);
+    const description = this.formatTextHTML(employer?.description);
+    if (!employer || !(description || employer.size || employer.address || website)) {
+      return '';
+    }
+
+    const facts = [
+      employer.size ? `<li><strong>${this.t('content.employees')}:</strong> ${this.escapeHTML(String(employer.size))}</li>` : '',
+      employer.address ? `<li><strong>${this.t('content.address')}:</strong> ${this.escapeHTML(String(employer.address))}</li>` : '',
+      website ? `<li><strong>${this.t('content.website')}:</strong> <a href="${this.escapeHTML(website)}" rel="noopener nofollow">${this.escapeHTML(website)}</a></li>` : ''
+    ].filter(Boolean);
+
+    return `<section class="job-company-profile">
+      <h2>${this.t('content.aboutCompany')}</h2>
+      ${logo ? `<p><img src="${this.escapeHTML(logo)}" alt="${this.escapeHTML(employer.name || this.t('content.companyLogo'))}" style="max-width:120px"></p>` : ''}
+      ${description}
+      ${facts.length > 0 ? `<ul>${facts.join('')}</ul>` : ''}
+    </section>`;
+  }
+
+  /**
+   * Generate a job detail page
+   * @param {Object} job - Enriched job object
+   * @returns {string} - HTML document
+   */
+  generatePage(job) {
+    const pageUrl = buildJobPageUrl(job.id, this.config.BASE_URL);
+    const sourceUrl = this.getSourceUrl(job);
+    const title = `${job.title} - ${job.company_name}`;
+    const description = this.buildMetaDescription(job);
+    const logo = job.employer?.logo || job.company_logo;
+    // Social platforms do not render SVG previews, so pages share the PNG card
+    const image = logo || buildOGImageUrl(job.id, this.config.BASE_URL, 'png');
+    const requirements = job.requirements_text && job.requirements_text !== this.t('requirements.unavailable')
+      ? `<section class="job-requirements">
+      <h2>${this.t('requirements.list')}</h2>
+      ${this.formatRequirementsHTML(job.requirements_text)}
+    </section>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="${this.escapeHTML(this.language)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${this.escapeHTML(title)} | ${this.escapeHTML(this.config.RSS_TITLE)}</title>
+  <meta name="description" content="${this.escapeHTML(description)}">
+  <link rel="canonical" href="${this.escapeHTML(pageUrl)}">
+  <meta property="og:type" content="website">
+  <meta property="og:site_name" content="${this.escapeHTML(this.config.RSS_TITLE)}">
+  <meta property="og:locale" content="${getLocale(this.language).replace('-', '_')}">
+  <meta property="og:title" content="${this.escapeHTML(title)}">
+  <meta property="og:description" content="${this.escapeHTML(description)}">
+  <meta property="og:url" content="${this.escapeHTML(pageUrl)}">
+  <meta property="og:image" content="${this.escapeHTML(image)}">
+${logo ? '' : `  <meta property="og:image:type" content="image/png">
+  <meta property="og:image:width" content="${OG_IMAGE_WIDTH}">
+  <meta property="og:image:height" content="${OG_IMAGE_HEIGHT}">
+`}  <meta name="twitter:card" content="${logo ? 'summary' : 'summary_large_image'}">
+  <meta name="twitter:title" content="${this.escapeHTML(title)}">
+  <meta name="twitter:description" content="${this.escapeHTML(description)}">
+  <meta name="twitter:image" content="${this.escapeHTML(image)}">
+  <link rel="alternate" type="application/rss+xml" title="${this.escapeHTML(this.config.RSS_TITLE)}" href="${this.escapeHTML(`${new URL(this.config.BASE_URL).origin}/rss`)}">
+  <script type="application/ld+json">
+${this.serializeJSONLD(this.buildJobPostingSchema(job))}
+  </script>
+</head>
+<body>
+  <main class="job-page">
+    <h1>${this.escapeHTML(job.title)}</h1>
+    ${this.generateFacts(job)}
+    <p class="job-apply"><a href="${this.escapeHTML(sourceUrl)}" rel="noopener">${this.t('page.job.apply')}</a></p>
+    <section class="job-description">
+      <h2>${this.t('content.description')}</h2>
+      ${this.formatTextHTML(job.detail?.description) || `<p>${this.t('page.job.descriptionFallback')}</p>`}
+    </section>
+    ${requirements}
+    ${this.generateCompanySection(job.employer)}
+    <footer class="job-source">
+      <p>${this.t('page.job.source', { link: `<a href="${this.escapeHTML(sourceUrl)}" rel="noopener">${this.t('page.job.sourceLink')}</a>` })}</p>
+    </footer>
+  </main>
+</body>
+</html>`;
+  }
+
+  /**
+   * Generate the page for a missing or closed vacancy
+   * @param {string} jobId - Requested job ID
+   * @param {boolean} expired - True if the vacancy exists but its deadline has passed
+   * @returns {string} - HTML document
+   */
+  generateUnavailablePage(jobId, expired = false) {
+    const message = this.t(expired ? 'page.unavailable.closed' : 'page.unavailable.missing');
+    const sourceUrl = `${this.config.KARIRHUB_BASE_URL}/lowongan-dalam-negeri/lowongan/${encodeURIComponent(jobId)}`;
+    const links = this.t('page.unavailable.links', {
+      karirhub: `<a href="${this.escapeHTML(sourceUrl)}" rel="noopener">${this.t('page.unavailable.checkKarirHub')}</a>`,
+      latest: `<a href="${this.escapeHTML(`${new URL(this.config.BASE_URL).origin}/rss`)}">${this.t('page.unavailable.latest')}</a>`
+    });
+
+    return `<!DOCTYPE html>
+<html lang="${this.escapeHTML(this.language)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${this.t('page.unavailable.title')} | ${this.escapeHTML(this.config.RSS_TITLE)}</title>
+</head>
+<body>
+  <main class="job-page">
+    <h1>${this.t('page.unavailable.title')}</h1>
+    <p>${message}</p>
+    <p>${links}</p>
+  </main>
+</body>
+</html>`;
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escapeHTML(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+export default JobPageGenerator;
@@ -0,0 +1,368 @@
+/**
+ * Landing Page Generator Module
+ * Renders the interactive feed builder: filter dropdowns filled from the cached jobs,
+ * a live preview of matching items and copy-ready feed URLs for Zapier and WordPress
+ */
+
+import { CONFIG } from '../config/environment.js';
+import { FEED_FILTERS, collectFilterValues, normalizeFilterValue } from '../utils/job-filter.js';
+import { DEFAULT_LANGUAGE, createTranslator } from '../utils/i18n.js';
+
+/**
+ * Filters offered as dropdowns, in form order
+ */
+export const BUILDER_FILTERS = ['province', 'city', 'industry', 'education'];
+
+/**
+ * Items shown in the live preview
+ */
+const PREVIEW_LIMIT = 10;
+
+/**
+ * Other endpoints listed below the builder, by path and catalog key (builder.endpoint.<key>.*)
+ */
+const ENDPOINTS = [
+  ['/rss', 'rss'],
+  ['/rss/closing-soon', 'closingSoon'],
+  ['/json', 'json'],
+  ['/atom', 'atom'],
+  ['/changes', 'changes'],
+  ['/search?q=operator', 'search'],
+  ['/opml', 'opml'],
+  ['/companies', 'companies'],
+  ['/sitemap.xml', 'sitemap'],
+  ['/health', 'health'],
+  ['/stats', 'stats']
+];
+
+/**
+ * Catalog keys of the messages the builder script shows, passed to it as data-messages
+ */
+const SCRIPT_MESSAGES = {
+  copy: 'builder.copy',
+  copied: 'builder.copied',
+  wordpressImport: 'builder.wordpressImport',
+  previewLoading: 'builder.previewLoading',
+  previewEmpty: 'builder.previewEmpty',
+  previewCount: 'builder.previewCount',
+  previewFailed: 'builder.previewFailed'
+};
+
+/**
+ * Client-side builder: keeps the URLs, snippets and preview in sync with the form.
+ * Preview items are inserted with textContent, so feed data never becomes markup.
+ */
+const BUILDER_SCRIPT = `(function () {
+  var form = document.getElementById('feed-builder');
+  var baseUrl = form.dataset.baseUrl;
+  var previewLimit = parseInt(form.dataset.previewLimit, 10);
+  var filterNames = form.dataset.filters.split(',');
+  var messages = JSON.parse(form.dataset.messages);
+  var previewList = document.getElementById('preview-items');
+  var previewStatus = document.getElementById('preview-status');
+  var citySelect = form.elements.city;
+  var previewTimer = null;
+  var previewRequest = 0;
+
+  function buildUrls() {
+    var keyword = form.elements.q.value.trim();
+    var format = form.elements.format.value;
+    var filters = new URLSearchParams();
+    filterNames.forEach(function (name) {
+      if (form.elements[name].value) {
+        filters.set(name, form.elements[name].value);
+      }
+    });
+    var filterQuery = filters.toString();
+
+    function feedUrl(feedFormat) {
+      if (keyword) {
+        var search = new URLSearchParams({ q: keyword });
+        if (feedFormat === 'rss') {
+          search.set('format', 'rss');
+        }
+        return baseUrl + '/search?' + search.toString() + (filterQuery ? '&' + filterQuery : '');
+      }
+      return baseUrl + (feedFormat === 'json' ? '/json' : '/rss') + (filterQuery ? '?' + filterQuery : '');
+    }
+
+    var preview = keyword
+      ? baseUrl + '/search?' + new URLSearchParams({ q: keyword, limit: String(previewLimit) }).toString() + (filterQuery ? '&' + filterQuery : '')
+      : feedUrl('json');
+
+    return { feed: feedUrl(format), rss: feedUrl('rss'), preview: preview, format: format, keyword: keyword };
+  }
+
+  function renderSnippets(urls) {
+    document.getElementById('feed-url').value = urls.feed;
+    document.getElementById('feed-open').href = urls.feed;
+    document.getElementById('zapier-snippet').textContent = urls.format === 'json'
+      ? 'Trigger: Webhooks by Zapier → "Retrieve Poll"\\nURL: ' + urls.feed + '\\nKey: ' + (urls.keyword ? 'results' : 'items') + '\\nDeduplication Key: id'
+      : 'Trigger: RSS by Zapier → "New Item in Feed"\\nFeed URL: ' + urls.feed + '\\nFrequency: Every 15 minutes';
+    document.getElementById('wordpress-snippet').textContent =
+      'Plugin: WP RSS Auto Importer\\nFeed URL: ' + urls.rss + '\\nImport: ' + messages.wordpressImport;
+  }
+
+  function toPreviewItems(data) {
+    if (Array.isArray(data.results)) {
+      return data.results.map(function (result) {
+        return {
+          title: result.title,
+          url: baseUrl + '/lowongan/' + encodeURIComponent(result.id),
+          summary: [result.company_name, result.city_name].filter(Boolean).join(' - '),
+          salary: result.salary_range
+        };
+      });
+    }
+    return (data.items || []).map(function (item) {
+      return { title: item.title, url: item.url, summary: item.summary, salary: item._salary && item._salary.display };
+    });
+  }
+
+  function renderPreview(items, total) {
+    previewList.textContent = '';
+    items.slice(0, previewLimit).forEach(function (item) {
+      var entry = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = item.url;
+      link.textContent = item.title;
+      entry.appendChild(link);
+      var meta = document.createElement('span');
+      meta.textContent = [item.summary, item.salary].filter(Boolean).join(' • ');
+      entry.appendChild(meta);
+      previewList.appendChild(entry);
+    });
+    previewStatus.textContent = total === 0
+      ? messages.previewEmpty
+      : messages.previewCount.replace('{shown}', Math.min(total, previewLimit)).replace('{total}', total);
+  }
+
+  function loadPreview(url) {
+    var request = ++previewRequest;
+    previewStatus.textContent = messages.previewLoading;
+    fetch(url, { headers: { Accept: 'application/json' } })
+      .then(function (response) {
+        if (!response.ok) {
+          throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+      })
+      .then(function (data) {
+        if (request === previewRequest) {
+          var items = toPreviewItems(data);
+          renderPreview(items, typeof data.total === 'number' ? data.total : items.length);
+        }
+      })
+      .catch(function () {
+        if (request === previewRequest) {
+          previewList.textContent = '';
+          previewStatus.textContent = messages.previewFailed;
+        }
+      });
+  }
+
+  function narrowCities() {
+    var province = form.elements.province.value.toLowerCase();
+    Array.prototype.forEach.call(citySelect.options, function (option) {
+      option.hidden = Boolean(option.value && province && option.dataset.province !== province);
+    });
+    if (citySelect.selectedOptions[0] && citySelect.selectedOptions[0].hidden) {
+      citySelect.value = '';
+    }
+  }
+
+  function update() {
+    narrowCities();
+    var urls = buildUrls();
+    renderSnippets(urls);
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(function () { loadPreview(urls.preview); }, 300);
+  }
+
+  document.getElementById('feed-copy').addEventListener('click', function () {
+    var button = this;
+    navigator.clipboard.writeText(document.getElementById('feed-url').value).then(function () {
+      button.textContent = messages.copied;
+      setTimeout(function () { button.textContent = messages.copy; }, 1500);
+    });
+  });
+  form.addEventListener('input', update);
+  form.addEventListener('change', update);
+  form.addEventListener('submit', function (event) { event.preventDefault(); update(); });
+  update();
+})();`;
+
+/**
+ * Landing Page Generator Class
+ */
+export class LandingPageGenerator {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration object (per-request CONFIG)
+   * @param {string} language - Page language
+   */
+  constructor(config = CONFIG, language = DEFAULT_LANGUAGE) {
+    this.config = config;
+    this.baseUrl = new URL(config.BASE_URL).origin;
+    this.language = language;
+    this.t = createTranslator(language);
+  }
+
+  /**
+   * Build the dropdown options from jobs
+   * Cities carry their province so the page can narrow them to the selected province
+   * @param {Array} jobs - Open enriched jobs
+   * @returns {Object} - {province: [{value, count, province?}], city: [...], ...}
+   */
+  buildOptions(jobs) {
+    const cityProvinces = new Map();
+    for (const job of Array.isArray(jobs) ? jobs : []) {
+      const city = normalizeFilterValue(FEED_FILTERS.city.getValue(job));
+      if (city && !cityProvinces.has(city)) {
+        cityProvinces.set(city, normalizeFilterValue(FEED_FILTERS.province.getValue(job)));
+      }
+    }
+
+    return Object.fromEntries(BUILDER_FILTERS.map(name => [
+      name,
+      collectFilterValues(jobs, name).map(option => name === 'city'
+        ? { ...option, province: cityProvinces.get(normalizeFilterValue(option.value)) || '' }
+        : option)
+    ]));
+  }
+
+  /**
+   * Generate a filter dropdown
+   * @param {string} name - Filter name
+   * @param {Array} options - [{value, count, province?}]
+   * @param {string} selected - Preselected value (from the page URL)
+   * @returns {string} - Label and select elements
+   */
+  generateSelect(name, options, selected = '') {
+    const selectedKey = normalizeFilterValue(selected);
+    const items = options.map(option => {
+      const attributes = [
+        `value="${this.escapeHTML(option.value)}"`,
+        option.province !== undefined ? `data-province="${this.escapeHTML(option.province)}"` : '',
+        normalizeFilterValue(option.value) === selectedKey ? 'selected' : ''
+      ].filter(Boolean).join(' ');
+      return `          <option ${attributes}>${this.escapeHTML(option.value)} (${option.count})</option>`;
+    });
+
+    return `      <label>${this.escapeHTML(this.t(`filter.${name}`))}
+        <select name="${name}">
+          <option value="">${this.t('builder.all')}</option>
+${items.join('\n')}
+        </select>
+      </label>`;
+  }
+
+  /**
+   * Generate the landing page
+   * @param {Array} jobs - Open jobs from the cached snapshot (may be empty)
+   * @param {Object} options - {searchParams} to preselect the form from the page URL
+   * @returns {string} - HTML document
+   */
+  generatePage(jobs, options = {}) {
+    const { searchParams = null } = options;
+    const dropdowns = this.buildOptions(jobs);
+    const keyword = searchParams?.get('q') || '';
+    const format = searchParams?.get('format') === 'json' ? 'json' : 'rss';
+    const emptyNotice = jobs.length === 0
+      ? `\n    <p class="builder-notice">${this.t('builder.emptyNotice')}</p>`
+      : '';
+    const messages = Object.fromEntries(Object.entries(SCRIPT_MESSAGES).map(([name, key]) => [name, this.t(key)]));
+
+    return `<!DOCTYPE html>
+<html lang="${this.escapeHTML(this.language)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${this.escapeHTML(this.t('builder.title', { site: this.config.RSS_TITLE }))}</title>
+  <meta name="description" content="${this.escapeHTML(this.config.RSS_DESCRIPTION)}">
+  <link rel="alternate" type="application/rss+xml" title="${this.escapeHTML(this.config.RSS_TITLE)}" href="${this.baseUrl}/rss">
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 960px; margin: 0 auto; padding: 1rem; line-height: 1.5; }
+    #feed-builder { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 0.75rem; }
+    #feed-builder label { display: flex; flex-direction: column; font-weight: 600; }
+    #feed-builder fieldset { border: 0; padding: 0; margin: 0; }
+    .feed-url { display: flex; gap: 0.5rem; margin: 1rem 0; }
+    .feed-url input { flex: 1; }
+    pre { background: #f4f4f4; padding: 0.75rem; overflow-x: auto; white-space: pre-wrap; }
+    #preview-items li span { display: block; color: #555; font-size: 0.9em; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${this.escapeHTML(this.config.RSS_TITLE)}</h1>
+    <p>${this.t('builder.intro')}</p>${emptyNotice}
+    <form id="feed-builder" data-base-url="${this.baseUrl}" data-preview-limit="${PREVIEW_LIMIT}" data-filters="${BUILDER_FILTERS.join(',')}" data-messages="${this.escapeHTML(JSON.stringify(messages))}">
+${BUILDER_FILTERS.map(name => this.generateSelect(name, dropdowns[name], searchParams?.get(name) || '')).join('\n')}
+      <label>${this.t('builder.keyword')}
+        <input type="search" name="q" value="${this.escapeHTML(keyword)}" placeholder="${this.escapeHTML(this.t('builder.keywordPlaceholder'))}">
+      </label>
+      <fieldset>
+        <legend>Format</legend>
+        <label><input type="radio" name="format" value="rss"${format === 'rss' ? ' checked' : ''}> RSS</label>
+        <label><input type="radio" name="format" value="json"${format === 'json' ? ' checked' : ''}> JSON</label>
+      </fieldset>
+    </form>
+
+    <section>
+      <h2>${this.t('builder.feedUrl')}</h2>
+      <div class="feed-url">
+        <input id="feed-url" type="text" readonly value="${this.baseUrl}/rss">
+        <button id="feed-copy" type="button">${this.t('builder.copy')}</button>
+        <a id="feed-open" href="${this.baseUrl}/rss">${this.t('builder.open')}</a>
+      </div>
+      <h3>Zapier</h3>
+      <pre id="zapier-snippet">Trigger: RSS by Zapier → "New Item in Feed"
+Feed URL: ${this.baseUrl}/rss
+Frequency: Every 15 minutes</pre>
+      <h3>WordPress</h3>
+      <pre id="wordpress-snippet">Plugin: WP RSS Auto Importer
+Feed URL: ${this.baseUrl}/rss
+Import: ${this.t('builder.wordpressImport')}</pre>
+    </section>
+
+    <section>
+      <h2>${this.t('builder.preview')}</h2>
+      <p id="preview-status">${this.t('builder.previewNoScript')}</p>
+      <ul id="preview-items"></ul>
+    </section>
+
+    <section>
+      <h2>${this.t('builder.endpoints')}</h2>
+      <ul>
+${ENDPOINTS.map(([path, key]) => `        <li><a href="${this.escapeHTML(path)}">${this.t(`builder.endpoint.${key}.name`)}</a> - ${this.escapeHTML(this.t(`builder.endpoint.${key}.description`))}</li>`).join('\n')}
+        <li><code>/lowongan/:id</code> - ${this.t('builder.endpoint.jobPage.description')}</li>
+      </ul>
+    </section>
+  </main>
+  <script>
+${BUILDER_SCRIPT}
+  </script>
+</body>
+</html>`;
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escapeHTML(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+export default LandingPageGenerator;
@@ -0,0 +1,327 @@
+/**
+ * Open Graph Image Generator Module
+ * Renders /og/:jobId.svg and /og/:jobId.png share cards (title, company,
+ * city, salary and a deadline badge) for jobs whose employer has no logo
+ */
+
+import { CONFIG, CONTENT_FORMATTING } from '../config/environment.js';
+import { getJobSalary, formatSalary } from '../utils/salary.js';
+import { getJobDeadline } from '../utils/job-filter.js';
+import { createImage, fillDiagonalGradient, fillPolygons, fillRoundedRect, fillText, measureText, encodePNG } from '../utils/raster.js';
+import { OG_FONT } from '../assets/og-font.js';
+
+/**
+ * Card size recommended for og:image (1.91:1)
+ */
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+
+const PADDING = 72;
+const FONT_FAMILY = "'Inter', 'Segoe UI', Roboto, Arial, sans-serif";
+
+/**
+ * Title sizes tried in order: [font size, max lines]; the last one ellipsizes
+ */
+const TITLE_SIZES = [[64, 2], [56, 3], [48, 3]];
+
+/**
+ * Approximate glyph widths (in em) used to wrap text, since SVG text does not wrap
+ */
+const GLYPH_WIDTHS = [
+  [/\s/, 0.28],
+  [/[ijlftrI.,:;'|!()[\]]/, 0.32],
+  [/[mwMW@%]/, 0.88],
+  [/[A-Z0-9&]/, 0.66]
+];
+const DEFAULT_GLYPH_WIDTH = 0.56;
+
+/**
+ * Build the share card URL of a job
+ * @param {string} jobId - Job ID
+ * @param {string} baseUrl - Worker base URL
+ * @param {string} format - 'svg' or 'png'
+ * @returns {string} - Card URL
+ */
+export function buildOGImageUrl(jobId, baseUrl = CONFIG.BASE_URL, format = 'svg') {
+  return `${new URL(baseUrl).origin}/og/${encodeURIComponent(jobId)}.${format}`;
+}
+
+/**
+ * Estimate the rendered width of a line of text
+ * @param {string} text - Text
+ * @param {number} fontSize - Font size (px)
+ * @returns {number} - Width (px)
+ */
+export function estimateTextWidth(text, fontSize) {
+  let width = 0;
+  for (const char of String(text || '')) {
+    const match = GLYPH_WIDTHS.find(([pattern]) => pattern.test(char));
+    width += match ? match[1] : DEFAULT_GLYPH_WIDTH;
+  }
+  return width * fontSize;
+}
+
+/**
+ * Measure text with the outlines the PNG card is drawn with
+ * @param {string} text - Text
+ * @param {number} fontSize - Font size (px)
+ * @returns {number} - Width (px)
+ */
+function measureCardText(text, fontSize) {
+  return measureText(OG_FONT, text, fontSize);
+}
+
+/**
+ * Cut a line with an ellipsis so it fits a width
+ * @param {string} text - Line
+ * @param {number} maxWidth - Available width (px)
+ * @param {number} fontSize - Font size (px)
+ * @param {Function} measure - (text, fontSize) => width
+ * @returns {string} - Line that fits
+ */
+function ellipsize(text, maxWidth, fontSize, measure = estimateTextWidth) {
+  if (measure(text, fontSize) <= maxWidth) {
+    return text;
+  }
+
+  let chars = Array.from(text);
+  while (chars.length > 0 && measure(`${chars.join('').trimEnd()}…`, fontSize) > maxWidth) {
+    chars = chars.slice(0, -1);
+  }
+
+  // Prefer ending on a whole word when one fits
+  const cut = chars.join('');
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > cut.length / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * Wrap text into lines that fit a width
+ * Long Indonesian compounds without spaces are broken inside the word
+ * @param {string} text - Text
+ * @param {number} maxWidth - Available width (px)
+ * @param {number} fontSize - Font size (px)
+ * @param {number} maxLines - Maximum number of lines
+ * @param {Function} measure - (text, fontSize) => width, estimated by default
+ * @returns {Object} - {lines, truncated}
+ */
+export function wrapText(text, maxWidth, fontSize, maxLines, measure = estimateTextWidth) {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text || '').trim().split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measure(candidate, fontSize) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+    line = word;
+
+    // A single word wider than the line is split across lines
+    while (measure(line, fontSize) > maxWidth) {
+      let chars = Array.from(line);
+      let head = '';
+      while (chars.length > 0 && measure(`${head}${chars[0]}-`, fontSize) <= maxWidth) {
+        head += chars.shift();
+      }
+      lines.push(`${head}-`);
+      line = chars.join('');
+    }
+  }
+
+  if (line) {
+    lines.push(line);
+  }
+
+  if (lines.length <= maxLines) {
+    return { lines, truncated: false };
+  }
+
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = ellipsize(`${kept[maxLines - 1]} ${lines[maxLines]}`, maxWidth, fontSize, measure);
+  return { lines: kept, truncated: true };
+}
+
+/**
+ * Open Graph Image Generator Class
+ */
+export class OGImageGenerator {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration object (per-request CONFIG)
+   */
+  constructor(config = CONFIG) {
+    this.config = config;
+  }
+
+  /**
+   * Describe the deadline badge of a job
+   * @param {Object} job - Enriched job object
+   * @param {number} now - Current time (ms)
+   * @returns {Object|null} - {text, color} or null when the job has no deadline
+   */
+  getDeadlineBadge(job, now = Date.now()) {
+    const deadline = getJobDeadline(job);
+    if (deadline === null) {
+      return null;
+    }
+
+    if (deadline < now) {
+      return { text: 'Lowongan Ditutup', color: '#64748b' };
+    }
+
+    const daysLeft = Math.floor((deadline - now) / 86400000);
+    if (daysLeft === 0) {
+      return { text: 'Ditutup Hari Ini', color: '#dc2626' };
+    }
+    if (daysLeft <= 7) {
+      return { text: `Sisa ${daysLeft} Hari`, color: daysLeft <= 3 ? '#dc2626' : '#ea580c' };
+    }
+
+    const date = new Date(deadline).toLocaleDateString('id-ID', { ...CONTENT_FORMATTING.date.options, month: 'short' });
+    return { text: `Deadline ${date}`, color: '#0f766e' };
+  }
+
+  /**
+   * Pick the largest title size that fits without cutting
+   * @param {string} title - Job title
+   * @param {number} maxWidth - Available width (px)
+   * @param {Function} measure - (text, fontSize) => width
+   * @returns {Object} - {fontSize, lines}
+   */
+  layoutTitle(title, maxWidth, measure = estimateTextWidth) {
+    for (const [fontSize, maxLines] of TITLE_SIZES) {
+      const wrapped = wrapText(title, maxWidth, fontSize, maxLines, measure);
+      if (!wrapped.truncated) {
+        return { fontSize, lines: wrapped.lines };
+      }
+    }
+
+    const [fontSize, maxLines] = TITLE_SIZES[TITLE_SIZES.length - 1];
+    return { fontSize, lines: wrapText(title, maxWidth, fontSize, maxLines, measure).lines };
+  }
+
+  /**
+   * Lay out the texts and boxes shared by the SVG and PNG cards
+   * @param {Object} job - Enriched job object
+   * @param {number} now - Current time (ms)
+   * @param {Function} measure - (text, fontSize) => width
+   * @returns {Object} - Card layout
+   */
+  layoutCard(job, now, measure) {
+    const contentWidth = OG_IMAGE_WIDTH - PADDING * 2;
+    const badge = this.getDeadlineBadge(job, now);
+    const salary = formatSalary(getJobSalary(job));
+    const location = [job.city_name, job.province_name].filter(Boolean).join(', ') || 'Indonesia';
+    // Bold glyphs run wider than the estimate, so the title keeps some slack
+    const title = this.layoutTitle(job.title || 'Lowongan Kerja', contentWidth * 0.94, measure);
+    const lineHeight = Math.round(title.fontSize * 1.2);
+    const titleY = 150 + title.fontSize;
+
+    // The brand line leaves room for the badge on the right
+    const badgeWidth = badge ? Math.ceil(measure(badge.text, 26)) + 48 : 0;
+
+    return {
+      badge,
+      badgeWidth,
+      brand: ellipsize(this.config.RSS_TITLE, contentWidth - badgeWidth - 24, 28, measure),
+      title,
+      titleY,
+      lineHeight,
+      bodyY: titleY + (title.lines.length - 1) * lineHeight,
+      company: ellipsize(job.company_name || '', contentWidth, 36, measure),
+      location: ellipsize(location, contentWidth, 30, measure),
+      salary,
+      salaryWidth: Math.ceil(measure(salary, 32)) + 56
+    };
+  }
+
+  /**
+   * Generate the share card of a job
+   * @param {Object} job - Enriched job object
+   * @param {number} now - Current time (ms)
+   * @returns {string} - SVG document
+   */
+  generateSVG(job, now = Date.now()) {
+    const { badge, badgeWidth, brand, title, titleY, lineHeight, bodyY: y, company, location, salary, salaryWidth } = this.layoutCard(job, now, estimateTextWidth);
+    const titleLines = title.lines.map((line, index) => `<tspan x="${PADDING}" y="${titleY + index * lineHeight}">${this.escapeXML(line)}</tspan>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" viewBox="0 0 ${OG_IMAGE_WIDTH} ${OG_IMAGE_HEIGHT}" role="img" aria-label="${this.escapeXML(`${job.title} - ${job.company_name}`)}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#1e3a8a"/>
+      <stop offset="1" stop-color="#2563eb"/>
+    </linearGradient>
+  </defs>
+  <rect width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" fill="url(#background)"/>
+  <rect width="16" height="${OG_IMAGE_HEIGHT}" fill="#facc15"/>
+  <g font-family="${FONT_FAMILY}">
+    <text x="${PADDING}" y="100" font-size="28" font-weight="600" fill="#bfdbfe">${this.escapeXML(brand)}</text>
+${badge ? `    <rect x="${OG_IMAGE_WIDTH - PADDING - badgeWidth}" y="62" width="${badgeWidth}" height="52" rx="26" fill="${badge.color}"/>
+    <text x="${OG_IMAGE_WIDTH - PADDING - badgeWidth / 2}" y="97" font-size="26" font-weight="700" fill="#ffffff" text-anchor="middle">${this.escapeXML(badge.text)}</text>
+` : ''}    <text font-size="${title.fontSize}" font-weight="700" fill="#ffffff">${titleLines.join('')}</text>
+    <text x="${PADDING}" y="${y + 64}" font-size="36" font-weight="600" fill="#e0e7ff">${this.escapeXML(company)}</text>
+    <text x="${PADDING}" y="${y + 112}" font-size="30" fill="#bfdbfe">${this.escapeXML(location)}</text>
+    <rect x="${PADDING}" y="506" width="${salaryWidth}" height="64" rx="32" fill="#facc15"/>
+    <text x="${PADDING + 28}" y="549" font-size="32" font-weight="700" fill="#1e293b">${this.escapeXML(salary)}</text>
+  </g>
+</svg>`;
+  }
+
+  /**
+   * Generate the share card of a job as a PNG, for platforms that do not show
+   * SVG images (X, Facebook, LinkedIn). Same layout as the SVG, drawn with the
+   * bundled DejaVu Sans Bold outlines
+   * @param {Object} job - Enriched job object
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Uint8Array>} - PNG file
+   */
+  async generatePNG(job, now = Date.now()) {
+    const { badge, badgeWidth, brand, title, titleY, lineHeight, bodyY: y, company, location, salary, salaryWidth } = this.layoutCard(job, now, measureCardText);
+    const image = createImage(OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT);
+
+    fillDiagonalGradient(image, '#1e3a8a', '#2563eb');
+    fillPolygons(image, [[[0, 0], [16, 0], [16, OG_IMAGE_HEIGHT], [0, OG_IMAGE_HEIGHT]]], '#facc15');
+    fillText(image, OG_FONT, brand, PADDING, 100, 28, '#bfdbfe');
+
+    if (badge) {
+      fillRoundedRect(image, OG_IMAGE_WIDTH - PADDING - badgeWidth, 62, badgeWidth, 52, 26, badge.color);
+      fillText(image, OG_FONT, badge.text, OG_IMAGE_WIDTH - PADDING - badgeWidth / 2, 97, 26, '#ffffff', 'middle');
+    }
+
+    title.lines.forEach((line, index) => {
+      fillText(image, OG_FONT, line, PADDING, titleY + index * lineHeight, title.fontSize, '#ffffff');
+    });
+    fillText(image, OG_FONT, company, PADDING, y + 64, 36, '#e0e7ff');
+    fillText(image, OG_FONT, location, PADDING, y + 112, 30, '#bfdbfe');
+
+    fillRoundedRect(image, PADDING, 506, salaryWidth, 64, 32, '#facc15');
+    fillText(image, OG_FONT, salary, PADDING + 28, 549, 32, '#1e293b');
+
+    return encodePNG(image);
+  }
+
+  /**
+   * Escape text for SVG
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escapeXML(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+export default OGImageGenerator;
@@ -0,0 +1,129 @@
+/**
+ * OPML Generator Module
+ * Builds an OPML 2.0 subscription list of filtered feeds, grouped by the
+ * provinces, industries and education levels present in the aggregated jobs
+ */
+
+import { CONFIG } from '../config/environment.js';
+import { FEED_FILTERS, hasActiveFilters, collectFilterValues, serializeJobFilters, describeJobFilters } from '../utils/job-filter.js';
+
+/**
+ * Filters that become OPML groups, in document order
+ */
+export const OPML_GROUPS = ['province', 'industry', 'education'];
+
+/**
+ * Feed formats an OPML document can point at
+ */
+const FEED_FORMATS = {
+  rss: '/rss',
+  atom: '/atom',
+  json: '/json'
+};
+
+/**
+ * OPML Generator Class
+ */
+export class OPMLGenerator {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration object (per-request CONFIG)
+   */
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.baseUrl = new URL(config.BASE_URL).origin;
+  }
+
+  /**
+   * Build a feed URL for a filter value on top of the base filters
+   * @param {string} format - Feed format (rss, atom, json)
+   * @param {Object} baseFilters - Filters every feed in the document shares
+   * @param {string} name - Filter name (null for the unfiltered group feed)
+   * @param {string} value - Filter value
+   * @returns {string} - Feed URL
+   */
+  buildFeedUrl(format, baseFilters, name = null, value = null) {
+    const filters = name ? { ...baseFilters, [name]: [value] } : baseFilters;
+    const query = serializeJobFilters(filters);
+    return `${this.baseUrl}${FEED_FORMATS[format]}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Generate the OPML document
+   * @param {Array} jobs - Open jobs already narrowed by the base filters
+   * @param {Object} options - {groups, format, filters, searchParams}
+   * @returns {string} - OPML 2.0 XML
+   */
+  generateOPML(jobs, options = {}) {
+    const {
+      groups = OPML_GROUPS,
+      format = 'rss',
+      filters = {},
+      searchParams = null
+    } = options;
+
+    const scope = hasActiveFilters(filters) ? ` (${describeJobFilters(filters, searchParams)})` : '';
+    const title = `${this.config.RSS_TITLE}${scope}`;
+
+    const outlines = groups.map(name => {
+      const values = collectFilterValues(jobs, name);
+      if (values.length === 0) {
+        return '';
+      }
+
+      const label = FEED_FILTERS[name].label;
+      const feeds = values.map(({ value, count }) => this.generateFeedOutline(
+        `${label}: ${value} (${count})`,
+        this.buildFeedUrl(format, filters, name, value)
+      ));
+
+      return `    <outline text="${this.escapeXML(label)}" title="${this.escapeXML(label)}">
+${feeds.map(feed => `  ${feed}`).join('\n')}
+    </outline>`;
+    }).filter(Boolean);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${this.escapeXML(title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+    <ownerName>${this.escapeXML(this.config.RSS_TITLE)}</ownerName>
+    <docs>http://opml.org/spec2.opml</docs>
+  </head>
+  <body>
+${this.generateFeedOutline(`Semua Lowongan${scope}`, this.buildFeedUrl(format, filters))}
+${outlines.join('\n')}
+  </body>
+</opml>`;
+  }
+
+  /**
+   * Generate a feed subscription outline
+   * @param {string} text - Outline text
+   * @param {string} xmlUrl - Feed URL
+   * @returns {string} - Outline element
+   */
+  generateFeedOutline(text, xmlUrl) {
+    return `    <outline type="rss" text="${this.escapeXML(text)}" title="${this.escapeXML(text)}" xmlUrl="${this.escapeXML(xmlUrl)}" htmlUrl="${this.escapeXML(this.baseUrl)}" />`;
+  }
+
+  /**
+   * Escape XML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escapeXML(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+export default OPMLGenerator;
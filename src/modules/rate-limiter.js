@@ -0,0 +1,341 @@
+/**
+ * Rate Limiter Module
+ * Per-client, per-route token buckets shared across isolates
+ * Uses the RATE_LIMITER Durable Object when bound. Without it requests are allowed
+ * (fail open) unless RATE_LIMIT_KV_FALLBACK opts into coarse fixed windows in KV,
+ * which cost one KV write per request and quickly exhaust the KV write quota
+ */
+
+import { CONFIG, ERROR_MESSAGES } from '../config/environment.js';
+import { isAdminPath } from '../utils/admin-auth.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('rate-limiter');
+
+/**
+ * Split a comma-separated list (env var or secret)
+ * @param {string|Array} value - Raw value
+ * @returns {Array<string>} - Trimmed, non-empty items
+ */
+function parseList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Refill a token bucket and try to take one token
+ * @param {Object|null} bucket - Stored bucket {tokens, updatedAt} (null for a new client)
+ * @param {Object} limit - {requests, window} - bucket capacity and time to refill it completely (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {Object} - {bucket, allowed, remaining, reset, retryAfter} - reset/retryAfter in seconds
+ */
+export function consumeToken(bucket, limit, now = Date.now()) {
+  const refillPerMs = limit.requests / limit.window;
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+  let tokens = bucket ? Math.min(limit.requests, bucket.tokens + elapsed * refillPerMs) : limit.requests;
+
+  const allowed = tokens >= 1;
+  if (allowed) {
+    tokens -= 1;
+  }
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    reset: Math.ceil((limit.requests - tokens) / refillPerMs / 1000),
+    retryAfter: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000))
+  };
+}
+
+/**
+ * Rate Limiter Class
+ */
+export class RateLimiter {
+  /**
+   * Constructor
+   * @param {Object} env - Environment bindings (RATE_LIMITER, RSS_CACHE, RATE_LIMIT_API_KEYS)
+   * @param {Object} config - Configuration object (RATE_LIMIT_KV_FALLBACK enables the KV fallback)
+   */
+  constructor(env = {}, config = CONFIG) {
+    this.config = config;
+    this.durableObject = env?.RATE_LIMITER && typeof env.RATE_LIMITER.idFromName === 'function'
+      ? env.RATE_LIMITER
+      : null;
+    this.kvStore = config.RATE_LIMIT_KV_FALLBACK && env?.RSS_CACHE && typeof env.RSS_CACHE.get === 'function'
+      ? env.RSS_CACHE
+      : null;
+    this.apiKeys = parseList(env?.RATE_LIMIT_API_KEYS);
+    this.allowlist = parseList(config.RATE_LIMIT_ALLOWLIST);
+    this.keyPrefix = `${config.ENVIRONMENT}_rate_limit`;
+  }
+
+  /**
+   * Map a path to its rate limit group
+   * @param {string} pathname - URL pathname
+   * @returns {string} - Route group name
+   */
+  getRouteGroup(pathname) {
+    if (isAdminPath(pathname)) {
+      return 'admin';
+    }
+
+    if (pathname.startsWith('/rss/') || pathname.startsWith('/json/')) {
+      return 'feeds';
+    }
+
+    switch (pathname) {
+      case '/':
+      case '/rss':
+      case '/json':
+      case '/atom':
+      case '/opml':
+        return 'feeds';
+      case '/changes':
+        return 'changes';
+      case '/search':
+        return 'search';
+      default:
+        return 'default';
+    }
+  }
+
+  /**
+   * Get the limit for a route group
+   * @param {string} group - Route group name
+   * @returns {Object} - {requests, window}
+   */
+  getRouteLimit(group) {
+    return this.config.RATE_LIMIT_ROUTES?.[group] || {
+      requests: this.config.RATE_LIMIT_REQUESTS,
+      window: this.config.RATE_LIMIT_WINDOW
+    };
+  }
+
+  /**
+   * Identify the client and check the allowlist
+   * Our own integrations can send an API key as `X-API-Key` or `?api_key=`
+   * (RSS readers such as Zapier and WordPress cannot always set headers)
+   * @param {Request} request - Incoming request
+   * @returns {Object} - {id, allowlisted}
+   */
+  identifyClient(request) {
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const apiKey = request.headers.get('X-API-Key') || new URL(request.url).searchParams.get('api_key');
+
+    if (apiKey && this.apiKeys.includes(apiKey)) {
+      return { id: `key:${apiKey.slice(0, 8)}`, allowlisted: true };
+    }
+
+    return { id: ip, allowlisted: this.allowlist.includes(ip) };
+  }
+
+  /**
+   * Check and consume the rate limit for a request
+   * Fails open: a storage error, or no storage at all, never blocks traffic
+   * @param {Request} request - Incoming request
+   * @param {string} pathname - URL pathname
+   * @returns {Promise<Object>} - {allowed, allowlisted, group, limit, remaining, reset, retryAfter}
+   */
+  async check(request, pathname) {
+    const group = this.getRouteGroup(pathname);
+    const limit = this.getRouteLimit(group);
+    const client = this.identifyClient(request);
+
+    const result = {
+      allowed: true,
+      allowlisted: client.allowlisted,
+      client: client.id,
+      group,
+      limit,
+      remaining: limit.requests,
+      reset: 0,
+      retryAfter: 0
+    };
+
+    if (!this.config.RATE_LIMIT_ENABLED || client.allowlisted) {
+      return result;
+    }
+
+    try {
+      const outcome = this.durableObject
+        ? await this.consumeDurableObject(`${group}:${client.id}`, limit)
+        : await this.consumeKV(`${group}:${client.id}`, limit);
+
+      return outcome ? { ...result, ...outcome } : result;
+    } catch (error) {
+      logger.warn('Rate limit check failed, allowing request', { client: client.id, error: error.message });
+      return result;
+    }
+  }
+
+  /**
+   * Take a token from the client's Durable Object bucket
+   * @param {string} name - Bucket name (group:client)
+   * @param {Object} limit - {requests, window}
+   * @returns {Promise<Object>} - {allowed, remaining, reset, retryAfter}
+   */
+  async consumeDurableObject(name, limit) {
+    const stub = this.durableObject.get(this.durableObject.idFromName(name));
+    const response = await stub.fetch('https://rate-limiter/consume', {
+      method: 'POST',
+      body: JSON.stringify(limit)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Rate limiter object returned HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Count the request in a fixed KV window
+   * Only used with RATE_LIMIT_KV_FALLBACK; KV is eventually consistent, so this is
+   * approximate and costs one write per request
+   * @param {string} name - Counter name (group:client)
+   * @param {Object} limit - {requests, window}
+   * @returns {Promise<Object|null>} - {allowed, remaining, reset, retryAfter} (null when the fallback is off)
+   */
+  async consumeKV(name, limit) {
+    if (!this.kvStore) {
+      return null;
+    }
+
+    const now = Date.now();
+    const windowIndex = Math.floor(now / limit.window);
+    const reset = Math.ceil(((windowIndex + 1) * limit.window - now) / 1000);
+    const key = `${this.keyPrefix}:${name}:${windowIndex}`;
+
+    const count = parseInt(await this.kvStore.get(key), 10) || 0;
+    if (count >= limit.requests) {
+      return { allowed: false, remaining: 0, reset, retryAfter: Math.max(1, reset) };
+    }
+
+    // KV rejects expirations shorter than 60 seconds
+    await this.kvStore.put(key, String(count + 1), {
+      expirationTtl: Math.max(60, Math.ceil(limit.window / 1000) * 2)
+    });
+
+    return { allowed: true, remaining: limit.requests - count - 1, reset, retryAfter: 0 };
+  }
+
+  /**
+   * Build RateLimit-* headers for a check result
+   * @param {Object} result - Result of check()
+   * @returns {Object} - Headers (empty for allowlisted or disabled checks)
+   */
+  getHeaders(result) {
+    if (result.allowlisted || !this.config.RATE_LIMIT_ENABLED) {
+      return {};
+    }
+
+    const headers = {
+      'RateLimit-Limit': String(result.limit.requests),
+      'RateLimit-Remaining': String(Math.max(0, result.remaining)),
+      'RateLimit-Reset': String(result.reset),
+      'RateLimit-Policy': `${result.limit.requests};w=${Math.ceil(result.limit.window / 1000)}`
+    };
+
+    if (!result.allowed) {
+      headers['Retry-After'] = String(result.retryAfter);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Copy the RateLimit-* headers onto a response
+   * @param {Response} response - Route response
+   * @param {Object} result - Result of check()
+   * @returns {Response} - Response with rate limit headers
+   */
+  applyHeaders(response, result) {
+    const headers = this.getHeaders(result);
+    if (Object.keys(headers).length === 0) {
+      return response;
+    }
+
+    const limited = new Response(response.body, response);
+    for (const [name, value] of Object.entries(headers)) {
+      limited.headers.set(name, value);
+    }
+    return limited;
+  }
+
+  /**
+   * Create a 429 response
+   * @param {Object} result - Result of check()
+   * @returns {Response} - Too Many Requests response
+   */
+  createRateLimitResponse(result) {
+    return new Response(JSON.stringify({
+      error: true,
+      message: ERROR_MESSAGES.rate_limit,
+      timestamp: new Date().toISOString(),
+      status: 429,
+      retry_after: result.retryAfter
+    }, null, 2), {
+      status: 429,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-cache, no-store',
+        ...this.getHeaders(result)
+      }
+    });
+  }
+}
+
+/**
+ * Rate Limiter Durable Object
+ * One instance per bucket name, so every isolate sees the same token count
+ */
+export class RateLimiterDurableObject {
+  /**
+   * Constructor
+   * @param {Object} state - Durable Object state
+   * @param {Object} env - Environment bindings
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * Take a token from this bucket
+   * @param {Request} request - POST with {requests, window}
+   * @returns {Promise<Response>} - JSON {allowed, remaining, reset, retryAfter}
+   */
+  async fetch(request) {
+    const limit = await request.json();
+    if (!(limit.requests > 0) || !(limit.window > 0)) {
+      return new Response('Invalid limit', { status: 400 });
+    }
+
+    const now = Date.now();
+    const { bucket, ...result } = consumeToken(await this.state.storage.get('bucket'), limit, now);
+    await this.state.storage.put('bucket', bucket);
+
+    // Drop the stored bucket once it would be full again; a fresh bucket behaves the same
+    await this.state.storage.setAlarm(now + result.reset * 1000);
+
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * Clean up idle buckets
+   */
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
+
+export default RateLimiter;
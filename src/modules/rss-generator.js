@@ -5,6 +5,12 @@
  */
 
 import { CONFIG, RSS_FIELD_MAPPING } from '../config/environment.js';
+import { buildJobPageUrl } from './job-page-generator.js';
+import { buildOGImageUrl, OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT } from './og-image-generator.js';
+import { DEFAULT_LANGUAGE, createTranslator } from '../utils/i18n.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('rss-generator');
 
 /**
  * RSS Generator Class
@@ -12,24 +18,27 @@ import { CONFIG, RSS_FIELD_MAPPING } from '../config/environment.js';
 export class RSSGenerator {
   /**
    * Constructor
+   * @param {string} language - Feed language (jobs should be localized to match, see DataAggregator.localizeJobs())
    */
-  constructor() {
+  constructor(language = DEFAULT_LANGUAGE) {
     this.currentDate = new Date().toUTCString();
+    this.language = language;
+    this.t = createTranslator(language);
   }
 
   /**
    * Generate complete RSS feed
    * @param {Array} jobs - Array of job objects
+   * @param {Object} options - Channel overrides (title, description, feedUrl, hubUrl, imageUrl)
    * @returns {string} - RSS XML string
    */
-  generateRSS(jobs) {
+  generateRSS(jobs, options = {}) {
     if (!jobs || !Array.isArray(jobs)) {
       throw new Error('Invalid jobs data provided');
     }
 
-    console.log(`Generating RSS feed with ${jobs.length} jobs`);
-
-    const rssHeader = this.generateRSSHeader(jobs.length);
+    const startTime = Date.now();
+    const rssHeader = this.generateRSSHeader(jobs.length, options);
     const rssItems = jobs.map(job => this.generateRSSItem(job)).join('\n');
     const rssFooter = this.generateRSSFooter();
 
@@ -38,18 +47,25 @@ export class RSSGenerator {
     // Validate RSS structure
     this.validateRSS(rssXML);
 
-    console.log('RSS feed generated successfully');
+    logger.debug('RSS feed rendered', { jobCount: jobs.length, language: this.language, duration_ms: Date.now() - startTime });
     return rssXML;
   }
 
   /**
    * Generate RSS header
    * @param {number} itemCount - Number of items in the feed
+   * @param {Object} options - Channel overrides (title, description, feedUrl, imageUrl, hubUrl - null to skip the WebSub hub)
    * @returns {string} - RSS header XML
    */
-  generateRSSHeader(itemCount = 0) {
+  generateRSSHeader(itemCount = 0, options = {}) {
     const lastBuildDate = this.currentDate;
     const publicationDate = this.currentDate;
+    const channelTitle = options.title || CONFIG.RSS_TITLE;
+    const channelDescription = options.description || CONFIG.RSS_DESCRIPTION;
+    const imageUrl = options.imageUrl || `${CONFIG.BASE_URL}/logo.png`;
+    const feedUrl = options.feedUrl || `${CONFIG.BASE_URL}/rss`;
+    const hubUrl = options.hubUrl !== undefined ? options.hubUrl : CONFIG.WEBSUB_HUB_URL;
+    const hubLink = hubUrl ? `\n    <atom:link href="${this.escapeXML(hubUrl)}" rel="hub" />` : '';
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0"
@@ -58,25 +74,25 @@ export class RSSGenerator {
      xmlns:media="http://search.yahoo.com/mrss/"
      xmlns:atom="http://www.w3.org/2005/Atom">
   <channel>
-    <title>${this.escapeXML(CONFIG.RSS_TITLE)}</title>
-    <description>${this.escapeXML(CONFIG.RSS_DESCRIPTION)}</description>
+    <title>${this.escapeXML(channelTitle)}</title>
+    <description>${this.escapeXML(channelDescription)}</description>
     <link>${CONFIG.BASE_URL}</link>
-    <language>${CONFIG.RSS_LANGUAGE}</language>
+    <language>${this.escapeXML(this.language)}</language>
     <lastBuildDate>${lastBuildDate}</lastBuildDate>
     <pubDate>${publicationDate}</pubDate>
     <generator>${this.escapeXML(CONFIG.RSS_GENERATOR)}</generator>
     <webMaster>${this.escapeXML(CONFIG.RSS_WEBMASTER)}</webMaster>
     <copyright>${this.escapeXML(CONFIG.RSS_COPYRIGHT)}</copyright>
-    <atom:link href="${CONFIG.BASE_URL}/rss" rel="self" type="application/rss+xml" />
+    <atom:link href="${this.escapeXML(feedUrl)}" rel="self" type="application/rss+xml" />${hubLink}
     <docs>http://www.rssboard.org/rss-specification</docs>
     <ttl>30</ttl>
     <image>
-      <title>${this.escapeXML(CONFIG.RSS_TITLE)}</title>
-      <url>${CONFIG.BASE_URL}/logo.png</url>
+      <title>${this.escapeXML(channelTitle)}</title>
+      <url>${this.escapeXML(imageUrl)}</url>
       <link>${CONFIG.BASE_URL}</link>
       <width>144</width>
       <height>144</height>
-      <description>${this.escapeXML(CONFIG.RSS_DESCRIPTION)}</description>
+      <description>${this.escapeXML(channelDescription)}</description>
     </image>
 `;
   }
@@ -102,9 +118,10 @@ export class RSSGenerator {
       const content = this.generateItemContent(job);
       const link = this.generateItemLink(job);
       const guid = job.id || `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      const pubDate = this.formatPubDate(job.published_at || job.created_at);
+      // Date items by when the job index first saw them, falling back to the upstream date
+      const pubDate = this.formatPubDate(job.first_seen_at || job.published_at || job.created_at);
       const categories = this.generateItemCategories(job);
-      const author = this.escapeXML(job.company_name || 'Unknown Company');
+      const author = this.escapeXML(job.company_name || this.t('job.unknownCompany'));
       const mediaElements = this.generateMediaElements(job);
 
       return `    <item>
@@ -119,7 +136,7 @@ export class RSSGenerator {
       ${mediaElements}
     </item>`;
     } catch (error) {
-      console.error(`Failed to generate RSS item for job ${job.id}:`, error);
+      logger.error('Failed to generate RSS item', { jobId: job.id, error });
       return this.generateErrorItem(job, error.message);
     }
   }
@@ -140,7 +157,7 @@ export class RSSGenerator {
       emoji = '⚠️'; // Urgent
     } else if (job.days_until_expiry !== null && job.days_until_expiry <= 7) {
       emoji = '📢'; // This week
-    } else if (job.detail?.salary) {
+    } else if (job.salary_normalized?.disclosed) {
       emoji = '💰'; // Has salary info
     }
 
@@ -150,8 +167,8 @@ export class RSSGenerator {
     const cleanTitle = this.cleanText(job.title, 50);
     const cleanCompany = this.cleanText(job.company_name, 30);
     const cleanLocation = this.cleanText(location, 25);
-    const cleanSalary = this.cleanText(job.salary_range || 'Gaji Kompetitif', 20);
-    const cleanAgeRange = this.cleanText(job.age_range || 'Usia bebas', 15);
+    const cleanSalary = this.cleanText(job.salary_range || this.t('salary.competitive'), 25);
+    const cleanAgeRange = this.cleanText(job.age_range || this.t('age.any'), 15);
 
     // Apply template
     let title = template
@@ -164,7 +181,7 @@ export class RSSGenerator {
 
     // Add urgency indicator for expiring jobs
     if (job.days_until_expiry !== null && job.days_until_expiry <= 7) {
-      title += ` (${job.days_until_expiry} hari lagi)`;
+      title += ` (${this.t('deadline.daysLeft', { count: job.days_until_expiry })})`;
     }
 
     // Add prefix if not already present
@@ -191,10 +208,10 @@ export class RSSGenerator {
     const includeHashtags = RSS_FIELD_MAPPING.description.hashtags;
 
     // Gather enhanced data
-    const salary = job.salary_range || 'Gaji Kompetitif';
-    const experienceLevel = job.experience_level || 'Pengalaman dibutuhkan';
+    const salary = job.salary_range || this.t('salary.competitive');
+    const experienceLevel = job.experience_level || this.t('experience.required');
     const location = job.city_name || 'Indonesia';
-    const inclusiveWorkplace = job.inclusive_workplace ? '♿ Disabilitas-Friendly' : '';
+    const inclusiveWorkplace = job.inclusive_workplace ? `♿ ${this.t('inclusion.disabilityFriendly')}` : '';
 
     // Apply template
     let description = template
@@ -207,7 +224,7 @@ export class RSSGenerator {
     if (RSS_FIELD_MAPPING.description.include_benefits) {
       const benefits = this.formatJobBenefits(job);
       if (benefits) {
-        description += '\n📋 **Benefit:** ' + benefits;
+        description += `\n📋 **${this.t('benefits.label')}:** ` + benefits;
       }
     }
 
@@ -220,15 +237,15 @@ export class RSSGenerator {
     // Add deadline urgency if enabled
     if (RSS_FIELD_MAPPING.description.include_deadline_urgency) {
       if (job.days_until_expiry !== null && job.days_until_expiry <= 3) {
-        description += '\n\n⏰ **Deadline ' + job.days_until_expiry + ' hari lagi!**';
+        description += `\n\n⏰ **${this.t('deadline.urgent', { count: job.days_until_expiry })}**`;
       } else if (job.days_until_expiry !== null && job.days_until_expiry <= 7) {
-        description += '\n\n⏰ Deadline: ' + job.days_until_expiry + ' hari lagi';
+        description += `\n\n⏰ ${this.t('deadline.soon', { count: job.days_until_expiry })}`;
       }
     }
 
     // Add call-to-action
-    description += '\n\n🔗 **Apply Link:** ' + job.frontend_url;
-    description += '\n💡 **Share:** Bantu teman yang mencari kesempatan emas ini!';
+    description += `\n\n🔗 **${this.t('content.applyLink')}:** ` + job.frontend_url;
+    description += `\n💡 **Share:** ${this.t('content.share')}`;
 
     // Truncate if too long
     if (description.length > maxLength) {
@@ -254,7 +271,7 @@ export class RSSGenerator {
 
     // Company information
     content += `<div class="job-company-info">
-      <h3>Perusahaan:</h3>
+      <h3>${this.t('content.company')}:</h3>
       <p><strong>${this.escapeXML(job.company_name)}</strong>`;
 
     if (job.industry_name) {
@@ -265,42 +282,33 @@ export class RSSGenerator {
 
     // Location
     content += `<div class="job-location">
-      <h3>Lokasi:</h3>
-      <p>${this.escapeXML(job.full_location || job.city_name || 'Lokasi tidak disebutkan')}</p>
+      <h3>${this.t('content.location')}:</h3>
+      <p>${this.escapeXML(job.full_location || job.city_name || this.t('job.locationUnknown'))}</p>
     </div>`;
 
     // Job details
     if (job.detail) {
-      // Debug job type processing in RSS generator (always log)
-      console.log('🔍 RSS Generator job type debug:', {
-        hasDetail: !!job.detail,
-        hasJobType: !!job.detail?.job_type,
-        originalJobType: job.detail?.job_type,
-        formattedJobType: job.detail?.job_type ? this.formatJobType(job.detail.job_type) : 'NO_JOB_TYPE',
-        formattedType: typeof job.detail?.job_type
-      });
-
       // Job type
       if (job.detail.job_type) {
         const formattedJobType = this.formatJobType(job.detail.job_type);
         content += `<div class="job-type">
-          <h3>Tipe Pekerjaan:</h3>
+          <h3>${this.t('content.jobType')}:</h3>
           <p>${this.escapeXML(formattedJobType)}</p>
         </div>`;
       }
 
       // Salary
-      if (job.salary_range && job.salary_range !== 'Gaji nego') {
+      if (job.salary_normalized?.disclosed) {
         content += `<div class="job-salary">
-          <h3>Rentang Gaji:</h3>
+          <h3>${this.t('content.salary')}:</h3>
           <p><strong>${this.escapeXML(job.salary_range)}</strong></p>
         </div>`;
       }
 
       // Requirements
-      if (job.requirements_text && job.requirements_text !== 'Informasi persyaratan tidak tersedia') {
+      if (job.requirements_text && job.requirements_text !== this.t('requirements.unavailable')) {
         content += `<div class="job-requirements">
-          <h3>Persyaratan:</h3>
+          <h3>${this.t('requirements.list')}:</h3>
           <div>${this.formatRequirementsForHTML(job.requirements_text)}</div>
         </div>`;
       }
@@ -308,22 +316,22 @@ export class RSSGenerator {
       // Description
       if (job.detail.description) {
         content += `<div class="job-description">
-          <h3>Deskripsi Pekerjaan:</h3>
+          <h3>${this.t('content.description')}:</h3>
           <div>${this.escapeXML(job.detail.description)}</div>
         </div>`;
       }
 
       // Benefits
-      if (job.benefits_text && job.benefits_text !== 'Informasi benefit tidak tersedia') {
+      if (job.benefits_text && job.benefits_text !== this.t('benefits.unavailable')) {
         content += `<div class="job-benefits">
           ${this.formatBenefitsForHTML(job.benefits_text)}
         </div>`;
       }
 
       // Deadline
-      if (job.application_deadline_formatted && job.application_deadline_formatted !== 'Informasi deadline tidak tersedia') {
+      if (job.application_deadline_formatted && job.application_deadline_formatted !== this.t('deadline.unavailable')) {
         content += `<div class="job-deadline">
-          <h3>Batas Lamaran:</h3>
+          <h3>${this.t('content.deadline')}:</h3>
           <p><strong>${this.escapeXML(job.application_deadline_formatted)}</strong></p>
         </div>`;
       }
@@ -332,7 +340,7 @@ export class RSSGenerator {
     // Skills
     if (job.skills && Array.isArray(job.skills) && job.skills.length > 0) {
       content += `<div class="job-skills">
-        <h3>Skill yang Dibutuhkan:</h3>
+        <h3>${this.t('requirements.skills')}:</h3>
         <p>${job.skills.map(skill => this.escapeXML(skill)).join(', ')}</p>
       </div>`;
     }
@@ -340,7 +348,7 @@ export class RSSGenerator {
     // Social media content
     if (job.social_media_content) {
       content += `<div class="job-social-media">
-        <h3>Untuk Media Sosial:</h3>
+        <h3>${this.t('content.socialMedia')}:</h3>
         <div class="social-content">
           <p><strong>Twitter:</strong></p>
           <blockquote>${this.escapeXML(job.social_media_content.twitter)}</blockquote>
@@ -351,10 +359,10 @@ export class RSSGenerator {
     // Source attribution
     content += `<hr>
       <div class="job-source">
-        <p><em>Sumber: Kementerian Ketenagakerjaan Indonesia - KarirHub</em></p>`;
+        <p><em>${this.t('content.source')}</em></p>`;
 
     if (job.posted_date_formatted) {
-      content += `<p><small>Dipublikasikan pada ${this.escapeXML(job.posted_date_formatted)}</small></p>`;
+      content += `<p><small>${this.t('content.publishedOn', { date: this.escapeXML(job.posted_date_formatted) })}</small></p>`;
     }
 
     content += `<p><small>Job ID: ${job.id}</small></p>
@@ -365,15 +373,12 @@ export class RSSGenerator {
 
   /**
    * Generate item link
+   * Points at our /lowongan/:id page, which credits and links the original KarirHub vacancy
    * @param {Object} job - Job object
    * @returns {string} - Item URL
    */
   generateItemLink(job) {
-    // Use frontend URL if available, fallback to API URL
-    if (job.frontend_url) {
-      return job.frontend_url;
-    }
-    return `${CONFIG.KARIRHUB_BASE_URL}/lowongan-dalam-negeri/lowongan/${job.id}`;
+    return buildJobPageUrl(job.id);
   }
 
   /**
@@ -453,6 +458,11 @@ export class RSSGenerator {
       mediaElements += `<media:content url="${this.escapeXML(job.detail.employer.banner)}" type="image/jpeg" medium="image" />`;
     }
 
+    // Without a logo, readers and social tools get the generated share card
+    if (!job.detail?.employer?.logo && !job.company_logo) {
+      mediaElements += `<media:content url="${this.escapeXML(buildOGImageUrl(job.id))}" type="image/svg+xml" medium="image" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" />`;
+    }
+
     return mediaElements;
   }
 
@@ -640,7 +650,7 @@ export class RSSGenerator {
    * @returns {string} - Formatted job type
    */
   formatJobType(jobType) {
-    if (!jobType) return 'Full-time';
+    if (!jobType) return this.t('job.defaultType');
 
     // Handle string job types
     if (typeof jobType === 'string') {
@@ -662,9 +672,9 @@ export class RSSGenerator {
         return jobType.toString();
       }
 
-      // Last resort: JSON stringify for debugging
-      console.warn('Unexpected job_type object structure:', jobType);
-      return 'Full-time';
+      // Last resort
+      logger.warn('Unexpected job_type object structure', { jobType });
+      return this.t('job.defaultType');
     }
 
     // Handle other types (numbers, etc.)
@@ -672,7 +682,7 @@ export class RSSGenerator {
       return String(jobType);
     }
 
-    return 'Full-time';
+    return this.t('job.defaultType');
   }
 
   /**
@@ -707,13 +717,13 @@ export class RSSGenerator {
 
       // Validate date is valid
       if (isNaN(date.getTime())) {
-        console.warn('Invalid date after parsing:', dateString, 'type:', typeof dateString);
+        logger.warn('Invalid date after parsing', { dateString, type: typeof dateString });
         return this.currentDate;
       }
 
       return date.toUTCString();
     } catch (error) {
-      console.warn('Error formatting date:', dateString, 'type:', typeof dateString, error);
+      logger.warn('Error formatting date', { dateString, type: typeof dateString, error: error.message });
       return this.currentDate;
     }
   }
@@ -773,8 +783,8 @@ export class RSSGenerator {
    * @returns {string} - Error RSS item XML
    */
   generateErrorItem(job, error) {
-    const title = `Error processing job: ${job.title || 'Unknown Job'}`;
-    const description = `This job could not be processed due to an error: ${error}`;
+    const title = this.t('content.errorTitle', { title: job.title || this.t('job.unknownTitle') });
+    const description = this.t('content.errorDescription', { error });
     const guid = `error-${job.id || 'unknown'}-${Date.now()}`;
 
     return `    <item>
@@ -813,12 +823,12 @@ export class RSSGenerator {
 
       // Check for properly escaped content
       if (rssXML.includes('&') && !rssXML.includes('&amp;') && !rssXML.includes('<?xml')) {
-        console.warn('Potential unescaped ampersand found in RSS');
+        logger.warn('Potential unescaped ampersand found in RSS');
       }
 
       return true;
     } catch (error) {
-      console.error('RSS validation failed:', error);
+      logger.error('RSS validation failed', { error });
       return false;
     }
   }
@@ -891,33 +901,47 @@ export class RSSGenerator {
     const benefits = [];
 
     // Salary benefits
-    if (job.salary_range && job.salary_range !== 'Gaji Kompetitif') {
+    if (job.salary_normalized?.disclosed) {
       benefits.push(job.salary_range);
     }
 
     // Work type benefits
     if (job.detail?.job_type?.name === 'Remote') {
-      benefits.push('🏠 Work From Home');
+      benefits.push(`🏠 ${this.t('benefits.remote')}`);
     }
 
     // Inclusive workplace benefits
     if (job.inclusive_workplace) {
-      benefits.push('♿ Inclusive Workplace');
+      benefits.push(`♿ ${this.t('benefits.inclusive')}`);
     }
 
     // Fresh graduate benefits
-    if (job.experience_level && job.experience_level.includes('Fresh Graduate')) {
-      benefits.push('🚫 No Experience Required');
+    if (this.getExperienceYears(job) === 0) {
+      benefits.push(`🚫 ${this.t('benefits.noExperience')}`);
     }
 
     // Age-specific benefits
     if (job.age_range && job.age_range.includes('21-25')) {
-      benefits.push('👥 Fresh Graduate Friendly');
+      benefits.push(`👥 ${this.t('benefits.freshGraduateFriendly')}`);
     }
 
     return benefits.length > 0 ? benefits.join(' • ') : null;
   }
 
+  /**
+   * Get the minimum years of experience behind a job's experience_level
+   * Read from the requirements rather than the (localized) text
+   * @param {Object} job - Job object
+   * @returns {number|null} - Years (0 for fresh graduates) or null when the job has no experience level
+   */
+  getExperienceYears(job) {
+    if (!job.experience_level) {
+      return null;
+    }
+
+    return Number(job.detail?.requirements?.min_year_experience) || 0;
+  }
+
   /**
    * Generate enhanced hashtags for social media optimization
    * @param {Object} job - Job object
@@ -945,19 +969,18 @@ export class RSSGenerator {
     }
 
     // Salary-based hashtags
-    if (job.salary_range && job.salary_range.includes('Juta')) {
+    const salary = job.salary_normalized;
+    if (salary?.disclosed && (salary.max ?? salary.min) >= 1000000) {
       hashtags.add('#LokerGajiTinggi');
     }
 
     // Experience-based hashtags
-    if (job.experience_level) {
-      if (job.experience_level.includes('Fresh Graduate')) {
-        hashtags.add('#FreshGraduate');
-        hashtags.add('#LokerPengalaman');
-      }
-      if (job.experience_level.includes('1+ tahun') || job.experience_level.includes('pengalaman')) {
-        hashtags.add('#ExperiencedHire');
-      }
+    const experienceYears = this.getExperienceYears(job);
+    if (experienceYears === 0) {
+      hashtags.add('#FreshGraduate');
+      hashtags.add('#LokerPengalaman');
+    } else if (experienceYears > 0) {
+      hashtags.add('#ExperiencedHire');
     }
 
     // Inclusive workplace hashtags
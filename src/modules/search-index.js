@@ -0,0 +1,220 @@
+/**
+ * Search Index Module
+ * Inverted index over aggregated jobs with BM25 relevance ranking
+ * Built from DataAggregator output and stored in KV so searches never re-aggregate
+ */
+
+import { CACHE_STRATEGY } from '../config/environment.js';
+import { analyzeText } from '../utils/text-search.js';
+import { matchesJobFilters, hasActiveFilters, getEmployerKey, isJobExpired } from '../utils/job-filter.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('search-index');
+
+/**
+ * Field weights - a match in the title counts three times as much as one in the description
+ */
+export const SEARCH_FIELDS = {
+  title: { weight: 3, getValue: job => job.title },
+  company: { weight: 2, getValue: job => job.company_name },
+  function: { weight: 2, getValue: job => job.job_function_name },
+  requirements: { weight: 1, getValue: job => job.requirements_text },
+  description: { weight: 1, getValue: job => job.detail?.description }
+};
+
+/**
+ * BM25 parameters
+ */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Score multiplier for prefix matches ("operat" finding "operator")
+ */
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+/**
+ * Search Index Class
+ */
+export class SearchIndex {
+  /**
+   * Constructor
+   * @param {CacheManager} cacheManager - Cache manager used to persist the index
+   */
+  constructor(cacheManager = null) {
+    this.cacheManager = cacheManager;
+    this.index = null;
+  }
+
+  /**
+   * Keep the fields search results and filters need
+   * @param {Object} job - Enriched job object
+   * @returns {Object} - Compact document
+   */
+  toDocument(job) {
+    return {
+      id: job.id,
+      title: job.title,
+      company_name: job.company_name,
+      employer_id: getEmployerKey(job) || null,
+      city_name: job.city_name || null,
+      province_name: job.province_name || null,
+      industry_name: job.industry_name || null,
+      job_function_name: job.job_function_name || null,
+      // Kept in the shape FEED_FILTERS reads, so feed filters apply unchanged
+      detail: { requirements: { education_min: job.detail?.requirements?.education_min || null } },
+      salary_range: job.salary_range || null,
+      salary: job.salary_normalized || null,
+      expires_at: job.expires_at || null,
+      first_seen_at: job.first_seen_at || null,
+      url: job.frontend_url || null
+    };
+  }
+
+  /**
+   * Build an index from enriched jobs
+   * @param {Array} jobs - Enriched jobs from the DataAggregator
+   * @returns {Object} - Serializable index {builtAt, docs, lengths, avgLength, terms}
+   */
+  buildIndex(jobs) {
+    const docs = [];
+    const lengths = [];
+    const terms = {};
+
+    (Array.isArray(jobs) ? jobs : []).forEach(job => {
+      const docIndex = docs.length;
+      const frequencies = {};
+      let length = 0;
+
+      for (const field of Object.values(SEARCH_FIELDS)) {
+        for (const term of analyzeText(field.getValue(job))) {
+          frequencies[term] = (frequencies[term] || 0) + field.weight;
+          length += field.weight;
+        }
+      }
+
+      docs.push(this.toDocument(job));
+      lengths.push(length);
+
+      for (const [term, frequency] of Object.entries(frequencies)) {
+        (terms[term] = terms[term] || []).push([docIndex, frequency]);
+      }
+    });
+
+    return {
+      builtAt: new Date().toISOString(),
+      docs,
+      lengths,
+      avgLength: lengths.length ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : 0,
+      terms
+    };
+  }
+
+  /**
+   * Build the index from jobs and store it
+   * @param {Array} jobs - Enriched jobs
+   * @returns {Promise<Object>} - Built index
+   */
+  async rebuild(jobs) {
+    this.index = this.buildIndex(jobs);
+
+    if (this.cacheManager) {
+      await this.cacheManager.set('jobs', this.index, 'search_index', CACHE_STRATEGY.search_index);
+    }
+
+    logger.debug('Search index built', { jobs: this.index.docs.length, terms: Object.keys(this.index.terms).length });
+    return this.index;
+  }
+
+  /**
+   * Load the stored index
+   * @returns {Promise<Object|null>} - Index or null when missing/expired
+   */
+  async load() {
+    if (!this.cacheManager) {
+      return null;
+    }
+
+    this.index = await this.cacheManager.get('jobs', 'search_index');
+    return this.index;
+  }
+
+  /**
+   * Find index terms for a query term (exact match, else prefix matches)
+   * @param {string} term - Analyzed query term
+   * @returns {Array<Object>} - [{term, weight}]
+   */
+  expandTerm(term) {
+    if (this.index.terms[term]) {
+      return [{ term, weight: 1 }];
+    }
+
+    // Short prefixes would match half the index
+    if (term.length < 3) {
+      return [];
+    }
+
+    return Object.keys(this.index.terms)
+      .filter(candidate => candidate.startsWith(term))
+      .map(candidate => ({ term: candidate, weight: PREFIX_MATCH_WEIGHT }));
+  }
+
+  /**
+   * Search the loaded index
+   * @param {string} query - Free-text query
+   * @param {Object} options - {filters, limit}
+   * @returns {Object} - {terms, total, results: [{...document, score, matched_terms}]} (expired jobs excluded)
+   */
+  search(query, options = {}) {
+    const { filters = {}, limit = 20 } = options;
+    const queryTerms = [...new Set(analyzeText(query))];
+
+    if (!this.index || queryTerms.length === 0) {
+      return { terms: queryTerms, total: 0, results: [] };
+    }
+
+    const docCount = this.index.docs.length;
+    const scores = new Map();
+
+    for (const queryTerm of queryTerms) {
+      for (const { term, weight } of this.expandTerm(queryTerm)) {
+        const postings = this.index.terms[term];
+        const idf = Math.log(1 + (docCount - postings.length + 0.5) / (postings.length + 0.5));
+
+        for (const [docIndex, frequency] of postings) {
+          const lengthNorm = 1 - BM25_B + BM25_B * (this.index.lengths[docIndex] / (this.index.avgLength || 1));
+          const score = weight * idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+
+          const entry = scores.get(docIndex) || { score: 0, matched: new Set() };
+          entry.score += score;
+          entry.matched.add(queryTerm);
+          scores.set(docIndex, entry);
+        }
+      }
+    }
+
+    const now = Date.now();
+    const results = [...scores.entries()]
+      .filter(([docIndex]) => !isJobExpired(this.index.docs[docIndex], now))
+      .filter(([docIndex]) => !hasActiveFilters(filters) || matchesJobFilters(this.index.docs[docIndex], filters))
+      .map(([docIndex, { score, matched }]) => {
+        const { detail, ...doc } = this.index.docs[docIndex];
+        return {
+          ...doc,
+          education_level: detail?.requirements?.education_min || null,
+          score: Math.round(score * 1000) / 1000,
+          matched_terms: [...matched]
+        };
+      })
+      // Jobs matching more of the query always rank first
+      .sort((a, b) => b.matched_terms.length - a.matched_terms.length || b.score - a.score);
+
+    return {
+      terms: queryTerms,
+      total: results.length,
+      results: results.slice(0, limit)
+    };
+  }
+}
+
+export default SearchIndex;
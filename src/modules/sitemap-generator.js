@@ -0,0 +1,159 @@
+/**
+ * Sitemap Generator Module
+ * Builds sitemaps.org XML for the feed endpoints and every active job page,
+ * switching to a sitemap index once there are more URLs than one sitemap may hold
+ */
+
+import { CONFIG } from '../config/environment.js';
+import { buildJobPageUrl } from './job-page-generator.js';
+
+/**
+ * Maximum URLs per sitemap file (sitemaps.org protocol limit)
+ */
+export const SITEMAP_MAX_URLS = 50000;
+
+/**
+ * Feed endpoints listed in the sitemap
+ */
+const FEED_PATHS = ['/rss', '/atom', '/json', '/rss/closing-soon', '/companies'];
+
+/**
+ * Sitemap Generator Class
+ */
+export class SitemapGenerator {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration object (per-request CONFIG)
+   * @param {number} maxUrls - URLs per sitemap file
+   */
+  constructor(config = CONFIG, maxUrls = SITEMAP_MAX_URLS) {
+    this.config = config;
+    this.maxUrls = maxUrls;
+    this.baseUrl = new URL(config.BASE_URL).origin;
+  }
+
+  /**
+   * Format a date as a W3C datetime for <lastmod>
+   * @param {string} dateString - Date string
+   * @returns {string|null} - ISO date or null when missing/invalid
+   */
+  formatLastmod(dateString) {
+    const time = Date.parse(dateString || '');
+    return isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  /**
+   * Build sitemap entries for the feeds and job pages
+   * @param {Array} jobs - Open (non-expired) enriched jobs
+   * @returns {Array<Object>} - [{loc, lastmod}]
+   */
+  buildEntries(jobs) {
+    const jobEntries = (Array.isArray(jobs) ? jobs : []).map(job => ({
+      loc: buildJobPageUrl(job.id, this.config.BASE_URL),
+      lastmod: this.formatLastmod(job.last_changed_at || job.updated_at || job.published_at || job.created_at)
+    }));
+
+    // Feeds change whenever their newest job does
+    const newest = jobEntries
+      .map(entry => entry.lastmod)
+      .filter(Boolean)
+      .sort()
+      .pop() || null;
+
+    const feedEntries = FEED_PATHS.map(path => ({ loc: `${this.baseUrl}${path}`, lastmod: newest }));
+
+    return [...feedEntries, ...jobEntries];
+  }
+
+  /**
+   * Generate every sitemap document for a set of jobs
+   * @param {Array} jobs - Open (non-expired) enriched jobs
+   * @returns {Object} - Documents keyed by name: 'main' (urlset or index) and, for an index, '1', '2', ...
+   */
+  generateAll(jobs) {
+    const entries = this.buildEntries(jobs);
+
+    if (entries.length <= this.maxUrls) {
+      return { main: this.generateUrlset(entries) };
+    }
+
+    const documents = {};
+    const lastmods = [];
+
+    for (let page = 1; (page - 1) * this.maxUrls < entries.length; page++) {
+      const pageEntries = entries.slice((page - 1) * this.maxUrls, page * this.maxUrls);
+      documents[String(page)] = this.generateUrlset(pageEntries);
+      lastmods.push(pageEntries.map(entry => entry.lastmod).filter(Boolean).sort().pop() || null);
+    }
+
+    documents.main = this.generateIndex(lastmods);
+    return documents;
+  }
+
+  /**
+   * Generate a <urlset> sitemap
+   * @param {Array<Object>} entries - [{loc, lastmod}]
+   * @returns {string} - Sitemap XML
+   */
+  generateUrlset(entries) {
+    const urls = entries.map(entry => `  <url>
+    <loc>${this.escapeXML(entry.loc)}</loc>${entry.lastmod ? `
+    <lastmod>${entry.lastmod}</lastmod>` : ''}
+  </url>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>`;
+  }
+
+  /**
+   * Generate a <sitemapindex> pointing at /sitemap-1.xml, /sitemap-2.xml, ...
+   * @param {Array<string|null>} lastmods - Newest lastmod of each child sitemap
+   * @returns {string} - Sitemap index XML
+   */
+  generateIndex(lastmods) {
+    const sitemaps = lastmods.map((lastmod, index) => `  <sitemap>
+    <loc>${this.escapeXML(`${this.baseUrl}/sitemap-${index + 1}.xml`)}</loc>${lastmod ? `
+    <lastmod>${lastmod}</lastmod>` : ''}
+  </sitemap>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps}
+</sitemapindex>`;
+  }
+
+  /**
+   * Generate robots.txt
+   * @returns {string} - robots.txt content
+   */
+  generateRobotsTxt() {
+    return `User-agent: *
+Allow: /
+Disallow: /admin
+
+Sitemap: ${this.baseUrl}/sitemap.xml
+`;
+  }
+
+  /**
+   * Escape XML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escapeXML(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+export default SitemapGenerator;
@@ -0,0 +1,165 @@
+/**
+ * Social Template Store Module
+ * Keeps per-platform overrides of SOCIAL_MEDIA_TEMPLATES in KV so post wording
+ * can change without a redeploy; platforms without an override use the defaults
+ * Overrides are stored per language: "twitter" for Indonesian, "twitter:en" for English
+ */
+
+import { CONFIG, SOCIAL_MEDIA_TEMPLATES, SOCIAL_MEDIA_TEMPLATE_TRANSLATIONS } from '../config/environment.js';
+import { validateTemplate } from '../utils/template-engine.js';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../utils/i18n.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('social-template-store');
+
+/**
+ * Social Template Store Class
+ */
+export class SocialTemplateStore {
+  /**
+   * Constructor
+   * @param {Object} kvStore - Cloudflare KV store instance
+   */
+  constructor(kvStore) {
+    this.kvStore = kvStore && typeof kvStore.get === 'function' ? kvStore : null;
+    this.key = `${CONFIG.ENVIRONMENT}_social_templates:overrides`;
+  }
+
+  /**
+   * Read the stored overrides
+   * @returns {Promise<Object>} - {platform: {template, maxLength, updated_at}}
+   */
+  async getOverrides() {
+    if (!this.kvStore) {
+      return {};
+    }
+
+    try {
+      const stored = await this.kvStore.get(this.key, 'json');
+      return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+      logger.error('Failed to read social template overrides', { error });
+      return {};
+    }
+  }
+
+  /**
+   * Get the override key of a platform in a language
+   * @param {string} platform - Platform name
+   * @param {string} language - Language code
+   * @returns {string} - Key within the stored overrides
+   */
+  getOverrideKey(platform, language = DEFAULT_LANGUAGE) {
+    return language === DEFAULT_LANGUAGE ? platform : `${platform}:${language}`;
+  }
+
+  /**
+   * Get the default template of a platform in a language
+   * @param {string} platform - Platform name
+   * @param {string} language - Language code
+   * @returns {Object} - {template, maxLength, threadPosts?}
+   */
+  getDefaults(platform, language = DEFAULT_LANGUAGE) {
+    return { ...SOCIAL_MEDIA_TEMPLATES[platform], ...SOCIAL_MEDIA_TEMPLATE_TRANSLATIONS[language]?.[platform] };
+  }
+
+  /**
+   * Get the effective template of every platform
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} - {platform: {template, maxLength, threadPosts?, overridden}}
+   */
+  async getTemplates(language = DEFAULT_LANGUAGE) {
+    const overrides = await this.getOverrides();
+
+    return Object.fromEntries(Object.keys(SOCIAL_MEDIA_TEMPLATES).map(platform => {
+      const defaults = this.getDefaults(platform, language);
+      const override = overrides[this.getOverrideKey(platform, language)];
+      return [platform, {
+        template: override?.template || defaults.template,
+        maxLength: override?.maxLength || defaults.maxLength,
+        ...(defaults.threadPosts !== undefined ? { threadPosts: override?.threadPosts ?? defaults.threadPosts } : {}),
+        overridden: !!override
+      }];
+    }));
+  }
+
+  /**
+   * Store a platform override
+   * @param {string} platform - Platform name (twitter, facebook, linkedin)
+   * @param {Object} data - {template, maxLength?, threadPosts? (twitter only)}
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} - Stored override
+   */
+  async setTemplate(platform, data = {}, language = DEFAULT_LANGUAGE) {
+    if (!this.kvStore) {
+      throw new Error('Template storage is not available (KV binding missing)');
+    }
+
+    if (!SOCIAL_MEDIA_TEMPLATES[platform]) {
+      throw new Error(`Unknown platform "${platform}". Supported: ${Object.keys(SOCIAL_MEDIA_TEMPLATES).join(', ')}`);
+    }
+
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      throw new Error(`Unknown language "${language}". Supported: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+
+    const problems = validateTemplate(data.template);
+    if (problems.length > 0) {
+      throw new Error(`Invalid template: ${problems.join('; ')}`);
+    }
+
+    // Overrides may shorten posts but never exceed what the platform accepts
+    const platformLimit = CONFIG.SOCIAL_MEDIA_CHAR_LIMITS[platform] || SOCIAL_MEDIA_TEMPLATES[platform].maxLength;
+    const maxLength = data.maxLength === undefined ? SOCIAL_MEDIA_TEMPLATES[platform].maxLength : parseInt(data.maxLength, 10);
+    if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > platformLimit) {
+      throw new Error(`"maxLength" must be between 1 and ${platformLimit} for ${platform}`);
+    }
+
+    const override = {
+      template: data.template,
+      maxLength,
+      updated_at: new Date().toISOString()
+    };
+
+    // Thread splitting exists only where the defaults declare it (twitter)
+    if (data.threadPosts !== undefined) {
+      const threadPosts = parseInt(data.threadPosts, 10);
+      if (SOCIAL_MEDIA_TEMPLATES[platform].threadPosts === undefined) {
+        throw new Error(`"threadPosts" is not supported for ${platform}`);
+      }
+      if (![0, 2, 3].includes(threadPosts)) {
+        throw new Error('"threadPosts" must be 0 (no thread), 2 or 3');
+      }
+      override.threadPosts = threadPosts;
+    }
+
+    const overrides = await this.getOverrides();
+    overrides[this.getOverrideKey(platform, language)] = override;
+    await this.kvStore.put(this.key, JSON.stringify(overrides));
+
+    logger.info('Stored social template override', { platform, language });
+    return override;
+  }
+
+  /**
+   * Remove a platform override, restoring the default template
+   * @param {string} platform - Platform name
+   * @param {string} language - Language code
+   * @returns {Promise<boolean>} - True if an override was removed
+   */
+  async resetTemplate(platform, language = DEFAULT_LANGUAGE) {
+    const overrides = await this.getOverrides();
+    const key = this.getOverrideKey(platform, language);
+    if (!overrides[key]) {
+      return false;
+    }
+
+    delete overrides[key];
+    await this.kvStore.put(this.key, JSON.stringify(overrides));
+
+    logger.info('Restored default social template', { platform, language });
+    return true;
+  }
+}
+
+export default SocialTemplateStore;
@@ -0,0 +1,357 @@
+/**
+ * Telegram Publisher Module
+ * Posts newly aggregated jobs to Telegram channels through the Bot API.
+ * Jobs are matched against each channel's filters when they are first seen and
+ * queued; the scheduled handler posts the queue with a per-channel throttle.
+ * A per-channel "posted" marker makes sure a job is never posted twice.
+ */
+
+import { CONFIG, CONTENT_FORMATTING, TELEGRAM_MESSAGE_TEMPLATE } from '../config/environment.js';
+import { APIFetcher } from './api-fetcher.js';
+import { parseJobFilters, matchesJobFilters, FEED_FILTERS } from '../utils/job-filter.js';
+import { renderTemplate } from '../utils/template-engine.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('telegram-publisher');
+
+/**
+ * Telegram's limit for message text
+ */
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Telegram Publisher Class
+ */
+export class TelegramPublisher {
+  /**
+   * Constructor
+   * @param {Object} kvStore - Cloudflare KV store instance
+   * @param {string} botToken - Bot API token (TELEGRAM_BOT_TOKEN secret)
+   * @param {Object} config - Configuration object (per-request CONFIG)
+   * @param {APIFetcher} apiFetcher - Fetcher providing timeouts and retry rules (optional)
+   */
+  constructor(kvStore, botToken = null, config = CONFIG, apiFetcher = null) {
+    this.kvStore = kvStore && typeof kvStore.get === 'function' ? kvStore : null;
+    this.botToken = botToken || null;
+    this.config = config;
+    this.apiFetcher = apiFetcher || new APIFetcher();
+    this.keyPrefix = `${config.ENVIRONMENT}_telegram`;
+    this.channels = this.parseChannels(config.TELEGRAM_CHANNELS);
+  }
+
+  /**
+   * Normalize the configured channels
+   * @param {Array} channels - [{chat_id, filters, max_posts_per_run?}]
+   * @returns {Array} - Channels with parsed filters
+   */
+  parseChannels(channels) {
+    return (Array.isArray(channels) ? channels : []).map(channel => {
+      // Same filter names and matching as /rss?province=...
+      const params = new URLSearchParams();
+      for (const [name, value] of Object.entries(channel.filters || {})) {
+        if (!FEED_FILTERS[name]) {
+          logger.warn('Ignoring unsupported Telegram channel filter', { filter: name, chatId: channel.chat_id });
+          continue;
+        }
+        [].concat(value).forEach(item => params.append(name, String(item)));
+      }
+
+      return {
+        chat_id: String(channel.chat_id),
+        filters: parseJobFilters(params),
+        max_posts_per_run: parseInt(channel.max_posts_per_run, 10) || this.config.TELEGRAM_MAX_POSTS_PER_RUN
+      };
+    });
+  }
+
+  /**
+   * Build a storage key
+   * @param {string} name - Key name
+   * @returns {string} - KV key
+   */
+  buildKey(name) {
+    return `${this.keyPrefix}:${name}`;
+  }
+
+  /**
+   * Read the pending queue
+   * @returns {Promise<Array>} - Queued posts [{chat_id, job, attempts}]
+   */
+  async readPending() {
+    if (!this.kvStore) {
+      return [];
+    }
+
+    try {
+      const stored = await this.kvStore.get(this.buildKey('pending'), 'json');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      logger.error('Failed to read Telegram queue', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Write the pending queue
+   * Posts beyond TELEGRAM_PENDING_LIMIT are dropped and logged
+   * @param {Array} pending - Queued posts
+   * @returns {Promise<boolean>} - True if stored
+   */
+  async writePending(pending) {
+    if (!this.kvStore) {
+      return false;
+    }
+
+    const dropped = pending.length - this.config.TELEGRAM_PENDING_LIMIT;
+    if (dropped > 0) {
+      logger.warn('Telegram queue full, dropping posts', { dropped, limit: this.config.TELEGRAM_PENDING_LIMIT });
+    }
+
+    try {
+      await this.kvStore.put(this.buildKey('pending'), JSON.stringify(pending.slice(0, this.config.TELEGRAM_PENDING_LIMIT)));
+      return true;
+    } catch (error) {
+      logger.error('Failed to write Telegram queue', { error });
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a job was already posted to a channel
+   * @param {string} chatId - Channel chat ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} - True if posted before
+   */
+  async isPosted(chatId, jobId) {
+    return !!(await this.kvStore.get(this.buildKey(`posted:${chatId}:${jobId}`)));
+  }
+
+  /**
+   * Remember that a job was posted to a channel
+   * @param {string} chatId - Channel chat ID
+   * @param {string} jobId - Job ID
+   * @param {number} messageId - Telegram message ID
+   * @returns {Promise<void>}
+   */
+  async markPosted(chatId, jobId, messageId) {
+    await this.kvStore.put(
+      this.buildKey(`posted:${chatId}:${jobId}`),
+      JSON.stringify({ message_id: messageId, posted_at: new Date().toISOString() }),
+      { expirationTtl: this.config.TELEGRAM_POSTED_TTL }
+    );
+  }
+
+  /**
+   * Convert an enriched job into the compact shape kept in the queue
+   * @param {Object} job - Enriched job object
+   * @returns {Object} - Message fields
+   */
+  toQueuedJob(job) {
+    return {
+      id: job.id,
+      title: job.title,
+      company_name: job.company_name,
+      location: [job.city_name, job.province_name].filter(Boolean).join(', ') || 'Indonesia',
+      salary: job.salary_normalized?.disclosed ? job.salary_range : null,
+      expires_at: job.expires_at || null,
+      url: job.frontend_url || `${this.config.KARIRHUB_BASE_URL}/lowongan-dalam-negeri/lowongan/${job.id}`
+    };
+  }
+
+  /**
+   * Queue newly seen jobs for every channel whose filter matches
+   * Matching happens now, while the full enriched job is available
+   * @param {Array} jobs - Enriched jobs with change_status 'new'
+   * @returns {Promise<number>} - Number of posts actually queued (job x channel);
+   *   posts beyond TELEGRAM_PENDING_LIMIT are dropped and logged
+   */
+  async queueNewJobs(jobs) {
+    if (!this.kvStore || this.channels.length === 0 || !Array.isArray(jobs) || jobs.length === 0) {
+      return 0;
+    }
+
+    const queued = [];
+    for (const job of jobs) {
+      const queuedJob = this.toQueuedJob(job);
+      for (const channel of this.channels) {
+        if (matchesJobFilters(job, channel.filters)) {
+          queued.push({ chat_id: channel.chat_id, job: queuedJob, attempts: 0 });
+        }
+      }
+    }
+
+    if (queued.length > 0) {
+      const pending = await this.readPending();
+      // Keep the oldest items when over the limit so nothing jumps the queue
+      const accepted = queued.slice(0, Math.max(0, this.config.TELEGRAM_PENDING_LIMIT - pending.length));
+      const dropped = queued.length - accepted.length;
+
+      if (dropped > 0) {
+        logger.warn('Telegram queue full, dropping posts', {
+          dropped,
+          pending: pending.length,
+          limit: this.config.TELEGRAM_PENDING_LIMIT
+        });
+      }
+
+      if (accepted.length > 0) {
+        await this.writePending([...pending, ...accepted]);
+        logger.info('Queued Telegram posts', { queued: accepted.length, jobs: jobs.length });
+      }
+
+      return accepted.length;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Build the Bot API sendMessage payload for a job
+   * @param {string} chatId - Channel chat ID
+   * @param {Object} job - Queued job
+   * @returns {Object} - sendMessage parameters
+   */
+  buildMessage(chatId, job) {
+    const deadline = job.expires_at && !isNaN(Date.parse(job.expires_at))
+      ? new Date(job.expires_at).toLocaleDateString('id-ID', CONTENT_FORMATTING.date.options)
+      : null;
+
+    return {
+      chat_id: chatId,
+      text: renderTemplate(TELEGRAM_MESSAGE_TEMPLATE, {
+        title: job.title,
+        company: job.company_name,
+        salary: job.salary,
+        location: job.location,
+        deadline
+      }, { escape: 'html', maxLength: MAX_MESSAGE_LENGTH }),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_markup: {
+        inline_keyboard: [[{ text: 'Lamar', url: job.url }]]
+      }
+    };
+  }
+
+  /**
+   * Send one message through the Bot API
+   * @param {Object} message - sendMessage parameters
+   * @returns {Promise<Object>} - Sent message (Bot API result)
+   */
+  async sendMessage(message) {
+    const response = await this.apiFetcher.fetchWithTimeout(`${this.config.TELEGRAM_API_URL}/bot${this.botToken}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    }, this.config.TELEGRAM_TIMEOUT);
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Non-JSON answers are handled by the status check below
+    }
+
+    if (!response.ok || !body?.ok) {
+      const error = new Error(`HTTP ${response.status}: ${body?.description || response.statusText}`);
+      error.status = response.status;
+      error.retryAfter = body?.parameters?.retry_after || null;
+      throw error;
+    }
+
+    return body.result;
+  }
+
+  /**
+   * Post all queued jobs, throttled per channel
+   * Posts over a channel's per-run limit, rate-limited channels and retryable failures stay queued
+   * @returns {Promise<Object>} - Summary {channels, posted, skipped, failed, deferred}
+   */
+  async deliverPending() {
+    const summary = { channels: 0, posted: 0, skipped: 0, failed: 0, deferred: 0 };
+
+    if (!this.kvStore || !this.botToken || this.channels.length === 0) {
+      return summary;
+    }
+
+    const pending = await this.readPending();
+    if (pending.length === 0) {
+      return summary;
+    }
+
+    // Clear the queue first; anything not posted is put back at the end
+    // (posts for channels removed from TELEGRAM_CHANNELS are dropped)
+    await this.writePending([]);
+
+    const requeue = [];
+    let sent = 0;
+
+    for (const channel of this.channels) {
+      const items = pending.filter(item => item.chat_id === channel.chat_id);
+      if (items.length === 0) {
+        continue;
+      }
+
+      summary.channels++;
+      const seen = new Set();
+      let postedToChannel = 0;
+
+      for (let index = 0; index < items.length; index++) {
+        const item = items[index];
+
+        if (seen.has(item.job.id) || await this.isPosted(channel.chat_id, item.job.id)) {
+          summary.skipped++;
+          continue;
+        }
+        seen.add(item.job.id);
+
+        if (postedToChannel >= channel.max_posts_per_run) {
+          requeue.push(item);
+          summary.deferred++;
+          continue;
+        }
+
+        if (sent > 0) {
+          await this.apiFetcher.sleep(this.config.TELEGRAM_POST_INTERVAL);
+        }
+        sent++;
+
+        try {
+          const result = await this.sendMessage(this.buildMessage(channel.chat_id, item.job));
+          await this.markPosted(channel.chat_id, item.job.id, result?.message_id || null);
+          postedToChannel++;
+          summary.posted++;
+        } catch (error) {
+          logger.warn('Telegram post failed', { jobId: item.job.id, chatId: channel.chat_id, status: error.status, error: error.message });
+
+          // Rate limited: stop this channel for the run and keep the rest for later
+          if (error.status === 429) {
+            const rest = items.slice(index).filter(later => later === item || !seen.has(later.job.id));
+            logger.warn('Telegram rate limited, deferring posts', { chatId: channel.chat_id, retryAfter: error.retryAfter, deferred: rest.length });
+            requeue.push(...rest);
+            summary.deferred += rest.length;
+            break;
+          }
+
+          const attempts = (item.attempts || 0) + 1;
+          if (attempts < this.config.TELEGRAM_MAX_ATTEMPTS && (!error.status || error.status >= 500)) {
+            requeue.push({ ...item, attempts });
+            summary.deferred++;
+          } else {
+            summary.failed++;
+          }
+        }
+      }
+    }
+
+    if (requeue.length > 0) {
+      // Jobs queued by on-demand aggregations during this run go after the leftovers
+      await this.writePending([...requeue, ...await this.readPending()]);
+    }
+
+    logger.info('Telegram publishing finished', summary);
+    return summary;
+  }
+}
+
+export default TelegramPublisher;
@@ -0,0 +1,410 @@
+/**
+ * Webhook Manager Module
+ * Pushes newly seen jobs to subscribers instead of making them poll the feeds
+ * Handles subscriptions, HMAC signing, retries, delivery logs and the dead-letter list
+ */
+
+import { CONFIG } from '../config/environment.js';
+import { APIFetcher } from './api-fetcher.js';
+import { parseJobFilters, matchesJobFilters, FEED_FILTERS } from '../utils/job-filter.js';
+import { hmacSha256Hex, randomHex } from '../utils/crypto.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('webhook-manager');
+
+/**
+ * Webhook Manager Class
+ */
+export class WebhookManager {
+  /**
+   * Constructor
+   * @param {Object} kvStore - Cloudflare KV store instance
+   * @param {APIFetcher} apiFetcher - Fetcher providing timeouts and retry rules (optional)
+   */
+  constructor(kvStore, apiFetcher = null) {
+    this.kvStore = kvStore && typeof kvStore.get === 'function' ? kvStore : null;
+    this.apiFetcher = apiFetcher || new APIFetcher();
+    this.keyPrefix = `${CONFIG.ENVIRONMENT}_webhooks`;
+  }
+
+  /**
+   * Build a storage key
+   * @param {string} name - Key name
+   * @returns {string} - KV key
+   */
+  buildKey(name) {
+    return `${this.keyPrefix}:${name}`;
+  }
+
+  /**
+   * Read a JSON list from KV
+   * @param {string} name - Key name
+   * @returns {Promise<Array>} - Stored list (empty if missing)
+   */
+  async readList(name) {
+    if (!this.kvStore) {
+      return [];
+    }
+
+    try {
+      const stored = await this.kvStore.get(this.buildKey(name), 'json');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      logger.error('Failed to read webhook list', { name, error });
+      return [];
+    }
+  }
+
+  /**
+   * Write a JSON list to KV
+   * @param {string} name - Key name
+   * @param {Array} list - List to store
+   * @returns {Promise<boolean>} - True if stored
+   */
+  async writeList(name, list) {
+    if (!this.kvStore) {
+      return false;
+    }
+
+    try {
+      await this.kvStore.put(this.buildKey(name), JSON.stringify(list));
+      return true;
+    } catch (error) {
+      logger.error('Failed to write webhook list', { name, error });
+      return false;
+    }
+  }
+
+  /**
+   * Append entries to a capped list (newest first)
+   * @param {string} name - Key name
+   * @param {Array} entries - Entries to add
+   * @param {number} limit - Maximum list length
+   * @returns {Promise<boolean>} - True if stored
+   */
+  async prependToList(name, entries, limit) {
+    const list = await this.readList(name);
+    return this.writeList(name, [...entries, ...list].slice(0, limit));
+  }
+
+  /**
+   * Remove the secret before returning a subscriber to clients
+   * @param {Object} subscriber - Subscriber record
+   * @returns {Object} - Public subscriber record
+   */
+  toPublicSubscriber(subscriber) {
+    const { secret, ...publicSubscriber } = subscriber;
+    return publicSubscriber;
+  }
+
+  /**
+   * List subscribers
+   * @returns {Promise<Array>} - Subscribers (without secrets)
+   */
+  async listSubscribers() {
+    const subscribers = await this.readList('subscribers');
+    return subscribers.map(subscriber => this.toPublicSubscriber(subscriber));
+  }
+
+  /**
+   * Register a subscriber
+   * @param {Object} data - {url, filters, secret} - filters use the feed filter names (city, industry, education, ...)
+   * @param {Object} options - {allowHttp} - accept plain http URLs (development only)
+   * @returns {Promise<Object>} - Created subscriber, including its signing secret
+   */
+  async addSubscriber(data = {}, options = {}) {
+    if (!this.kvStore) {
+      throw new Error('Webhook storage is not available (KV binding missing)');
+    }
+
+    let url;
+    try {
+      url = new URL(data.url);
+    } catch (error) {
+      throw new Error('A valid webhook "url" is required');
+    }
+
+    const allowedProtocols = options.allowHttp ? ['https:', 'http:'] : ['https:'];
+    if (!allowedProtocols.includes(url.protocol)) {
+      throw new Error('Webhook URL must use https');
+    }
+
+    // Reuse the feed filter parser so subscriptions match exactly like /rss?city=...
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(data.filters || {})) {
+      if (!FEED_FILTERS[name]) {
+        throw new Error(`Unsupported filter "${name}". Supported: ${Object.keys(FEED_FILTERS).join(', ')}`);
+      }
+      [].concat(value).forEach(item => params.append(name, String(item)));
+    }
+
+    const subscriber = {
+      id: crypto.randomUUID(),
+      url: url.toString(),
+      secret: data.secret ? String(data.secret) : randomHex(32),
+      filters: parseJobFilters(params),
+      active: true,
+      created_at: new Date().toISOString()
+    };
+
+    const subscribers = await this.readList('subscribers');
+    subscribers.push(subscriber);
+    await this.writeList('subscribers', subscribers);
+
+    logger.info('Registered webhook subscriber', { subscriberId: subscriber.id, url: subscriber.url });
+    return subscriber;
+  }
+
+  /**
+   * Remove a subscriber and its delivery log
+   * @param {string} id - Subscriber ID
+   * @returns {Promise<boolean>} - True if a subscriber was removed
+   */
+  async removeSubscriber(id) {
+    const subscribers = await this.readList('subscribers');
+    const remaining = subscribers.filter(subscriber => subscriber.id !== id);
+
+    if (remaining.length === subscribers.length) {
+      return false;
+    }
+
+    await this.writeList('subscribers', remaining);
+    await this.kvStore.delete(this.buildKey(`log:${id}`));
+
+    logger.info('Removed webhook subscriber', { subscriberId: id });
+    return true;
+  }
+
+  /**
+   * Get a subscriber's delivery log
+   * @param {string} id - Subscriber ID
+   * @returns {Promise<Array>} - Delivery log entries (newest first)
+   */
+  async getDeliveryLog(id) {
+    return this.readList(`log:${id}`);
+  }
+
+  /**
+   * Get the dead-letter list
+   * @returns {Promise<Array>} - Failed deliveries (newest first)
+   */
+  async getDeadLetters() {
+    return this.readList('dead_letter');
+  }
+
+  /**
+   * Convert an enriched job into the webhook payload shape
+   * @param {Object} job - Enriched job object
+   * @returns {Object} - Compact job
+   */
+  toPayloadJob(job) {
+    return {
+      id: job.id,
+      title: job.title,
+      company_name: job.company_name,
+      city_name: job.city_name || null,
+      province_name: job.province_name || null,
+      industry_name: job.industry_name || null,
+      job_function_name: job.job_function_name || null,
+      education_level: job.education_level || null,
+      salary_range: job.salary_range || null,
+      salary: job.salary_normalized || null,
+      expires_at: job.expires_at || null,
+      first_seen_at: job.first_seen_at || null,
+      url: job.frontend_url || `${CONFIG.KARIRHUB_BASE_URL}/lowongan-dalam-negeri/lowongan/${job.id}`
+    };
+  }
+
+  /**
+   * Queue newly seen jobs for every subscriber whose filter matches
+   * Matching happens now, while the full enriched job is available
+   * @param {Array} jobs - Enriched jobs with change_status 'new'
+   * @returns {Promise<number>} - Number of deliveries actually queued (job x subscriber);
+   *   deliveries beyond WEBHOOK_PENDING_LIMIT are dropped and logged
+   */
+  async queueNewJobs(jobs) {
+    if (!this.kvStore || !Array.isArray(jobs) || jobs.length === 0) {
+      return 0;
+    }
+
+    const subscribers = (await this.readList('subscribers')).filter(subscriber => subscriber.active !== false);
+    if (subscribers.length === 0) {
+      return 0;
+    }
+
+    const queued = [];
+    for (const job of jobs) {
+      const payloadJob = this.toPayloadJob(job);
+      for (const subscriber of subscribers) {
+        if (matchesJobFilters(job, subscriber.filters)) {
+          queued.push({ subscriber_id: subscriber.id, job: payloadJob });
+        }
+      }
+    }
+
+    if (queued.length > 0) {
+      const pending = await this.readList('pending');
+      // Keep the oldest items when over the limit so nothing jumps the queue
+      const accepted = queued.slice(0, Math.max(0, CONFIG.WEBHOOK_PENDING_LIMIT - pending.length));
+      const dropped = queued.length - accepted.length;
+
+      if (dropped > 0) {
+        logger.warn('Webhook queue full, dropping deliveries', {
+          dropped,
+          pending: pending.length,
+          limit: CONFIG.WEBHOOK_PENDING_LIMIT
+        });
+      }
+
+      if (accepted.length > 0) {
+        await this.writeList('pending', [...pending, ...accepted]);
+        logger.info('Queued webhook deliveries', { queued: accepted.length, jobs: jobs.length });
+      }
+
+      return accepted.length;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Deliver all queued jobs, one signed POST per subscriber
+   * @returns {Promise<Object>} - Summary {subscribers, delivered, failed, jobs}
+   */
+  async deliverPending() {
+    const summary = { subscribers: 0, delivered: 0, failed: 0, jobs: 0 };
+
+    const pending = await this.readList('pending');
+    if (pending.length === 0) {
+      return summary;
+    }
+
+    // Take the items first; failures end up in the dead-letter list instead.
+    // queueNewJobs only appends, so items queued since the read above sit after
+    // the ones taken here and are kept. KV has no compare-and-swap, so a write
+    // landing between this re-read and the put below can still be lost
+    const current = await this.readList('pending');
+    await this.writeList('pending', current.slice(pending.length));
+
+    const subscribers = await this.readList('subscribers');
+    const jobsBySubscriber = new Map();
+
+    for (const item of pending) {
+      if (!jobsBySubscriber.has(item.subscriber_id)) {
+        jobsBySubscriber.set(item.subscriber_id, new Map());
+      }
+      jobsBySubscriber.get(item.subscriber_id).set(item.job.id, item.job);
+    }
+
+    for (const [subscriberId, jobs] of jobsBySubscriber) {
+      const subscriber = subscribers.find(candidate => candidate.id === subscriberId);
+      if (!subscriber || subscriber.active === false) {
+        continue;
+      }
+
+      summary.subscribers++;
+      summary.jobs += jobs.size;
+
+      const result = await this.deliver(subscriber, [...jobs.values()]);
+      if (result.success) {
+        summary.delivered++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    logger.info('Webhook delivery finished', summary);
+    return summary;
+  }
+
+  /**
+   * Deliver jobs to one subscriber with retries and exponential backoff
+   * @param {Object} subscriber - Subscriber record (with secret)
+   * @param {Array} jobs - Payload jobs
+   * @returns {Promise<Object>} - Delivery log entry
+   */
+  async deliver(subscriber, jobs) {
+    const startTime = Date.now();
+    const deliveryId = crypto.randomUUID();
+    const payload = {
+      event: 'jobs.new',
+      delivery_id: deliveryId,
+      subscriber_id: subscriber.id,
+      sent_at: new Date().toISOString(),
+      job_count: jobs.length,
+      jobs
+    };
+    const body = JSON.stringify(payload);
+
+    let attempts = 0;
+    let lastError = null;
+    let status = null;
+
+    for (let retries = 0; retries <= CONFIG.WEBHOOK_MAX_RETRIES; retries++) {
+      attempts++;
+
+      try {
+        // Sign every attempt with a fresh timestamp so receivers can reject replays
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = await hmacSha256Hex(subscriber.secret, `${timestamp}.${body}`);
+
+        const response = await this.apiFetcher.fetchWithTimeout(subscriber.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': CONFIG.RSS_GENERATOR,
+            'X-KarirHub-Event': payload.event,
+            'X-KarirHub-Delivery': deliveryId,
+            'X-KarirHub-Timestamp': timestamp,
+            'X-KarirHub-Signature': `sha256=${signature}`
+          },
+          body
+        }, CONFIG.WEBHOOK_TIMEOUT);
+
+        status = response.status;
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        lastError = null;
+        break;
+
+      } catch (error) {
+        lastError = error;
+        logger.warn('Webhook delivery failed', { deliveryId, url: subscriber.url, attempt: attempts, error: error.message });
+
+        if (retries < CONFIG.WEBHOOK_MAX_RETRIES && this.apiFetcher.shouldRetry(error)) {
+          await this.apiFetcher.sleep(CONFIG.WEBHOOK_RETRY_DELAY * Math.pow(2, retries));
+          continue;
+        }
+        break;
+      }
+    }
+
+    const logEntry = {
+      delivery_id: deliveryId,
+      at: payload.sent_at,
+      success: !lastError,
+      status,
+      attempts,
+      job_count: jobs.length,
+      duration_ms: Date.now() - startTime,
+      error: lastError ? lastError.message : null
+    };
+
+    await this.prependToList(`log:${subscriber.id}`, [logEntry], CONFIG.WEBHOOK_LOG_SIZE);
+
+    if (lastError) {
+      await this.prependToList('dead_letter', [{
+        ...logEntry,
+        subscriber_id: subscriber.id,
+        url: subscriber.url,
+        payload
+      }], CONFIG.WEBHOOK_DEAD_LETTER_SIZE);
+    }
+
+    return logEntry;
+  }
+}
+
+export default WebhookManager;
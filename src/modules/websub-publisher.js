@@ -0,0 +1,87 @@
+/**
+ * WebSub Publisher Module
+ * Notifies a WebSub (PubSubHubbub) hub that feeds changed so subscribed
+ * readers (Feedly, Inoreader, ...) fetch them in near real time
+ */
+
+import { CONFIG } from '../config/environment.js';
+import { APIFetcher } from './api-fetcher.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('websub-publisher');
+
+/**
+ * WebSub Publisher Class
+ */
+export class WebSubPublisher {
+  /**
+   * Constructor
+   * @param {string} hubUrl - Hub URL (empty disables publishing)
+   * @param {APIFetcher} apiFetcher - Fetcher providing timeouts (optional)
+   */
+  constructor(hubUrl = CONFIG.WEBSUB_HUB_URL, apiFetcher = null) {
+    this.hubUrl = hubUrl || null;
+    this.apiFetcher = apiFetcher || new APIFetcher();
+  }
+
+  /**
+   * Check if a hub is configured
+   * @returns {boolean} - True if publishing is enabled
+   */
+  isEnabled() {
+    return !!this.hubUrl;
+  }
+
+  /**
+   * Send publish pings for changed topics (one request per topic)
+   * @param {Array<string>} topics - Feed URLs exactly as advertised in their rel="self" links
+   * @returns {Promise<Object>} - {hub, published, failed, results}
+   */
+  async publish(topics) {
+    if (!this.isEnabled() || !Array.isArray(topics) || topics.length === 0) {
+      return { hub: this.hubUrl, published: 0, failed: 0, results: [] };
+    }
+
+    const results = await Promise.all(topics.map(topic => this.ping(topic)));
+    const published = results.filter(result => result.success).length;
+
+    logger.info('WebSub publish finished', { hubUrl: this.hubUrl, published, topics: topics.length });
+
+    return {
+      hub: this.hubUrl,
+      published,
+      failed: results.length - published,
+      results
+    };
+  }
+
+  /**
+   * Ping the hub for a single topic
+   * @param {string} topic - Feed URL
+   * @returns {Promise<Object>} - {topic, success, status, error}
+   */
+  async ping(topic) {
+    try {
+      const response = await this.apiFetcher.fetchWithTimeout(this.hubUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'User-Agent': CONFIG.RSS_GENERATOR
+        },
+        body: new URLSearchParams({ 'hub.mode': 'publish', 'hub.url': topic }).toString()
+      }, CONFIG.WEBSUB_TIMEOUT);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      return { topic, success: true, status: response.status, error: null };
+
+    } catch (error) {
+      logger.warn('WebSub publish ping failed', { topic, error: error.message });
+      return { topic, success: false, status: null, error: error.message };
+    }
+  }
+}
+
+export default WebSubPublisher;
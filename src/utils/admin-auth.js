@@ -0,0 +1,123 @@
+/**
+ * Admin Authentication Utilities
+ * Guards /admin/* routes with the ADMIN_TOKEN Worker secret, sent either as a
+ * bearer token or used as the key of an HMAC request signature
+ */
+
+import { hmacSha256Hex, timingSafeEqual } from './crypto.js';
+
+/**
+ * Maximum clock skew accepted for signed requests (seconds)
+ */
+const SIGNATURE_MAX_AGE = 300;
+
+/**
+ * Check whether a path is an admin route
+ * @param {string} pathname - URL pathname
+ * @returns {boolean} - True for /admin and /admin/*
+ */
+export function isAdminPath(pathname) {
+  return pathname === '/admin' || pathname.startsWith('/admin/');
+}
+
+/**
+ * Build the string an admin request signature covers
+ * @param {string} timestamp - Unix timestamp in seconds (X-Admin-Timestamp)
+ * @param {string} method - HTTP method
+ * @param {string} pathWithQuery - URL path including the query string
+ * @param {string} body - Raw request body (empty for GET/DELETE)
+ * @returns {string} - Message to sign
+ */
+export function buildAdminSignaturePayload(timestamp, method, pathWithQuery, body = '') {
+  return `${timestamp}.${method.toUpperCase()}.${pathWithQuery}.${body}`;
+}
+
+/**
+ * Verify an HMAC-signed admin request
+ * @param {Request} request - Incoming request
+ * @param {string} secret - Signing secret
+ * @returns {Promise<Object>} - {authorized, error}
+ */
+async function verifyAdminSignature(request, secret) {
+  const timestamp = request.headers.get('X-Admin-Timestamp') || '';
+  const signature = (request.headers.get('X-Admin-Signature') || '').replace(/^sha256=/, '');
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (!/^\d+$/.test(timestamp) || isNaN(age) || age > SIGNATURE_MAX_AGE) {
+    return { authorized: false, error: 'Signature timestamp missing or outside the allowed window' };
+  }
+
+  const url = new URL(request.url);
+  // Read a clone so the route handler can still consume the body
+  const body = ['GET', 'HEAD'].includes(request.method) ? '' : await request.clone().text();
+  const expected = await hmacSha256Hex(
+    secret,
+    buildAdminSignaturePayload(timestamp, request.method, `${url.pathname}${url.search}`, body)
+  );
+
+  if (!timingSafeEqual(signature, expected)) {
+    return { authorized: false, error: 'Invalid request signature' };
+  }
+
+  return { authorized: true, error: null };
+}
+
+/**
+ * Authorize an admin request
+ * Accepts `Authorization: Bearer <ADMIN_TOKEN>` or an
+ * `X-Admin-Signature: sha256=<HMAC(ADMIN_TOKEN, "<timestamp>.<METHOD>.<path?query>.<body>")>`
+ * header together with `X-Admin-Timestamp`
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (secrets)
+ * @returns {Promise<Object>} - {authorized, method, error}
+ */
+export async function authorizeAdminRequest(request, env) {
+  const adminToken = env?.ADMIN_TOKEN;
+  if (!adminToken) {
+    return { authorized: false, method: null, error: 'Admin API is not configured (ADMIN_TOKEN secret missing)' };
+  }
+
+  if (request.headers.get('X-Admin-Signature')) {
+    const result = await verifyAdminSignature(request, adminToken);
+    return { ...result, method: 'hmac' };
+  }
+
+  const authorization = request.headers.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return { authorized: false, method: null, error: 'Missing bearer token or request signature' };
+  }
+
+  if (!timingSafeEqual(match[1].trim(), adminToken)) {
+    return { authorized: false, method: 'bearer', error: 'Invalid admin token' };
+  }
+
+  return { authorized: true, method: 'bearer', error: null };
+}
+
+/**
+ * Create a 401 response for unauthorized admin requests
+ * @param {string} message - Error message
+ * @returns {Response} - Unauthorized response
+ */
+export function createUnauthorizedResponse(message) {
+  return new Response(JSON.stringify({
+    success: false,
+    error: message,
+    timestamp: new Date().toISOString()
+  }), {
+    status: 401,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache, no-store',
+      'WWW-Authenticate': 'Bearer realm="karirhub-rss-admin"'
+    }
+  });
+}
+
+export default {
+  isAdminPath,
+  buildAdminSignaturePayload,
+  authorizeAdminRequest,
+  createUnauthorizedResponse
+};
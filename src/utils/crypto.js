@@ -0,0 +1,80 @@
+/**
+ * Crypto Utilities
+ * Web Crypto helpers shared by feed validators, webhook signing and admin authentication
+ */
+
+/**
+ * Convert a buffer to a hex string
+ * @param {ArrayBuffer} buffer - Buffer to convert
+ * @returns {string} - Hex string
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return toHex(digest);
+}
+
+/**
+ * Sign a message with HMAC-SHA256
+ * @param {string} secret - Signing secret
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>} - Hex signature
+ */
+export async function hmacSha256Hex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+
+  return toHex(signature);
+}
+
+/**
+ * Generate a random hex token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} - Hex token
+ */
+export function randomHex(bytes = 32) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+export function timingSafeEqual(a, b) {
+  const left = new TextEncoder().encode(String(a));
+  const right = new TextEncoder().encode(String(b));
+
+  // Still walk the full input so the length check doesn't leak timing
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ (right[i % (right.length || 1)] || 0);
+  }
+
+  return diff === 0;
+}
+
+export default {
+  sha256Hex,
+  hmacSha256Hex,
+  randomHex,
+  timingSafeEqual
+};
@@ -0,0 +1,154 @@
+/**
+ * Feed Validator Utilities
+ * ETag / Last-Modified handling so polling clients get 304 Not Modified
+ * when a feed has not changed
+ */
+
+import { CONFIG } from '../config/environment.js';
+import { sha256Hex } from './crypto.js';
+
+/**
+ * Get the newest change time of the jobs in a feed
+ * @param {Array} jobs - Jobs in the feed
+ * @returns {number|null} - Timestamp (ms) or null when no job has an index timestamp
+ */
+function getNewestJobChange(jobs) {
+  let newest = null;
+
+  for (const job of jobs) {
+    const changed = Date.parse(job.last_changed_at || job.first_seen_at || '');
+    if (!isNaN(changed) && (newest === null || changed > newest)) {
+      newest = changed;
+    }
+  }
+
+  return newest;
+}
+
+/**
+ * Build validators for a feed when it is generated
+ * The ETag only depends on which jobs are in the feed and when each was last updated,
+ * so rebuilding an unchanged feed keeps the same ETag. Last-Modified is the newest job
+ * change; when the previous validators are known it is kept for an unchanged ETag and
+ * moved to now for a changed one (a removed job changes the feed without a newer job)
+ * @param {Array} jobs - Jobs in the feed (in feed order)
+ * @param {string} variant - Feed identity, e.g. the feed cache key
+ * @param {Object} previous - Validators of the feed being replaced (optional)
+ * @returns {Promise<Object>} - {etag, lastModified}
+ */
+export async function buildFeedValidators(jobs, variant = '', previous = null) {
+  const feedJobs = Array.isArray(jobs) ? jobs : [];
+  const fingerprint = feedJobs
+    .map(job => `${job.id}@${job.last_changed_at || job.updated_at || job.published_at || job.created_at || ''}#${job.content_fingerprint || ''}`)
+    .join('|');
+
+  // Version is included so a deploy that changes the feed markup invalidates old ETags
+  const hash = await sha256Hex(`${CONFIG.VERSION}:${variant}:${fingerprint}`);
+  const etag = `"${hash.substring(0, 32)}"`;
+
+  if (previous?.lastModified) {
+    return {
+      etag,
+      lastModified: previous.etag === etag ? previous.lastModified : new Date().toUTCString()
+    };
+  }
+
+  const newest = getNewestJobChange(feedJobs);
+
+  return {
+    etag,
+    lastModified: new Date(newest ?? Date.now()).toUTCString()
+  };
+}
+
+/**
+ * Strip the weak prefix from an entity tag
+ * @param {string} tag - Entity tag
+ * @returns {string} - Opaque tag
+ */
+function normalizeETag(tag) {
+  return tag.trim().replace(/^W\//, '');
+}
+
+/**
+ * Check whether the request's conditional headers match the cached validators
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110)
+ * @param {Request} request - Incoming request
+ * @param {Object} validators - {etag, lastModified}
+ * @returns {boolean} - True if a 304 should be returned
+ */
+export function isNotModified(request, validators) {
+  if (!validators) {
+    return false;
+  }
+
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    if (!validators.etag) {
+      return false;
+    }
+
+    if (ifNoneMatch.trim() === '*') {
+      return true;
+    }
+
+    const etag = normalizeETag(validators.etag);
+    return ifNoneMatch.split(',').some(tag => normalizeETag(tag) === etag);
+  }
+
+  const ifModifiedSince = request.headers.get('If-Modified-Since');
+  if (ifModifiedSince && validators.lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = Date.parse(validators.lastModified);
+
+    if (isNaN(since) || isNaN(modified)) {
+      return false;
+    }
+
+    return modified <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Get response headers for validators
+ * @param {Object} validators - {etag, lastModified}
+ * @returns {Object} - ETag / Last-Modified headers (empty if unknown)
+ */
+export function getValidatorHeaders(validators) {
+  const headers = {};
+
+  if (validators?.etag) {
+    headers['ETag'] = validators.etag;
+  }
+
+  if (validators?.lastModified) {
+    headers['Last-Modified'] = validators.lastModified;
+  }
+
+  return headers;
+}
+
+/**
+ * Create a 304 Not Modified response
+ * @param {Object} validators - {etag, lastModified}
+ * @param {Object} headers - Extra headers (e.g. Cache-Control, X-Cache)
+ * @returns {Response} - Empty 304 response
+ */
+export function createNotModifiedResponse(validators, headers = {}) {
+  return new Response(null, {
+    status: 304,
+    headers: {
+      ...headers,
+      ...getValidatorHeaders(validators)
+    }
+  });
+}
+
+export default {
+  buildFeedValidators,
+  isNotModified,
+  getValidatorHeaders,
+  createNotModifiedResponse
+};
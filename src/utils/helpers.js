@@ -4,6 +4,11 @@
  */
 
 import { CONFIG, ERROR_MESSAGES, HTTP_HEADERS } from '../config/environment.js';
+import { isAdminPath } from './admin-auth.js';
+import { normalizeSalary, formatSalary } from './salary.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('helpers');
 
 /**
  * Validate incoming request
@@ -11,11 +16,15 @@ import { CONFIG, ERROR_MESSAGES, HTTP_HEADERS } from '../config/environment.js';
  * @returns {Object} - Validation result
  */
 export function validateRequest(request) {
-  // Check request method
-  if (request.method !== 'GET' && request.method !== 'HEAD') {
+  // Check request method (admin routes also accept writes)
+  const allowedMethods = isAdminPath(new URL(request.url).pathname)
+    ? ['GET', 'HEAD', 'POST', 'DELETE']
+    : ['GET', 'HEAD'];
+
+  if (!allowedMethods.includes(request.method)) {
     return {
       valid: false,
-      error: 'Method not allowed. Only GET and HEAD requests are supported.'
+      error: `Method not allowed. Supported methods: ${allowedMethods.join(', ')}.`
     };
   }
 
@@ -28,51 +37,9 @@ export function validateRequest(request) {
     };
   }
 
-  // Check for rate limiting (basic implementation)
-  const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
-  if (isRateLimited(clientIP)) {
-    return {
-      valid: false,
-      error: 'Rate limit exceeded. Please try again later.'
-    };
-  }
-
   return { valid: true };
 }
 
-/**
- * Check if client IP is rate limited
- * @param {string} ip - Client IP address
- * @returns {boolean} - True if rate limited
- */
-function isRateLimited(ip) {
-  // This is a very basic rate limiting implementation
-  // In production, you'd want to use a proper rate limiting service
-  // or implement token bucket algorithm with KV storage
-
-  const rateLimitStore = globalThis.rateLimitStore || new Map();
-
-  if (!rateLimitStore.has(ip)) {
-    rateLimitStore.set(ip, { count: 1, resetTime: Date.now() + CONFIG.RATE_LIMIT_WINDOW });
-    return false;
-  }
-
-  const clientData = rateLimitStore.get(ip);
-
-  if (Date.now() > clientData.resetTime) {
-    // Reset the counter
-    rateLimitStore.set(ip, { count: 1, resetTime: Date.now() + CONFIG.RATE_LIMIT_WINDOW });
-    return false;
-  }
-
-  if (clientData.count >= CONFIG.RATE_LIMIT_REQUESTS) {
-    return true;
-  }
-
-  clientData.count++;
-  return false;
-}
-
 /**
  * Handle errors consistently
  * @param {Error} error - The error to handle
@@ -80,11 +47,8 @@ function isRateLimited(ip) {
  * @returns {Response} - Error response
  */
 export function handleError(error, statusCode = 500) {
-  console.error('Error handled:', {
-    message: error.message,
-    stack: error.stack,
-    statusCode
-  });
+  // Client errors (bad method, bad input) are not worth an error line
+  logger[statusCode >= 500 ? 'error' : 'warn']('Error handled', { error, statusCode });
 
   // Don't expose internal errors in production
   const isDevelopment = CONFIG.ENVIRONMENT === 'development';
@@ -107,7 +71,7 @@ export function handleError(error, statusCode = 500) {
     globalThis.analytics.trackError('HTTP_ERROR', error.message, 'request_handler', {
       statusCode,
       severity: statusCode >= 500 ? 'high' : 'medium'
-    }).catch(e => console.error('Failed to log error:', e));
+    }).catch(e => logger.error('Failed to track error', { error: e }));
   }
 
   return new Response(JSON.stringify(errorResponse, null, 2), {
@@ -119,57 +83,6 @@ export function handleError(error, statusCode = 500) {
   });
 }
 
-/**
- * Log information messages
- * @param {string} message - Log message
- * @param {Object} data - Additional data to log
- */
-export function logInfo(message, data = {}) {
-  const logData = {
-    level: 'info',
-    message,
-    timestamp: new Date().toISOString(),
-    environment: CONFIG.ENVIRONMENT,
-    ...data
-  };
-
-  console.log(JSON.stringify(logData));
-}
-
-/**
- * Log error messages
- * @param {string} message - Error message
- * @param {Object} data - Additional error data
- */
-export function logError(message, data = {}) {
-  const logData = {
-    level: 'error',
-    message,
-    timestamp: new Date().toISOString(),
-    environment: CONFIG.ENVIRONMENT,
-    ...data
-  };
-
-  console.error(JSON.stringify(logData));
-}
-
-/**
- * Log warning messages
- * @param {string} message - Warning message
- * @param {Object} data - Additional warning data
- */
-export function logWarn(message, data = {}) {
-  const logData = {
-    level: 'warn',
-    message,
-    timestamp: new Date().toISOString(),
-    environment: CONFIG.ENVIRONMENT,
-    ...data
-  };
-
-  console.warn(JSON.stringify(logData));
-}
-
 /**
  * Sanitize and validate job data
  * @param {Object} job - Job object to validate
@@ -257,24 +170,26 @@ export function formatCurrency(amount) {
 }
 
 /**
- * Format salary range
- * @param {Object} salary - Salary object with min/max
- * @returns {string} - Formatted salary range
+ * Get a link target that is safe to put in an href
+ * @param {string} value - URL from upstream or employer data
+ * @returns {string|null} - The URL when it is http(s), null otherwise (e.g. javascript:)
  */
-export function formatSalaryRange(salary) {
-  if (!salary || typeof salary !== 'object') {
-    return 'Gaji nego';
-  }
-
-  if (salary.min && salary.max) {
-    return `${formatCurrency(salary.min)} - ${formatCurrency(salary.max)}`;
-  } else if (salary.min) {
-    return `${formatCurrency(salary.min)}+`;
-  } else if (salary.max) {
-    return `Hingga ${formatCurrency(salary.max)}`;
+export function getSafeHttpUrl(value) {
+  try {
+    const url = new URL(String(value || '').trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
   }
+}
 
-  return 'Gaji nego';
+/**
+ * Format salary range
+ * @param {Object} salary - Salary object (any KarirHub shape)
+ * @returns {string} - Formatted salary range, e.g. "Rp4,5–6 juta/bulan"
+ */
+export function formatSalaryRange(salary) {
+  return formatSalary(normalizeSalary(salary));
 }
 
 /**
@@ -355,6 +270,28 @@ export function simpleHash(str) {
   return Math.abs(hash).toString(36);
 }
 
+/**
+ * Encode bytes as base64 (binary data kept in KV)
+ * @param {Uint8Array} bytes - Data
+ * @returns {string} - Base64 string
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a base64 string into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} - Data
+ */
+export function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
 /**
  * Extract client information from request
  * @param {Request} request - Request object
@@ -700,17 +637,17 @@ export function createSuccessResponse(data, metadata = {}) {
 export default {
   validateRequest,
   handleError,
-  logInfo,
-  logError,
-  logWarn,
   validateJobData,
   isValidDate,
   formatCurrency,
+  getSafeHttpUrl,
   formatSalaryRange,
   truncateText,
   cleanText,
   generateRandomString,
   simpleHash,
+  bytesToBase64,
+  base64ToBytes,
   extractClientInfo,
   isBotRequest,
   getResponseHeaders,
@@ -0,0 +1,141 @@
+/**
+ * Localization Utilities
+ * Message catalogs live in src/locales (one flat object per language).
+ * The language of a request comes from ?lang= or Accept-Language; Indonesian
+ * is the default and the fallback for keys a catalog does not define.
+ */
+
+import id from '../locales/id.js';
+import en from '../locales/en.js';
+
+/**
+ * Message catalogs by language code
+ */
+export const MESSAGE_CATALOGS = { id, en };
+
+export const DEFAULT_LANGUAGE = 'id';
+export const SUPPORTED_LANGUAGES = Object.keys(MESSAGE_CATALOGS);
+
+/**
+ * Legacy or alternative codes for supported languages
+ */
+const LANGUAGE_ALIASES = {
+  in: 'id'
+};
+
+/**
+ * Map a language tag to a supported language ("en-GB" -> "en")
+ * @param {string} value - Language tag
+ * @returns {string|null} - Supported language code or null
+ */
+export function normalizeLanguage(value) {
+  const primary = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  const language = LANGUAGE_ALIASES[primary] || primary;
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Pick the preferred supported language of an Accept-Language header
+ * @param {string} header - Accept-Language header value
+ * @returns {string|null} - Supported language code or null when none matches
+ */
+export function parseAcceptLanguage(header) {
+  const ranges = String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { tag, q: q ? parseFloat(q[1]) : 1, index };
+    })
+    .filter(range => range.tag && range.q > 0)
+    // Stable by header order for equal weights
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const range of ranges) {
+    const language = normalizeLanguage(range.tag);
+    if (language) {
+      return language;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the language of a request
+ * A supported ?lang= wins over Accept-Language; anything else falls back to Indonesian
+ * @param {Request} request - Incoming request
+ * @returns {string} - Language code
+ */
+export function resolveLanguage(request) {
+  const url = new URL(request.url);
+  return normalizeLanguage(url.searchParams.get('lang'))
+    || parseAcceptLanguage(request.headers.get('Accept-Language'))
+    || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Headers for a response whose language was negotiated
+ * Vary keeps shared caches from serving one language to everyone
+ * @param {string} language - Language code
+ * @returns {Object} - Response headers
+ */
+export function getLanguageHeaders(language) {
+  return {
+    'Content-Language': language,
+    'Vary': 'Accept-Language'
+  };
+}
+
+/**
+ * Get the BCP 47 locale used for dates and numbers
+ * @param {string} language - Language code
+ * @returns {string} - Locale, e.g. "id-ID"
+ */
+export function getLocale(language) {
+  return translate(language, 'meta.locale');
+}
+
+/**
+ * Translate a message
+ * @param {string} language - Language code
+ * @param {string} key - Message key, e.g. "salary.competitive"
+ * @param {Object} params - Placeholder values; `count` also picks {one, other} forms
+ * @returns {string} - Message, or the key itself when no catalog defines it
+ */
+export function translate(language, key, params = {}) {
+  const catalog = MESSAGE_CATALOGS[language] || MESSAGE_CATALOGS[DEFAULT_LANGUAGE];
+  let message = catalog[key] ?? MESSAGE_CATALOGS[DEFAULT_LANGUAGE][key];
+
+  if (message === undefined) {
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    message = Number(params.count) === 1 ? message.one : message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+/**
+ * Create a translate function bound to one language
+ * @param {string} language - Language code
+ * @returns {Function} - (key, params) => message
+ */
+export function createTranslator(language = DEFAULT_LANGUAGE) {
+  return (key, params) => translate(language, key, params);
+}
+
+export default {
+  MESSAGE_CATALOGS,
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  resolveLanguage,
+  getLanguageHeaders,
+  getLocale,
+  translate,
+  createTranslator
+};
@@ -0,0 +1,435 @@
+/**
+ * Job Filter Utilities
+ * Query-string filtering over enriched jobs from the DataAggregator
+ */
+
+import { getJobSalary, parseSalaryAmount, formatSalaryAmount, matchesSalaryBound } from './salary.js';
+import { DEFAULT_LANGUAGE, translate } from './i18n.js';
+import { simpleHash } from './helpers.js';
+
+/**
+ * Get a stable employer key for a job
+ * Prefers the KarirHub employer ID and falls back to a slug of the company name
+ * for listings that don't carry one
+ * @param {Object} job - Enriched job object
+ * @returns {string} - Employer key (empty when unknown)
+ */
+export function getEmployerKey(job) {
+  const employerId = job?.employer_id || job?.employer?.id || job?.detail?.employer_id || job?.detail?.employer?.id;
+  if (employerId) {
+    return String(employerId);
+  }
+
+  return String(job?.company_name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Supported feed filters
+ * Maps a query parameter to the enriched job field it matches on
+ * Salary filters take amounts ("5000000", "5jt", "4,5juta") and never match undisclosed salaries
+ */
+export const FEED_FILTERS = {
+  city: {
+    label: 'Kota',
+    match: 'contains',
+    getValue: job => job.city_name
+  },
+  province: {
+    label: 'Provinsi',
+    match: 'contains',
+    getValue: job => job.province_name
+  },
+  industry: {
+    label: 'Industri',
+    match: 'contains',
+    getValue: job => job.industry_name
+  },
+  function: {
+    label: 'Fungsi',
+    match: 'contains',
+    getValue: job => job.job_function_name
+  },
+  education: {
+    label: 'Pendidikan',
+    match: 'token',
+    getValue: job => job.detail?.requirements?.education_min
+  },
+  employer: {
+    label: 'Perusahaan',
+    match: 'exact',
+    getValue: job => getEmployerKey(job)
+  },
+  min_salary: {
+    label: 'Gaji minimal',
+    match: 'salary_min',
+    parse: parseSalaryAmount,
+    getValue: job => getJobSalary(job)
+  },
+  max_salary: {
+    label: 'Gaji maksimal',
+    match: 'salary_max',
+    parse: parseSalaryAmount,
+    getValue: job => getJobSalary(job)
+  }
+};
+
+/**
+ * Normalize a value for comparison
+ * @param {string} value - Raw value
+ * @returns {string} - Lowercased, whitespace-collapsed value
+ */
+export function normalizeFilterValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  return String(value)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse feed filters from URL search params
+ * Multiple values for one filter may be comma separated (OR), different filters are combined (AND)
+ * @param {URLSearchParams} searchParams - URL search params
+ * @returns {Object} - Filters keyed by name, each an array of normalized values
+ */
+export function parseJobFilters(searchParams) {
+  const filters = {};
+
+  if (!searchParams) {
+    return filters;
+  }
+
+  for (const [name, definition] of Object.entries(FEED_FILTERS)) {
+    const values = searchParams.getAll(name)
+      // Amounts may use a comma as decimal separator ("4,5jt"), so only text filters split on commas
+      .flatMap(value => definition.parse ? [value] : value.split(','))
+      .map(value => definition.parse ? definition.parse(value) : normalizeFilterValue(value))
+      .filter(Boolean)
+      .map(String);
+
+    if (values.length > 0) {
+      filters[name] = [...new Set(values)].sort();
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Check if any filter is active
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean} - True if at least one filter is set
+ */
+export function hasActiveFilters(filters) {
+  return !!filters && Object.keys(filters).length > 0;
+}
+
+/**
+ * Check whether a job field matches one of the filter values
+ * @param {string} fieldValue - Job field value
+ * @param {Array<string>} values - Normalized filter values
+ * @param {string} matchType - 'contains', 'token', 'exact', 'salary_min' or 'salary_max'
+ * @returns {boolean} - True if matched
+ */
+function matchesValue(fieldValue, values, matchType) {
+  if (matchType === 'salary_min' || matchType === 'salary_max') {
+    const side = matchType === 'salary_min' ? 'min' : 'max';
+    return values.some(value => matchesSalaryBound(fieldValue, Number(value), side));
+  }
+
+  const normalized = normalizeFilterValue(fieldValue);
+  if (!normalized) {
+    return false;
+  }
+
+  if (matchType === 'exact') {
+    return values.includes(normalized);
+  }
+
+  if (matchType === 'token') {
+    const tokens = normalized.split(/[^a-z0-9]+/).filter(Boolean);
+    return values.some(value => normalized === value || tokens.includes(value));
+  }
+
+  return values.some(value => normalized.includes(value));
+}
+
+/**
+ * Check if a single job matches all filters
+ * @param {Object} job - Enriched job object
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean} - True if job matches
+ */
+export function matchesJobFilters(job, filters) {
+  if (!hasActiveFilters(filters)) {
+    return true;
+  }
+
+  return Object.entries(filters).every(([name, values]) => {
+    const definition = FEED_FILTERS[name];
+    if (!definition) {
+      return true;
+    }
+
+    return matchesValue(definition.getValue(job), values, definition.match);
+  });
+}
+
+/**
+ * Apply filters to a list of jobs
+ * @param {Array} jobs - Enriched jobs
+ * @param {Object} filters - Parsed filters
+ * @returns {Array} - Matching jobs (original order preserved)
+ */
+export function applyJobFilters(jobs, filters) {
+  if (!Array.isArray(jobs)) {
+    return [];
+  }
+
+  if (!hasActiveFilters(filters)) {
+    return jobs;
+  }
+
+  return jobs.filter(job => matchesJobFilters(job, filters));
+}
+
+/**
+ * Collect the distinct values of a filter across jobs
+ * Case variants ("Jawa Barat" / "JAWA BARAT") are grouped under the first spelling seen
+ * @param {Array} jobs - Enriched jobs
+ * @param {string} name - FEED_FILTERS name
+ * @returns {Array<Object>} - [{value, count}] sorted by count, then name
+ */
+export function collectFilterValues(jobs, name) {
+  const counts = new Map();
+
+  for (const job of Array.isArray(jobs) ? jobs : []) {
+    const value = String(FEED_FILTERS[name].getValue(job) || '').replace(/\s+/g, ' ').trim();
+    if (!value) {
+      continue;
+    }
+
+    const key = value.toLowerCase();
+    const entry = counts.get(key) || { value, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, 'id'));
+}
+
+/**
+ * One day in milliseconds
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a job's application deadline
+ * @param {Object} job - Enriched job object
+ * @returns {number|null} - Deadline timestamp (ms) or null when unknown
+ */
+export function getJobDeadline(job) {
+  const deadline = Date.parse(job?.expires_at || job?.detail?.expires_at || job?.detail?.application_deadline || '');
+  return isNaN(deadline) ? null : deadline;
+}
+
+/**
+ * Check whether a job's deadline has passed
+ * Jobs without a deadline never expire
+ * @param {Object} job - Enriched job object
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} - True if expired
+ */
+export function isJobExpired(job, now = Date.now()) {
+  const deadline = getJobDeadline(job);
+  return deadline !== null && deadline < now;
+}
+
+/**
+ * Drop expired jobs and recompute days_until_expiry for the rest
+ * The job snapshot can be an hour old, so the countdown is refreshed at render time
+ * @param {Array} jobs - Enriched jobs
+ * @param {number} now - Current time (ms)
+ * @returns {Array} - Open jobs (original order preserved)
+ */
+export function selectOpenJobs(jobs, now = Date.now()) {
+  if (!Array.isArray(jobs)) {
+    return [];
+  }
+
+  return jobs
+    .filter(job => !isJobExpired(job, now))
+    .map(job => {
+      const deadline = getJobDeadline(job);
+      return deadline === null ? job : { ...job, days_until_expiry: Math.ceil((deadline - now) / DAY_MS) };
+    });
+}
+
+/**
+ * Keep jobs whose deadline falls within the next `days` days
+ * @param {Array} jobs - Open jobs
+ * @param {number} days - Window in days
+ * @param {number} now - Current time (ms)
+ * @returns {Array} - Jobs closing within the window
+ */
+export function selectClosingSoonJobs(jobs, days, now = Date.now()) {
+  const until = now + days * DAY_MS;
+  return (Array.isArray(jobs) ? jobs : []).filter(job => {
+    const deadline = getJobDeadline(job);
+    return deadline !== null && deadline >= now && deadline <= until;
+  });
+}
+
+/**
+ * Timestamp of when a job was posted (first seen by us, else as published)
+ * @param {Object} job - Enriched job object
+ * @returns {number} - Timestamp (ms), 0 when unknown
+ */
+function getPostedTime(job) {
+  return Date.parse(job.first_seen_at || job.published_at || job.created_at || '') || 0;
+}
+
+/**
+ * Supported feed sort orders (`?sort=`)
+ * Jobs lacking the sort field keep their relative order at the end
+ */
+export const FEED_SORTS = {
+  newest: (a, b) => getPostedTime(b) - getPostedTime(a),
+  deadline: (a, b) => (getJobDeadline(a) ?? Infinity) - (getJobDeadline(b) ?? Infinity) || 0,
+  salary: (a, b) => {
+    const salaryA = getJobSalary(a);
+    const salaryB = getJobSalary(b);
+    const highA = salaryA.disclosed ? (salaryA.max ?? salaryA.min) : -1;
+    const highB = salaryB.disclosed ? (salaryB.max ?? salaryB.min) : -1;
+    return highB - highA;
+  }
+};
+
+/**
+ * Parse the sort order from URL search params
+ * @param {URLSearchParams} searchParams - URL search params
+ * @returns {string|null} - FEED_SORTS key, or null for the default order
+ */
+export function parseFeedSort(searchParams) {
+  const sort = normalizeFilterValue(searchParams?.get('sort'));
+  return Object.prototype.hasOwnProperty.call(FEED_SORTS, sort) ? sort : null;
+}
+
+/**
+ * Sort jobs
+ * @param {Array} jobs - Enriched jobs
+ * @param {string|null} sort - FEED_SORTS key (null keeps the aggregation order)
+ * @returns {Array} - Sorted copy
+ */
+export function sortJobs(jobs, sort) {
+  if (!Array.isArray(jobs)) {
+    return [];
+  }
+
+  return FEED_SORTS[sort] ? [...jobs].sort(FEED_SORTS[sort]) : jobs;
+}
+
+/**
+ * Serialize filters into a canonical query string
+ * Equal filter combinations always produce the same string regardless of parameter order
+ * @param {Object} filters - Parsed filters
+ * @returns {string} - Canonical query string (empty when no filters)
+ */
+export function serializeJobFilters(filters) {
+  if (!hasActiveFilters(filters)) {
+    return '';
+  }
+
+  return Object.keys(filters)
+    .sort()
+    .map(name => `${name}=${filters[name].map(encodeURIComponent).join(',')}`)
+    .join('&');
+}
+
+/**
+ * Serialize filters and sort order into a canonical feed query string
+ * @param {Object} filters - Parsed filters
+ * @param {string|null} sort - Sort order
+ * @returns {string} - Canonical query string (empty for the default feed)
+ */
+export function serializeFeedQuery(filters, sort = null) {
+  return [serializeJobFilters(filters), sort ? `sort=${sort}` : ''].filter(Boolean).join('&');
+}
+
+/**
+ * Longest filter query kept verbatim in a cache key (KV keys are limited to 512 bytes)
+ */
+const MAX_FILTER_KEY_LENGTH = 200;
+
+/**
+ * Build a cache key for a filter combination
+ * Long filter queries are truncated and suffixed with a hash of the full query
+ * @param {string} prefix - Cache key prefix (e.g. 'rss_feed')
+ * @param {Object} filters - Parsed filters
+ * @param {string|null} sort - Sort order (part of the key, since it changes the feed)
+ * @returns {string} - Cache key, `${prefix}_main` when unfiltered and unsorted
+ */
+export function buildFilterCacheKey(prefix, filters, sort = null) {
+  const serialized = serializeFeedQuery(filters, sort);
+  if (!serialized) {
+    return `${prefix}_main`;
+  }
+
+  return serialized.length > MAX_FILTER_KEY_LENGTH
+    ? `${prefix}_${serialized.slice(0, MAX_FILTER_KEY_LENGTH)}_${simpleHash(serialized)}`
+    : `${prefix}_${serialized}`;
+}
+
+/**
+ * Describe filters for feed titles
+ * @param {Object} filters - Parsed filters
+ * @param {URLSearchParams} searchParams - Original search params (keeps user casing)
+ * @param {string} language - Language of the labels
+ * @returns {string} - Human readable description, e.g. "Jawa Barat • Manufaktur"
+ */
+export function describeJobFilters(filters, searchParams = null, language = DEFAULT_LANGUAGE) {
+  if (!hasActiveFilters(filters)) {
+    return '';
+  }
+
+  return Object.keys(filters)
+    .map(name => {
+      if (FEED_FILTERS[name]?.parse) {
+        const amounts = filters[name].map(value => formatSalaryAmount(Number(value), 'IDR', language));
+        return `${translate(language, `filter.${name}`)} ${amounts.join('/')}`;
+      }
+
+      const original = searchParams?.getAll(name).join(',');
+      return (original || filters[name].join(',')).split(',').map(value => value.trim()).join('/');
+    })
+    .join(' • ');
+}
+
+export default {
+  FEED_FILTERS,
+  getEmployerKey,
+  normalizeFilterValue,
+  parseJobFilters,
+  hasActiveFilters,
+  matchesJobFilters,
+  applyJobFilters,
+  collectFilterValues,
+  getJobDeadline,
+  isJobExpired,
+  selectOpenJobs,
+  selectClosingSoonJobs,
+  FEED_SORTS,
+  parseFeedSort,
+  sortJobs,
+  serializeJobFilters,
+  serializeFeedQuery,
+  buildFilterCacheKey,
+  describeJobFilters
+};
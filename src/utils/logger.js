@@ -0,0 +1,173 @@
+/**
+ * Structured Logger
+ * Writes one JSON line per message with level, module, request id and timing
+ * fields, and drops messages below the configured LOG_LEVEL.
+ * Request context (id, start time, level) is carried with AsyncLocalStorage
+ * (available through the nodejs_compat flag), so modules don't need to pass it around.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { CONFIG } from '../config/environment.js';
+
+/**
+ * Severity of each level; a message is written when its level is at least LOG_LEVEL
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 50
+};
+
+const DEFAULT_LOG_LEVEL = 'info';
+
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+};
+
+const RESERVED_FIELDS = ['timestamp', 'level', 'module', 'message', 'request_id'];
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Map a configured level to a known one
+ * @param {string} level - Level name (case-insensitive)
+ * @returns {string} - Known level, "info" when unrecognized
+ */
+export function normalizeLogLevel(level) {
+  const name = String(level || '').trim().toLowerCase();
+  return Object.hasOwn(LOG_LEVELS, name) ? name : DEFAULT_LOG_LEVEL;
+}
+
+/**
+ * Get the request id of a request
+ * Uses Cloudflare's cf-ray so log lines match the dashboard, or a random id
+ * @param {Request} request - Incoming request
+ * @returns {string} - Request id
+ */
+export function getRequestId(request) {
+  return request?.headers?.get('cf-ray') || crypto.randomUUID();
+}
+
+/**
+ * Run a callback with a logging context
+ * Every log line written while the callback (and work it starts) runs carries the context
+ * @param {Object} context - {requestId, level} plus any fields to add to each line
+ * @param {Function} callback - Work to run
+ * @returns {*} - The callback's return value
+ */
+export function runWithLogContext(context, callback) {
+  const { requestId = crypto.randomUUID(), level = CONFIG.LOG_LEVEL, ...fields } = context;
+
+  return logContext.run({
+    requestId,
+    level: normalizeLogLevel(level),
+    startTime: Date.now(),
+    fields
+  }, callback);
+}
+
+/**
+ * Get the active logging context
+ * @returns {Object|null} - Context or null outside runWithLogContext
+ */
+export function getLogContext() {
+  return logContext.getStore() || null;
+}
+
+/**
+ * Check whether a level would be written in the active context
+ * @param {string} level - Level name
+ * @returns {boolean} - True when enabled
+ */
+export function isLevelEnabled(level) {
+  const threshold = getLogContext()?.level || normalizeLogLevel(CONFIG.LOG_LEVEL);
+  return LOG_LEVELS[level] >= LOG_LEVELS[threshold];
+}
+
+/**
+ * Convert a value into something JSON.stringify keeps (Error fields are not enumerable)
+ * @param {*} value - Field value
+ * @returns {*} - Serializable value
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.stack ? { stack: value.stack } : {})
+    };
+  }
+
+  return value;
+}
+
+/**
+ * Build the JSON line of a message
+ * @param {string} level - Level name
+ * @param {string} module - Module name
+ * @param {string} message - Message
+ * @param {Object} data - Extra fields
+ * @returns {string} - JSON line
+ */
+function formatLogLine(level, module, message, data) {
+  const context = getLogContext();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    module,
+    message,
+    ...(context ? { request_id: context.requestId, elapsed_ms: Date.now() - context.startTime, ...context.fields } : {})
+  };
+
+  // Data fields never overwrite the fields every line is filtered on
+  for (const [key, value] of Object.entries(data || {})) {
+    if (value !== undefined && !RESERVED_FIELDS.includes(key)) {
+      entry[key] = serializeValue(value);
+    }
+  }
+
+  try {
+    return JSON.stringify(entry);
+  } catch (error) {
+    // Circular data should never cost the message itself
+    return JSON.stringify({ timestamp: entry.timestamp, level, module, message, request_id: entry.request_id, log_error: error.message });
+  }
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name shown in every line (e.g. "cache-manager")
+ * @returns {Object} - {debug, info, warn, error, isLevelEnabled}, each taking (message, data)
+ */
+export function createLogger(module) {
+  const write = level => (message, data = {}) => {
+    if (!isLevelEnabled(level)) {
+      return;
+    }
+
+    console[CONSOLE_METHODS[level]](formatLogLine(level, module, message, data));
+  };
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    isLevelEnabled
+  };
+}
+
+export default {
+  LOG_LEVELS,
+  normalizeLogLevel,
+  getRequestId,
+  runWithLogContext,
+  getLogContext,
+  isLevelEnabled,
+  createLogger
+};
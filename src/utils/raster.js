@@ -0,0 +1,401 @@
+/**
+ * Raster Utilities
+ * Minimal RGB canvas for the PNG share cards: anti-aliased shapes, text drawn
+ * from glyph outlines and a PNG encoder, without native or WASM dependencies
+ */
+
+/**
+ * Vertical samples per pixel row (horizontal coverage is computed exactly)
+ */
+const SUBSAMPLES = 5;
+
+/**
+ * Parsed glyph outlines, by path string
+ */
+const parsedPaths = new Map();
+
+/**
+ * Create a blank image
+ * @param {number} width - Width (px)
+ * @param {number} height - Height (px)
+ * @returns {Object} - {width, height, pixels} with 3 bytes (RGB) per pixel
+ */
+export function createImage(width, height) {
+  return { width, height, pixels: new Uint8Array(width * height * 3) };
+}
+
+/**
+ * Parse a #rrggbb color
+ * @param {string} color - Hex color
+ * @returns {Array} - [r, g, b]
+ */
+export function parseColor(color) {
+  const value = parseInt(String(color).replace('#', ''), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Fill the whole image with a top-left to bottom-right gradient
+ * (the SVG linearGradient x1=0 y1=0 x2=1 y2=1 over the image box)
+ * @param {Object} image - Image
+ * @param {string} from - Start color
+ * @param {string} to - End color
+ */
+export function fillDiagonalGradient(image, from, to) {
+  const start = parseColor(from);
+  const end = parseColor(to);
+  const { width, height, pixels } = image;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const t = ((x + 0.5) / width + (y + 0.5) / height) / 2;
+      const offset = (y * width + x) * 3;
+      for (let channel = 0; channel < 3; channel++) {
+        pixels[offset + channel] = Math.round(start[channel] + (end[channel] - start[channel]) * t);
+      }
+    }
+  }
+}
+
+/**
+ * Add the coverage of a horizontal span to a row accumulator
+ * @param {Float32Array} row - Coverage per pixel
+ * @param {number} from - Span start (px, relative to the row)
+ * @param {number} to - Span end (px, relative to the row)
+ * @param {number} weight - Coverage of one full sample
+ */
+function addSpan(row, from, to, weight) {
+  const start = Math.max(0, from);
+  const end = Math.min(row.length, to);
+  if (end <= start) {
+    return;
+  }
+
+  const first = Math.floor(start);
+  const last = Math.floor(end);
+  if (first === last) {
+    row[first] += (end - start) * weight;
+    return;
+  }
+
+  row[first] += (first + 1 - start) * weight;
+  for (let x = first + 1; x < last; x++) {
+    row[x] += weight;
+  }
+  if (last < row.length) {
+    row[last] += (end - last) * weight;
+  }
+}
+
+/**
+ * Fill polygons with the non-zero winding rule
+ * @param {Object} image - Image
+ * @param {Array} contours - Closed polygons, each a list of [x, y] points (px)
+ * @param {string} color - Fill color
+ */
+export function fillPolygons(image, contours, color) {
+  const edges = [];
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+
+  for (const points of contours) {
+    for (let index = 0; index < points.length; index++) {
+      const [x0, y0] = points[index];
+      const [x1, y1] = points[(index + 1) % points.length];
+      minX = Math.min(minX, x0);
+      maxX = Math.max(maxX, x0);
+      minY = Math.min(minY, y0);
+      maxY = Math.max(maxY, y0);
+      if (y0 !== y1) {
+        edges.push(y0 < y1 ? { top: y0, bottom: y1, x: x0, slope: (x1 - x0) / (y1 - y0), winding: 1 }
+          : { top: y1, bottom: y0, x: x1, slope: (x0 - x1) / (y0 - y1), winding: -1 });
+      }
+    }
+  }
+
+  const left = Math.max(0, Math.floor(minX));
+  const right = Math.min(image.width, Math.ceil(maxX) + 1);
+  const top = Math.max(0, Math.floor(minY));
+  const bottom = Math.min(image.height, Math.ceil(maxY));
+  if (edges.length === 0 || right <= left || bottom <= top) {
+    return;
+  }
+
+  const rgb = parseColor(color);
+  const row = new Float32Array(right - left);
+  const crossings = [];
+
+  for (let y = top; y < bottom; y++) {
+    row.fill(0);
+    const active = edges.filter(edge => edge.top < y + 1 && edge.bottom > y);
+    if (active.length === 0) {
+      continue;
+    }
+
+    for (let sample = 0; sample < SUBSAMPLES; sample++) {
+      const sampleY = y + (sample + 0.5) / SUBSAMPLES;
+      crossings.length = 0;
+      for (const edge of active) {
+        if (edge.top <= sampleY && edge.bottom > sampleY) {
+          crossings.push({ x: edge.x + (sampleY - edge.top) * edge.slope - left, winding: edge.winding });
+        }
+      }
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      for (let index = 0; index < crossings.length - 1; index++) {
+        winding += crossings[index].winding;
+        if (winding !== 0) {
+          addSpan(row, crossings[index].x, crossings[index + 1].x, 1 / SUBSAMPLES);
+        }
+      }
+    }
+
+    for (let x = 0; x < row.length; x++) {
+      const alpha = Math.min(1, row[x]);
+      if (alpha <= 0) {
+        continue;
+      }
+      const offset = (y * image.width + left + x) * 3;
+      for (let channel = 0; channel < 3; channel++) {
+        image.pixels[offset + channel] = Math.round(image.pixels[offset + channel] * (1 - alpha) + rgb[channel] * alpha);
+      }
+    }
+  }
+}
+
+/**
+ * Fill a rectangle with rounded corners
+ * @param {Object} image - Image
+ * @param {number} x - Left (px)
+ * @param {number} y - Top (px)
+ * @param {number} width - Width (px)
+ * @param {number} height - Height (px)
+ * @param {number} radius - Corner radius (px)
+ * @param {string} color - Fill color
+ */
+export function fillRoundedRect(image, x, y, width, height, radius, color) {
+  const r = Math.min(radius, width / 2, height / 2);
+  const steps = Math.max(2, Math.ceil(r / 2));
+  const corners = [
+    [x + width - r, y + r, -Math.PI / 2],
+    [x + width - r, y + height - r, 0],
+    [x + r, y + height - r, Math.PI / 2],
+    [x + r, y + r, Math.PI]
+  ];
+
+  const points = [];
+  for (const [cx, cy, startAngle] of corners) {
+    for (let step = 0; step <= steps; step++) {
+      const angle = startAngle + (step / steps) * (Math.PI / 2);
+      points.push([cx + Math.cos(angle) * r, cy + Math.sin(angle) * r]);
+    }
+  }
+  fillPolygons(image, [points], color);
+}
+
+/**
+ * Parse a glyph path (M, L, Q and Z with absolute coordinates)
+ * @param {string} path - Path string
+ * @returns {Array} - Commands as [letter, ...numbers]
+ */
+function parsePath(path) {
+  if (!parsedPaths.has(path)) {
+    const commands = (path.match(/[MLQZ][^MLQZ]*/g) || []).map(command => [
+      command[0],
+      ...command.slice(1).trim().split(/[\s,]+/).filter(Boolean).map(Number)
+    ]);
+    parsedPaths.set(path, commands);
+  }
+  return parsedPaths.get(path);
+}
+
+/**
+ * Turn a glyph path into polygons at a given position and size
+ * @param {string} path - Glyph path in font units, y up
+ * @param {number} originX - Pen position (px)
+ * @param {number} baseline - Baseline (px)
+ * @param {number} scale - Pixels per font unit
+ * @returns {Array} - Polygons of [x, y] points (px)
+ */
+function flattenGlyph(path, originX, baseline, scale) {
+  const contours = [];
+  let points = null;
+  const toPixel = (x, y) => [originX + x * scale, baseline - y * scale];
+
+  for (const [command, ...args] of parsePath(path)) {
+    if (command === 'M') {
+      points = [toPixel(args[0], args[1])];
+      contours.push(points);
+    } else if (command === 'L') {
+      points.push(toPixel(args[0], args[1]));
+    } else if (command === 'Q') {
+      const [x0, y0] = points[points.length - 1];
+      const [cx, cy] = toPixel(args[0], args[1]);
+      const [x1, y1] = toPixel(args[2], args[3]);
+      // Enough segments to keep the curve within ~0.1px of the polyline
+      const deviation = Math.hypot(x0 - 2 * cx + x1, y0 - 2 * cy + y1);
+      const segments = Math.max(1, Math.ceil(Math.sqrt(deviation / 0.8)));
+      for (let step = 1; step <= segments; step++) {
+        const t = step / segments;
+        const u = 1 - t;
+        points.push([u * u * x0 + 2 * u * t * cx + t * t * x1, u * u * y0 + 2 * u * t * cy + t * t * y1]);
+      }
+    }
+  }
+  return contours;
+}
+
+/**
+ * Look up the glyph of a character, falling back to the base letter
+ * (é → e when the font lacks it) and finally to "?"
+ * @param {Object} font - Font ({unitsPerEm, glyphs})
+ * @param {string} char - Character
+ * @returns {Array} - [advance, path]
+ */
+function getGlyph(font, char) {
+  return font.glyphs[char]
+    || font.glyphs[char.normalize('NFD')[0]]
+    || (/\s/.test(char) ? font.glyphs[' '] : font.glyphs['?']);
+}
+
+/**
+ * Measure a line of text
+ * @param {Object} font - Font ({unitsPerEm, glyphs})
+ * @param {string} text - Text
+ * @param {number} fontSize - Font size (px)
+ * @returns {number} - Advance width (px)
+ */
+export function measureText(font, text, fontSize) {
+  let width = 0;
+  for (const char of String(text || '')) {
+    width += getGlyph(font, char)[0];
+  }
+  return width * fontSize / font.unitsPerEm;
+}
+
+/**
+ * Draw a line of text
+ * @param {Object} image - Image
+ * @param {Object} font - Font ({unitsPerEm, glyphs})
+ * @param {string} text - Text
+ * @param {number} x - Anchor position (px)
+ * @param {number} baseline - Baseline (px)
+ * @param {number} fontSize - Font size (px)
+ * @param {string} color - Text color
+ * @param {string} anchor - 'start' or 'middle', as SVG text-anchor
+ */
+export function fillText(image, font, text, x, baseline, fontSize, color, anchor = 'start') {
+  const scale = fontSize / font.unitsPerEm;
+  let penX = anchor === 'middle' ? x - measureText(font, text, fontSize) / 2 : x;
+
+  const contours = [];
+  for (const char of String(text || '')) {
+    const [advance, path] = getGlyph(font, char);
+    if (path) {
+      contours.push(...flattenGlyph(path, penX, baseline, scale));
+    }
+    penX += advance * scale;
+  }
+  fillPolygons(image, contours, color);
+}
+
+/**
+ * CRC-32 lookup table (PNG chunk checksums)
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Checksum
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} - Length, type, data and CRC
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(new TextEncoder().encode(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Encode an image as an 8-bit RGB PNG
+ * Rows use the Sub filter, which keeps gradients small after deflate
+ * @param {Object} image - Image
+ * @returns {Promise<Uint8Array>} - PNG file
+ */
+export async function encodePNG(image) {
+  const { width, height, pixels } = image;
+  const stride = width * 3;
+  const raw = new Uint8Array((stride + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (stride + 1);
+    raw[rowStart] = 1;
+    for (let x = 0; x < stride; x++) {
+      const value = pixels[y * stride + x];
+      raw[rowStart + 1 + x] = x < 3 ? value : (value - pixels[y * stride + x - 3]) & 0xff;
+    }
+  }
+
+  // CompressionStream('deflate') produces the zlib stream PNG expects
+  const compressed = new Uint8Array(await new Response(
+    new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))
+  ).arrayBuffer());
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 2, 0, 0, 0], 8);
+
+  const chunks = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    createChunk('IHDR', header),
+    createChunk('IDAT', compressed),
+    createChunk('IEND', new Uint8Array(0))
+  ];
+
+  const png = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    png.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return png;
+}
+
+export default {
+  createImage,
+  parseColor,
+  fillDiagonalGradient,
+  fillPolygons,
+  fillRoundedRect,
+  measureText,
+  fillText,
+  encodePNG
+};
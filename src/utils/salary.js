@@ -0,0 +1,232 @@
+/**
+ * Salary Utilities
+ * One normalizer for every KarirHub salary shape; display strings and
+ * salary filters are derived from the normalized numbers
+ */
+
+import { DEFAULT_LANGUAGE, translate, getLocale } from './i18n.js';
+
+/**
+ * Pay periods and their Indonesian labels (display labels come from the message catalogs)
+ */
+export const SALARY_PERIODS = {
+  hour: 'jam',
+  day: 'hari',
+  week: 'minggu',
+  month: 'bulan',
+  year: 'tahun'
+};
+
+/**
+ * Aliases used by the API (and by people typing filters) for each period
+ */
+const PERIOD_ALIASES = {
+  hour: ['hour', 'hourly', 'jam', 'per jam'],
+  day: ['day', 'daily', 'hari', 'harian', 'per hari'],
+  week: ['week', 'weekly', 'minggu', 'mingguan', 'per minggu'],
+  month: ['month', 'monthly', 'bulan', 'bulanan', 'per bulan'],
+  year: ['year', 'yearly', 'annual', 'tahun', 'tahunan', 'per tahun']
+};
+
+/**
+ * Amount scales for display ("4,5 juta") and filter parsing ("4.5jt")
+ */
+const SCALES = [
+  { value: 1000000000, label: 'miliar', aliases: ['miliar', 'milyar', 'm'] },
+  { value: 1000000, label: 'juta', aliases: ['juta', 'jt'] },
+  { value: 1000, label: 'ribu', aliases: ['ribu', 'rb', 'k'] }
+];
+
+/**
+ * Read a positive amount from a number, numeric string or {amount} object
+ * @param {*} value - Raw amount
+ * @returns {number|null} - Amount or null when missing/zero
+ */
+function toAmount(value) {
+  const raw = value !== null && typeof value === 'object' ? value.amount : value;
+  const amount = typeof raw === 'string' ? parseFloat(raw) : raw;
+
+  return typeof amount === 'number' && isFinite(amount) && amount > 0 ? amount : null;
+}
+
+/**
+ * Map an API period value to a SALARY_PERIODS key
+ * @param {string} value - Raw period
+ * @returns {string} - Period key (defaults to 'month')
+ */
+function toPeriod(value) {
+  const normalized = String(value || '').toLowerCase().trim();
+  const match = Object.entries(PERIOD_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : 'month';
+}
+
+/**
+ * Normalize a salary from any of the API shapes
+ * Handles {min_salary_amount, max_salary_amount}, {min_salary: {amount}, max_salary: {amount}}
+ * and the legacy {min, max}
+ * @param {Object} salary - Raw salary object
+ * @returns {Object} - {min, max, currency, period, disclosed}
+ */
+export function normalizeSalary(salary) {
+  const undisclosed = { min: null, max: null, currency: 'IDR', period: 'month', disclosed: false };
+
+  if (!salary || typeof salary !== 'object') {
+    return undisclosed;
+  }
+
+  let min = toAmount(salary.min_salary_amount ?? salary.min_salary ?? salary.min);
+  let max = toAmount(salary.max_salary_amount ?? salary.max_salary ?? salary.max);
+
+  if (min !== null && max !== null && min > max) {
+    [min, max] = [max, min];
+  }
+
+  const currency = String(
+    salary.currency?.code || salary.currency || salary.min_salary?.currency || 'IDR'
+  ).toUpperCase();
+  const period = toPeriod(salary.salary_period || salary.period || salary.min_salary?.period);
+
+  // Employers can hide the salary; don't leak amounts they chose not to show
+  if (salary.show_salary === false || (min === null && max === null)) {
+    return { ...undisclosed, currency, period };
+  }
+
+  return { min, max, currency, period, disclosed: true };
+}
+
+/**
+ * Get the normalized salary of an enriched job
+ * Falls back to normalizing the raw salary for jobs cached before salary_normalized existed
+ * @param {Object} job - Enriched job object
+ * @returns {Object} - {min, max, currency, period, disclosed}
+ */
+export function getJobSalary(job) {
+  return job?.salary_normalized || normalizeSalary(job?.salary || job?.detail?.salary);
+}
+
+/**
+ * Format a number for a language (Indonesian: comma decimals), at most two decimals
+ * @param {number} value - Number
+ * @param {string} language - Language code
+ * @returns {string} - Formatted number
+ */
+function formatNumber(value, language = DEFAULT_LANGUAGE) {
+  return new Intl.NumberFormat(getLocale(language), { maximumFractionDigits: 2 }).format(value);
+}
+
+/**
+ * Pick the display scale for an amount
+ * @param {number} amount - Amount
+ * @returns {Object|null} - Scale or null for amounts under a thousand
+ */
+function getScale(amount) {
+  return SCALES.find(scale => amount >= scale.value) || null;
+}
+
+/**
+ * Format a single amount, e.g. 4500000 -> "4,5 juta", 750000 -> "750 ribu"
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @param {string} language - Language code ("4.5 million" in English)
+ * @returns {string} - Formatted amount with currency
+ */
+export function formatSalaryAmount(amount, currency = 'IDR', language = DEFAULT_LANGUAGE) {
+  if (currency !== 'IDR') {
+    return `${currency} ${formatNumber(amount, language)}`;
+  }
+
+  const scale = getScale(amount);
+  return scale
+    ? `Rp${formatNumber(amount / scale.value, language)} ${translate(language, `salary.scale.${scale.label}`)}`
+    : `Rp${formatNumber(amount, language)}`;
+}
+
+/**
+ * Format a normalized salary for display, e.g. "Rp4,5–6 juta/bulan"
+ * @param {Object} normalized - Result of normalizeSalary()
+ * @param {string} fallback - Text for undisclosed salaries (defaults to "Gaji Kompetitif" in the language)
+ * @param {string} language - Language code
+ * @returns {string} - Display string
+ */
+export function formatSalary(normalized, fallback = null, language = DEFAULT_LANGUAGE) {
+  if (!normalized?.disclosed) {
+    return fallback ?? translate(language, 'salary.competitive');
+  }
+
+  const { min, max, currency } = normalized;
+  const period = SALARY_PERIODS[normalized.period] ? normalized.period : 'month';
+  const suffix = `/${translate(language, `salary.period.${period}`)}`;
+
+  if (min !== null && max !== null && min !== max) {
+    const scale = getScale(min);
+    // Share the unit when both ends use it: "Rp4,5–6 juta" rather than "Rp4,5 juta–6 juta"
+    if (currency === 'IDR' && scale && scale === getScale(max)) {
+      const label = translate(language, `salary.scale.${scale.label}`);
+      return `Rp${formatNumber(min / scale.value, language)}–${formatNumber(max / scale.value, language)} ${label}${suffix}`;
+    }
+    return `${formatSalaryAmount(min, currency, language)}–${formatSalaryAmount(max, currency, language)}${suffix}`;
+  }
+
+  if (min !== null && max === null) {
+    return `${translate(language, 'salary.from', { amount: formatSalaryAmount(min, currency, language) })}${suffix}`;
+  }
+
+  if (min === null && max !== null) {
+    return `${translate(language, 'salary.upTo', { amount: formatSalaryAmount(max, currency, language) })}${suffix}`;
+  }
+
+  return `${formatSalaryAmount(min, currency, language)}${suffix}`;
+}
+
+/**
+ * Parse a salary amount typed in a filter ("4500000", "4.500.000", "4,5jt", "750rb")
+ * @param {string} value - Raw value
+ * @returns {number|null} - Amount or null when unparseable
+ */
+export function parseSalaryAmount(value) {
+  const match = String(value || '').toLowerCase().replace(/\s+/g, '').match(/^([\d.,]+)([a-z]*)$/);
+  if (!match) {
+    return null;
+  }
+
+  let [, number, unit] = match;
+  const scale = unit ? SCALES.find(candidate => candidate.aliases.includes(unit)) : null;
+  if (unit && !scale) {
+    return null;
+  }
+
+  // With a unit the separator is decimal ("4,5jt"); without one dots and commas group thousands
+  number = scale ? number.replace(',', '.') : number.replace(/[.,]/g, '');
+  const amount = parseFloat(number) * (scale ? scale.value : 1);
+
+  return isFinite(amount) && amount > 0 ? Math.round(amount) : null;
+}
+
+/**
+ * Check a normalized salary against a filter bound
+ * Ranges overlap the bound: min_salary=5jt keeps a 4–6 juta job, max_salary=5jt keeps a 4–6 juta job too
+ * @param {Object} normalized - Result of normalizeSalary()
+ * @param {number} bound - Filter amount
+ * @param {string} side - 'min' (salary reaches at least bound) or 'max' (salary starts at most bound)
+ * @returns {boolean} - True if the salary satisfies the bound (undisclosed salaries never do)
+ */
+export function matchesSalaryBound(normalized, bound, side) {
+  if (!normalized?.disclosed) {
+    return false;
+  }
+
+  const low = normalized.min ?? normalized.max;
+  const high = normalized.max ?? normalized.min;
+
+  return side === 'min' ? high >= bound : low <= bound;
+}
+
+export default {
+  SALARY_PERIODS,
+  normalizeSalary,
+  getJobSalary,
+  formatSalaryAmount,
+  formatSalary,
+  parseSalaryAmount,
+  matchesSalaryBound
+};
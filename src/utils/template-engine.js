@@ -0,0 +1,137 @@
+/**
+ * Template Engine
+ * Renders social media templates: {placeholders}, conditional sections for
+ * optional fields and length limits. Values are inserted in a single pass,
+ * so text coming from the API can never inject template syntax.
+ *
+ * Syntax:
+ *   {name}            value of `name` (empty when missing)
+ *   {name:200}        value cut to 200 characters at a word boundary
+ *   {#name}...{/name} section rendered only when `name` has a value
+ *   {^name}...{/name} section rendered only when `name` is missing
+ */
+
+import { truncateText } from './helpers.js';
+
+const SECTION_PATTERN = /\{([#^])([a-z0-9_]+)\}([\s\S]*?)\{\/\2\}/gi;
+const PLACEHOLDER_PATTERN = /\{([a-z0-9_]+)(?::(\d+))?\}/gi;
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'"
+};
+
+/**
+ * Escapers applied to every inserted value
+ */
+export const TEMPLATE_ESCAPERS = {
+  // Plain text: HTML from the API becomes text, control characters are dropped
+  text: value => String(value)
+    .replace(/<(br|\/p|\/li)\s*\/?>/gi, '\n')
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity])
+    .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim(),
+  // HTML: plain text first, then escaped for HTML-rendering targets
+  html: value => TEMPLATE_ESCAPERS.text(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+};
+
+/**
+ * Check whether a template value counts as present
+ * @param {*} value - Template value
+ * @returns {boolean} - False for null, undefined, blank strings and empty arrays
+ */
+export function hasTemplateValue(value) {
+  if (value === undefined || value === null || value === false) {
+    return false;
+  }
+
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+
+  return String(value).trim() !== '';
+}
+
+/**
+ * Check a template for unbalanced or unclosed sections
+ * @param {string} template - Template source
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+export function validateTemplate(template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return ['Template must be a non-empty string'];
+  }
+
+  const problems = [];
+  const open = [];
+
+  for (const [, marker, name] of template.matchAll(/\{([#^/])([a-z0-9_]+)\}/gi)) {
+    if (marker !== '/') {
+      open.push(name);
+    } else if (open[open.length - 1] === name) {
+      open.pop();
+    } else {
+      problems.push(`Unexpected {/${name}}`);
+    }
+  }
+
+  return [...problems, ...open.map(name => `Section {${name}} is never closed`)];
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template source
+ * @param {Object} values - Placeholder values (arrays are joined with ", ")
+ * @param {Object} options - {escape: 'text'|'html'|function, maxLength}
+ * @returns {string} - Rendered text
+ */
+export function renderTemplate(template, values = {}, options = {}) {
+  const { escape = 'text', maxLength = 0 } = options;
+  const escapeValue = typeof escape === 'function' ? escape : TEMPLATE_ESCAPERS[escape] || TEMPLATE_ESCAPERS.text;
+
+  // Each pass resolves the outermost sections; repeat for nested ones
+  let source = String(template || '');
+  let previous;
+  do {
+    previous = source;
+    source = source.replace(SECTION_PATTERN, (match, marker, name, body) => {
+      const present = hasTemplateValue(values[name]);
+      return (marker === '#') === present ? body : '';
+    });
+  } while (source !== previous);
+
+  const rendered = source
+    .replace(PLACEHOLDER_PATTERN, (match, name, limit) => {
+      const value = values[name];
+      if (!hasTemplateValue(value)) {
+        return '';
+      }
+
+      // Cut before escaping so a limit never splits an escape sequence
+      const raw = Array.isArray(value) ? value.join(', ') : value;
+      return escapeValue(limit ? truncateText(TEMPLATE_ESCAPERS.text(raw), parseInt(limit, 10)) : raw);
+    })
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return maxLength ? truncateText(rendered, maxLength) : rendered;
+}
+
+export default {
+  TEMPLATE_ESCAPERS,
+  hasTemplateValue,
+  validateTemplate,
+  renderTemplate
+};
@@ -0,0 +1,176 @@
+/**
+ * Text Search Utilities
+ * Indonesian-aware tokenization and stemming shared by the search index and queries
+ */
+
+/**
+ * Words too common to help ranking
+ */
+export const STOPWORDS = new Set([
+  'dan', 'di', 'ke', 'dari', 'yang', 'untuk', 'dengan', 'atau', 'pada', 'dalam',
+  'ini', 'itu', 'akan', 'ada', 'adalah', 'sebagai', 'oleh', 'serta', 'juga', 'bisa',
+  'the', 'and', 'of', 'for', 'to', 'in', 'a', 'an', 'or', 'with'
+]);
+
+/**
+ * Inflectional suffixes: particles, then possessive pronouns
+ */
+const PARTICLE_SUFFIXES = ['lah', 'kah', 'tah', 'pun'];
+const POSSESSIVE_SUFFIXES = ['nya', 'ku', 'mu'];
+
+/**
+ * Derivational suffixes, longest first
+ */
+const DERIVATION_SUFFIXES = ['kan', 'an', 'i'];
+
+/**
+ * Derivational prefixes, longest first; a replacement restores the
+ * first letter that nasal prefixes drop (menulis -> tulis, memakai -> pakai)
+ */
+const DERIVATION_PREFIXES = [
+  { prefix: 'meng', replace: '' },
+  { prefix: 'meny', replace: 's' },
+  { prefix: 'mem', replace: 'p' },
+  { prefix: 'men', replace: 't' },
+  { prefix: 'me', replace: '' },
+  { prefix: 'peng', replace: '' },
+  { prefix: 'peny', replace: 's' },
+  { prefix: 'pem', replace: 'p' },
+  { prefix: 'pen', replace: 't' },
+  { prefix: 'per', replace: '' },
+  { prefix: 'pe', replace: '' },
+  { prefix: 'ber', replace: '' },
+  { prefix: 'be', replace: '' },
+  { prefix: 'ter', replace: '' },
+  { prefix: 'di', replace: '' },
+  { prefix: 'ke', replace: '' },
+  { prefix: 'se', replace: '' }
+];
+
+/**
+ * Prefixes that may follow another prefix (dipekerjakan, keberhasilan, memperbaiki)
+ */
+const SECOND_PREFIXES = ['per', 'pe', 'ber', 'be'];
+
+/**
+ * Noun prefixes that pair with -an, never -kan (pendidikan -> didik, not didi)
+ */
+const NOUN_PREFIXES = ['peng', 'peny', 'pem', 'pen', 'pe'];
+
+/**
+ * Roots that start with the nasal itself, so the nasal is kept instead of
+ * restoring a dropped consonant (memasak -> masak, not pasak)
+ */
+const NASAL_ROOTS = ['makan', 'masak', 'masuk', 'milik', 'minta', 'minum', 'mohon', 'mulai', 'nikah', 'nilai'];
+
+/**
+ * Words that only look affixed (mostly place names) and are kept as they are
+ */
+const UNSTEMMED_WORDS = new Set([
+  'bekasi', 'belitung', 'bengkulu', 'kebumen', 'kediri',
+  'pekalongan', 'pekanbaru', 'pemalang', 'semarang', 'serang'
+]);
+
+/**
+ * Shortest stem an affix may leave behind
+ */
+const MIN_STEM_LENGTH = 4;
+
+const VOWELS = /^[aiueo]/;
+
+/**
+ * Strip the first matching suffix from a word
+ * @param {string} word - Word to strip
+ * @param {Array<string>} suffixes - Candidate suffixes
+ * @returns {string} - Word without the suffix (unchanged if the stem would be too short)
+ */
+function stripSuffix(word, suffixes) {
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM_LENGTH) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Stem an Indonesian word by removing common affixes
+ * A light rule-based stemmer (no dictionary) - it only needs to map a word and its
+ * affixed forms to the same token, not to produce the dictionary root
+ * @param {string} word - Lowercased word
+ * @returns {string} - Stem
+ */
+export function stemIndonesian(word) {
+  if (!word || word.length <= MIN_STEM_LENGTH || /\d/.test(word) || UNSTEMMED_WORDS.has(word)) {
+    return word;
+  }
+
+  let stem = stripSuffix(word, PARTICLE_SUFFIXES);
+  stem = stripSuffix(stem, POSSESSIVE_SUFFIXES);
+  let outerPrefix = null;
+
+  // Up to two prefixes (e.g. memper-, diper-, keber-)
+  for (let round = 0; round < 2; round++) {
+    const rule = DERIVATION_PREFIXES.find(({ prefix }) =>
+      stem.startsWith(prefix) && (round === 0 || SECOND_PREFIXES.includes(prefix))
+    );
+    if (!rule) {
+      break;
+    }
+
+    let rest = stem.slice(rule.prefix.length);
+    // Nasal prefixes only drop a consonant before a vowel (memakai -> pakai, but membantu -> bantu)
+    if (rule.replace && VOWELS.test(rest)) {
+      const nasal = rule.prefix.slice(2);
+      rest = NASAL_ROOTS.some(root => `${nasal}${rest}`.startsWith(root)) ? nasal + rest : rule.replace + rest;
+    }
+
+    if (rest.length < MIN_STEM_LENGTH) {
+      break;
+    }
+    stem = rest;
+    outerPrefix = outerPrefix || rule.prefix;
+  }
+
+  // Roots ending in -ai keep their i (pakai, nilai, mulai)
+  const suffixes = DERIVATION_SUFFIXES.filter(suffix =>
+    !(suffix === 'kan' && NOUN_PREFIXES.includes(outerPrefix)) && !(suffix === 'i' && stem.endsWith('ai'))
+  );
+  return stripSuffix(stem, suffixes);
+}
+
+/**
+ * Split text into lowercased word tokens
+ * @param {string} text - Text (HTML tags are ignored)
+ * @returns {Array<string>} - Tokens
+ */
+export function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+
+  return String(text)
+    .toLowerCase()
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[a-z]+;|&#\d+;/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1);
+}
+
+/**
+ * Tokenize, drop stopwords and stem
+ * @param {string} text - Text to analyze
+ * @returns {Array<string>} - Search terms (duplicates kept for term frequency)
+ */
+export function analyzeText(text) {
+  return tokenize(text)
+    .filter(token => !STOPWORDS.has(token))
+    .map(stemIndonesian);
+}
+
+export default {
+  STOPWORDS,
+  stemIndonesian,
+  tokenize,
+  analyzeText
+};
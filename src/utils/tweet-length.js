@@ -0,0 +1,184 @@
+/**
+ * Tweet Length Utilities
+ * Counts post length the way X does (twitter-text v3 weighting) instead of
+ * JavaScript string length, and cuts or splits posts to fit
+ *
+ * Rules:
+ *   - text is NFC-normalized before counting
+ *   - Latin, Cyrillic, Thai, Hangul Jamo and common punctuation count 1
+ *   - everything else (CJK, most symbols) counts 2
+ *   - an emoji sequence (skin tones, ZWJ families, flags, keycaps) counts 2
+ *   - a URL counts 23 whatever its length, since X wraps it with t.co
+ */
+
+/**
+ * Limits used by X
+ */
+export const TWEET_MAX_LENGTH = 280;
+export const TWEET_URL_LENGTH = 23;
+
+/**
+ * Code point ranges counted as 1 (everything else counts 2)
+ */
+const LIGHT_RANGES = [
+  [0x0000, 0x10FF],
+  [0x2000, 0x200D],
+  [0x2010, 0x201F],
+  [0x2032, 0x2037]
+];
+
+/**
+ * Domains without a scheme that X also links (e.g. "karirhub.kemnaker.go.id")
+ */
+const BARE_DOMAIN_TLDS = ['com', 'net', 'org', 'info', 'biz', 'io', 'co', 'id', 'me', 'app', 'dev'];
+
+// Trailing punctuation is not part of a URL ("lihat https://x.co/a.")
+const URL_END = String.raw`[^\s.,!?:;'")\]]`;
+const URL_SOURCE = String.raw`https?:\/\/[^\s]*${URL_END}|(?<![\w@.\/-])(?:[a-z0-9][a-z0-9-]*\.)+(?:${BARE_DOMAIN_TLDS.join('|')})(?![\w-])(?:\/[^\s]*${URL_END})?`;
+const EMOJI_PART = String.raw`\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?`;
+const EMOJI_SOURCE = String.raw`\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|${EMOJI_PART}(?:\u200D${EMOJI_PART})*`;
+
+/**
+ * Splits text into URLs, emoji sequences and single code points
+ */
+const SEGMENT_PATTERN = new RegExp(String.raw`(${URL_SOURCE})|(${EMOJI_SOURCE})|[\s\S]`, 'giu');
+
+/**
+ * Weight of a single code point
+ * @param {number} codePoint - Unicode code point
+ * @returns {number} - 1 or 2
+ */
+function getCodePointWeight(codePoint) {
+  return LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+}
+
+/**
+ * Get the weighted length X uses for a post
+ * @param {string} text - Post text
+ * @returns {number} - Weighted length (max 280 per post)
+ */
+export function getTweetLength(text) {
+  let length = 0;
+
+  for (const [segment, url, emoji] of String(text || '').normalize('NFC').matchAll(SEGMENT_PATTERN)) {
+    if (url) {
+      length += TWEET_URL_LENGTH;
+    } else if (emoji) {
+      length += 2;
+    } else {
+      length += getCodePointWeight(segment.codePointAt(0));
+    }
+  }
+
+  return length;
+}
+
+/**
+ * Cut a post to a weighted length at a word boundary
+ * Whole words are kept, so hashtags and URLs are never cut in half
+ * @param {string} text - Post text
+ * @param {number} maxLength - Maximum weighted length
+ * @param {string} suffix - Appended when text was cut
+ * @returns {string} - Post within maxLength
+ */
+export function truncateTweet(text, maxLength = TWEET_MAX_LENGTH, suffix = '...') {
+  const normalized = String(text || '').normalize('NFC');
+  if (getTweetLength(normalized) <= maxLength) {
+    return normalized;
+  }
+
+  const budget = maxLength - getTweetLength(suffix);
+  let result = '';
+
+  for (const token of normalized.split(/(\s+)/)) {
+    if (getTweetLength(result + token) > budget) {
+      break;
+    }
+    result += token;
+  }
+
+  // A single word longer than the budget is cut between segments
+  if (!result.trim()) {
+    result = '';
+    for (const [segment] of normalized.matchAll(SEGMENT_PATTERN)) {
+      if (getTweetLength(result + segment) > budget) {
+        break;
+      }
+      result += segment;
+    }
+  }
+
+  return result.trimEnd() + suffix;
+}
+
+/**
+ * Split a post into a thread
+ * Lines are packed greedily; lines longer than a post are split between words
+ * @param {string} text - Full post text
+ * @param {Object} options - {maxLength, maxPosts, lastLine}
+ * @returns {Array<string>} - Thread posts; lastLine (e.g. the apply link) always ends the last one
+ */
+export function splitTweetThread(text, options = {}) {
+  const { maxLength = TWEET_MAX_LENGTH, maxPosts = Infinity, lastLine = '' } = options;
+  const posts = [];
+  let current = '';
+
+  const append = (piece, separator) => {
+    const candidate = current ? `${current}${separator}${piece}` : piece;
+    if (getTweetLength(candidate) > maxLength) {
+      return false;
+    }
+    current = candidate;
+    return true;
+  };
+
+  const flush = () => {
+    if (current.trim()) {
+      posts.push(current.trim());
+    }
+    current = '';
+  };
+
+  for (const line of String(text || '').normalize('NFC').split('\n')) {
+    if (append(line, '\n')) {
+      continue;
+    }
+
+    flush();
+    if (append(line, '\n')) {
+      continue;
+    }
+
+    for (const word of line.split(/\s+/)) {
+      if (!append(word, ' ')) {
+        flush();
+        current = truncateTweet(word, maxLength);
+      }
+    }
+  }
+
+  if (lastLine && !append(lastLine, '\n\n')) {
+    flush();
+    current = lastLine;
+  }
+  flush();
+
+  if (posts.length <= maxPosts) {
+    return posts;
+  }
+
+  // Too many posts: cut the last allowed one and keep lastLine at its end
+  const kept = posts.slice(0, Math.max(maxPosts - 1, 0));
+  const closing = lastLine ? `\n\n${lastLine}` : '';
+  const last = truncateTweet(posts[kept.length], maxLength - getTweetLength(closing));
+
+  return [...kept, last + closing];
+}
+
+export default {
+  TWEET_MAX_LENGTH,
+  TWEET_URL_LENGTH,
+  getTweetLength,
+  truncateTweet,
+  splitTweetThread
+};
@@ -0,0 +1,184 @@
+/**
+ * Admin Authentication Testing Script
+ * Checks bearer tokens, HMAC request signatures and constant-time comparison
+ */
+
+import { authorizeAdminRequest, buildAdminSignaturePayload, isAdminPath } from '../src/utils/admin-auth.js';
+import { hmacSha256Hex, timingSafeEqual } from '../src/utils/crypto.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+const ENV = { ADMIN_TOKEN };
+
+/**
+ * Build an HMAC-signed admin request
+ * @param {string} method - HTTP method
+ * @param {string} pathWithQuery - Path including the query string
+ * @param {string} body - Raw body
+ * @param {Object} options - {secret, timestamp} overrides
+ * @returns {Promise<Request>} - Signed request
+ */
+async function createSignedRequest(method, pathWithQuery, body = '', options = {}) {
+  const timestamp = String(options.timestamp ?? Math.floor(Date.now() / 1000));
+  const signature = await hmacSha256Hex(
+    options.secret || ADMIN_TOKEN,
+    buildAdminSignaturePayload(timestamp, method, pathWithQuery, body)
+  );
+
+  return new Request(`https://example.com${pathWithQuery}`, {
+    method,
+    headers: {
+      'X-Admin-Timestamp': timestamp,
+      'X-Admin-Signature': `sha256=${signature}`
+    },
+    ...(body ? { body } : {})
+  });
+}
+
+/**
+ * Run admin authentication tests
+ */
+async function runAdminAuthTests() {
+  console.log('🧪 Starting Admin Auth Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: Constant-time comparison still compares correctly
+  await runTest('timingSafeEqual', async () => {
+    assert(timingSafeEqual('secret', 'secret'), 'Equal strings should match');
+    assert(!timingSafeEqual('secret', 'secreT'), 'Different strings should not match');
+    assert(!timingSafeEqual('secret', 'secret-longer'), 'A longer string with the same prefix should not match');
+    assert(!timingSafeEqual('secret', ''), 'An empty string should not match');
+    assert(timingSafeEqual('', ''), 'Two empty strings should match');
+    assert(!timingSafeEqual('Lowongan', 'Lowongän'), 'Multi-byte characters should be compared by bytes');
+
+    console.log('  ✓ Equal, different, prefix, empty and multi-byte inputs');
+  }, results);
+
+  // Test 2: Bearer tokens
+  await runTest('Bearer token', async () => {
+    const request = token => new Request('https://example.com/admin/config', { headers: { Authorization: `Bearer ${token}` } });
+
+    const valid = await authorizeAdminRequest(request(ADMIN_TOKEN), ENV);
+    assert(valid.authorized && valid.method === 'bearer', 'The admin token should be accepted');
+
+    const wrong = await authorizeAdminRequest(request('wrong-token'), ENV);
+    assert(!wrong.authorized && wrong.error === 'Invalid admin token', 'A wrong token should be rejected');
+
+    const missing = await authorizeAdminRequest(new Request('https://example.com/admin/config'), ENV);
+    assert(!missing.authorized && missing.method === null, 'Requests without credentials should be rejected');
+
+    const unconfigured = await authorizeAdminRequest(request(ADMIN_TOKEN), {});
+    assert(!unconfigured.authorized && unconfigured.error.includes('ADMIN_TOKEN'), 'Admin routes should be closed without ADMIN_TOKEN');
+
+    assert(isAdminPath('/admin') && isAdminPath('/admin/cache') && !isAdminPath('/administrator'), 'Only /admin and /admin/* are admin paths');
+
+    console.log('  ✓ Valid, wrong, missing and unconfigured tokens');
+  }, results);
+
+  // Test 3: HMAC signatures cover the timestamp, method, path, query and body
+  await runTest('HMAC signature', async () => {
+    const body = JSON.stringify({ url: 'https://example.com/hook' });
+
+    const valid = await authorizeAdminRequest(await createSignedRequest('POST', '/admin/webhooks?dry_run=1', body), ENV);
+    assert(valid.authorized && valid.method === 'hmac', 'A correctly signed request should be accepted');
+
+    const signed = await createSignedRequest('POST', '/admin/webhooks', body);
+    const tampered = new Request(signed.url, { method: 'POST', headers: signed.headers, body: body.replace('example.com', 'evil.test') });
+    assert(!(await authorizeAdminRequest(tampered, ENV)).authorized, 'A changed body should invalidate the signature');
+
+    const otherPath = new Request('https://example.com/admin/cache?all=true', { method: 'DELETE', headers: (await createSignedRequest('DELETE', '/admin/cache?type=rss')).headers });
+    assert(!(await authorizeAdminRequest(otherPath, ENV)).authorized, 'A signature should not be reusable for another path or query');
+
+    const wrongSecret = await authorizeAdminRequest(await createSignedRequest('GET', '/admin/config', '', { secret: 'other-secret' }), ENV);
+    assert(!wrongSecret.authorized && wrongSecret.error === 'Invalid request signature', 'A signature made with another secret should be rejected');
+
+    const stale = await authorizeAdminRequest(await createSignedRequest('GET', '/admin/config', '', { timestamp: Math.floor(Date.now() / 1000) - 301 }), ENV);
+    assert(!stale.authorized && stale.error.includes('timestamp'), 'Timestamps older than 5 minutes should be rejected');
+
+    const malformed = await authorizeAdminRequest(await createSignedRequest('GET', '/admin/config', '', { timestamp: '12abc' }), ENV);
+    assert(!malformed.authorized, 'Non-numeric timestamps should be rejected');
+
+    const readable = await createSignedRequest('POST', '/admin/webhooks', body);
+    await authorizeAdminRequest(readable, ENV);
+    assert(await readable.text() === body, 'Verification should leave the body readable for the route handler');
+
+    console.log('  ✓ Valid, tampered, replayed, wrong-secret, stale and malformed signatures');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 ADMIN AUTH TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runAdminAuthTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAdminAuthTests().catch(console.error);
+}
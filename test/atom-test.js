@@ -0,0 +1,296 @@
+/**
+ * Atom Feed Testing Script
+ * Checks that generated Atom 1.0 feeds are well-formed and carry the elements RFC 4287 requires,
+ * and that the RSS and Atom error feeds stay well-formed whatever the upstream error says
+ */
+
+import { createServer } from 'node:http';
+import worker from '../src/index.js';
+import { AtomGenerator } from '../src/modules/atom-generator.js';
+import { buildJobPageUrl } from '../src/modules/job-page-generator.js';
+
+const SAMPLE_JOBS = [
+  {
+    id: '3f2b8c1e-9a4d-4e6b-8c2a-1d5e7f9a0b3c',
+    title: 'Staff Admin & Gudang <Usia < 30>',
+    company_name: 'PT "Maju" & Sejahtera',
+    city_name: 'Kota Bekasi',
+    province_name: 'Jawa Barat',
+    industry_name: 'Manufaktur',
+    job_function_name: 'Administrasi',
+    salary_range: 'Rp4,5–6 juta/bulan',
+    first_seen_at: '2025-01-10T08:00:00.000Z',
+    last_changed_at: '2025-01-12T09:30:00.000Z',
+    frontend_url: 'https://karirhub.kemnaker.go.id/lowongan-dalam-negeri/lowongan/3f2b8c1e-9a4d-4e6b-8c2a-1d5e7f9a0b3c',
+    detail: {
+      job_type: 'full_time',
+      description: '<p>Mengelola stok & dokumen</p><script>alert(1)</script>',
+      requirements: { education_min: 'SMA/SMK' }
+    }
+  },
+  {
+    id: 'lowongan-42',
+    title: 'Operator Produksi',
+    company_name: 'PT Contoh Jatim',
+    city_name: 'Kota Surabaya',
+    province_name: 'Kota Surabaya',
+    published_at: '2025-01-11 07:15:00'
+  }
+];
+
+/**
+ * Check that an XML document is well-formed
+ * Covers what the generators can get wrong: unbalanced or misnested tags,
+ * unquoted attributes and bare ampersands
+ * @param {string} xml - XML document
+ * @returns {Array<string>} - Errors (empty when well-formed)
+ */
+function checkWellFormed(xml) {
+  const errors = [];
+  const body = xml
+    .replace(/^<\?xml[^?]*\?>/, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  const stack = [];
+  const tagPattern = /<(\/?)([A-Za-z_][\w:.-]*)([^>]*?)(\/?)>/g;
+  let match;
+  let roots = 0;
+
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, closing, name, attributes, selfClosing] = match;
+
+    if (closing) {
+      const open = stack.pop();
+      if (open !== name) {
+        errors.push(`Closing </${name}> does not match <${open}>`);
+      }
+      continue;
+    }
+
+    if (stack.length === 0) {
+      roots++;
+    }
+
+    const unquoted = attributes.replace(/\s[\w:.-]+="[^"]*"/g, '').trim();
+    if (unquoted) {
+      errors.push(`Malformed attributes on <${name}>: ${unquoted}`);
+    }
+
+    if (!selfClosing) {
+      stack.push(name);
+    }
+  }
+
+  if (stack.length > 0) {
+    errors.push(`Unclosed elements: ${stack.join(', ')}`);
+  }
+
+  if (roots !== 1) {
+    errors.push(`Expected one root element, found ${roots}`);
+  }
+
+  const text = body.replace(/<[^>]*>/g, '');
+  if (/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/.test(text) || /[<>]/.test(text.replace(/&[^;]+;/g, ''))) {
+    errors.push('Unescaped & or < in text content');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the text of every element with a tag name
+ * @param {string} xml - XML document
+ * @param {string} name - Tag name
+ * @returns {Array<string>} - Element contents
+ */
+function getElements(xml, name) {
+  return [...xml.matchAll(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g'))].map(match => match[1]);
+}
+
+/**
+ * Start a local API that answers every request with a KarirHub error body
+ * @param {string} message - Error message the API returns
+ * @returns {Promise<Object>} - {url, close}
+ */
+function startFailingApi(message) {
+  const server = createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ code: 503, message }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Run Atom tests
+ */
+async function runAtomTests() {
+  console.log('🧪 Starting Atom Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  const generator = new AtomGenerator();
+  const atom = generator.generateAtom(SAMPLE_JOBS, { feedUrl: 'https://example.com/atom?city=Bekasi&lang=id', hubUrl: 'https://hub.example.com/' });
+
+  // Test 1: The feed is well-formed XML even with markup in job fields
+  await runTest('Well-formed XML', async () => {
+    const errors = checkWellFormed(atom);
+    assert(errors.length === 0, errors.join('; '));
+    assert(atom.startsWith('<?xml version="1.0" encoding="UTF-8"?>'), 'Feed should start with the XML declaration');
+    assert(!atom.includes('<script>'), 'Job HTML should never appear unescaped');
+
+    const empty = checkWellFormed(generator.generateAtom([]));
+    assert(empty.length === 0, `An empty feed should be well-formed: ${empty.join('; ')}`);
+
+    console.log(`  ✓ ${atom.length} characters, no markup errors`);
+  }, results);
+
+  // Test 2: Feed-level elements required by RFC 4287
+  await runTest('Feed metadata', async () => {
+    const feed = atom.slice(0, atom.indexOf('<entry>'));
+
+    assert(feed.includes('<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="id">'), 'Root should use the Atom namespace and language');
+    assert(getElements(feed, 'id')[0] === 'https://example.com/atom?city=Bekasi&amp;lang=id', 'Feed id should be the escaped feed URL');
+    assert(getElements(feed, 'title').length === 1 && getElements(feed, 'name').length === 1, 'Feed should have a title and an author');
+    assert(feed.includes('<link rel="self" type="application/atom+xml" href="https://example.com/atom?city=Bekasi&amp;lang=id" />'), 'Feed should link to itself');
+    assert(feed.includes('<link rel="hub" href="https://hub.example.com/" />'), 'Feed should advertise the WebSub hub');
+    assert(getElements(feed, 'updated')[0] === '2025-01-12T09:30:00.000Z', 'Feed updated should be the newest entry change');
+
+    console.log('  ✓ id, title, author, self/hub links and updated');
+  }, results);
+
+  // Test 3: Every entry has a unique id, title, link and RFC 3339 dates
+  await runTest('Entries', async () => {
+    const entries = getElements(atom, 'entry');
+    assert(entries.length === SAMPLE_JOBS.length, `Expected ${SAMPLE_JOBS.length} entries, got ${entries.length}`);
+
+    const ids = entries.map(entry => getElements(entry, 'id')[0]);
+    assert(ids[0] === 'urn:uuid:3f2b8c1e-9a4d-4e6b-8c2a-1d5e7f9a0b3c', 'UUID jobs should get urn:uuid ids');
+    assert(ids[1].endsWith('/lowongan/lowongan-42'), 'Other jobs should get a stable URL id');
+    assert(new Set(ids).size === ids.length, 'Entry ids should be unique');
+
+    const rfc3339 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+    for (const entry of entries) {
+      assert(getElements(entry, 'title')[0], 'Every entry should have a title');
+      assert(/<link rel="alternate" type="text\/html" href="[^"]+" \/>/.test(entry), 'Every entry should link to the job');
+      assert(rfc3339.test(getElements(entry, 'updated')[0]) && rfc3339.test(getElements(entry, 'published')[0]), 'Dates should be RFC 3339');
+      assert(getElements(entry, 'name').length === 1, 'Every entry should have an author');
+    }
+
+    assert(getElements(entries[0], 'published')[0] === '2025-01-10T08:00:00.000Z', 'published should be when the job was first seen');
+    assert(entries[0].includes(`href="${buildJobPageUrl(SAMPLE_JOBS[0].id)}"`), 'Entries should link to the job page');
+    assert(entries[0].includes('scheme="urn:karirhub:industry"'), 'Categories should carry their domain as scheme');
+    assert(!entries[1].includes('urn:karirhub:province'), 'Province equal to the city should not be repeated');
+
+    console.log(`  ✓ ${entries.length} entries with ids, links, authors and dates`);
+  }, results);
+
+  // Test 4: Error feeds escape the error message, which can come from the API
+  await runTest('Error feeds', async () => {
+    const api = await startFailingApi('Maintenance <b>server</b> & "backup"');
+
+    try {
+      const env = { API_BASE_URL: api.url, RSS_TITLE: 'Loker & Karier' };
+
+      for (const [path, element] of [['/rss', 'description'], ['/atom', 'summary']]) {
+        const response = await worker.fetch(new Request(`https://example.com${path}`), env, {});
+        const xml = await response.text();
+        assert(response.status === 500, `${path} should answer 500, got ${response.status}`);
+
+        const errors = checkWellFormed(xml);
+        assert(errors.length === 0, `${path}: ${errors.join('; ')}`);
+        assert(getElements(xml, element).some(text => text.includes('Maintenance &lt;b&gt;server&lt;/b&gt; &amp; "backup"')), `${path} should carry the escaped message`);
+        assert(xml.includes('Loker &amp; Karier'), `${path} should escape the feed title`);
+      }
+    } finally {
+      await api.close();
+    }
+
+    console.log('  ✓ RSS and Atom error feeds are well-formed');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 ATOM TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runAtomTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAtomTests().catch(console.error);
+}
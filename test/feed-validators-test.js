@@ -0,0 +1,222 @@
+/**
+ * Feed Validator Testing Script
+ * Checks ETags, Last-Modified and 304 responses, including feeds rebuilt after their cache entry expired
+ */
+
+import worker from '../src/index.js';
+import { CacheManager } from '../src/modules/cache-manager.js';
+import { buildFeedValidators, isNotModified } from '../src/utils/feed-validators.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FUTURE = new Date(Date.now() + 30 * DAY_MS).toISOString();
+
+const SAMPLE_JOBS = [
+  {
+    id: 'job-1',
+    title: 'Staff Admin',
+    company_name: 'PT Maju',
+    city_name: 'Kota Bekasi',
+    province_name: 'Jawa Barat',
+    first_seen_at: '2025-01-12T08:00:00.000Z',
+    last_changed_at: '2025-01-12T08:00:00.000Z',
+    expires_at: FUTURE
+  },
+  {
+    id: 'job-2',
+    title: 'Operator Gudang',
+    company_name: 'PT Sinar',
+    city_name: 'Kota Bandung',
+    province_name: 'Jawa Barat',
+    first_seen_at: '2025-01-10T08:00:00.000Z',
+    last_changed_at: '2025-01-10T08:00:00.000Z',
+    expires_at: FUTURE
+  }
+];
+
+/**
+ * In-memory stand-in for a KV namespace
+ * @returns {Object} - KV-like store
+ */
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      return value === undefined ? null : type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) { store.set(key, value); },
+    async delete(key) { store.delete(key); },
+    async list() { return { keys: [...store.keys()].map(name => ({ name })), list_complete: true }; }
+  };
+}
+
+/**
+ * Create a request with optional conditional headers
+ * @param {string} path - Path and query
+ * @param {Object} headers - Request headers
+ * @returns {Request} - Request
+ */
+function createRequest(path, headers = {}) {
+  return new Request(`https://example.com${path}`, { headers });
+}
+
+/**
+ * Drop the cached feeds of one type, as if their TTL had run out
+ * @param {Object} kv - Memory KV
+ * @param {string} type - Feed cache type ('rss', 'atom' or 'json')
+ */
+function expireFeeds(kv, type) {
+  for (const key of [...kv.store.keys()]) {
+    if (key.includes(`_${type}:`)) {
+      kv.store.delete(key);
+    }
+  }
+}
+
+/**
+ * Run feed validator tests
+ */
+async function runFeedValidatorTests() {
+  console.log('🧪 Starting Feed Validator Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: The ETag follows the jobs in the feed, not the time it was built
+  await runTest('ETag and Last-Modified', async () => {
+    const first = await buildFeedValidators(SAMPLE_JOBS, 'rss_feed_main');
+    const again = await buildFeedValidators(SAMPLE_JOBS, 'rss_feed_main');
+    assert(first.etag === again.etag && first.lastModified === again.lastModified, 'Rebuilding the same feed should keep its validators');
+    assert(first.lastModified === new Date('2025-01-12T08:00:00.000Z').toUTCString(), 'Last-Modified should be the newest job change');
+
+    const changed = await buildFeedValidators([{ ...SAMPLE_JOBS[0], last_changed_at: '2025-01-13T08:00:00.000Z' }, SAMPLE_JOBS[1]], 'rss_feed_main');
+    assert(changed.etag !== first.etag, 'A changed job should change the ETag');
+    assert((await buildFeedValidators(SAMPLE_JOBS, 'json_feed_main')).etag !== first.etag, 'Each feed should have its own ETag');
+
+    const removed = await buildFeedValidators([SAMPLE_JOBS[1]], 'rss_feed_main', first);
+    assert(removed.etag !== first.etag && Date.parse(removed.lastModified) > Date.parse(first.lastModified), 'A removed job should move Last-Modified forward');
+
+    console.log(`  ✓ ${first.etag}`);
+  }, results);
+
+  // Test 2: If-None-Match wins over If-Modified-Since, weak tags match
+  await runTest('Conditional requests', async () => {
+    const validators = await buildFeedValidators(SAMPLE_JOBS, 'rss_feed_main');
+
+    assert(isNotModified(createRequest('/rss', { 'If-None-Match': `W/${validators.etag}` }), validators), 'A weak ETag should match');
+    assert(isNotModified(createRequest('/rss', { 'If-None-Match': `"other", ${validators.etag}` }), validators), 'Any tag in the list should match');
+    assert(!isNotModified(createRequest('/rss', { 'If-None-Match': '"other"', 'If-Modified-Since': validators.lastModified }), validators), 'If-Modified-Since should be ignored when If-None-Match is sent');
+    assert(isNotModified(createRequest('/rss', { 'If-Modified-Since': validators.lastModified }), validators), 'An unchanged date should match');
+    assert(!isNotModified(createRequest('/rss', { 'If-Modified-Since': 'Fri, 10 Jan 2025 00:00:00 GMT' }), validators), 'An older date should not match');
+    assert(!isNotModified(createRequest('/rss'), validators), 'Unconditional requests should get the feed');
+
+    console.log('  ✓ If-None-Match (weak, lists) and If-Modified-Since');
+  }, results);
+
+  // Test 3: A feed rebuilt on demand after losing a job gets new validators, never older ones
+  await runTest('Removed job after cache expiry', async () => {
+    const kv = createMemoryKV();
+    const cacheManager = new CacheManager(kv);
+    await cacheManager.set('aggregated_jobs', SAMPLE_JOBS, 'aggregated_jobs');
+    const env = { RSS_CACHE: kv };
+
+    const before = await worker.fetch(createRequest('/rss'), env, {});
+    const etag = before.headers.get('ETag');
+    const lastModified = before.headers.get('Last-Modified');
+    assert(etag && lastModified === new Date('2025-01-12T08:00:00.000Z').toUTCString(), 'The first build should use the newest job change');
+
+    const cached = await worker.fetch(createRequest('/rss', { 'If-None-Match': etag }), env, {});
+    assert(cached.status === 304, `An unchanged feed should answer 304, got ${cached.status}`);
+
+    // job-1 (the newest) disappears and the cached feed has expired by the next request
+    await cacheManager.set('aggregated_jobs', [SAMPLE_JOBS[1]], 'aggregated_jobs');
+    expireFeeds(kv, 'rss');
+
+    const after = await worker.fetch(createRequest('/rss', { 'If-None-Match': etag, 'If-Modified-Since': lastModified }), env, {});
+    assert(after.status === 200, `The changed feed should be sent in full, got ${after.status}`);
+    assert(after.headers.get('ETag') !== etag, 'The ETag should change');
+    assert(Date.parse(after.headers.get('Last-Modified')) > Date.parse(lastModified), 'Last-Modified should move forward, not back to job-2');
+
+    const sinceChange = await worker.fetch(createRequest('/rss', { 'If-Modified-Since': after.headers.get('Last-Modified') }), env, {});
+    assert(sinceChange.status === 304, 'Polling with the new Last-Modified should answer 304');
+
+    console.log(`  ✓ ${lastModified} → ${after.headers.get('Last-Modified')}`);
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 FEED VALIDATOR TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runFeedValidatorTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runFeedValidatorTests().catch(console.error);
+}
@@ -0,0 +1,264 @@
+/**
+ * Localization Testing Script
+ * Checks language negotiation, message catalogs, plural forms and the Indonesian fallback
+ */
+
+import worker from '../src/index.js';
+import { CacheManager } from '../src/modules/cache-manager.js';
+import {
+  MESSAGE_CATALOGS,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  resolveLanguage,
+  translate,
+  createTranslator,
+  getLocale
+} from '../src/utils/i18n.js';
+
+/**
+ * In-memory stand-in for a KV namespace
+ * @returns {Object} - KV-like store
+ */
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      return value === undefined ? null : type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) { store.set(key, value); },
+    async delete(key) { store.delete(key); },
+    async list() { return { keys: [...store.keys()].map(name => ({ name })), list_complete: true }; }
+  };
+}
+
+/**
+ * Build a request with an optional Accept-Language header
+ * @param {string} path - Path including the query string
+ * @param {string} acceptLanguage - Accept-Language header value
+ * @returns {Request} - Request
+ */
+function createRequest(path, acceptLanguage = null) {
+  return new Request(`https://example.com${path}`, acceptLanguage ? { headers: { 'Accept-Language': acceptLanguage } } : {});
+}
+
+/**
+ * Get the {placeholder} names of a catalog message
+ * @param {string|Object} message - Message or {one, other} forms
+ * @returns {string} - Sorted placeholder names
+ */
+function getPlaceholders(message) {
+  const text = typeof message === 'object' ? `${message.one} ${message.other}` : message;
+  return [...new Set(text.match(/\{\w+\}/g) || [])].sort().join();
+}
+
+/**
+ * Run localization tests
+ */
+async function runI18nTests() {
+  console.log('🧪 Starting I18n Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: Accept-Language weights, order and aliases
+  await runTest('parseAcceptLanguage', async () => {
+    assert(normalizeLanguage('en-GB') === 'en' && normalizeLanguage('ID_id') === 'id', 'Regions should be ignored');
+    assert(normalizeLanguage('in') === 'id', 'The legacy "in" code should map to Indonesian');
+    assert(normalizeLanguage('fr') === null && normalizeLanguage('') === null, 'Unsupported languages should be null');
+
+    assert(parseAcceptLanguage('en-US,en;q=0.9,id;q=0.8') === 'en', 'The first weighted language should win');
+    assert(parseAcceptLanguage('id;q=0.5, en;q=0.9') === 'en', 'Higher q should win over header order');
+    assert(parseAcceptLanguage('en;q=0.8, id;q=0.8') === 'en', 'Equal weights should keep header order');
+    assert(parseAcceptLanguage('fr-FR, de;q=0.9, id;q=0.1') === 'id', 'Unsupported languages should be skipped');
+    assert(parseAcceptLanguage('en;q=0, fr') === null, 'q=0 should exclude a language');
+    assert(parseAcceptLanguage('') === null && parseAcceptLanguage(null) === null, 'A missing header should match nothing');
+
+    console.log('  ✓ Weights, ties, unsupported tags, q=0 and aliases');
+  }, results);
+
+  // Test 2: ?lang= beats Accept-Language, which beats the Indonesian default
+  await runTest('resolveLanguage', async () => {
+    assert(resolveLanguage(createRequest('/rss?lang=id', 'en-US,en;q=0.9')) === 'id', '?lang=id should lock Indonesian');
+    assert(resolveLanguage(createRequest('/rss?lang=EN')) === 'en', '?lang= should be case-insensitive');
+    assert(resolveLanguage(createRequest('/rss?lang=fr', 'en')) === 'en', 'An unsupported ?lang= should fall back to Accept-Language');
+    assert(resolveLanguage(createRequest('/rss', 'fr-FR')) === DEFAULT_LANGUAGE, 'Unmatched requests should get Indonesian');
+    assert(resolveLanguage(createRequest('/rss')) === 'id', 'Requests without preferences should get Indonesian');
+
+    console.log('  ✓ ?lang, Accept-Language, default');
+  }, results);
+
+  // Test 3: Placeholders, plural forms and fallbacks
+  await runTest('translate', async () => {
+    assert(translate('id', 'salary.from', { amount: 'Rp5 juta' }) === 'Mulai Rp5 juta', 'Placeholders should be filled');
+    assert(translate('id', 'salary.from') === 'Mulai {amount}', 'Missing parameters should leave the placeholder');
+
+    assert(translate('en', 'deadline.daysLeft', { count: 1 }) === '1 day left', 'count 1 should pick the "one" form');
+    assert(translate('en', 'deadline.daysLeft', { count: 3 }) === '3 days left', 'Other counts should pick the "other" form');
+    assert(translate('en', 'deadline.daysLeft', { count: 0 }) === '0 days left', 'count 0 should pick the "other" form');
+    assert(translate('en', 'deadline.daysLeft', { count: '1' }) === '1 day left', 'Numeric strings should count');
+    assert(translate('id', 'deadline.daysLeft', { count: 1 }) === '1 hari lagi', 'Languages without plurals should use one string');
+
+    assert(translate('fr', 'salary.competitive') === 'Gaji Kompetitif', 'Unknown languages should use the Indonesian catalog');
+    assert(translate('en', 'no.such.key') === 'no.such.key', 'Unknown keys should return the key');
+
+    MESSAGE_CATALOGS.id['test.onlyIndonesian'] = 'Hanya {name}';
+    try {
+      assert(translate('en', 'test.onlyIndonesian', { name: 'bahasa' }) === 'Hanya bahasa', 'Keys missing in English should fall back to Indonesian');
+    } finally {
+      delete MESSAGE_CATALOGS.id['test.onlyIndonesian'];
+    }
+
+    const t = createTranslator('en');
+    assert(t('salary.competitive') === 'Competitive Salary' && createTranslator()('salary.competitive') === 'Gaji Kompetitif', 'Translators should be bound to a language');
+    assert(getLocale('id') === 'id-ID' && getLocale('en') === 'en-US', 'Locales should come from the catalogs');
+
+    console.log('  ✓ Placeholders, one/other, unknown language and key, Indonesian fallback');
+  }, results);
+
+  // Test 4: The catalogs define the same keys with the same placeholders
+  await runTest('Catalog parity', async () => {
+    const [base, ...others] = Object.keys(MESSAGE_CATALOGS);
+    const baseKeys = Object.keys(MESSAGE_CATALOGS[base]);
+
+    for (const language of others) {
+      const catalog = MESSAGE_CATALOGS[language];
+      const missing = baseKeys.filter(key => !(key in catalog));
+      const extra = Object.keys(catalog).filter(key => !(key in MESSAGE_CATALOGS[base]));
+      assert(missing.length === 0 && extra.length === 0, `${language} catalog differs: missing ${missing.join(', ')}; extra ${extra.join(', ')}`);
+
+      const mismatched = baseKeys.filter(key => getPlaceholders(catalog[key]) !== getPlaceholders(MESSAGE_CATALOGS[base][key]));
+      assert(mismatched.length === 0, `${language} placeholders differ for ${mismatched.join(', ')}`);
+    }
+
+    console.log(`  ✓ ${baseKeys.length} keys in ${Object.keys(MESSAGE_CATALOGS).length} catalogs`);
+  }, results);
+
+  // Test 5: Responses follow the negotiated language
+  await runTest('Localized responses', async () => {
+    const kv = createMemoryKV();
+    await new CacheManager(kv).set('aggregated_jobs', [{
+      id: 'job-1',
+      title: 'Staff Admin',
+      company_name: 'PT Maju',
+      city_name: 'Kota Bekasi',
+      province_name: 'Jawa Barat',
+      expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+    }], 'aggregated_jobs');
+    const env = { RSS_CACHE: kv };
+
+    const english = await worker.fetch(createRequest('/json', 'en-US,en;q=0.9'), env, {});
+    const json = await english.json();
+    assert(english.headers.get('Content-Language') === 'en' && english.headers.get('Vary') === 'Accept-Language', 'Feeds should carry Content-Language and Vary');
+    assert(json.language === 'en', `JSON Feed language should be en, got ${json.language}`);
+
+    const page = await worker.fetch(createRequest('/lowongan/job-1?lang=en', 'id'), env, {});
+    const html = await page.text();
+    assert(page.headers.get('Content-Language') === 'en' && html.includes('<html lang="en">'), 'Job pages should follow ?lang=');
+    assert(html.includes('Apply on KarirHub') && !html.includes('Lamar di KarirHub'), 'Job page copy should come from the English catalog');
+
+    const builder = await (await worker.fetch(createRequest('/builder'), env, {})).text();
+    assert(builder.includes('<html lang="id">') && builder.includes('Pembuat Feed'), 'The feed builder should default to Indonesian');
+
+    console.log('  ✓ JSON Feed, job page and feed builder');
+  }, results);
+
+  // Test 6: Salary filters are labelled in feed titles in both languages
+  await runTest('Salary filter titles', async () => {
+    const kv = createMemoryKV();
+    await new CacheManager(kv).set('aggregated_jobs', [{
+      id: 'job-1',
+      title: 'Staff Admin',
+      company_name: 'PT Maju',
+      expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+    }], 'aggregated_jobs');
+    const env = { RSS_CACHE: kv };
+
+    const indonesian = await (await worker.fetch(createRequest('/json?min_salary=4500000'), env, {})).json();
+    assert(indonesian.title.includes('(Gaji minimal Rp4,5 juta)'), `Unexpected Indonesian title: ${indonesian.title}`);
+
+    const english = await (await worker.fetch(createRequest('/json?min_salary=4500000&max_salary=8000000&lang=en'), env, {})).json();
+    assert(english.title.includes('(Min. salary Rp4.5 million • Max. salary Rp8 million)'), `Unexpected English title: ${english.title}`);
+    assert(!/filter\./.test(indonesian.title + english.title), 'Titles should never show raw catalog keys');
+
+    console.log(`  ✓ ${english.title}`);
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 I18N TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runI18nTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runI18nTests().catch(console.error);
+}
@@ -0,0 +1,370 @@
+/**
+ * Job Filter Testing Script
+ * Checks employer keys, per-employer feeds, the company directory, expiry-aware feeds and filtered feed caching
+ */
+
+import { createServer } from 'node:http';
+import worker from '../src/index.js';
+import { CacheManager } from '../src/modules/cache-manager.js';
+import {
+  getEmployerKey,
+  parseJobFilters,
+  applyJobFilters,
+  buildFilterCacheKey,
+  getJobDeadline,
+  isJobExpired,
+  selectOpenJobs,
+  selectClosingSoonJobs
+} from '../src/utils/job-filter.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FUTURE = new Date(Date.now() + 30 * DAY_MS).toISOString();
+
+const SAMPLE_JOBS = [
+  {
+    id: 'job-1',
+    title: 'Staff Admin',
+    company_name: 'PT Maju',
+    employer_id: 'emp-maju',
+    city_name: 'Kota Bekasi',
+    province_name: 'Jawa Barat',
+    industry_name: 'Manufaktur',
+    created_at: '2025-01-12T08:00:00Z',
+    expires_at: FUTURE
+  },
+  {
+    id: 'job-2',
+    title: 'Operator Gudang',
+    company_name: 'PT Maju',
+    employer_id: 'emp-maju',
+    city_name: 'Kota Bandung',
+    province_name: 'Jawa Barat',
+    industry_name: 'Logistik',
+    created_at: '2025-01-11T08:00:00Z',
+    expires_at: FUTURE
+  },
+  {
+    id: 'job-3',
+    title: 'Kasir',
+    company_name: 'PT Maju Jaya',
+    employer_id: 'emp-maju-jaya',
+    city_name: 'Kota Bekasi',
+    province_name: 'Jawa Barat',
+    industry_name: 'Ritel',
+    created_at: '2025-01-10T08:00:00Z',
+    expires_at: FUTURE
+  },
+  {
+    id: 'job-4',
+    title: 'Teknisi',
+    company_name: 'CV Sinar & Abadi',
+    city_name: 'Kota Surabaya',
+    province_name: 'Jawa Timur',
+    industry_name: 'Manufaktur',
+    created_at: '2025-01-09T08:00:00Z',
+    expires_at: FUTURE
+  }
+];
+
+/**
+ * In-memory stand-in for a KV namespace
+ * @returns {Object} - KV-like store
+ */
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      return value === undefined ? null : type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) { store.set(key, value); },
+    async delete(key) { store.delete(key); },
+    async list() { return { keys: [...store.keys()].map(name => ({ name })), list_complete: true }; }
+  };
+}
+
+/**
+ * Create a worker environment whose aggregated job snapshot is already cached,
+ * so requests never reach the KarirHub API
+ * @param {Array} jobs - Aggregated jobs
+ * @returns {Promise<Object>} - Worker env
+ */
+async function createSeededEnv(jobs) {
+  const kv = createMemoryKV();
+  await new CacheManager(kv).set('aggregated_jobs', jobs, 'aggregated_jobs');
+  return { RSS_CACHE: kv };
+}
+
+/**
+ * Start a stub KarirHub API serving one listing (details and employers come back empty)
+ * @param {Array} listing - Listing jobs, newest first
+ * @returns {Promise<Object>} - {url, requests, close}
+ */
+function startStubApi(listing) {
+  const requests = [];
+
+  const server = createServer((request, response) => {
+    requests.push(request.url);
+    const url = new URL(request.url, 'http://localhost');
+    let body = { data: {} };
+
+    if (url.pathname === '/industrial-vacancies') {
+      const page = Number(url.searchParams.get('page'));
+      const limit = Number(url.searchParams.get('limit'));
+      body = { data: listing.slice((page - 1) * limit, page * limit) };
+    }
+
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Run job filter tests
+ */
+async function runJobFilterTests() {
+  console.log('🧪 Starting Job Filter Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: Employer keys prefer the KarirHub employer ID
+  await runTest('Employer keys', async () => {
+    assert(getEmployerKey(SAMPLE_JOBS[0]) === 'emp-maju', 'employer_id should be used when present');
+    assert(getEmployerKey({ employer: { id: 'emp-nested' } }) === 'emp-nested', 'employer.id should be used as a fallback');
+    assert(getEmployerKey({ detail: { employer_id: 'emp-detail' } }) === 'emp-detail', 'detail.employer_id should be used as a fallback');
+    assert(getEmployerKey(SAMPLE_JOBS[3]) === 'cv-sinar-abadi', 'Jobs without an ID should get a company name slug');
+    assert(getEmployerKey({}) === '', 'Unknown employers should get an empty key');
+
+    console.log('  ✓ ID, nested ID and name slug');
+  }, results);
+
+  // Test 2: The employer filter matches exactly, not by substring
+  await runTest('Employer filter', async () => {
+    const maju = applyJobFilters(SAMPLE_JOBS, parseJobFilters(new URLSearchParams('employer=emp-maju')));
+    assert(maju.map(job => job.id).join() === 'job-1,job-2', `PT Maju Jaya should not match emp-maju, got ${maju.map(job => job.id).join()}`);
+
+    const combined = applyJobFilters(SAMPLE_JOBS, parseJobFilters(new URLSearchParams('employer=EMP-MAJU,cv-sinar-abadi&city=bekasi')));
+    assert(combined.map(job => job.id).join() === 'job-1', 'Employers are ORed, other filters ANDed, case-insensitively');
+
+    console.log('  ✓ Exact, case-insensitive and combined with other filters');
+  }, results);
+
+  // Test 3: /rss/company/:id and /json/company/:id only carry that employer's jobs
+  await runTest('Per-employer feeds', async () => {
+    const env = await createSeededEnv(SAMPLE_JOBS);
+
+    const rss = await worker.fetch(new Request('https://example.com/rss/company/emp-maju?city=bandung'), env, {});
+    const xml = await rss.text();
+    assert(rss.status === 200, `Expected 200, got ${rss.status}`);
+    assert((xml.match(/<item>/g) || []).length === 1 && xml.includes('/lowongan/job-2'), 'RSS feed should only carry the Bandung job of PT Maju');
+    assert(xml.includes('PT Maju') && !xml.includes('PT Maju Jaya'), 'Channel should be titled after the employer');
+
+    const json = await (await worker.fetch(new Request('https://example.com/json/company/cv-sinar-abadi'), env, {})).json();
+    assert(json.items.length === 1 && json.items[0].id === 'job-4', 'Slug keys should select employers without an ID');
+
+    console.log('  ✓ RSS and JSON company feeds');
+  }, results);
+
+  // Test 4: /companies lists each employer once with its feeds
+  await runTest('Company directory', async () => {
+    const env = await createSeededEnv(SAMPLE_JOBS);
+
+    const directory = await (await worker.fetch(new Request('https://example.com/companies?province=jawa barat'), env, {})).json();
+    assert(directory.total_companies === 2 && directory.total_vacancies === 3, `Expected 2 companies with 3 vacancies, got ${directory.total_companies}/${directory.total_vacancies}`);
+
+    const [first] = directory.companies;
+    assert(first.id === 'emp-maju' && first.open_vacancies === 2, 'Companies should be sorted by open vacancies');
+    assert(first.cities.join() === 'Kota Bekasi,Kota Bandung', 'Cities should be collected per company');
+    assert(first.feeds.rss.endsWith('/rss/company/emp-maju?province=jawa%20barat'), `Feed links should carry the filters, got ${first.feeds.rss}`);
+
+    console.log(`  ✓ ${directory.total_companies} companies, feed links with filters`);
+  }, results);
+
+  // Test 5: Deadlines come from the listing or the detail, and expired jobs are dropped
+  await runTest('Expired jobs', async () => {
+    const now = Date.parse('2025-01-15T00:00:00Z');
+    const jobs = [
+      { id: 'open', expires_at: '2025-01-20T00:00:00Z', days_until_expiry: 99 },
+      { id: 'expired', expires_at: '2025-01-14T23:59:59Z' },
+      { id: 'detail-deadline', detail: { application_deadline: '2025-01-10T00:00:00Z' } },
+      { id: 'no-deadline' }
+    ];
+
+    assert(getJobDeadline(jobs[2]) === Date.parse('2025-01-10T00:00:00Z'), 'detail.application_deadline should be a fallback');
+    assert(isJobExpired(jobs[1], now) && !isJobExpired(jobs[3], now), 'Jobs without a deadline never expire');
+
+    const open = selectOpenJobs(jobs, now);
+    assert(open.map(job => job.id).join() === 'open,no-deadline', `Expected open,no-deadline, got ${open.map(job => job.id).join()}`);
+    assert(open[0].days_until_expiry === 5 && jobs[0].days_until_expiry === 99, 'days_until_expiry should be recomputed on a copy');
+
+    console.log('  ✓ 2 of 4 jobs open, countdown refreshed');
+  }, results);
+
+  // Test 6: Closing-soon keeps deadlines inside the window, nearest first
+  await runTest('Closing soon', async () => {
+    const now = Date.parse('2025-01-15T00:00:00Z');
+    const jobs = [
+      { id: 'in-5-days', expires_at: '2025-01-20T00:00:00Z' },
+      { id: 'in-1-day', expires_at: '2025-01-16T00:00:00Z' },
+      { id: 'in-8-days', expires_at: '2025-01-23T00:00:00Z' },
+      { id: 'no-deadline' }
+    ];
+
+    const closing = selectClosingSoonJobs(jobs, 7, now);
+    assert(closing.map(job => job.id).join() === 'in-5-days,in-1-day', 'Only deadlines within 7 days should be kept');
+
+    const soon = new Date(Date.now() + 2 * DAY_MS).toISOString();
+    const past = new Date(Date.now() - DAY_MS).toISOString();
+    const env = await createSeededEnv([
+      ...SAMPLE_JOBS,
+      { ...SAMPLE_JOBS[0], id: 'job-soon', title: 'Admin Segera', expires_at: soon },
+      { ...SAMPLE_JOBS[0], id: 'job-expired', title: 'Admin Lama', expires_at: past }
+    ]);
+
+    const xml = await (await worker.fetch(new Request('https://example.com/rss/closing-soon?days=3'), env, {})).text();
+    assert((xml.match(/<item>/g) || []).length === 1 && xml.includes('/lowongan/job-soon'), 'Closing-soon feed should only carry the job closing in 2 days');
+
+    const main = await (await worker.fetch(new Request('https://example.com/json'), env, {})).json();
+    assert(!main.items.some(item => item.id === 'job-expired'), 'Expired jobs should never appear in the main feed');
+    assert(main.items.length === SAMPLE_JOBS.length + 1, 'Open jobs should all stay in the main feed');
+
+    console.log('  ✓ 7-day window and /rss/closing-soon?days=3');
+  }, results);
+
+  // Test 7: Filtered feeds pick from the whole snapshot, and only matching feeds are cached
+  await runTest('Filtered feed pool and cache keys', async () => {
+    const newest = Array.from({ length: 12 }, (_, i) => ({ ...SAMPLE_JOBS[0], id: `bekasi-${i}` }));
+    const malang = { ...SAMPLE_JOBS[0], id: 'malang-1', city_name: 'Kota Malang', province_name: 'Jawa Timur' };
+    const env = { ...await createSeededEnv([...newest, malang]), MAX_JOBS_PER_FEED: '5' };
+
+    const main = await (await worker.fetch(new Request('https://example.com/json'), env, {})).json();
+    assert(main.items.length === 5, `The main feed should be capped at MAX_JOBS_PER_FEED, got ${main.items.length}`);
+
+    const filtered = await (await worker.fetch(new Request('https://example.com/json?city=Malang'), env, {})).json();
+    assert(filtered.items.length === 1 && filtered.items[0].id === 'malang-1', 'A filter should find jobs past the first MAX_JOBS_PER_FEED');
+
+    const empty = await (await worker.fetch(new Request('https://example.com/json?city=Atlantis'), env, {})).json();
+    const keys = [...env.RSS_CACHE.store.keys()];
+    assert(empty.items.length === 0 && !keys.some(key => key.includes('atlantis')), 'Filtered feeds without matches should not be cached');
+    assert(keys.some(key => key.includes('city=malang')), 'Matching filtered feeds should be cached');
+
+    const longKey = buildFilterCacheKey('rss_feed', { city: ['a'.repeat(600)] });
+    const otherKey = buildFilterCacheKey('rss_feed', { city: [`${'a'.repeat(599)}b`] });
+    assert(longKey.length < 512 && longKey !== otherKey, 'Long filter queries should get short, distinct keys');
+
+    console.log(`  ✓ 5 of 13 jobs in /json, malang-1 via ?city=Malang, ${longKey.length}-character long key`);
+  }, results);
+
+  // Test 8: A snapshot miss aggregates SNAPSHOT_MAX_JOBS jobs, not just one feed's worth
+  await runTest('Snapshot pool', async () => {
+    const listing = Array.from({ length: 13 }, (_, i) => ({
+      ...SAMPLE_JOBS[0],
+      id: `job-${i}`,
+      city_name: i === 12 ? 'Kota Malang' : 'Kota Bekasi'
+    }));
+    const api = await startStubApi(listing);
+
+    try {
+      const env = { RSS_CACHE: createMemoryKV(), API_BASE_URL: api.url, MAX_JOBS_PER_FEED: '5', SNAPSHOT_MAX_JOBS: '20' };
+
+      const filtered = await (await worker.fetch(new Request('https://example.com/json?city=Malang'), env, {})).json();
+      assert(filtered.items.length === 1 && filtered.items[0].id === 'job-12', 'The 13th newest job should be in the filtered feed');
+      assert(api.requests.includes('/industrial-vacancies?page=1&limit=20'), 'The listing should be walked up to SNAPSHOT_MAX_JOBS');
+
+      const main = await (await worker.fetch(new Request('https://example.com/json'), env, {})).json();
+      assert(main.items.length === 5, `The main feed should still show MAX_JOBS_PER_FEED jobs, got ${main.items.length}`);
+    } finally {
+      await api.close();
+    }
+
+    console.log('  ✓ 13 jobs aggregated, 1 Malang match, 5 in the main feed');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 JOB FILTER TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runJobFilterTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runJobFilterTests().catch(console.error);
+}
@@ -0,0 +1,260 @@
+/**
+ * Job Index Testing Script
+ * Checks first/last seen tracking, change detection, removal vs leaving the window, and retention pruning
+ */
+
+import { CONFIG } from '../src/config/environment.js';
+import { JobIndex } from '../src/modules/job-index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FUTURE = new Date(Date.now() + 30 * DAY_MS).toISOString();
+const PAST = new Date(Date.now() - DAY_MS).toISOString();
+
+/**
+ * Create an enriched job
+ * @param {string} id - Job ID
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} - Job with a detail object (so it is fingerprinted)
+ */
+function createJob(id, overrides = {}) {
+  return {
+    id,
+    title: `Lowongan ${id}`,
+    company_name: 'PT Maju',
+    city_name: 'Kota Bekasi',
+    published_at: '2025-01-10 08:00:00',
+    expires_at: FUTURE,
+    detail: { description: 'Mengelola stok gudang', requirements: { education_min: 'SMA' } },
+    ...overrides
+  };
+}
+
+/**
+ * In-memory stand-in for a KV namespace
+ * @returns {Object} - KV-like store
+ */
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      return value === undefined ? null : type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) { store.set(key, value); },
+    async delete(key) { store.delete(key); }
+  };
+}
+
+/**
+ * Create an index that already went through a bootstrap run
+ * @param {Array} jobs - Jobs of the bootstrap run
+ * @returns {Promise<JobIndex>} - Job index
+ */
+async function createBootstrappedIndex(jobs) {
+  const index = new JobIndex(createMemoryKV());
+  await index.update(jobs, { complete: true, exhaustive: false });
+  return index;
+}
+
+/**
+ * Run job index tests
+ */
+async function runJobIndexTests() {
+  console.log('🧪 Starting Job Index Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: The first run records every job without reporting it as new
+  await runTest('Bootstrap run', async () => {
+    const index = new JobIndex(createMemoryKV());
+    const jobs = [createJob('job-1'), createJob('job-2', { published_at: 1736582400 })];
+    const changes = await index.update(jobs);
+
+    assert(Object.values(changes).every(ids => ids.length === 0), 'A bootstrap run should report no changes');
+    assert(jobs.every(job => job.change_status === 'unchanged' && job.content_fingerprint), 'Jobs should be annotated as unchanged with a fingerprint');
+    assert(jobs[0].first_seen_at === '2025-01-10T08:00:00.000Z', `first_seen should keep the MySQL publish date, got ${jobs[0].first_seen_at}`);
+    assert(jobs[1].first_seen_at === '2025-01-11T08:00:00.000Z', `first_seen should keep the Unix publish date, got ${jobs[1].first_seen_at}`);
+    assert(jobs[0].last_changed_at === jobs[0].first_seen_at, 'last_changed should start at first_seen');
+
+    console.log('  ✓ 2 jobs indexed, 0 reported');
+  }, results);
+
+  // Test 2: New jobs and fingerprint changes are reported, unchanged and basic jobs are not
+  await runTest('New and updated jobs', async () => {
+    const index = await createBootstrappedIndex([createJob('job-1'), createJob('job-2'), createJob('job-3')]);
+
+    const jobs = [
+      createJob('job-1', { detail: { description: 'Mengelola stok dan pengiriman', requirements: { education_min: 'SMA' } } }),
+      createJob('job-2'),
+      { id: 'job-3', title: 'Lowongan job-3', company_name: 'PT Maju' },
+      createJob('job-4')
+    ];
+    const changes = await index.update(jobs);
+
+    assert(changes.new.join() === 'job-4' && jobs[3].change_status === 'new', 'job-4 should be new');
+    assert(changes.updated.join() === 'job-1' && jobs[0].change_status === 'updated', 'A changed description should update job-1');
+    assert(jobs[1].change_status === 'unchanged' && jobs[1].last_changed_at === '2025-01-10T08:00:00.000Z', 'job-2 should keep its last_changed');
+    assert(jobs[2].change_status === 'unchanged' && jobs[2].content_fingerprint, 'A job without detail should keep its stored fingerprint');
+    assert(Date.parse(jobs[0].last_changed_at) > Date.parse(jobs[0].first_seen_at), 'An update should move last_changed');
+
+    console.log('  ✓ 1 new, 1 updated, 2 unchanged');
+  }, results);
+
+  // Test 3: Missing jobs leave the window on a partial walk and are removed on an exhaustive walk or after their deadline
+  await runTest('Left window vs removed', async () => {
+    const index = await createBootstrappedIndex([createJob('job-1'), createJob('job-2'), createJob('job-3', { expires_at: PAST })]);
+
+    const partial = await index.update([createJob('job-1')], { complete: true, exhaustive: false });
+    assert(partial.leftWindow.join() === 'job-2', `job-2 should have left the window, got ${partial.leftWindow.join()}`);
+    assert(partial.removed.join() === 'job-3', 'job-3 is past its deadline and should be removed');
+
+    const again = await index.update([createJob('job-1')], { complete: true, exhaustive: false });
+    assert(again.leftWindow.length === 0 && again.removed.length === 0, 'Jobs should only be reported once');
+
+    const exhaustive = await index.update([createJob('job-1')], { complete: true, exhaustive: true });
+    assert(exhaustive.removed.join() === 'job-2', 'An exhaustive walk should remove job-2');
+
+    const back = [createJob('job-1'), createJob('job-2')];
+    const returned = await index.update(back, { complete: true, exhaustive: false });
+    assert(returned.updated.join() === 'job-2' && back[1].change_status === 'updated', 'A removed job coming back should be updated');
+
+    const stored = (await index.load()).jobs['job-2'];
+    assert(!stored.removed_at && !stored.left_window_at, 'A returning job should clear removed_at and left_window_at');
+
+    console.log('  ✓ leftWindow on a partial walk, removed on an exhaustive walk or deadline');
+  }, results);
+
+  // Test 4: A walk with a failed page never marks missing jobs
+  await runTest('Incomplete walk', async () => {
+    const index = await createBootstrappedIndex([createJob('job-1'), createJob('job-2'), createJob('job-3', { expires_at: PAST })]);
+
+    const changes = await index.update([createJob('job-1')], { complete: false, exhaustive: true });
+    assert(changes.removed.length === 0 && changes.leftWindow.length === 0, 'An incomplete walk should not remove jobs or report them as left');
+
+    const stored = (await index.load()).jobs;
+    assert(!stored['job-2'].removed_at && !stored['job-2'].left_window_at && !stored['job-3'].removed_at, 'Missing jobs should stay as they were');
+
+    console.log('  ✓ 2 missing jobs left untouched');
+  }, results);
+
+  // Test 5: getChanges puts each job in one bucket, newer than `since`
+  await runTest('Changes since', async () => {
+    const index = await createBootstrappedIndex([createJob('job-1'), createJob('job-2'), createJob('job-3')]);
+    const since = new Date(Date.now() - 1000).toISOString();
+
+    await index.update([
+      createJob('job-1', { title: 'Staff Gudang' }),
+      createJob('job-2'),
+      createJob('job-4')
+    ], { complete: true, exhaustive: false });
+
+    const changes = await index.getChanges(since);
+    const ids = bucket => changes[bucket].map(job => job.id).join();
+    assert(ids('new') === 'job-4' && ids('updated') === 'job-1' && ids('leftWindow') === 'job-3' && ids('removed') === '', 'Each change should be in its own bucket');
+    assert(changes.new[0].title === 'Lowongan job-4' && !('fingerprint' in changes.new[0]), 'Summaries should carry job info without the fingerprint');
+
+    const later = await index.getChanges(new Date(Date.now() + 1000));
+    assert(['new', 'updated', 'removed', 'leftWindow'].every(bucket => later[bucket].length === 0), 'Nothing should be newer than the future');
+
+    console.log('  ✓ new, updated and leftWindow since the bootstrap');
+  }, results);
+
+  // Test 6: Removed and left-window jobs are dropped after the retention period
+  await runTest('Retention pruning', async () => {
+    const index = new JobIndex(createMemoryKV());
+    const retentionMs = CONFIG.JOB_INDEX_RETENTION_DAYS * DAY_MS;
+    const now = Date.now();
+    const ago = ms => new Date(now - ms).toISOString();
+    const stored = {
+      jobs: {
+        current: { first_seen: ago(retentionMs * 2), removed_at: null, left_window_at: null },
+        'removed-old': { first_seen: ago(retentionMs * 2), removed_at: ago(retentionMs + DAY_MS), left_window_at: null },
+        'removed-recent': { first_seen: ago(retentionMs * 2), removed_at: ago(DAY_MS), left_window_at: null },
+        'left-old': { first_seen: ago(retentionMs * 2), removed_at: null, left_window_at: ago(retentionMs + DAY_MS) }
+      }
+    };
+
+    index.prune(stored, now);
+    assert(Object.keys(stored.jobs).join() === 'current,removed-recent', `Only old gone jobs should be pruned, kept ${Object.keys(stored.jobs).join()}`);
+
+    console.log(`  ✓ ${CONFIG.JOB_INDEX_RETENTION_DAYS}-day retention`);
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 JOB INDEX TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runJobIndexTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runJobIndexTests().catch(console.error);
+}
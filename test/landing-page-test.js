@@ -0,0 +1,309 @@
+/**
+ * Landing Page Testing Script
+ * Checks the feed builder dropdowns, escaping of job values, the empty-data notice
+ * and the feed URLs its script generates
+ */
+
+import worker from '../src/index.js';
+import { CacheManager } from '../src/modules/cache-manager.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FUTURE = new Date(Date.now() + 30 * DAY_MS).toISOString();
+const PAST = new Date(Date.now() - DAY_MS).toISOString();
+
+const SAMPLE_JOBS = [
+  { id: 'job-1', title: 'Staff Admin', city_name: 'Kota Bekasi', province_name: 'Jawa Barat', industry_name: 'Manufaktur', expires_at: FUTURE, detail: { requirements: { education_min: 'SMA' } } },
+  { id: 'job-2', title: 'Operator Produksi', city_name: 'Kota Bandung', province_name: 'Jawa Barat', industry_name: 'Manufaktur', expires_at: FUTURE, detail: { requirements: { education_min: 'S1' } } },
+  { id: 'job-3', title: 'Kasir', city_name: 'Kota Surabaya', province_name: 'Jawa Timur', industry_name: 'Retail', expires_at: FUTURE },
+  { id: 'job-4', title: 'Penyuluh Pertanian', city_name: 'Kota Malang', province_name: 'Jawa Timur', industry_name: 'Pertanian', expires_at: PAST }
+];
+
+/**
+ * In-memory stand-in for a KV namespace
+ * @returns {Object} - KV-like store
+ */
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      return value === undefined ? null : type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) { store.set(key, value); },
+    async delete(key) { store.delete(key); },
+    async list() { return { keys: [...store.keys()].map(name => ({ name })), list_complete: true }; }
+  };
+}
+
+/**
+ * Fetch the builder page with a cached job snapshot
+ * @param {Array|null} jobs - Cached jobs (null for an empty cache)
+ * @param {string} query - Page query string
+ * @returns {Promise<string>} - HTML page
+ */
+async function fetchBuilder(jobs, query = '') {
+  const kv = createMemoryKV();
+  if (jobs) {
+    await new CacheManager(kv).set('aggregated_jobs', jobs, 'aggregated_jobs');
+  }
+  const response = await worker.fetch(new Request(`https://example.com/builder${query}`), { RSS_CACHE: kv }, {});
+  return response.text();
+}
+
+/**
+ * Decode the entities escapeHTML produces
+ * @param {string} text - Escaped text
+ * @returns {string} - Plain text
+ */
+function decodeHTML(text) {
+  return text.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the options of a dropdown
+ * @param {string} html - HTML page
+ * @param {string} name - Select name
+ * @returns {Array<Object>} - {attributes, label}
+ */
+function getOptions(html, name) {
+  const select = html.match(new RegExp(`<select name="${name}">([\\s\\S]*?)</select>`))[1];
+  return [...select.matchAll(/<option ([^>]*)>([^<]*)<\/option>/g)].map(match => ({ attributes: match[1], label: match[2] }));
+}
+
+/**
+ * Run the builder script of a page against a minimal DOM
+ * Timers run on demand and fetch only records the preview URL
+ * @param {string} html - HTML page
+ * @returns {Object} - {baseUrl, elements, citySelect, update(values) => urls}
+ */
+function loadBuilder(html) {
+  const script = html.match(/<script>\n([\s\S]*?)\n {2}<\/script>/)[1];
+  const formTag = html.match(/<form id="feed-builder" ([^>]*)>/)[1];
+  const attribute = name => decodeHTML(formTag.match(new RegExp(`${name}="([^"]*)"`))[1]);
+
+  const createNode = () => ({ value: '', href: '', textContent: '', dataset: {}, addEventListener() {}, appendChild() {} });
+  const nodes = Object.fromEntries(['feed-url', 'feed-open', 'feed-copy', 'zapier-snippet', 'wordpress-snippet', 'preview-items', 'preview-status'].map(id => [id, createNode()]));
+
+  const cityOptions = [...html.matchAll(/<option value="([^"]*)" data-province="([^"]*)"/g)]
+    .map(match => ({ value: decodeHTML(match[1]), dataset: { province: decodeHTML(match[2]) }, hidden: false }));
+  const citySelect = {
+    value: '',
+    options: cityOptions,
+    get selectedOptions() { return cityOptions.filter(option => option.value === this.value); }
+  };
+  const elements = { province: { value: '' }, city: citySelect, industry: { value: '' }, education: { value: '' }, q: { value: '' }, format: { value: 'rss' } };
+
+  const listeners = {};
+  nodes['feed-builder'] = {
+    dataset: {
+      baseUrl: attribute('data-base-url'),
+      previewLimit: attribute('data-preview-limit'),
+      filters: attribute('data-filters'),
+      messages: attribute('data-messages')
+    },
+    elements,
+    addEventListener(type, listener) { listeners[type] = listener; }
+  };
+
+  const timers = [];
+  const previews = [];
+  const document = { getElementById: id => nodes[id], createElement: createNode };
+  const fetch = url => {
+    previews.push(url);
+    return new Promise(() => {});
+  };
+  new Function('document', 'navigator', 'fetch', 'setTimeout', 'clearTimeout', script)(
+    document, {}, fetch, callback => timers.push(callback), () => {}
+  );
+
+  const read = () => {
+    timers.splice(0).forEach(callback => callback());
+    return {
+      feed: nodes['feed-url'].value,
+      open: nodes['feed-open'].href,
+      zapier: nodes['zapier-snippet'].textContent,
+      wordpress: nodes['wordpress-snippet'].textContent,
+      preview: previews[previews.length - 1]
+    };
+  };
+
+  return {
+    baseUrl: attribute('data-base-url'),
+    citySelect,
+    initial: read(),
+    update(values) {
+      Object.entries(values).forEach(([name, value]) => { elements[name].value = value; });
+      listeners.change();
+      return read();
+    }
+  };
+}
+
+/**
+ * Run landing page tests
+ */
+async function runLandingPageTests() {
+  console.log('🧪 Starting Landing Page Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: Dropdowns list the values of open cached jobs with counts, most common first
+  await runTest('Dropdown values', async () => {
+    const html = await fetchBuilder(SAMPLE_JOBS, '?city=KOTA%20BANDUNG');
+
+    const provinces = getOptions(html, 'province').map(option => option.label);
+    assert(provinces.join('|') === 'Semua|Jawa Barat (2)|Jawa Timur (1)', `Unexpected provinces: ${provinces.join('|')}`);
+    assert(getOptions(html, 'industry').map(option => option.label).join('|') === 'Semua|Manufaktur (2)|Retail (1)', 'Industries should come from open jobs only');
+    assert(getOptions(html, 'education').length === 3, 'Jobs without an education requirement should be skipped');
+    assert(!html.includes('Kota Malang') && !html.includes('Pertanian'), 'Expired jobs should not add options');
+
+    const cities = getOptions(html, 'city');
+    assert(cities.some(option => option.attributes === 'value="Kota Bekasi" data-province="jawa barat"'), 'Cities should carry their normalized province');
+    assert(cities.find(option => option.label.startsWith('Kota Bandung')).attributes.endsWith(' selected'), '?city= should preselect its city regardless of case');
+
+    console.log(`  ✓ ${provinces.length - 1} provinces, ${cities.length - 1} cities`);
+  }, results);
+
+  // Test 2: Job values and the page query never become markup
+  await runTest('Escaping', async () => {
+    const html = await fetchBuilder([{
+      id: 'job-x',
+      title: 'Staff',
+      city_name: 'Kota "Bekasi" <b>',
+      province_name: "Jawa 'Barat'",
+      industry_name: 'R&D <script>alert(1)</script>',
+      expires_at: FUTURE
+    }], '?q=%22%3E%3Cimg%20src%3Dx%3E');
+
+    assert(!html.includes('<script>alert') && !html.includes('<img src=x>') && !html.includes('<b>'), 'Raw markup should never reach the page');
+    assert(html.includes('<option value="R&amp;D &lt;script&gt;alert(1)&lt;/script&gt;">R&amp;D &lt;script&gt;alert(1)&lt;/script&gt; (1)</option>'), 'Industry values should be escaped in attributes and text');
+    assert(html.includes('value="Kota &quot;Bekasi&quot; &lt;b&gt;" data-province="jawa &#39;barat&#39;"'), 'City values and provinces should be escaped');
+    assert(html.includes('name="q" value="&quot;&gt;&lt;img src=x&gt;"'), 'The keyword should be escaped');
+
+    const builder = loadBuilder(html);
+    assert(builder.citySelect.options[0].value === 'Kota "Bekasi" <b>', 'Escaped values should decode to the original value');
+
+    console.log('  ✓ Options, data-province and keyword');
+  }, results);
+
+  // Test 3: Without cached jobs the page explains why the filters are empty
+  await runTest('Empty-data notice', async () => {
+    for (const jobs of [null, [], [SAMPLE_JOBS[3]]]) {
+      const html = await fetchBuilder(jobs);
+      assert(html.includes('<p class="builder-notice">Data lowongan sedang diperbarui'), 'The notice should be shown without open jobs');
+      assert(['province', 'city', 'industry', 'education'].every(name => getOptions(html, name).length === 1), 'Dropdowns should only offer "Semua"');
+    }
+
+    const html = await fetchBuilder(SAMPLE_JOBS);
+    assert(!html.includes('builder-notice'), 'The notice should disappear once jobs are cached');
+
+    console.log('  ✓ Missing cache, empty snapshot and only expired jobs');
+  }, results);
+
+  // Test 4: The builder script turns the form into feed, snippet and preview URLs
+  await runTest('Generated feed URLs', async () => {
+    const builder = loadBuilder(await fetchBuilder(SAMPLE_JOBS));
+    const base = builder.baseUrl;
+
+    assert(builder.initial.feed === `${base}/rss` && builder.initial.preview === `${base}/json`, 'An empty form should point at the main feed');
+
+    let urls = builder.update({ province: 'Jawa Barat', city: 'Kota Bekasi' });
+    assert(urls.feed === `${base}/rss?province=Jawa+Barat&city=Kota+Bekasi` && urls.open === urls.feed, `Unexpected RSS URL: ${urls.feed}`);
+    assert(urls.wordpress.includes(`Feed URL: ${urls.feed}\n`) && urls.zapier.includes(`Feed URL: ${urls.feed}\n`), 'Snippets should use the feed URL');
+    assert(urls.preview === `${base}/json?province=Jawa+Barat&city=Kota+Bekasi`, 'The preview should read the JSON feed');
+
+    urls = builder.update({ format: 'json' });
+    assert(urls.feed === `${base}/json?province=Jawa+Barat&city=Kota+Bekasi`, `Unexpected JSON URL: ${urls.feed}`);
+    assert(urls.zapier.includes('Retrieve Poll') && urls.zapier.includes('Key: items'), 'JSON feeds should get the Zapier polling snippet');
+    assert(urls.wordpress.includes(`${base}/rss?province=Jawa+Barat&city=Kota+Bekasi`), 'WordPress should always import RSS');
+
+    urls = builder.update({ q: ' operator ' });
+    assert(urls.feed === `${base}/search?q=operator&province=Jawa+Barat&city=Kota+Bekasi`, `Unexpected search URL: ${urls.feed}`);
+    assert(urls.wordpress.includes(`${base}/search?q=operator&format=rss&province=Jawa+Barat`), 'Keyword RSS should use the search feed');
+    assert(urls.zapier.includes('Key: results') && urls.preview === `${base}/search?q=operator&limit=10&province=Jawa+Barat&city=Kota+Bekasi`, 'Keyword previews should use search results');
+
+    urls = builder.update({ q: '', format: 'rss', province: 'Jawa Timur' });
+    assert(builder.citySelect.value === '' && urls.feed === `${base}/rss?province=Jawa+Timur`, 'A city outside the province should be cleared');
+    assert(builder.citySelect.options.filter(option => !option.hidden).map(option => option.value).join() === 'Kota Surabaya', 'Only cities of the province should stay visible');
+
+    console.log(`  ✓ ${urls.feed}`);
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 LANDING PAGE TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runLandingPageTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runLandingPageTests().catch(console.error);
+}
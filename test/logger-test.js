@@ -0,0 +1,166 @@
+/**
+ * Logger Testing Script
+ * Checks JSON log lines, LOG_LEVEL filtering and request id correlation
+ */
+
+import { createLogger, runWithLogContext, getRequestId, normalizeLogLevel } from '../src/utils/logger.js';
+
+/**
+ * Run logger tests
+ */
+async function runLoggerTests() {
+  console.log('🧪 Starting Logger Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: Each message is one JSON line with level and module
+  await runTest('JSON log lines', async () => {
+    const lines = await captureLogs(() => runWithLogContext({ requestId: 'req-1', level: 'debug' }, () => {
+      createLogger('test').info('Feed generated', { jobCount: 3, error: new Error('boom'), level: 'error' });
+    }));
+
+    assert(lines.length === 1, `Expected 1 line, got ${lines.length}`);
+    const entry = JSON.parse(lines[0]);
+    assert(entry.level === 'info' && entry.module === 'test' && entry.message === 'Feed generated', 'Core fields should be set');
+    assert(entry.jobCount === 3, 'Data fields should be included');
+    assert(entry.error.message === 'boom' && entry.error.stack, 'Errors should keep message and stack');
+    assert(typeof entry.elapsed_ms === 'number' && entry.timestamp, 'Timing fields should be set');
+
+    console.log('  ✓ Line fields verified');
+  }, results);
+
+  // Test 2: Messages below the configured level are dropped
+  await runTest('Level filtering', async () => {
+    const logger = createLogger('test');
+    const lines = await captureLogs(() => runWithLogContext({ level: 'warn' }, () => {
+      logger.debug('debug');
+      logger.info('info');
+      logger.warn('warn');
+      logger.error('error');
+    }));
+
+    const levels = lines.map(line => JSON.parse(line).level);
+    assert(levels.join() === 'warn,error', `Expected warn,error, got ${levels.join()}`);
+    assert(normalizeLogLevel('DEBUG') === 'debug' && normalizeLogLevel('verbose') === 'info', 'Unknown levels should fall back to info');
+
+    console.log('  ✓ LOG_LEVEL=warn keeps 2 of 4 messages');
+  }, results);
+
+  // Test 3: Lines written by async work carry the request id of their own request
+  await runTest('Request correlation', async () => {
+    const logger = createLogger('test');
+    const handle = request => runWithLogContext({ requestId: getRequestId(request), level: 'info' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      logger.info('Request completed', { path: new URL(request.url).pathname });
+    });
+
+    const lines = await captureLogs(() => Promise.all([
+      handle(new Request('https://example.com/rss', { headers: { 'cf-ray': '8a1b2c3d4e5f-SIN' } })),
+      handle(new Request('https://example.com/json'))
+    ]));
+
+    const entries = lines.map(line => JSON.parse(line));
+    const rss = entries.find(entry => entry.path === '/rss');
+    const json = entries.find(entry => entry.path === '/json');
+    assert(rss.request_id === '8a1b2c3d4e5f-SIN', 'cf-ray should be used as the request id');
+    assert(json.request_id && json.request_id !== rss.request_id, 'Requests without cf-ray should get their own id');
+
+    console.log('  ✓ Concurrent requests keep separate ids');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Collect the lines written to the console while a callback runs
+ * @param {Function} callback - Code that logs
+ * @returns {Promise<Array>} - Logged lines
+ */
+async function captureLogs(callback) {
+  const lines = [];
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = line => lines.push(line);
+
+  try {
+    await callback();
+  } finally {
+    Object.assign(console, original);
+  }
+
+  return lines;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 LOGGER TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runLoggerTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runLoggerTests().catch(console.error);
+}
@@ -0,0 +1,339 @@
+/**
+ * OG Image Testing Script
+ * Checks that share cards escape job fields, wrap long titles, serve a script-free SVG
+ * and render the PNG card that job pages use as og:image
+ */
+
+import { inflateSync } from 'node:zlib';
+import worker from '../src/index.js';
+import { CacheManager } from '../src/modules/cache-manager.js';
+import {
+  OGImageGenerator,
+  buildOGImageUrl,
+  estimateTextWidth,
+  wrapText,
+  OG_IMAGE_WIDTH,
+  OG_IMAGE_HEIGHT
+} from '../src/modules/og-image-generator.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-01-15T00:00:00Z');
+
+const HOSTILE_JOB = {
+  id: 'job-xss',
+  title: '</text><script>alert("x")</script> Staff Admin & Gudang',
+  company_name: 'PT "Maju" & <Sejahtera>',
+  city_name: "Kota Bekasi'><foreignObject>",
+  province_name: 'Jawa Barat',
+  salary_range: 'Rp4,5–6 juta/bulan',
+  expires_at: '2025-01-18T00:00:00Z'
+};
+
+/**
+ * Check that an XML document is well-formed
+ * Covers what the generators can get wrong: unbalanced or misnested tags,
+ * unquoted attributes and bare ampersands
+ * @param {string} xml - XML document
+ * @returns {Array<string>} - Errors (empty when well-formed)
+ */
+function checkWellFormed(xml) {
+  const errors = [];
+  const body = xml
+    .replace(/^<\?xml[^?]*\?>/, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  const stack = [];
+  const tagPattern = /<(\/?)([A-Za-z_][\w:.-]*)([^>]*?)(\/?)>/g;
+  let match;
+  let roots = 0;
+
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, closing, name, attributes, selfClosing] = match;
+
+    if (closing) {
+      const open = stack.pop();
+      if (open !== name) {
+        errors.push(`Closing </${name}> does not match <${open}>`);
+      }
+      continue;
+    }
+
+    if (stack.length === 0) {
+      roots++;
+    }
+
+    const unquoted = attributes.replace(/\s[\w:.-]+="[^"]*"/g, '').trim();
+    if (unquoted) {
+      errors.push(`Malformed attributes on <${name}>: ${unquoted}`);
+    }
+
+    if (!selfClosing) {
+      stack.push(name);
+    }
+  }
+
+  if (stack.length > 0) {
+    errors.push(`Unclosed elements: ${stack.join(', ')}`);
+  }
+
+  if (roots !== 1) {
+    errors.push(`Expected one root element, found ${roots}`);
+  }
+
+  const text = body.replace(/<[^>]*>/g, '');
+  if (/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/.test(text) || /[<>]/.test(text.replace(/&[^;]+;/g, ''))) {
+    errors.push('Unescaped & or < in text content');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the text of every element with a tag name
+ * @param {string} xml - XML document
+ * @param {string} name - Tag name
+ * @returns {Array<string>} - Element contents
+ */
+function getElements(xml, name) {
+  return [...xml.matchAll(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g'))].map(match => match[1]);
+}
+
+/**
+ * Decode an 8-bit RGB PNG as written by the card renderer (one IDAT, None/Sub filters)
+ * @param {Uint8Array} png - PNG file
+ * @returns {Object} - {width, height, colorType, pixel(x, y) => '#rrggbb'}
+ */
+function decodePNG(png) {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const width = view.getUint32(16);
+  const height = view.getUint32(20);
+  const colorType = png[25];
+  const idatLength = view.getUint32(33);
+  const raw = inflateSync(png.subarray(41, 41 + idatLength));
+
+  const stride = width * 3;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let x = 0; x < stride; x++) {
+      const value = raw[y * (stride + 1) + 1 + x];
+      pixels[y * stride + x] = filter === 1 && x >= 3 ? (value + pixels[y * stride + x - 3]) & 0xff : value;
+    }
+  }
+
+  const pixel = (x, y) => `#${Array.from(pixels.subarray((y * width + x) * 3, (y * width + x) * 3 + 3), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+  return { width, height, colorType, pixel };
+}
+
+/**
+ * In-memory stand-in for a KV namespace
+ * @returns {Object} - KV-like store
+ */
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      return value === undefined ? null : type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) { store.set(key, value); },
+    async delete(key) { store.delete(key); },
+    async list() { return { keys: [...store.keys()].map(name => ({ name })), list_complete: true }; }
+  };
+}
+
+/**
+ * Run OG image tests
+ */
+async function runOGImageTests() {
+  console.log('🧪 Starting OG Image Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  const generator = new OGImageGenerator({ RSS_TITLE: 'Loker "Terbaru" & <Resmi>' });
+
+  // Test 1: Markup in job fields and the feed title never escapes the text nodes
+  await runTest('SVG escaping', async () => {
+    const svg = generator.generateSVG(HOSTILE_JOB, NOW);
+    const errors = checkWellFormed(svg);
+    assert(errors.length === 0, errors.join('; '));
+
+    assert(!svg.includes('<script') && !svg.includes('<foreignObject') && !svg.includes('<Sejahtera>'), 'Job fields should never appear as markup');
+    assert(svg.includes('PT &quot;Maju&quot; &amp; &lt;Sejahtera&gt;'), 'Company names should be escaped');
+    assert(svg.includes('Kota Bekasi&apos;&gt;&lt;foreignObject&gt;'), 'Cities should be escaped');
+    assert(svg.includes('Loker &quot;Terbaru&quot; &amp; &lt;Resmi&gt;'), 'The feed title should be escaped');
+    assert(/aria-label="[^"<>]*"/.test(svg), 'The aria-label attribute should stay quoted');
+
+    const sparse = checkWellFormed(generator.generateSVG({ id: 'job-empty' }, NOW));
+    assert(sparse.length === 0, `A job without fields should render: ${sparse.join('; ')}`);
+
+    console.log(`  ✓ ${svg.length} characters, no markup errors`);
+  }, results);
+
+  // Test 2: Long titles wrap, shrink and finally get an ellipsis
+  await runTest('Title wrapping', async () => {
+    assert(estimateTextWidth('mmm', 10) > estimateTextWidth('iii', 10), 'Wide glyphs should be estimated wider');
+
+    const short = wrapText('Staff Admin', 1000, 64, 2);
+    assert(short.lines.length === 1 && !short.truncated, 'Short titles should fit on one line');
+
+    const compound = wrapText('Pengadministrasiankeuangandanperpajakanperusahaan', 400, 48, 3);
+    assert(compound.lines.length > 1 && compound.lines[0].endsWith('-'), 'Words wider than a line should be hyphenated');
+    assert(compound.lines.every(line => estimateTextWidth(line, 48) <= 400), 'Every line should fit the width');
+
+    const long = wrapText(Array(40).fill('Operator').join(' '), 600, 48, 3);
+    assert(long.truncated && long.lines.length === 3 && long.lines[2].endsWith('…'), 'Overflowing titles should be cut with an ellipsis');
+
+    const svg = generator.generateSVG({ ...HOSTILE_JOB, title: Array(30).fill('Supervisor Produksi').join(' ') }, NOW);
+    assert((svg.match(/<tspan /g) || []).length === 3 && svg.includes('font-size="48"'), 'Very long titles should use the smallest size on 3 lines');
+
+    console.log('  ✓ Fit, hyphenate and ellipsize');
+  }, results);
+
+  // Test 3: Deadline badges and the card size
+  await runTest('Deadline badge', async () => {
+    assert(generator.getDeadlineBadge({}, NOW) === null, 'Jobs without a deadline should get no badge');
+    assert(generator.getDeadlineBadge({ expires_at: '2025-01-14T00:00:00Z' }, NOW).text === 'Lowongan Ditutup', 'Past deadlines should be marked closed');
+    assert(generator.getDeadlineBadge({ expires_at: new Date(NOW + 3 * DAY_MS).toISOString() }, NOW).text === 'Sisa 3 Hari', 'Near deadlines should count down');
+    assert(generator.getDeadlineBadge({ expires_at: new Date(NOW + 30 * DAY_MS).toISOString() }, NOW).text.startsWith('Deadline '), 'Far deadlines should show the date');
+
+    const svg = generator.generateSVG(HOSTILE_JOB, NOW);
+    assert(svg.includes(`width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}"`), 'The card should be 1200x630');
+    assert(svg.includes('Sisa 3 Hari'), 'The badge should be drawn on the card');
+
+    console.log('  ✓ Closed, countdown and date badges');
+  }, results);
+
+  // Test 4: /og/:id.svg serves the card without scripts and rejects odd IDs
+  await runTest('OG image route', async () => {
+    const kv = createMemoryKV();
+    await new CacheManager(kv).set('aggregated_jobs', [HOSTILE_JOB], 'aggregated_jobs');
+    const env = { RSS_CACHE: kv };
+
+    assert(buildOGImageUrl('job-xss', 'https://loker.example.com/rss') === 'https://loker.example.com/og/job-xss.svg', 'Card URLs should use the worker origin');
+
+    const response = await worker.fetch(new Request('https://example.com/og/job-xss.svg'), env, {});
+    const svg = await response.text();
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assert(response.headers.get('Content-Type').startsWith('image/svg+xml'), 'Cards should be served as SVG');
+    assert(response.headers.get('Content-Security-Policy').includes("default-src 'none'"), 'Cards should be served with a CSP that blocks scripts');
+    assert(!svg.includes('<script'), 'The served card should be escaped');
+
+    const invalid = await worker.fetch(new Request('https://example.com/og/%3Cscript%3E.svg'), env, {});
+    assert(invalid.status === 404, `IDs with markup should be rejected, got ${invalid.status}`);
+
+    console.log('  ✓ SVG with CSP, invalid IDs rejected');
+  }, results);
+
+  // Test 5: Job pages share a PNG card, rendered once and then served from KV
+  await runTest('PNG share card', async () => {
+    const png = await generator.generatePNG(HOSTILE_JOB, NOW);
+    const image = decodePNG(png);
+    assert(Array.from(png.subarray(0, 8)).join() === '137,80,78,71,13,10,26,10', 'Cards should start with the PNG signature');
+    assert(image.width === OG_IMAGE_WIDTH && image.height === OG_IMAGE_HEIGHT && image.colorType === 2, `Expected a ${OG_IMAGE_WIDTH}x${OG_IMAGE_HEIGHT} RGB image`);
+    assert(image.pixel(4, 300) === '#facc15' && image.pixel(84, 520) === '#facc15', 'The accent bar and salary pill should be drawn');
+    assert(image.pixel(1190, 620) !== image.pixel(20, 10), 'The background should be a gradient');
+    assert(Buffer.from(await generator.generatePNG(HOSTILE_JOB, NOW)).equals(Buffer.from(png)), 'Rendering should be deterministic');
+
+    // Still open, so the job page renders instead of answering 410
+    const kv = createMemoryKV();
+    await new CacheManager(kv).set('aggregated_jobs', [{ ...HOSTILE_JOB, expires_at: new Date(Date.now() + 30 * DAY_MS).toISOString() }], 'aggregated_jobs');
+    const env = { RSS_CACHE: kv };
+
+    const response = await worker.fetch(new Request('https://example.com/og/job-xss.png'), env, {});
+    const served = new Uint8Array(await response.arrayBuffer());
+    assert(response.status === 200 && response.headers.get('Content-Type') === 'image/png', 'The PNG route should serve image/png');
+    assert(decodePNG(served).width === OG_IMAGE_WIDTH, 'The served card should be a full-size PNG');
+
+    const cachedKeys = [...kv.store.keys()].filter(key => key.includes('og_image:job-xss_'));
+    assert(cachedKeys.length === 1, `The rendered card should be cached once, got ${cachedKeys.length}`);
+    const again = new Uint8Array(await (await worker.fetch(new Request('https://example.com/og/job-xss.png'), env, {})).arrayBuffer());
+    assert(Buffer.from(again).equals(Buffer.from(served)), 'The cached card should be served as is');
+
+    const html = await (await worker.fetch(new Request('https://example.com/lowongan/job-xss'), env, {})).text();
+    assert(/<meta property="og:image" content="[^"]*\/og\/job-xss\.png">/.test(html), 'og:image should point at the PNG card');
+    assert(/<meta name="twitter:image" content="[^"]*\/og\/job-xss\.png">/.test(html), 'twitter:image should point at the PNG card');
+    assert(html.includes('<meta property="og:image:type" content="image/png">') && !html.includes('.svg'), 'Job pages should not share the SVG card');
+
+    console.log(`  ✓ ${png.length} bytes, cached as ${cachedKeys[0]}`);
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 OG IMAGE TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runOGImageTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runOGImageTests().catch(console.error);
+}
@@ -0,0 +1,237 @@
+/**
+ * OPML Testing Script
+ * Checks that the OPML export is well-formed and links one filtered feed per group value
+ */
+
+import { CONFIG } from '../src/config/environment.js';
+import { OPMLGenerator } from '../src/modules/opml-generator.js';
+import { applyJobFilters, parseJobFilters } from '../src/utils/job-filter.js';
+
+const TEST_CONFIG = { ...CONFIG, BASE_URL: 'https://loker.example.com', RSS_TITLE: 'Loker "Indonesia" & Sekitarnya' };
+
+const SAMPLE_JOBS = [
+  { id: 'job-1', province_name: 'Jawa Barat', industry_name: 'Manufaktur', detail: { requirements: { education_min: 'SMA/SMK' } } },
+  { id: 'job-2', province_name: 'JAWA BARAT', industry_name: 'Makanan & Minuman', detail: { requirements: { education_min: 'S1' } } },
+  { id: 'job-3', province_name: 'Jawa Timur', industry_name: 'Manufaktur' }
+];
+
+/**
+ * Check that an XML document is well-formed
+ * Covers what the generators can get wrong: unbalanced or misnested tags,
+ * unquoted attributes and bare ampersands
+ * @param {string} xml - XML document
+ * @returns {Array<string>} - Errors (empty when well-formed)
+ */
+function checkWellFormed(xml) {
+  const errors = [];
+  const body = xml
+    .replace(/^<\?xml[^?]*\?>/, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  const stack = [];
+  const tagPattern = /<(\/?)([A-Za-z_][\w:.-]*)([^>]*?)(\/?)>/g;
+  let match;
+  let roots = 0;
+
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, closing, name, attributes, selfClosing] = match;
+
+    if (closing) {
+      const open = stack.pop();
+      if (open !== name) {
+        errors.push(`Closing </${name}> does not match <${open}>`);
+      }
+      continue;
+    }
+
+    if (stack.length === 0) {
+      roots++;
+    }
+
+    const unquoted = attributes.replace(/\s[\w:.-]+="[^"]*"/g, '').trim();
+    if (unquoted) {
+      errors.push(`Malformed attributes on <${name}>: ${unquoted}`);
+    }
+
+    if (!selfClosing) {
+      stack.push(name);
+    }
+  }
+
+  if (stack.length > 0) {
+    errors.push(`Unclosed elements: ${stack.join(', ')}`);
+  }
+
+  if (roots !== 1) {
+    errors.push(`Expected one root element, found ${roots}`);
+  }
+
+  const text = body.replace(/<[^>]*>/g, '');
+  if (/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/.test(text) || /[<>]/.test(text.replace(/&[^;]+;/g, ''))) {
+    errors.push('Unescaped & or < in text content');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the text of every element with a tag name
+ * @param {string} xml - XML document
+ * @param {string} name - Tag name
+ * @returns {Array<string>} - Element contents
+ */
+function getElements(xml, name) {
+  return [...xml.matchAll(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g'))].map(match => match[1]);
+}
+
+/**
+ * Get the attributes of every feed outline (outlines with an xmlUrl)
+ * @param {string} xml - OPML document
+ * @returns {Array<Object>} - [{text, xmlUrl}] with XML entities decoded
+ */
+function getFeedOutlines(xml) {
+  const decode = value => value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+
+  return [...xml.matchAll(/<outline type="rss" text="([^"]*)" title="[^"]*" xmlUrl="([^"]*)"/g)]
+    .map(([, text, xmlUrl]) => ({ text: decode(text), xmlUrl: decode(xmlUrl) }));
+}
+
+/**
+ * Run OPML tests
+ */
+async function runOPMLTests() {
+  console.log('🧪 Starting OPML Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  const generator = new OPMLGenerator(TEST_CONFIG);
+
+  // Test 1: The document is well-formed OPML 2.0 even with markup characters in titles and values
+  await runTest('Well-formed OPML', async () => {
+    const opml = generator.generateOPML(SAMPLE_JOBS);
+    const errors = checkWellFormed(opml);
+    assert(errors.length === 0, errors.join('; '));
+    assert(opml.includes('<opml version="2.0">') && getElements(opml, 'head').length === 1 && getElements(opml, 'body').length === 1, 'Document should have an OPML 2.0 head and body');
+    assert(getElements(opml, 'title')[0] === 'Loker &quot;Indonesia&quot; &amp; Sekitarnya', 'Title should be escaped');
+    assert(!isNaN(Date.parse(getElements(opml, 'dateCreated')[0])), 'dateCreated should be an RFC 822 date');
+
+    console.log(`  ✓ ${opml.length} characters, no markup errors`);
+  }, results);
+
+  // Test 2: One feed per distinct value, grouped by filter
+  await runTest('Grouped feeds', async () => {
+    const feeds = getFeedOutlines(generator.generateOPML(SAMPLE_JOBS));
+
+    assert(feeds[0].xmlUrl === 'https://loker.example.com/rss', 'The first outline should be the unfiltered feed');
+    assert(feeds.length === 1 + 2 + 2 + 2, `Expected 7 feeds (all + 2 provinces + 2 industries + 2 education levels), got ${feeds.length}`);
+
+    const jabar = feeds.find(feed => feed.xmlUrl.endsWith('province=Jawa%20Barat'));
+    assert(jabar && jabar.text === 'Provinsi: Jawa Barat (2)', 'Case variants should be grouped under the first spelling with their count');
+
+    const food = feeds.find(feed => feed.text.startsWith('Industri: Makanan & Minuman'));
+    assert(food.xmlUrl === 'https://loker.example.com/rss?industry=Makanan%20%26%20Minuman', `Values should be URL-encoded, got ${food.xmlUrl}`);
+
+    for (const feed of feeds.slice(1)) {
+      const url = new URL(feed.xmlUrl);
+      const matching = applyJobFilters(SAMPLE_JOBS, parseJobFilters(url.searchParams));
+      const count = Number(feed.text.match(/\((\d+)\)$/)[1]);
+      assert(matching.length === count, `${feed.text} should select ${count} jobs, selects ${matching.length}`);
+    }
+
+    console.log(`  ✓ ${feeds.length} feeds, each selecting the counted jobs`);
+  }, results);
+
+  // Test 3: Groups, format and base filters narrow the document
+  await runTest('Groups, format and filters', async () => {
+    const filters = parseJobFilters(new URLSearchParams('province=Jawa Barat'));
+    const jobs = applyJobFilters(SAMPLE_JOBS, filters);
+    const opml = generator.generateOPML(jobs, { groups: ['industry'], format: 'atom', filters });
+    const feeds = getFeedOutlines(opml);
+
+    assert(checkWellFormed(opml).length === 0, 'Narrowed document should be well-formed');
+    assert(feeds.length === 3, `Expected all + 2 industries, got ${feeds.length}`);
+    assert(feeds.every(feed => feed.xmlUrl.startsWith('https://loker.example.com/atom?')), 'Feeds should use the requested format');
+    assert(feeds.every(feed => feed.xmlUrl.includes('province=jawa%20barat')), 'Every feed should keep the base filters');
+    assert(!opml.includes('Provinsi: ') && !opml.includes('Pendidikan'), 'Only the requested groups should be listed');
+
+    console.log('  ✓ Industry group of Jawa Barat as Atom feeds');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 OPML TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runOPMLTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runOPMLTests().catch(console.error);
+}
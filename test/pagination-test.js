@@ -0,0 +1,202 @@
+/**
+ * Pagination Testing Script
+ * Checks that listing pages are walked until the last page, deduplicated and kept on errors
+ */
+
+import { APIFetcher } from '../src/modules/api-fetcher.js';
+
+/**
+ * Build a listing page
+ * @param {Array<string>} ids - Job IDs on the page
+ * @param {Object} extra - Extra response fields (meta, links)
+ * @returns {Object} - API response
+ */
+function createPage(ids, extra = {}) {
+  return { data: ids.map(id => ({ id, title: `Lowongan ${id}` })), ...extra };
+}
+
+/**
+ * Create a fetcher whose listing pages come from a list instead of the API
+ * @param {Array<Object|Error>} pages - Responses (or errors to throw) for page 1, 2, ...
+ * @returns {APIFetcher} - Fetcher recording the requested pages in `requested`
+ */
+function createPagedFetcher(pages) {
+  const fetcher = new APIFetcher();
+  fetcher.requested = [];
+  fetcher.sleep = async () => {};
+  fetcher.fetchJobListings = async (page, perPage) => {
+    fetcher.requested.push({ page, perPage });
+    const response = pages[page - 1] ?? createPage([]);
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  };
+  return fetcher;
+}
+
+/**
+ * Run pagination tests
+ */
+async function runPaginationTests() {
+  console.log('🧪 Starting Pagination Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: Last page detection from page size, meta and links
+  await runTest('isLastPage', async () => {
+    const fetcher = new APIFetcher();
+
+    assert(fetcher.isLastPage(createPage(['a']), 1, 2), 'A short page should be the last page');
+    assert(fetcher.isLastPage(createPage([]), 1, 2), 'An empty page should be the last page');
+    assert(fetcher.isLastPage({ ...createPage(['a', 'b']), meta: { last_page: 3 } }, 3, 2), 'meta.last_page should be respected');
+    assert(!fetcher.isLastPage({ ...createPage(['a', 'b']), meta: { last_page: 3 } }, 2, 2), 'Pages before meta.last_page should not be last');
+    assert(fetcher.isLastPage({ ...createPage(['a', 'b']), meta: { pagination: { total_pages: 1 } } }, 1, 2), 'meta.pagination.total_pages should be respected');
+    assert(fetcher.isLastPage({ ...createPage(['a', 'b']), links: { next: null } }, 1, 2), 'A null links.next should be the last page');
+    assert(!fetcher.isLastPage({ ...createPage(['a', 'b']), links: { next: '?page=2' } }, 1, 2), 'A links.next URL should not be the last page');
+    assert(!fetcher.isLastPage(createPage(['a', 'b']), 1, 2), 'A full page without metadata should not be last');
+
+    console.log('  ✓ Page size, meta.last_page, total_pages and links.next');
+  }, results);
+
+  // Test 2: The walk stops at the last page and reports an exhausted listing
+  await runTest('Stop at the last page', async () => {
+    const fetcher = createPagedFetcher([
+      createPage(['a', 'b'], { meta: { last_page: 2 } }),
+      createPage(['c', 'd'], { meta: { last_page: 2 } }),
+      createPage(['e', 'f'])
+    ]);
+
+    const jobs = await fetcher.fetchMultiplePages(5, 2);
+    assert(jobs.map(job => job.id).join() === 'a,b,c,d', `Expected a,b,c,d, got ${jobs.map(job => job.id).join()}`);
+    assert(fetcher.requested.length === 2, `Expected 2 page requests, got ${fetcher.requested.length}`);
+    assert(fetcher.lastPagination.complete && fetcher.lastPagination.exhausted, 'The walk should be complete and exhausted');
+
+    console.log('  ✓ 2 of 5 pages fetched');
+  }, results);
+
+  // Test 3: maxItems stops the walk early without claiming the listing was exhausted
+  await runTest('Stop at maxItems', async () => {
+    const fetcher = createPagedFetcher([
+      createPage(['a', 'b']),
+      createPage(['c', 'd']),
+      createPage(['e', 'f'])
+    ]);
+
+    const jobs = await fetcher.fetchMultiplePages(5, 2, 3);
+    assert(jobs.length === 3 && fetcher.requested.length === 2, 'The walk should stop once 3 jobs are collected');
+    assert(fetcher.lastPagination.complete && !fetcher.lastPagination.exhausted, 'A capped walk should not be exhausted');
+
+    console.log('  ✓ 3 jobs from 2 pages');
+  }, results);
+
+  // Test 4: Jobs shifted onto the next page are only returned once
+  await runTest('Deduplicate shifted results', async () => {
+    const fetcher = createPagedFetcher([
+      createPage(['a', 'b', 'c']),
+      createPage(['c', 'd', 'e']),
+      createPage(['e', 'f'])
+    ]);
+
+    const jobs = await fetcher.fetchMultiplePages(5, 3);
+    const ids = jobs.map(job => job.id);
+    assert(ids.join() === 'a,b,c,d,e,f', `Expected a..f once each, got ${ids.join()}`);
+    assert(fetcher.lastPagination.duplicates === 2, `Expected 2 duplicates, got ${fetcher.lastPagination.duplicates}`);
+
+    console.log('  ✓ 2 duplicates skipped');
+  }, results);
+
+  // Test 5: A failing page keeps the pages already collected and marks the walk incomplete
+  await runTest('Keep pages before a failure', async () => {
+    const fetcher = createPagedFetcher([
+      createPage(['a', 'b']),
+      new Error('HTTP 502: Bad Gateway'),
+      createPage(['e', 'f'])
+    ]);
+
+    const jobs = await fetcher.fetchMultiplePages(5, 2);
+    assert(jobs.map(job => job.id).join() === 'a,b', 'Jobs from page 1 should be kept');
+    assert(fetcher.requested.length === 2, 'The walk should stop at the failing page');
+    assert(!fetcher.lastPagination.complete && fetcher.lastPagination.error.includes('502'), 'The walk should be marked incomplete');
+    assert(!fetcher.lastPagination.exhausted, 'An incomplete walk should not be exhausted');
+
+    console.log('  ✓ Page 1 kept, page 2 error recorded');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 PAGINATION TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runPaginationTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runPaginationTests().catch(console.error);
+}
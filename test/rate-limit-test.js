@@ -0,0 +1,258 @@
+/**
+ * Rate Limit Testing Script
+ * Checks token bucket refills, route groups, allowlists and the storage fallbacks
+ */
+
+import { CONFIG } from '../src/config/environment.js';
+import { RateLimiter, RateLimiterDurableObject, consumeToken } from '../src/modules/rate-limiter.js';
+
+const LIMIT = { requests: 3, window: 60000 };
+
+/**
+ * In-memory stand-in for a KV namespace that counts writes
+ * @returns {Object} - KV-like store
+ */
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    writes: 0,
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    async put(key, value) {
+      this.writes++;
+      store.set(key, value);
+    }
+  };
+}
+
+/**
+ * In-memory stand-in for the RATE_LIMITER Durable Object namespace
+ * Routes every bucket name to its own RateLimiterDurableObject instance
+ * @returns {Object} - Durable Object namespace-like binding
+ */
+function createDurableObjectNamespace() {
+  const instances = new Map();
+
+  const createState = () => {
+    const storage = new Map();
+    return {
+      storage: {
+        async get(key) { return storage.get(key); },
+        async put(key, value) { storage.set(key, value); },
+        async setAlarm() {},
+        async deleteAll() { storage.clear(); }
+      }
+    };
+  };
+
+  return {
+    instances,
+    idFromName: name => name,
+    get(id) {
+      if (!instances.has(id)) {
+        instances.set(id, new RateLimiterDurableObject(createState(), {}));
+      }
+      const instance = instances.get(id);
+      return { fetch: (url, init) => instance.fetch(new Request(url, init)) };
+    }
+  };
+}
+
+/**
+ * Build a request from a client IP
+ * @param {string} path - Path including the query string
+ * @param {string} ip - CF-Connecting-IP
+ * @param {Object} headers - Extra headers
+ * @returns {Request} - Request
+ */
+function createRequest(path, ip = '203.0.113.7', headers = {}) {
+  return new Request(`https://example.com${path}`, { headers: { 'CF-Connecting-IP': ip, ...headers } });
+}
+
+/**
+ * Run rate limit tests
+ */
+async function runRateLimitTests() {
+  console.log('🧪 Starting Rate Limit Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  const config = { ...CONFIG, RATE_LIMIT_ENABLED: true, RATE_LIMIT_ROUTES: { feeds: LIMIT } };
+
+  // Test 1: Token bucket arithmetic
+  await runTest('consumeToken', async () => {
+    let state = consumeToken(null, LIMIT, 0);
+    assert(state.allowed && state.remaining === 2, 'A new client should start with a full bucket');
+
+    state = consumeToken(state.bucket, LIMIT, 0);
+    state = consumeToken(state.bucket, LIMIT, 0);
+    assert(state.allowed && state.remaining === 0, 'The last token should still be allowed');
+    assert(state.reset === 60, `A drained bucket should refill in 60s, got ${state.reset}`);
+
+    const denied = consumeToken(state.bucket, LIMIT, 1000);
+    assert(!denied.allowed && denied.retryAfter === 19, `Expected Retry-After 19s (one token per 20s), got ${denied.retryAfter}`);
+
+    const refilled = consumeToken(denied.bucket, LIMIT, 20000);
+    assert(refilled.allowed && refilled.remaining === 0, 'One token should be back after 20 seconds');
+
+    const idle = consumeToken(refilled.bucket, LIMIT, 10 * 60000);
+    assert(idle.allowed && idle.remaining === 2, 'An idle bucket should never exceed its capacity');
+
+    console.log('  ✓ Take, drain, refill and cap');
+  }, results);
+
+  // Test 2: Durable Object buckets per route group and client
+  await runTest('RateLimiter.check with Durable Object', async () => {
+    const namespace = createDurableObjectNamespace();
+    const limiter = new RateLimiter({ RATE_LIMITER: namespace }, config);
+
+    const outcomes = [];
+    for (let i = 0; i < 4; i++) {
+      outcomes.push(await limiter.check(createRequest('/rss'), '/rss'));
+    }
+    assert(outcomes.slice(0, 3).every(result => result.allowed), 'The first 3 feed requests should be allowed');
+    assert(!outcomes[3].allowed && outcomes[3].retryAfter > 0, 'The 4th feed request should be limited');
+
+    const other = await limiter.check(createRequest('/rss', '198.51.100.1'), '/rss');
+    assert(other.allowed, 'Other clients should have their own bucket');
+
+    const changes = await limiter.check(createRequest('/changes'), '/changes');
+    assert(changes.allowed && changes.group === 'changes', 'Other route groups should have their own bucket');
+    assert(namespace.instances.has('feeds:203.0.113.7') && namespace.instances.size === 3, 'Buckets should be named group:client');
+
+    const headers = limiter.getHeaders(outcomes[3]);
+    assert(headers['RateLimit-Limit'] === '3' && headers['RateLimit-Remaining'] === '0', 'RateLimit headers should be set');
+    assert(headers['RateLimit-Policy'] === '3;w=60' && headers['Retry-After'], 'Limited responses should carry Retry-After');
+
+    const response = limiter.createRateLimitResponse(outcomes[3]);
+    assert(response.status === 429, 'Limited requests should get 429');
+
+    console.log('  ✓ 3 allowed, 4th limited with 429 and Retry-After');
+  }, results);
+
+  // Test 3: Allowlisted IPs and API keys skip the limit
+  await runTest('Allowlist and API keys', async () => {
+    const namespace = createDurableObjectNamespace();
+    const limiter = new RateLimiter(
+      { RATE_LIMITER: namespace, RATE_LIMIT_API_KEYS: 'zapier-key-123, wp-key-456' },
+      { ...config, RATE_LIMIT_ALLOWLIST: ['192.0.2.10'] }
+    );
+
+    for (let i = 0; i < 5; i++) {
+      assert((await limiter.check(createRequest('/rss', '192.0.2.10'), '/rss')).allowlisted, 'Allowlisted IPs should skip the limit');
+      assert((await limiter.check(createRequest('/rss', '203.0.113.7', { 'X-API-Key': 'zapier-key-123' }), '/rss')).allowed, 'X-API-Key should skip the limit');
+      assert((await limiter.check(createRequest('/rss?api_key=wp-key-456'), '/rss')).allowed, '?api_key= should skip the limit');
+    }
+
+    assert(namespace.instances.size === 0, 'Allowlisted requests should not touch any bucket');
+    assert(Object.keys(limiter.getHeaders({ allowlisted: true })).length === 0, 'Allowlisted responses should not get RateLimit headers');
+
+    const unknownKey = await limiter.check(createRequest('/rss', '203.0.113.7', { 'X-API-Key': 'guess' }), '/rss');
+    assert(!unknownKey.allowlisted, 'Unknown API keys should be rate limited');
+
+    console.log('  ✓ IP allowlist, header and query API keys');
+  }, results);
+
+  // Test 4: Without the Durable Object the limiter fails open unless the KV fallback is enabled
+  await runTest('Storage fallbacks', async () => {
+    const kv = createMemoryKV();
+
+    const failOpen = new RateLimiter({ RSS_CACHE: kv }, config);
+    for (let i = 0; i < 5; i++) {
+      assert((await failOpen.check(createRequest('/rss'), '/rss')).allowed, 'Requests should be allowed without RATE_LIMITER');
+    }
+    assert(kv.writes === 0, 'KV should not be written unless the fallback is enabled');
+
+    const kvLimiter = new RateLimiter({ RSS_CACHE: kv }, { ...config, RATE_LIMIT_KV_FALLBACK: true });
+    const outcomes = [];
+    for (let i = 0; i < 4; i++) {
+      outcomes.push(await kvLimiter.check(createRequest('/rss'), '/rss'));
+    }
+    assert(outcomes.slice(0, 3).every(result => result.allowed) && !outcomes[3].allowed, 'The KV fallback should limit the 4th request');
+    assert(kv.writes === 3, `Only allowed requests should be counted, got ${kv.writes} writes`);
+
+    const broken = new RateLimiter({ RATE_LIMITER: { idFromName: name => name, get: () => ({ fetch: async () => { throw new Error('unavailable'); } }) } }, config);
+    assert((await broken.check(createRequest('/rss'), '/rss')).allowed, 'A failing Durable Object should not block traffic');
+
+    console.log('  ✓ Fail open by default, KV counting when opted in');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 RATE LIMIT TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runRateLimitTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runRateLimitTests().catch(console.error);
+}
@@ -0,0 +1,174 @@
+/**
+ * Salary Testing Script
+ * Checks salary normalization across API shapes, display formatting (id and en) and salary filters
+ */
+
+import { normalizeSalary, formatSalary, parseSalaryAmount } from '../src/utils/salary.js';
+import { parseJobFilters, applyJobFilters } from '../src/utils/job-filter.js';
+
+const SAMPLE_JOBS = [
+  { id: 'job-1', salary_normalized: normalizeSalary({ min_salary_amount: 4500000, max_salary_amount: 6000000 }) },
+  { id: 'job-2', salary_normalized: normalizeSalary({ min_salary: { amount: 8000000 } }) },
+  { id: 'job-3', salary_normalized: normalizeSalary({ show_salary: false, min_salary_amount: 9000000 }) },
+  { id: 'job-4', detail: { salary: { min: 2500000, max: 3000000 } } }
+];
+
+/**
+ * Run salary tests
+ */
+async function runSalaryTests() {
+  console.log('🧪 Starting Salary Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: Every API shape normalizes to the same structure
+  await runTest('Salary normalization', async () => {
+    const shapes = [
+      { min_salary_amount: 4500000, max_salary_amount: 6000000 },
+      { min_salary: { amount: 4500000 }, max_salary: { amount: 6000000 } },
+      { min: 6000000, max: 4500000 }
+    ];
+
+    for (const shape of shapes) {
+      const salary = normalizeSalary(shape);
+      assert(salary.min === 4500000 && salary.max === 6000000, `Unexpected range for ${JSON.stringify(shape)}`);
+      assert(salary.currency === 'IDR' && salary.period === 'month' && salary.disclosed, 'Defaults should be IDR per month');
+    }
+
+    assert(!normalizeSalary(null).disclosed, 'Missing salary should be undisclosed');
+    assert(!normalizeSalary({ min_salary_amount: 0, max_salary_amount: 0 }).disclosed, 'Zero amounts should be undisclosed');
+    assert(normalizeSalary({ show_salary: false, min_salary_amount: 5000000 }).min === null, 'Hidden salaries should not leak amounts');
+
+    console.log(`  ✓ ${shapes.length} shapes normalized`);
+  }, results);
+
+  // Test 2: Display strings derive from the normalized values
+  await runTest('Salary formatting', async () => {
+    const cases = [
+      [{ min_salary_amount: 4500000, max_salary_amount: 6000000 }, 'Rp4,5–6 juta/bulan'],
+      [{ min_salary_amount: 750000, max_salary_amount: 1200000 }, 'Rp750 ribu–Rp1,2 juta/bulan'],
+      [{ min_salary_amount: 5000000 }, 'Mulai Rp5 juta/bulan'],
+      [{ max_salary_amount: 150000, salary_period: 'day' }, 'Hingga Rp150 ribu/hari'],
+      [{ min_salary_amount: 5000000, max_salary_amount: 5000000 }, 'Rp5 juta/bulan'],
+      [null, 'Gaji Kompetitif']
+    ];
+
+    for (const [salary, expected] of cases) {
+      const formatted = formatSalary(normalizeSalary(salary));
+      assert(formatted === expected, `Expected "${expected}", got "${formatted}"`);
+    }
+
+    console.log(`  ✓ ${cases.length} salaries formatted`);
+  }, results);
+
+  // Test 3: English feeds format salaries from the en catalog
+  await runTest('Salary formatting (English)', async () => {
+    const cases = [
+      [{ min_salary_amount: 4500000, max_salary_amount: 6000000 }, 'Rp4.5–6 million/month'],
+      [{ min_salary_amount: 5000000 }, 'From Rp5 million/month'],
+      [{ max_salary_amount: 150000, salary_period: 'day' }, 'Up to Rp150 thousand/day'],
+      [null, 'Competitive Salary']
+    ];
+
+    for (const [salary, expected] of cases) {
+      const formatted = formatSalary(normalizeSalary(salary), null, 'en');
+      assert(formatted === expected, `Expected "${expected}", got "${formatted}"`);
+    }
+
+    console.log(`  ✓ ${cases.length} salaries formatted`);
+  }, results);
+
+  // Test 4: Salary filters
+  await runTest('Salary filters', async () => {
+    assert(parseSalaryAmount('4,5jt') === 4500000, '"4,5jt" should parse to 4.500.000');
+    assert(parseSalaryAmount('4.500.000') === 4500000, 'Thousand separators should be ignored');
+    assert(parseSalaryAmount('750rb') === 750000, '"750rb" should parse to 750.000');
+    assert(parseSalaryAmount('banyak') === null, 'Text should not parse');
+
+    const ids = query => applyJobFilters(SAMPLE_JOBS, parseJobFilters(new URLSearchParams(query))).map(job => job.id);
+
+    assert(ids('min_salary=5jt').join() === 'job-1,job-2', 'min_salary should keep ranges reaching the amount');
+    assert(ids('max_salary=5000000').join() === 'job-1,job-4', 'max_salary should keep ranges starting at or below the amount');
+    assert(ids('min_salary=4jt&max_salary=7jt').join() === 'job-1', 'Salary filters should combine');
+    assert(!ids('min_salary=1').includes('job-3'), 'Undisclosed salaries should never match');
+
+    console.log('  ✓ Filters applied to normalized salaries');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 SALARY TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runSalaryTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSalaryTests().catch(console.error);
+}
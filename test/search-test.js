@@ -0,0 +1,201 @@
+/**
+ * Search Testing Script
+ * Checks Indonesian tokenization/stemming and ranking of the search index
+ */
+
+import { stemIndonesian, analyzeText } from '../src/utils/text-search.js';
+import { SearchIndex } from '../src/modules/search-index.js';
+import { parseJobFilters } from '../src/utils/job-filter.js';
+
+const SAMPLE_JOBS = [
+  {
+    id: 'job-1',
+    title: 'Operator Produksi',
+    company_name: 'PT Contoh Manufaktur',
+    city_name: 'Kota Bekasi',
+    job_function_name: 'Produksi',
+    detail: { description: 'Mengoperasikan mesin produksi dan menjaga kebersihan area kerja.' }
+  },
+  {
+    id: 'job-2',
+    title: 'Staf Pemasaran',
+    company_name: 'PT Niaga Sejahtera',
+    city_name: 'Kota Bandung',
+    job_function_name: 'Penjualan',
+    detail: { description: 'Memasarkan produk ke pelanggan baru.' }
+  },
+  {
+    id: 'job-3',
+    title: 'Admin Gudang',
+    company_name: 'PT Contoh Manufaktur',
+    city_name: 'Kota Bekasi',
+    job_function_name: 'Administrasi',
+    detail: { description: 'Mencatat keluar masuk barang produksi.' }
+  }
+];
+
+/**
+ * Run search tests
+ */
+async function runSearchTests() {
+  console.log('🧪 Starting Search Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: Affixed forms share a stem
+  await runTest('Indonesian stemming', async () => {
+    const pairs = [
+      ['memasarkan', 'pemasaran'],
+      ['pekerjaan', 'dipekerjakan'],
+      ['kesehatan', 'sehat'],
+      ['memperbaiki', 'perbaikan']
+    ];
+
+    for (const [a, b] of pairs) {
+      assert(stemIndonesian(a) === stemIndonesian(b), `"${a}" and "${b}" should share a stem (${stemIndonesian(a)} vs ${stemIndonesian(b)})`);
+    }
+    assert(stemIndonesian('operator') === 'operator', 'Words without affixes should be kept');
+
+    console.log(`  ✓ ${pairs.length} affixed pairs share a stem`);
+  }, results);
+
+  // Test 2: Words that only look affixed are not over-stemmed
+  await runTest('Over-stemming', async () => {
+    const expected = {
+      bekasi: 'bekasi',
+      kediri: 'kediri',
+      memasak: 'masak',
+      memasukkan: 'masuk',
+      memiliki: 'milik',
+      pendidikan: 'didik',
+      penilaian: 'nilai',
+      memakai: 'pakai'
+    };
+
+    for (const [word, stem] of Object.entries(expected)) {
+      assert(stemIndonesian(word) === stem, `"${word}" should stem to "${stem}", got "${stemIndonesian(word)}"`);
+    }
+    assert(stemIndonesian('pendidikan') === stemIndonesian('mendidik'), 'pendidikan and mendidik should share a stem');
+    assert(stemIndonesian('kediri') !== stemIndonesian('diri'), 'Kediri should not match "percaya diri"');
+    assert(stemIndonesian('memasarkan') === 'pasar', 'Other nasal forms should still restore the dropped consonant');
+
+    console.log(`  ✓ ${Object.keys(expected).length} words keep their root`);
+  }, results);
+
+  // Test 3: Tokenization
+  await runTest('Tokenization', async () => {
+    const terms = analyzeText('<p>Operator, PRODUKSI & gudang di Bekasi!</p>');
+
+    assert(!terms.includes('di'), 'Stopwords should be removed');
+    assert(!terms.some(term => /[^a-z0-9]/.test(term)), 'Punctuation and tags should be stripped');
+    assert(terms.includes('operator'), 'Terms should be lowercased');
+
+    console.log(`  ✓ Terms: ${terms.join(', ')}`);
+  }, results);
+
+  // Test 4: Ranking
+  await runTest('Relevance ranking', async () => {
+    const searchIndex = new SearchIndex();
+    searchIndex.index = searchIndex.buildIndex(SAMPLE_JOBS);
+
+    const { results: found } = searchIndex.search('operator produksi');
+    assert(found[0].id === 'job-1', 'Job matching every term in the title should rank first');
+    assert(found.some(job => job.id === 'job-3'), 'Partial matches in the description should still be found');
+
+    const { results: marketing } = searchIndex.search('pemasaran');
+    assert(marketing.length === 1 && marketing[0].id === 'job-2', 'Stemmed query should find the marketing job');
+
+    console.log(`  ✓ Top result: ${found[0].title} (${found[0].score})`);
+  }, results);
+
+  // Test 5: Filters and empty queries
+  await runTest('Search filters', async () => {
+    const searchIndex = new SearchIndex();
+    searchIndex.index = searchIndex.buildIndex(SAMPLE_JOBS);
+
+    const filters = parseJobFilters(new URLSearchParams('city=bandung'));
+    const { results: found } = searchIndex.search('produk', { filters });
+    assert(found.length === 1 && found[0].id === 'job-2', 'City filter should narrow results');
+
+    assert(searchIndex.search('dan di').total === 0, 'Stopword-only query should return nothing');
+
+    console.log('  ✓ Filters applied to ranked results');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 SEARCH TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runSearchTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSearchTests().catch(console.error);
+}
@@ -0,0 +1,224 @@
+/**
+ * Sitemap Testing Script
+ * Checks sitemap and sitemap index XML, job page URLs and robots.txt
+ */
+
+import { CONFIG } from '../src/config/environment.js';
+import { SitemapGenerator } from '../src/modules/sitemap-generator.js';
+import { buildJobPageUrl } from '../src/modules/job-page-generator.js';
+
+const TEST_CONFIG = { ...CONFIG, BASE_URL: 'https://loker.example.com' };
+
+const SAMPLE_JOBS = [
+  { id: 'job-1', title: 'Staff Admin', last_changed_at: '2025-01-12T09:30:00.000Z' },
+  { id: 'job&2', title: 'Operator <Produksi>', published_at: '2025-01-14T07:00:00Z' },
+  { id: 'job-3', title: 'Kasir' }
+];
+
+/**
+ * Check that an XML document is well-formed
+ * Covers what the generators can get wrong: unbalanced or misnested tags,
+ * unquoted attributes and bare ampersands
+ * @param {string} xml - XML document
+ * @returns {Array<string>} - Errors (empty when well-formed)
+ */
+function checkWellFormed(xml) {
+  const errors = [];
+  const body = xml
+    .replace(/^<\?xml[^?]*\?>/, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  const stack = [];
+  const tagPattern = /<(\/?)([A-Za-z_][\w:.-]*)([^>]*?)(\/?)>/g;
+  let match;
+  let roots = 0;
+
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, closing, name, attributes, selfClosing] = match;
+
+    if (closing) {
+      const open = stack.pop();
+      if (open !== name) {
+        errors.push(`Closing </${name}> does not match <${open}>`);
+      }
+      continue;
+    }
+
+    if (stack.length === 0) {
+      roots++;
+    }
+
+    const unquoted = attributes.replace(/\s[\w:.-]+="[^"]*"/g, '').trim();
+    if (unquoted) {
+      errors.push(`Malformed attributes on <${name}>: ${unquoted}`);
+    }
+
+    if (!selfClosing) {
+      stack.push(name);
+    }
+  }
+
+  if (stack.length > 0) {
+    errors.push(`Unclosed elements: ${stack.join(', ')}`);
+  }
+
+  if (roots !== 1) {
+    errors.push(`Expected one root element, found ${roots}`);
+  }
+
+  const text = body.replace(/<[^>]*>/g, '');
+  if (/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/.test(text) || /[<>]/.test(text.replace(/&[^;]+;/g, ''))) {
+    errors.push('Unescaped & or < in text content');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the text of every element with a tag name
+ * @param {string} xml - XML document
+ * @param {string} name - Tag name
+ * @returns {Array<string>} - Element contents
+ */
+function getElements(xml, name) {
+  return [...xml.matchAll(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g'))].map(match => match[1]);
+}
+
+/**
+ * Run sitemap tests
+ */
+async function runSitemapTests() {
+  console.log('🧪 Starting Sitemap Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: A single urlset with the feeds and every job page
+  await runTest('Sitemap urlset', async () => {
+    const documents = new SitemapGenerator(TEST_CONFIG).generateAll(SAMPLE_JOBS);
+    assert(Object.keys(documents).join() === 'main', 'Small sitemaps should be a single document');
+
+    const xml = documents.main;
+    const errors = checkWellFormed(xml);
+    assert(errors.length === 0, errors.join('; '));
+    assert(xml.includes('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'), 'Sitemap should use the sitemaps.org namespace');
+
+    const locs = getElements(xml, 'loc');
+    assert(locs.includes('https://loker.example.com/rss') && locs.includes('https://loker.example.com/companies'), 'Feed endpoints should be listed');
+    assert(locs.includes(buildJobPageUrl('job-1', TEST_CONFIG.BASE_URL)), 'Job pages should be listed');
+    assert(locs.every(loc => !loc.includes('&') || loc.includes('&amp;') || loc.includes('%26')), 'URLs should be escaped');
+    assert(locs.length === 5 + SAMPLE_JOBS.length, `Expected ${5 + SAMPLE_JOBS.length} URLs, got ${locs.length}`);
+
+    const lastmods = getElements(xml, 'lastmod');
+    assert(lastmods[0] === '2025-01-14T07:00:00.000Z', 'Feeds should carry the newest job date');
+    assert(getElements(xml, 'url').filter(url => !url.includes('<lastmod>')).length === 1, 'Jobs without a date should omit lastmod');
+
+    console.log(`  ✓ ${locs.length} URLs, well-formed`);
+  }, results);
+
+  // Test 2: Past the URL limit the sitemap becomes an index of child sitemaps
+  await runTest('Sitemap index', async () => {
+    const jobs = Array.from({ length: 12 }, (_, index) => ({ id: `job-${index}`, created_at: `2025-01-${String(index + 1).padStart(2, '0')}T00:00:00Z` }));
+    const documents = new SitemapGenerator(TEST_CONFIG, 10).generateAll(jobs);
+
+    assert(Object.keys(documents).sort().join() === '1,2,main', `Expected main, 1 and 2, got ${Object.keys(documents).join()}`);
+    for (const [name, xml] of Object.entries(documents)) {
+      const errors = checkWellFormed(xml);
+      assert(errors.length === 0, `${name}: ${errors.join('; ')}`);
+    }
+
+    assert(documents.main.includes('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'), 'main should be a sitemap index');
+    assert(getElements(documents.main, 'loc').join() === 'https://loker.example.com/sitemap-1.xml,https://loker.example.com/sitemap-2.xml', 'Index should point at the child sitemaps');
+    assert(getElements(documents['1'], 'url').length === 10 && getElements(documents['2'], 'url').length === 7, 'Child sitemaps should hold at most 10 URLs');
+    assert(getElements(documents.main, 'lastmod')[1] === '2025-01-12T00:00:00.000Z', 'Index entries should carry the newest child lastmod');
+
+    console.log('  ✓ 17 URLs split over 2 child sitemaps');
+  }, results);
+
+  // Test 3: robots.txt points crawlers at the sitemap and keeps them out of /admin
+  await runTest('robots.txt', async () => {
+    const robots = new SitemapGenerator(TEST_CONFIG).generateRobotsTxt();
+
+    assert(robots.includes('User-agent: *') && robots.includes('Disallow: /admin'), 'Admin routes should be disallowed');
+    assert(robots.includes('Sitemap: https://loker.example.com/sitemap.xml'), 'robots.txt should link the sitemap');
+
+    console.log('  ✓ Sitemap line and /admin disallowed');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 SITEMAP TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runSitemapTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSitemapTests().catch(console.error);
+}
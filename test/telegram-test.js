@@ -0,0 +1,283 @@
+/**
+ * Telegram Testing Script
+ * Checks message formatting, channel filters, idempotency, throttling and the queue limit against a local stub Bot API
+ */
+
+import { createServer } from 'node:http';
+import { CONFIG } from '../src/config/environment.js';
+import { TelegramPublisher } from '../src/modules/telegram-publisher.js';
+import { normalizeSalary } from '../src/utils/salary.js';
+
+const SAMPLE_JOBS = [
+  {
+    id: 'job-1',
+    title: 'Staff Admin & Gudang <b>Usia < 30</b>',
+    company_name: 'PT Contoh Manufaktur',
+    city_name: 'Kota Bekasi',
+    province_name: 'Jawa Barat',
+    salary_range: 'Rp4,5–6 juta/bulan',
+    salary_normalized: normalizeSalary({ min_salary_amount: 4500000, max_salary_amount: 6000000 }),
+    expires_at: '2030-01-31T00:00:00Z',
+    frontend_url: 'https://karirhub.kemnaker.go.id/lowongan-dalam-negeri/lowongan/job-1'
+  },
+  {
+    id: 'job-2',
+    title: 'Operator Produksi',
+    company_name: 'PT Contoh Jatim',
+    city_name: 'Kota Surabaya',
+    province_name: 'Jawa Timur',
+    salary_range: 'Gaji Kompetitif',
+    salary_normalized: normalizeSalary(null)
+  },
+  {
+    id: 'job-3',
+    title: 'Teknisi',
+    company_name: 'PT Contoh Bandung',
+    city_name: 'Kota Bandung',
+    province_name: 'Jawa Barat'
+  }
+];
+
+/**
+ * In-memory stand-in for a KV namespace
+ * @returns {Object} - KV-like store
+ */
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      return value === undefined ? null : type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) { store.set(key, value); },
+    async delete(key) { store.delete(key); }
+  };
+}
+
+/**
+ * Start a stub Bot API that records sendMessage calls
+ * @param {Function} respond - (message, count) => [status, body]
+ * @returns {Promise<Object>} - {url, messages, close}
+ */
+function startStubBotAPI(respond = () => [200, { ok: true, result: { message_id: 1 } }]) {
+  const messages = [];
+
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const message = { path: request.url, ...JSON.parse(body) };
+      messages.push(message);
+      const [status, payload] = respond(message, messages.length);
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        messages,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Build a publisher against the stub API
+ * @param {Object} kv - KV store
+ * @param {string} apiUrl - Stub API URL
+ * @param {Array} channels - TELEGRAM_CHANNELS
+ * @returns {TelegramPublisher} - Publisher
+ */
+function createPublisher(kv, apiUrl, channels, overrides = {}) {
+  return new TelegramPublisher(kv, 'test-token', {
+    ...CONFIG,
+    TELEGRAM_API_URL: apiUrl,
+    TELEGRAM_CHANNELS: channels,
+    TELEGRAM_POST_INTERVAL: 0,
+    ...overrides
+  });
+}
+
+/**
+ * Run Telegram tests
+ */
+async function runTelegramTests() {
+  console.log('🧪 Starting Telegram Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: HTML message with the apply button
+  await runTest('Message formatting', async () => {
+    const publisher = createPublisher(null, 'http://127.0.0.1', []);
+    const message = publisher.buildMessage('@lokerjabar', publisher.toQueuedJob(SAMPLE_JOBS[0]));
+    const withoutSalary = publisher.buildMessage('@lokerjatim', publisher.toQueuedJob(SAMPLE_JOBS[1]));
+
+    assert(message.parse_mode === 'HTML', 'Messages should use HTML parse mode');
+    assert(message.text.startsWith('<b>Staff Admin &amp; Gudang Usia &lt; 30</b>'), 'Job fields should be plain text, HTML-escaped');
+    assert(message.text.includes('💰 Rp4,5–6 juta/bulan') && message.text.includes('📍 Kota Bekasi, Jawa Barat'), 'Salary and location should be shown');
+    assert(message.text.includes('📅 Deadline: 31 Januari 2030'), 'Deadline should be shown');
+    assert(message.reply_markup.inline_keyboard[0][0].text === 'Lamar', 'Message should carry a Lamar button');
+    assert(message.reply_markup.inline_keyboard[0][0].url === SAMPLE_JOBS[0].frontend_url, 'Lamar should open the KarirHub posting');
+    assert(!withoutSalary.text.includes('💰') && !withoutSalary.text.includes('Deadline'), 'Missing fields should be left out');
+
+    console.log('  ✓ Title, salary, location, deadline and Lamar button');
+  }, results);
+
+  // Test 2: Channel filters and idempotency
+  await runTest('Channel filters and idempotency', async () => {
+    const api = await startStubBotAPI();
+    const kv = createMemoryKV();
+    const channels = [
+      { chat_id: '@lokerjabar', filters: { province: 'Jawa Barat' } },
+      { chat_id: '@lokerjatim', filters: { province: 'Jawa Timur' } }
+    ];
+
+    try {
+      const publisher = createPublisher(kv, api.url, channels);
+      assert(await publisher.queueNewJobs(SAMPLE_JOBS) === 3, 'Each job should be queued for matching channels only');
+
+      const first = await publisher.deliverPending();
+      assert(first.posted === 3 && api.messages.length === 3, `Expected 3 posts, got ${first.posted}`);
+      assert(api.messages.every(message => message.path === '/bottest-token/sendMessage'), 'Posts should go to the bot sendMessage method');
+      assert(api.messages.filter(message => message.chat_id === '@lokerjabar').length === 2, 'Jawa Barat channel should get 2 jobs');
+
+      // The same jobs seen again (e.g. after an index reset) are not posted twice
+      await publisher.queueNewJobs(SAMPLE_JOBS);
+      const second = await publisher.deliverPending();
+      assert(second.posted === 0 && second.skipped === 3 && api.messages.length === 3, 'Posted jobs should never be posted again');
+
+      console.log('  ✓ Filters respected and repeats skipped');
+    } finally {
+      await api.close();
+    }
+  }, results);
+
+  // Test 3: Per-run limits and rate limiting keep posts queued
+  await runTest('Throttling and retries', async () => {
+    const api = await startStubBotAPI((message, count) => count === 2
+      ? [429, { ok: false, description: 'Too Many Requests: retry after 30', parameters: { retry_after: 30 } }]
+      : [200, { ok: true, result: { message_id: count } }]);
+    const kv = createMemoryKV();
+
+    try {
+      const limited = createPublisher(kv, api.url, [{ chat_id: '@lokerjabar', filters: { province: 'Jawa Barat' }, max_posts_per_run: 1 }]);
+      await limited.queueNewJobs(SAMPLE_JOBS);
+
+      const first = await limited.deliverPending();
+      assert(first.posted === 1 && first.deferred === 1, 'Posts over the per-run limit should be deferred');
+      assert((await limited.readPending()).length === 1, 'Deferred posts should stay queued');
+
+      const second = await limited.deliverPending();
+      assert(second.posted === 0 && second.deferred === 1, 'Rate-limited posts should be deferred');
+      assert((await limited.readPending())[0].job.id === 'job-3', 'Rate-limited post should stay queued');
+
+      const third = await limited.deliverPending();
+      assert(third.posted === 1 && (await limited.readPending()).length === 0, 'Queue should drain on the next run');
+
+      console.log('  ✓ Per-run limit and 429 handled without losing posts');
+    } finally {
+      await api.close();
+    }
+  }, results);
+
+  // Test 4: Posts over the queue limit are dropped and not counted as queued
+  await runTest('Pending limit', async () => {
+    const kv = createMemoryKV();
+    const publisher = createPublisher(kv, 'http://127.0.0.1', [
+      { chat_id: '@lokerjabar', filters: { province: 'Jawa Barat' } },
+      { chat_id: '@lokerjatim', filters: { province: 'Jawa Timur' } }
+    ], { TELEGRAM_PENDING_LIMIT: 2 });
+
+    const queued = await publisher.queueNewJobs(SAMPLE_JOBS);
+    assert(queued === 2, `Expected 2 posts queued within the limit, got ${queued}`);
+    assert(await publisher.queueNewJobs(SAMPLE_JOBS) === 0, 'A full queue should report nothing queued');
+
+    const pending = await publisher.readPending();
+    assert(pending.map(item => `${item.chat_id}:${item.job.id}`).join() === '@lokerjabar:job-1,@lokerjatim:job-2', 'The oldest posts should be kept');
+
+    console.log('  ✓ 2 of 3 posts queued, the rest dropped');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 TELEGRAM TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runTelegramTests,
+  startStubBotAPI
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTelegramTests().catch(console.error);
+}
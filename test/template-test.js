@@ -0,0 +1,176 @@
+/**
+ * Template Testing Script
+ * Checks the template engine, tweet length counting and the social media posts rendered from SOCIAL_MEDIA_TEMPLATES
+ */
+
+import { renderTemplate, validateTemplate } from '../src/utils/template-engine.js';
+import { SOCIAL_MEDIA_TEMPLATES } from '../src/config/environment.js';
+import { DataAggregator } from '../src/modules/data-aggregator.js';
+import { getTweetLength, truncateTweet, splitTweetThread } from '../src/utils/tweet-length.js';
+
+const SAMPLE_JOB = {
+  id: 'job-1',
+  title: 'Operator Produksi',
+  company_name: 'PT Maju Jaya',
+  city_name: 'Kota Bekasi',
+  industry_name: 'Manufaktur',
+  salary: { min_salary_amount: 4500000, max_salary_amount: 6000000 }
+};
+
+const SAMPLE_DETAIL = {
+  description: '<p>Mengoperasikan mesin produksi &amp; menjaga kualitas. '.repeat(20) + '</p>',
+  job_type: 'Kontrak',
+  requirements: { education_min: 'SMK', experience: '1 tahun' },
+  salary: { benefits: ['BPJS', 'Uang makan'] }
+};
+
+/**
+ * Run template tests
+ */
+async function runTemplateTests() {
+  console.log('🧪 Starting Template Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: Placeholders and conditional sections
+  await runTest('Template rendering', async () => {
+    const template = '{title}{#salary}\n💰 {salary}{/salary}{^salary}\nGaji Kompetitif{/salary}\n{note:12}';
+
+    assert(renderTemplate(template, { title: 'A', salary: 'Rp5 juta' }) === 'A\n💰 Rp5 juta', 'Present sections should render');
+    assert(renderTemplate(template, { title: 'A', salary: '' }) === 'A\nGaji Kompetitif', 'Inverted sections should render for missing fields');
+    assert(renderTemplate('{note:12}', { note: 'satu dua tiga empat' }).length === 12, 'Field limits should cut long values');
+    assert(renderTemplate('{a}', { a: '{b}', b: 'x' }) === '{b}', 'Values should never be parsed as template syntax');
+    assert(renderTemplate('{a}', { a: '<b>Tebal</b> &amp; <script>x</script>' }) === 'Tebal & x', 'HTML should become plain text');
+    assert(renderTemplate('{a}', { a: '<b>"x"</b>' }, { escape: 'html' }) === '&quot;x&quot;', 'HTML escaping should apply on request');
+    assert(renderTemplate('{a}', { a: 'a'.repeat(10) }, { maxLength: 5 }).length === 5, 'Posts should respect maxLength');
+    assert(validateTemplate('{#a}{/b}').length === 2, 'Unbalanced sections should be reported');
+
+    console.log('  ✓ Placeholders, sections, limits and escaping');
+  }, results);
+
+  // Test 2: Social posts render from the templates within platform limits
+  await runTest('Social media content', async () => {
+    const aggregator = new DataAggregator(null, null);
+    const content = aggregator.generateSocialMediaContent(SAMPLE_JOB, SAMPLE_DETAIL);
+    const basic = aggregator.generateBasicSocialMediaContent(SAMPLE_JOB);
+
+    assert(content.twitter.length <= 280 && content.facebook.length <= 500 && content.linkedin.length <= 700, 'Posts should fit their platform limits');
+    assert(content.twitter.includes('💰 Rp4,5–6 juta/bulan') && content.twitter.includes('SMK • Kontrak'), 'Twitter post should use the template');
+    assert(content.facebook.includes('🎁 **Benefit**: BPJS, Uang makan'), 'Facebook post should list benefits');
+    assert(!content.facebook.includes('<p>') && !content.facebook.includes('&amp;'), 'Descriptions should be plain text');
+    assert(!basic.facebook.includes('Benefit') && !basic.facebook.includes('Deadline'), 'Missing fields should drop their sections');
+    assert(content.linkedin.includes('**Perusahaan**: PT Maju Jaya | Manufaktur') && !content.linkedin.includes('Career Opportunity'), 'LinkedIn post should default to Indonesian');
+
+    const english = new DataAggregator(null, null, null, 'en').generateSocialMediaContent(SAMPLE_JOB, SAMPLE_DETAIL);
+    assert(english.linkedin.includes('**Company**: PT Maju Jaya') && english.facebook.includes('**Company**'), 'English posts should use the English templates');
+
+    aggregator.socialTemplates = { twitter: { template: 'Loker {title} #{company}', maxLength: 280 } };
+    assert(aggregator.generateSocialMediaContent(SAMPLE_JOB, SAMPLE_DETAIL).twitter === 'Loker Operator Produksi #PT Maju Jaya', 'Overrides should replace the default template');
+
+    console.log('  ✓ Twitter, Facebook and LinkedIn posts rendered');
+  }, results);
+
+  // Test 3: Tweets are measured and cut the way X counts them
+  await runTest('Tweet length and threads', async () => {
+    assert(getTweetLength('🔥💰📍') === 6 && getTweetLength('👨‍👩‍👧‍👦') === 2 && getTweetLength('🇮🇩') === 2, 'Emoji sequences should count 2');
+    assert(getTweetLength('Lamar https://karirhub.kemnaker.go.id/lowongan-dalam-negeri/lowongan/123.') === 30, 'URLs should count 23 without trailing punctuation');
+    assert(getTweetLength('日本') === 4 && getTweetLength('e\u0301') === 1, 'CJK should count 2 after NFC normalization');
+
+    const cut = truncateTweet('🔥 #lokerbekasi '.repeat(30), 280);
+    assert(getTweetLength(cut) <= 280 && cut.slice(0, -3).split(' ').every(word => ['🔥', '#lokerbekasi'].includes(word)), 'Cuts should fall between words, never inside a hashtag');
+
+    const thread = splitTweetThread('a'.repeat(200) + '\n' + 'b '.repeat(300), { maxPosts: 3, lastLine: '👉 https://x.co/1' });
+    assert(thread.length === 3 && thread.every(post => getTweetLength(post) <= 280), 'Threads should stay within maxPosts and the post limit');
+    assert(thread[2].endsWith('👉 https://x.co/1'), 'The last post should end with the apply link');
+
+    const longJob = { ...SAMPLE_JOB, title: 'Operator Produksi Mesin Injection Moulding Shift Malam 🔥'.repeat(2), job_function_name: 'Produksi' };
+    const aggregator = new DataAggregator(null, null);
+    const content = aggregator.generateSocialMediaContent(longJob, SAMPLE_DETAIL);
+    assert(getTweetLength(content.twitter) <= 280 && !content.twitter_thread, 'Tweets should fit without a thread by default');
+    assert(content.twitter.includes('#lowongankerja') && !content.twitter.includes('#produksi') && !content.twitter.endsWith('...'), 'Specific hashtags should be dropped before text is cut');
+
+    aggregator.socialTemplates = { twitter: { ...SOCIAL_MEDIA_TEMPLATES.twitter, template: '{title}\n{company:200}\n{title}\n{hashtags}', threadPosts: 2 } };
+    const threaded = aggregator.generateSocialMediaContent({ ...longJob, company_name: 'PT Maju Jaya '.repeat(20) }, SAMPLE_DETAIL);
+    assert(threaded.twitter_thread?.length === 2, 'Long posts should become a thread when enabled');
+    assert(threaded.twitter_thread[1].endsWith('lowongan/job-1'), 'The thread should end with the KarirHub apply link');
+
+    console.log('  ✓ Weighted length, word-boundary cuts, hashtag dropping and threads');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 TEMPLATE TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runTemplateTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTemplateTests().catch(console.error);
+}
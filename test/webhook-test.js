@@ -0,0 +1,267 @@
+/**
+ * Webhook Testing Script
+ * Checks HMAC signing, retries, the dead-letter list and the pending queue against a local stub receiver
+ */
+
+import { createServer } from 'node:http';
+import { CONFIG } from '../src/config/environment.js';
+import { WebhookManager } from '../src/modules/webhook-manager.js';
+import { hmacSha256Hex } from '../src/utils/crypto.js';
+
+const SAMPLE_JOBS = [
+  { id: 'job-1', title: 'Staff Admin', company_name: 'PT Contoh Manufaktur', city_name: 'Kota Bekasi', province_name: 'Jawa Barat' },
+  { id: 'job-2', title: 'Operator Produksi', company_name: 'PT Contoh Jatim', city_name: 'Kota Surabaya', province_name: 'Jawa Timur' }
+];
+
+/**
+ * In-memory stand-in for a KV namespace
+ * @returns {Object} - KV-like store
+ */
+function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      return value === undefined ? null : type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) { store.set(key, value); },
+    async delete(key) { store.delete(key); }
+  };
+}
+
+/**
+ * Start a stub webhook receiver that records every request
+ * @param {Function} respond - (request, count) => status
+ * @returns {Promise<Object>} - {url, requests, close}
+ */
+function startStubReceiver(respond = () => 200) {
+  const requests = [];
+
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const received = { headers: request.headers, body };
+      requests.push(received);
+      response.writeHead(respond(received, requests.length), { 'Content-Type': 'application/json' });
+      response.end('{}');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Register a subscriber pointing at the stub receiver
+ * @param {Object} kv - KV store
+ * @param {string} url - Stub receiver URL
+ * @param {Object} filters - Subscriber filters
+ * @returns {Promise<Object>} - {manager, subscriber}
+ */
+async function createSubscription(kv, url, filters = {}) {
+  const manager = new WebhookManager(kv);
+  const subscriber = await manager.addSubscriber({ url, filters, secret: 'test-secret' }, { allowHttp: true });
+  return { manager, subscriber };
+}
+
+/**
+ * Run webhook tests
+ */
+async function runWebhookTests() {
+  console.log('🧪 Starting Webhook Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Retries should not slow the suite down
+  const originalConfig = { WEBHOOK_RETRY_DELAY: CONFIG.WEBHOOK_RETRY_DELAY, WEBHOOK_PENDING_LIMIT: CONFIG.WEBHOOK_PENDING_LIMIT };
+  CONFIG.WEBHOOK_RETRY_DELAY = 0;
+
+  // Test 1: Every delivery is signed over "<timestamp>.<body>"
+  await runTest('HMAC signature', async () => {
+    const receiver = await startStubReceiver();
+
+    try {
+      const { manager, subscriber } = await createSubscription(createMemoryKV(), receiver.url);
+      const result = await manager.deliver(subscriber, [manager.toPayloadJob(SAMPLE_JOBS[0])]);
+
+      assert(result.success && result.attempts === 1, 'Delivery should succeed on the first attempt');
+      const { headers, body } = receiver.requests[0];
+      const expected = await hmacSha256Hex('test-secret', `${headers['x-karirhub-timestamp']}.${body}`);
+      assert(headers['x-karirhub-signature'] === `sha256=${expected}`, 'Signature should be HMAC-SHA256 of "<timestamp>.<body>"');
+      assert(headers['x-karirhub-event'] === 'jobs.new' && headers['x-karirhub-delivery'] === result.delivery_id, 'Event and delivery headers should be set');
+
+      const payload = JSON.parse(body);
+      assert(payload.job_count === 1 && payload.jobs[0].id === 'job-1', 'Payload should carry the delivered jobs');
+    } finally {
+      await receiver.close();
+    }
+
+    console.log('  ✓ Signature verified with the subscriber secret');
+  }, results);
+
+  // Test 2: Server errors are retried until one attempt succeeds
+  await runTest('Retry on 5xx', async () => {
+    const receiver = await startStubReceiver((request, count) => count < 3 ? 503 : 200);
+
+    try {
+      const kv = createMemoryKV();
+      const { manager, subscriber } = await createSubscription(kv, receiver.url);
+      const result = await manager.deliver(subscriber, [manager.toPayloadJob(SAMPLE_JOBS[0])]);
+
+      assert(result.success && result.attempts === 3, `Expected success after 3 attempts, got ${result.attempts}`);
+      const deliveryIds = receiver.requests.map(request => request.headers['x-karirhub-delivery']);
+      assert(new Set(deliveryIds).size === 1, 'Retries should reuse the delivery id');
+      assert((await manager.readList('dead_letter')).length === 0, 'Successful deliveries should not be dead-lettered');
+      assert((await manager.readList(`log:${subscriber.id}`))[0].success, 'Delivery log should record the success');
+    } finally {
+      await receiver.close();
+    }
+
+    console.log('  ✓ 503, 503, 200 delivered in 3 attempts');
+  }, results);
+
+  // Test 3: Deliveries that keep failing end up in the dead-letter list; 4xx is not retried
+  await runTest('Dead-letter list', async () => {
+    const failing = await startStubReceiver(() => 500);
+    const rejecting = await startStubReceiver(() => 400);
+
+    try {
+      const kv = createMemoryKV();
+      const { manager, subscriber } = await createSubscription(kv, failing.url);
+      const result = await manager.deliver(subscriber, [manager.toPayloadJob(SAMPLE_JOBS[0])]);
+
+      assert(!result.success && result.status === 500, 'Delivery should fail with the last status');
+      assert(failing.requests.length === CONFIG.WEBHOOK_MAX_RETRIES + 1, `Expected ${CONFIG.WEBHOOK_MAX_RETRIES + 1} attempts, got ${failing.requests.length}`);
+
+      const deadLetter = await manager.readList('dead_letter');
+      assert(deadLetter.length === 1 && deadLetter[0].subscriber_id === subscriber.id, 'Failed delivery should be dead-lettered');
+      assert(deadLetter[0].payload.jobs[0].id === 'job-1', 'Dead-letter entry should keep the payload for replay');
+
+      const rejected = await createSubscription(kv, rejecting.url);
+      const rejectedResult = await rejected.manager.deliver(rejected.subscriber, [manager.toPayloadJob(SAMPLE_JOBS[1])]);
+      assert(!rejectedResult.success && rejectedResult.attempts === 1, 'Client errors should not be retried');
+      assert((await manager.readList('dead_letter')).length === 2, 'Rejected delivery should be dead-lettered too');
+    } finally {
+      await failing.close();
+      await rejecting.close();
+    }
+
+    console.log(`  ✓ ${CONFIG.WEBHOOK_MAX_RETRIES + 1} attempts on 500, 1 attempt on 400`);
+  }, results);
+
+  // Test 4: The pending queue matches filters, respects its limit and is drained by deliverPending
+  await runTest('Pending queue', async () => {
+    const receiver = await startStubReceiver();
+
+    try {
+      const kv = createMemoryKV();
+      const { manager } = await createSubscription(kv, receiver.url, { province: 'Jawa Barat' });
+      await manager.addSubscriber({ url: receiver.url }, { allowHttp: true });
+
+      CONFIG.WEBHOOK_PENDING_LIMIT = 2;
+      const queued = await manager.queueNewJobs(SAMPLE_JOBS);
+      assert(queued === 2, `Expected 2 queued deliveries within the limit, got ${queued}`);
+      assert(await manager.queueNewJobs(SAMPLE_JOBS) === 0, 'A full queue should report nothing queued');
+
+      const summary = await manager.deliverPending();
+      assert(summary.subscribers === 2 && summary.delivered === 2, 'Each subscriber should get one delivery');
+      assert((await manager.readList('pending')).length === 0, 'Delivered items should leave the queue');
+
+      const jobsBySubscriber = receiver.requests.map(request => JSON.parse(request.body).jobs.map(job => job.id).join());
+      assert(jobsBySubscriber.every(ids => ids === 'job-1'), 'The match over the limit (job-2) should have been dropped');
+    } finally {
+      CONFIG.WEBHOOK_PENDING_LIMIT = originalConfig.WEBHOOK_PENDING_LIMIT;
+      await receiver.close();
+    }
+
+    console.log('  ✓ 3 matches, 2 queued, 2 deliveries');
+  }, results);
+
+  Object.assign(CONFIG, originalConfig);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 WEBHOOK TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runWebhookTests
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runWebhookTests().catch(console.error);
+}
@@ -0,0 +1,218 @@
+/**
+ * WebSub Testing Script
+ * Checks hub advertisement in the feeds and publish pings against a local stub hub
+ */
+
+import { createServer } from 'node:http';
+import { RSSGenerator } from '../src/modules/rss-generator.js';
+import { AtomGenerator } from '../src/modules/atom-generator.js';
+import { WebSubPublisher } from '../src/modules/websub-publisher.js';
+
+const SAMPLE_JOB = {
+  id: '0b8f4a52-6f1e-4c1e-9a57-1d2a3c4b5e6f',
+  title: 'Operator Produksi',
+  company_name: 'PT Contoh Manufaktur',
+  city_name: 'Kota Bekasi',
+  province_name: 'Jawa Barat',
+  industry_name: 'Manufaktur',
+  created_at: '2025-10-21 08:00:00',
+  frontend_url: 'https://karirhub.kemnaker.go.id/lowongan-dalam-negeri/lowongan/0b8f4a52-6f1e-4c1e-9a57-1d2a3c4b5e6f'
+};
+
+/**
+ * Start a stub WebSub hub that records publish pings
+ * @param {number} status - Status code the hub answers with
+ * @returns {Promise<Object>} - {url, pings, close}
+ */
+function startStubHub(status = 204) {
+  const pings = [];
+
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      pings.push({
+        method: request.method,
+        contentType: request.headers['content-type'],
+        params: new URLSearchParams(body)
+      });
+      response.writeHead(status);
+      response.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        pings,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Run WebSub tests
+ */
+async function runWebSubTests() {
+  console.log('🧪 Starting WebSub Tests...\n');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  // Test 1: RSS advertises the hub
+  await runTest('RSS hub advertisement', async () => {
+    const rss = new RSSGenerator().generateRSS([SAMPLE_JOB], {
+      feedUrl: 'https://example.workers.dev/rss',
+      hubUrl: 'https://hub.example/'
+    });
+
+    assert(rss.includes('<atom:link href="https://hub.example/" rel="hub" />'), 'RSS should contain atom:link rel="hub"');
+    assert(rss.includes('<atom:link href="https://example.workers.dev/rss" rel="self"'), 'RSS should keep its rel="self" link');
+
+    const withoutHub = new RSSGenerator().generateRSS([SAMPLE_JOB], { hubUrl: null });
+    assert(!withoutHub.includes('rel="hub"'), 'RSS without hubUrl should not advertise a hub');
+
+    console.log('  ✓ rel="hub" present when configured, absent when disabled');
+  }, results);
+
+  // Test 2: Atom advertises the hub
+  await runTest('Atom hub advertisement', async () => {
+    const atom = new AtomGenerator().generateAtom([SAMPLE_JOB], { hubUrl: 'https://hub.example/' });
+
+    assert(atom.includes('<link rel="hub" href="https://hub.example/" />'), 'Atom should contain link rel="hub"');
+    assert(atom.includes('<id>urn:uuid:0b8f4a52-6f1e-4c1e-9a57-1d2a3c4b5e6f</id>'), 'Atom entry id should come from the job UUID');
+
+    console.log('  ✓ rel="hub" present in Atom feed');
+  }, results);
+
+  // Test 3: Publish pings reach the hub
+  await runTest('Publish ping to stub hub', async () => {
+    const hub = await startStubHub(204);
+
+    try {
+      const topics = ['https://example.workers.dev/rss', 'https://example.workers.dev/atom'];
+      const result = await new WebSubPublisher(hub.url).publish(topics);
+
+      assert(result.published === 2, `Expected 2 accepted pings, got ${result.published}`);
+      assert(hub.pings.length === 2, `Hub should receive 2 pings, got ${hub.pings.length}`);
+
+      for (const ping of hub.pings) {
+        assert(ping.method === 'POST', 'Ping should be a POST');
+        assert(ping.contentType === 'application/x-www-form-urlencoded', 'Ping should be form encoded');
+        assert(ping.params.get('hub.mode') === 'publish', 'Ping should use hub.mode=publish');
+      }
+
+      const pinged = hub.pings.map(ping => ping.params.get('hub.url')).sort();
+      assert(JSON.stringify(pinged) === JSON.stringify([...topics].sort()), 'Ping should name each topic');
+
+      console.log(`  ✓ Hub received ${hub.pings.length} publish pings`);
+    } finally {
+      await hub.close();
+    }
+  }, results);
+
+  // Test 4: Hub errors are reported, not thrown
+  await runTest('Publish ping failure handling', async () => {
+    const hub = await startStubHub(500);
+
+    try {
+      const result = await new WebSubPublisher(hub.url).publish(['https://example.workers.dev/rss']);
+
+      assert(result.published === 0, 'No ping should be accepted');
+      assert(result.failed === 1, 'Failed ping should be counted');
+      assert(result.results[0].error.includes('HTTP 500'), 'Failure should carry the hub status');
+
+      console.log('  ✓ Hub failure reported in publish result');
+    } finally {
+      await hub.close();
+    }
+  }, results);
+
+  // Test 5: No hub configured
+  await runTest('Publishing disabled without hub', async () => {
+    const result = await new WebSubPublisher('').publish(['https://example.workers.dev/rss']);
+
+    assert(result.published === 0 && result.results.length === 0, 'Nothing should be sent without a hub');
+
+    console.log('  ✓ Empty hub URL disables publishing');
+  }, results);
+
+  printTestSummary(results);
+  return results;
+}
+
+/**
+ * Run a single test
+ * @param {string} testName - Name of the test
+ * @param {Function} testFunction - Test function to execute
+ * @param {Object} results - Results object to update
+ */
+async function runTest(testName, testFunction, results) {
+  console.log(`\n📋 Test: ${testName}`);
+  console.log('─'.repeat(50));
+
+  try {
+    const startTime = Date.now();
+    const result = await testFunction();
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ Passed (${duration}ms)`);
+    results.tests.push({ name: testName, status: 'passed', duration, result });
+    results.passed++;
+  } catch (error) {
+    console.log(`❌ Failed: ${error.message}`);
+    results.tests.push({ name: testName, status: 'failed', error: error.message });
+    results.failed++;
+  }
+}
+
+/**
+ * Assert condition and throw error if false
+ * @param {boolean} condition - Condition to check
+ * @param {string} message - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Print test summary
+ * @param {Object} results - Test results
+ */
+function printTestSummary(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🏁 WEBSUB TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+  console.log(`📊 Total: ${results.tests.length}`);
+
+  // Print failed tests
+  const failedTests = results.tests.filter(test => test.status === 'failed');
+  if (failedTests.length > 0) {
+    console.log('\n❌ Failed Tests:');
+    failedTests.forEach(test => {
+      console.log(`   • ${test.name}: ${test.error}`);
+    });
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export {
+  runWebSubTests,
+  startStubHub
+};
+
+// Run tests if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runWebSubTests().catch(console.error);
+}